@@ -0,0 +1,9 @@
+// Vercel Serverless Function for Asking Clarifying Questions Before Generation (typed request - the prompt is built server-side)
+import { createLlmProvider } from '../lib/llm-provider.cjs';
+import { createTicketHandlers } from '../lib/ticket-handlers.cjs';
+import { createVercelHandler } from '../lib/http-adapters.cjs';
+
+// Provider, model and limits from the deployment's environment variables (LLM_PROVIDER, LLM_MODEL, ...)
+const { clarifyTicket } = createTicketHandlers(createLlmProvider(process.env));
+
+export default createVercelHandler(clarifyTicket, { maxRequests: 15 });
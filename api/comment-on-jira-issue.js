@@ -0,0 +1,7 @@
+// Vercel Serverless Function for Adding a Ticket as a Comment on an Existing Jira Issue
+import { createJiraHandlers } from '../lib/jira-handlers.cjs';
+import { createVercelHandler } from '../lib/http-adapters.cjs';
+
+const { commentOnJiraIssue } = createJiraHandlers();
+
+export default createVercelHandler(commentOnJiraIssue, { maxRequests: 10 });
@@ -0,0 +1,7 @@
+// Vercel Serverless Function for Embedding an Issue's Attachments in Its Description
+import { createJiraHandlers } from '../lib/jira-handlers.cjs';
+import { createVercelHandler } from '../lib/http-adapters.cjs';
+
+const { embedJiraAttachments } = createJiraHandlers();
+
+export default createVercelHandler(embedJiraAttachments, { maxRequests: 10 });
@@ -0,0 +1,9 @@
+// Vercel Serverless Function for Enhancing a Short Description (typed request - the prompt is built server-side)
+import { createLlmProvider } from '../lib/llm-provider.cjs';
+import { createTicketHandlers } from '../lib/ticket-handlers.cjs';
+import { createVercelHandler } from '../lib/http-adapters.cjs';
+
+// Provider, model and limits from the deployment's environment variables (LLM_PROVIDER, LLM_MODEL, ...)
+const { enhanceDescription } = createTicketHandlers(createLlmProvider(process.env));
+
+export default createVercelHandler(enhanceDescription, { maxRequests: 15 });
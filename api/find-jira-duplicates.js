@@ -0,0 +1,7 @@
+// Vercel Serverless Function for Finding Similar Open Jira Issues
+import { createJiraHandlers } from '../lib/jira-handlers.cjs';
+import { createVercelHandler } from '../lib/http-adapters.cjs';
+
+const { findJiraDuplicates } = createJiraHandlers();
+
+export default createVercelHandler(findJiraDuplicates, { maxRequests: 10 });
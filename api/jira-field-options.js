@@ -0,0 +1,7 @@
+// Vercel Serverless Function for Loading Jira Field Options
+import { createJiraHandlers } from '../lib/jira-handlers.cjs';
+import { createVercelHandler } from '../lib/http-adapters.cjs';
+
+const { getJiraFieldOptions } = createJiraHandlers();
+
+export default createVercelHandler(getJiraFieldOptions, { maxRequests: 10 });
@@ -0,0 +1,7 @@
+// Vercel Serverless Function for Listing Active and Upcoming Sprints (sprint picker)
+import { createJiraHandlers } from '../lib/jira-handlers.cjs';
+import { createVercelHandler } from '../lib/http-adapters.cjs';
+
+const { getJiraSprints } = createJiraHandlers();
+
+export default createVercelHandler(getJiraSprints, { maxRequests: 10 });
@@ -0,0 +1,9 @@
+// Vercel Serverless Function for Refining a Generated Ticket from a chat instruction (typed request - the prompt is built server-side)
+import { createLlmProvider } from '../lib/llm-provider.cjs';
+import { createTicketHandlers } from '../lib/ticket-handlers.cjs';
+import { createVercelHandler } from '../lib/http-adapters.cjs';
+
+// Provider, model and limits from the deployment's environment variables (LLM_PROVIDER, LLM_MODEL, ...)
+const { refineTicket } = createTicketHandlers(createLlmProvider(process.env));
+
+export default createVercelHandler(refineTicket, { maxRequests: 15 });
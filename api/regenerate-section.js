@@ -0,0 +1,9 @@
+// Vercel Serverless Function for Regenerating One Section of a Ticket (typed request - the prompt is built server-side)
+import { createLlmProvider } from '../lib/llm-provider.cjs';
+import { createTicketHandlers } from '../lib/ticket-handlers.cjs';
+import { createVercelHandler } from '../lib/http-adapters.cjs';
+
+// Provider, model and limits from the deployment's environment variables (LLM_PROVIDER, LLM_MODEL, ...)
+const { regenerateSection } = createTicketHandlers(createLlmProvider(process.env));
+
+export default createVercelHandler(regenerateSection, { maxRequests: 15 });
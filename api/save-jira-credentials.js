@@ -0,0 +1,7 @@
+// Vercel Serverless Function for Saving Jira Credentials
+import { createJiraHandlers } from '../lib/jira-handlers.cjs';
+import { createVercelHandler } from '../lib/http-adapters.cjs';
+
+const { saveJiraCredentials } = createJiraHandlers();
+
+export default createVercelHandler(saveJiraCredentials, { maxRequests: 10 });
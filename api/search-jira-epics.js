@@ -0,0 +1,8 @@
+// Vercel Serverless Function for Searching Open Epics (parent picker)
+import { createJiraHandlers } from '../lib/jira-handlers.cjs';
+import { createVercelHandler } from '../lib/http-adapters.cjs';
+
+const { searchJiraEpics } = createJiraHandlers();
+
+// 30 requests per minute per IP - the picker searches as the reporter refines a query
+export default createVercelHandler(searchJiraEpics, { maxRequests: 30 });
@@ -0,0 +1,8 @@
+// Vercel Serverless Function for Searching Jira Users (assignee and reporter pickers)
+import { createJiraHandlers } from '../lib/jira-handlers.cjs';
+import { createVercelHandler } from '../lib/http-adapters.cjs';
+
+const { searchJiraUsers } = createJiraHandlers();
+
+// 30 requests per minute per IP - the pickers search as the reporter types
+export default createVercelHandler(searchJiraUsers, { maxRequests: 30 });
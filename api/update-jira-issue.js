@@ -0,0 +1,7 @@
+// Vercel Serverless Function for Updating an Existing Jira Issue
+import { createJiraHandlers } from '../lib/jira-handlers.cjs';
+import { createVercelHandler } from '../lib/http-adapters.cjs';
+
+const { updateJiraIssue } = createJiraHandlers();
+
+export default createVercelHandler(updateJiraIssue, { maxRequests: 10 });
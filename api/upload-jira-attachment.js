@@ -0,0 +1,15 @@
+// Vercel Serverless Function for Streaming One Attachment to an Existing Jira Issue
+// The raw file is the request body (application/octet-stream) - it is piped to Jira as it arrives. Vercel caps a
+// function's request body at 4.5 MB and Jira can't put an attachment together from several requests, so the browser
+// refuses larger files before sending them (getUploadSizeLimit in App.jsx); the Express server has no such cap
+import { createJiraHandlers } from '../lib/jira-handlers.cjs';
+import { createVercelHandler } from '../lib/http-adapters.cjs';
+
+const { uploadJiraAttachment } = createJiraHandlers();
+
+// 30 requests per minute per IP - one request per file
+export default createVercelHandler(uploadJiraAttachment, {
+  maxRequests: 30,
+  allowHeaders: 'Content-Type, X-Jira-Session, X-Jira-Issue, X-File-Name, X-File-Type, X-Skip-Existing',
+  rawBody: true
+});
@@ -0,0 +1,85 @@
+// Streaming ticket generation
+// Relays a provider's event stream (Anthropic's streamed Messages API format - see lib/llm-provider.cjs) to the
+// browser, so sections can be rendered while the model is still writing. Used by the Express and Vercel adapters -
+// Netlify returns the stream as the body of a stream() handler instead (see lib/http-adapters.cjs).
+
+const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream; charset=utf-8',
+  'Cache-Control': 'no-cache, no-transform',
+  'Connection': 'keep-alive',
+  // Stops nginx-style proxies from buffering the whole response
+  'X-Accel-Buffering': 'no'
+};
+
+// One server-sent event in Anthropic's format ("event: <type>" + JSON "data:")
+const formatEvent = (type, data) => `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+
+// Abort the upstream request when the browser goes away (Cancel button, closed tab) before the relay finished
+const abortOnDisconnect = (res, controller) => {
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+};
+
+// Copy an event stream to a Node response - any async iterable of chunks: a fetch body (Node or web stream) or the
+// converted events of a non-Anthropic provider
+const relayEventStream = async (events, res) => {
+  res.writeHead(200, SSE_HEADERS);
+  if (typeof res.flushHeaders === 'function') {
+    res.flushHeaders();
+  }
+
+  try {
+    for await (const chunk of events) {
+      res.write(chunk);
+    }
+  } catch (error) {
+    // Headers are already sent, so failures mid-stream are reported as an SSE error event
+    if (error.name !== 'AbortError' && !res.destroyed) {
+      console.error('Stream relay error:', error);
+      res.write(formatEvent('error', { error: { type: 'relay_error', message: error.message || 'Stream interrupted' } }));
+    }
+  } finally {
+    if (!res.destroyed) {
+      res.end();
+    }
+  }
+};
+
+// An event stream as a web ReadableStream (for Netlify's stream() responses). Cancelling it (the browser went away)
+// aborts the upstream request through abortController; without one, fetch bodies are passed through as they are
+const toReadableStream = (events, abortController = null) => {
+  if (!abortController && typeof events.getReader === 'function') {
+    return events;
+  }
+  const iterator = events[Symbol.asyncIterator]();
+  const encoder = new TextEncoder();
+  return new ReadableStream({
+    async pull(controller) {
+      const { done, value } = await iterator.next();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(typeof value === 'string' ? encoder.encode(value) : value);
+      }
+    },
+    async cancel() {
+      if (abortController) {
+        abortController.abort();
+      }
+      if (iterator.return) {
+        await iterator.return().catch(() => {});
+      }
+    }
+  });
+};
+
+module.exports = {
+  SSE_HEADERS,
+  formatEvent,
+  toReadableStream,
+  abortOnDisconnect,
+  relayEventStream
+};
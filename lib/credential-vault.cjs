@@ -0,0 +1,90 @@
+// Server-side Jira credential vault
+// Credentials are encrypted with AES-256-GCM and handed to the browser as an opaque sessionId.
+// The sessionId carries its own expiry, so Express, Vercel and Netlify functions can all read it
+// without sharing memory (separate serverless functions never see each other's in-memory state).
+// Nothing is stored behind a sessionId, so it can't be revoked on its own: clearing it in the browser only forgets
+// it there, and a copied sessionId keeps working until it expires or CREDENTIALS_ENCRYPTION_KEY is rotated. The
+// default lifetime is kept short for that reason.
+const crypto = require('crypto');
+
+const DEFAULT_EXPIRATION_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Token lifetime in days - TOKEN_EXPIRATION_DAYS=0 expires sessions immediately (useful for testing)
+const getExpirationDays = () => {
+  const days = Number(process.env.TOKEN_EXPIRATION_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_EXPIRATION_DAYS;
+};
+
+// Derive a 256-bit key from CREDENTIALS_ENCRYPTION_KEY (any length secret is accepted)
+const getEncryptionKey = () => {
+  const secret = process.env.CREDENTIALS_ENCRYPTION_KEY ? process.env.CREDENTIALS_ENCRYPTION_KEY.trim() : '';
+  if (!secret) {
+    return null;
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+const isVaultConfigured = () => getEncryptionKey() !== null;
+
+// Encrypt credentials and return { sessionId, expiresAt }
+const createSession = ({ jiraUrl, email, apiToken }) => {
+  const key = getEncryptionKey();
+  if (!key) {
+    throw new Error('Server configuration error: CREDENTIALS_ENCRYPTION_KEY not set');
+  }
+
+  const expiresAt = Date.now() + getExpirationDays() * DAY_MS;
+  const payload = JSON.stringify({ jiraUrl, email, apiToken, expiresAt });
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const encrypted = Buffer.concat([cipher.update(payload, 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return {
+    sessionId: Buffer.concat([iv, authTag, encrypted]).toString('base64url'),
+    expiresAt
+  };
+};
+
+// Decrypt a sessionId - returns { valid: true, credentials } or { valid: false, expired, error }
+const openSession = (sessionId) => {
+  const key = getEncryptionKey();
+  if (!key) {
+    return { valid: false, expired: false, error: 'Server configuration error: CREDENTIALS_ENCRYPTION_KEY not set' };
+  }
+
+  if (!sessionId || typeof sessionId !== 'string') {
+    return { valid: false, expired: false, error: 'Missing Jira session. Please save your credentials in settings.' };
+  }
+
+  let credentials;
+  try {
+    const raw = Buffer.from(sessionId, 'base64url');
+    const iv = raw.subarray(0, 12);
+    const authTag = raw.subarray(12, 28);
+    const encrypted = raw.subarray(28);
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(authTag);
+    const decrypted = Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    credentials = JSON.parse(decrypted);
+  } catch (error) {
+    // Tampered session, or the encryption key was rotated
+    return { valid: false, expired: false, error: 'Invalid Jira session. Please re-enter your credentials in settings.' };
+  }
+
+  if (!credentials.expiresAt || Date.now() >= credentials.expiresAt) {
+    return { valid: false, expired: true, error: 'Your Jira credentials have expired. Please re-enter them in settings.' };
+  }
+
+  return { valid: true, credentials };
+};
+
+module.exports = {
+  createSession,
+  openSession,
+  isVaultConfigured,
+  getExpirationDays
+};
@@ -0,0 +1,200 @@
+// HTTP adapters
+// Turn a shared route handler (lib/ticket-handlers.cjs, lib/jira-handlers.cjs) into an Express route, a Vercel function
+// or a Netlify function. Handlers only see { body, headers, file, signal } and resolve to { status, body } - or
+// { status, events } for a streamed ticket - so everything platform-specific lives here: CORS, preflight, method and
+// rate limit checks for the serverless functions, reading the body, relaying streams and the 500 for thrown errors.
+const { SSE_HEADERS, toReadableStream, abortOnDisconnect, relayEventStream } = require('./anthropic-stream.cjs');
+
+const RATE_LIMIT_WINDOW = 60000; // 1 minute
+const DEFAULT_MAX_REQUESTS = 10; // per minute per IP
+const NETLIFY_SITE = 'https://ai-bug-ticket-generator.netlify.app';
+
+// Simple rate limiting (in-memory, resets on cold start) - one limiter per function
+const createRateLimiter = (maxRequests) => {
+  const rateLimitMap = new Map();
+  return (ip) => {
+    const now = Date.now();
+    const limit = rateLimitMap.get(ip);
+    if (!limit || now >= limit.resetTime) {
+      rateLimitMap.set(ip, { count: 1, resetTime: now + RATE_LIMIT_WINDOW });
+      return true;
+    }
+    if (limit.count >= maxRequests) {
+      return false;
+    }
+    limit.count++;
+    return true;
+  };
+};
+
+// Origins allowed by ALLOWED_ORIGINS, or the platform's default. restrictOrigins (routes that make the server fetch
+// on the caller's behalf) only answers listed origins - never "*", and none by default, as the app calls same-origin
+const readAllowedOrigins = (fallback, restrictOrigins) => {
+  if (!process.env.ALLOWED_ORIGINS) {
+    return restrictOrigins ? [] : fallback;
+  }
+  const origins = process.env.ALLOWED_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean);
+  return restrictOrigins ? origins.filter(origin => origin !== '*') : origins;
+};
+
+const TOO_MANY_REQUESTS = { error: 'Too many requests. Please try again in a minute.' };
+
+const logServerError = (error) => {
+  console.error('Server error:', error);
+  return { error: error.message || 'Internal server error' };
+};
+
+// Run a handler for a Node request (Express or Vercel) and send its result. The request is aborted upstream as soon as
+// the browser disconnects (Cancel button); rawBody passes the request itself on as the file to stream
+const runNodeHandler = async (handler, req, res, { rawBody = false } = {}) => {
+  const controller = new AbortController();
+  abortOnDisconnect(res, controller);
+
+  try {
+    const size = Number(req.headers['content-length']);
+    const result = await handler({
+      body: rawBody ? {} : req.body || {},
+      headers: req.headers,
+      file: rawBody ? { body: req, size: Number.isFinite(size) ? size : undefined } : undefined,
+      signal: controller.signal
+    });
+
+    if (result.events) {
+      await relayEventStream(result.events, res);
+      if (controller.signal.aborted) {
+        console.log('Request cancelled by client');
+      }
+      return;
+    }
+
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      console.log('Request cancelled by client');
+      return;
+    }
+    res.status(500).json(logServerError(error));
+  }
+};
+
+// Express route - CORS, rate limits and body parsing are the server's middleware
+const createExpressHandler = (handler, options = {}) => (req, res) => runNodeHandler(handler, req, res, options);
+
+// Vercel function. ALLOWED_ORIGINS defaults to every origin, so it can be restricted per deployment
+const createVercelHandler = (handler, { maxRequests = DEFAULT_MAX_REQUESTS, allowHeaders = 'Content-Type', restrictOrigins = false, rawBody = false } = {}) => {
+  const allowedOrigins = readAllowedOrigins(['*'], restrictOrigins);
+  const isAllowed = createRateLimiter(maxRequests);
+
+  return async (req, res) => {
+    const origin = req.headers.origin;
+
+    // Enable CORS with restricted origins
+    if (restrictOrigins) {
+      if (allowedOrigins.includes(origin)) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Vary', 'Origin');
+      }
+    } else {
+      const isAllowedOrigin = origin && (allowedOrigins.includes('*') || allowedOrigins.includes(origin));
+      res.setHeader('Access-Control-Allow-Credentials', true);
+      res.setHeader('Access-Control-Allow-Origin', isAllowedOrigin ? origin : allowedOrigins[0] || '*');
+    }
+    res.setHeader('Access-Control-Allow-Headers', allowHeaders);
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Content-Type', 'application/json');
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    // Only allow POST
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const ip = req.headers['x-forwarded-for'] || req.headers['x-real-ip'] || 'unknown';
+    if (!isAllowed(ip)) {
+      return res.status(429).json(TOO_MANY_REQUESTS);
+    }
+
+    return runNodeHandler(handler, req, res, { rawBody });
+  };
+};
+
+// Netlify function. The event's body is a string (base64 for raw files); a streamed result is returned as a web
+// ReadableStream, so the function streaming tickets must be wrapped in stream() from @netlify/functions
+const createNetlifyHandler = (handler, { maxRequests = DEFAULT_MAX_REQUESTS, allowHeaders = 'Content-Type', restrictOrigins = false, rawBody = false } = {}) => {
+  const allowedOrigins = readAllowedOrigins([NETLIFY_SITE], restrictOrigins);
+  const isAllowed = createRateLimiter(maxRequests);
+
+  return async (event) => {
+    const origin = event.headers.origin || event.headers.Origin;
+
+    // Enable CORS with restricted origins
+    const headers = {
+      'Access-Control-Allow-Headers': allowHeaders,
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Content-Type': 'application/json'
+    };
+    if (allowedOrigins.includes(origin)) {
+      headers['Access-Control-Allow-Origin'] = origin;
+      headers.Vary = 'Origin';
+    } else if (!restrictOrigins && allowedOrigins.length > 0) {
+      headers['Access-Control-Allow-Origin'] = allowedOrigins[0];
+    }
+    const reply = (statusCode, body) => ({ statusCode, headers, body: JSON.stringify(body) });
+
+    // Handle preflight request
+    if (event.httpMethod === 'OPTIONS') {
+      return { statusCode: 200, headers, body: '' };
+    }
+
+    // Only allow POST
+    if (event.httpMethod !== 'POST') {
+      return reply(405, { error: 'Method not allowed' });
+    }
+
+    const ip = event.headers['client-ip'] || event.headers['x-forwarded-for'] || 'unknown';
+    if (!isAllowed(ip)) {
+      return reply(429, TOO_MANY_REQUESTS);
+    }
+
+    let body = {};
+    let file;
+    if (rawBody) {
+      const buffer = Buffer.from(event.body || '', event.isBase64Encoded ? 'base64' : 'utf8');
+      file = { body: buffer, size: buffer.length };
+    } else if (event.body) {
+      try {
+        body = JSON.parse(event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body) || {};
+      } catch (error) {
+        return reply(400, { error: 'Request body must be valid JSON' });
+      }
+    }
+
+    // Aborted when Netlify cancels a streamed response body (Cancel button)
+    const controller = new AbortController();
+    try {
+      const result = await handler({ body, headers: event.headers, file, signal: controller.signal });
+
+      if (result.events) {
+        return {
+          statusCode: 200,
+          headers: { ...headers, ...SSE_HEADERS },
+          body: toReadableStream(result.events, controller)
+        };
+      }
+
+      return reply(result.status, result.body);
+    } catch (error) {
+      return reply(500, logServerError(error));
+    }
+  };
+};
+
+module.exports = {
+  createExpressHandler,
+  createVercelHandler,
+  createNetlifyHandler
+};
@@ -0,0 +1,235 @@
+// Atlassian Document Format (ADF) renderer
+// Converts the parsed ticket sections into the ADF document Jira REST API v3 expects for rich text fields:
+// a heading per section, ordered/bullet lists, fenced code blocks, **bold**, `code`, links and attachment links.
+// Reference: https://developer.atlassian.com/cloud/jira/platform/apis/document/structure/
+
+// Bug ticket sections in the order they appear in the description - used when the app doesn't send
+// `fields.sections` (the generic [{ heading, text }] list every issue type's format produces)
+const DESCRIPTION_SECTIONS = [
+  { key: 'description', heading: 'Description' },
+  { key: 'steps', heading: 'Steps to Reproduce' },
+  { key: 'expected', heading: 'Expected Behaviour' },
+  { key: 'actual', heading: 'Actual Behaviour' },
+  { key: 'impact', heading: 'Impact' },
+  { key: 'environment', heading: 'Environment' }
+];
+
+const ORDERED_ITEM = /^\s*(\d+)[.)]\s+(.*)$/;
+const BULLET_ITEM = /^\s*[-*•]\s+(.*)$/;
+const CODE_FENCE = /^\s*```\s*([\w+-]*)\s*$/;
+// **bold**, `code` or a bare URL
+const INLINE_TOKEN = /(\*\*[^*]+\*\*|`[^`]+`|https?:\/\/[^\s<>()]+)/g;
+
+const textNode = (text, marks) => (marks ? { type: 'text', text, marks } : { type: 'text', text });
+
+// Inline markdown -> ADF text nodes
+const renderInline = (text) => {
+  const nodes = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(INLINE_TOKEN)) {
+    if (match.index > lastIndex) {
+      nodes.push(textNode(text.slice(lastIndex, match.index)));
+    }
+
+    const token = match[0];
+    if (token.startsWith('**')) {
+      nodes.push(textNode(token.slice(2, -2), [{ type: 'strong' }]));
+    } else if (token.startsWith('`')) {
+      nodes.push(textNode(token.slice(1, -1), [{ type: 'code' }]));
+    } else {
+      // Keep trailing punctuation out of the link
+      const url = token.replace(/[.,;:!?]+$/, '');
+      nodes.push(textNode(url, [{ type: 'link', attrs: { href: url } }]));
+      if (url.length < token.length) {
+        nodes.push(textNode(token.slice(url.length)));
+      }
+    }
+    lastIndex = match.index + token.length;
+  }
+
+  if (lastIndex < text.length) {
+    nodes.push(textNode(text.slice(lastIndex)));
+  }
+  return nodes;
+};
+
+// Lines of one paragraph, joined with hard breaks
+const paragraph = (lines) => {
+  const content = [];
+  lines.forEach((line, i) => {
+    if (i > 0) {
+      content.push({ type: 'hardBreak' });
+    }
+    content.push(...renderInline(line.trim()));
+  });
+  return { type: 'paragraph', content };
+};
+
+const listItem = (text) => ({
+  type: 'listItem',
+  content: [{ type: 'paragraph', content: renderInline(text.trim()) }]
+});
+
+// Multi-line section text -> ADF block nodes
+const renderBlocks = (text) => {
+  const blocks = [];
+  const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    // Fenced code block
+    const fence = line.match(CODE_FENCE);
+    if (fence) {
+      const codeLines = [];
+      i++;
+      while (i < lines.length && !CODE_FENCE.test(lines[i])) {
+        codeLines.push(lines[i]);
+        i++;
+      }
+      i++; // Skip the closing fence
+      const code = codeLines.join('\n');
+      blocks.push({
+        type: 'codeBlock',
+        ...(fence[1] ? { attrs: { language: fence[1] } } : {}),
+        content: code ? [textNode(code)] : []
+      });
+      continue;
+    }
+
+    // Numbered list (keeps the first number so "3. ..." continues from 3)
+    if (ORDERED_ITEM.test(line)) {
+      const start = Number(line.match(ORDERED_ITEM)[1]);
+      const items = [];
+      while (i < lines.length && ORDERED_ITEM.test(lines[i])) {
+        items.push(listItem(lines[i].match(ORDERED_ITEM)[2]));
+        i++;
+      }
+      blocks.push({
+        type: 'orderedList',
+        ...(start > 1 ? { attrs: { order: start } } : {}),
+        content: items
+      });
+      continue;
+    }
+
+    // Bullet list
+    if (BULLET_ITEM.test(line)) {
+      const items = [];
+      while (i < lines.length && BULLET_ITEM.test(lines[i])) {
+        items.push(listItem(lines[i].match(BULLET_ITEM)[1]));
+        i++;
+      }
+      blocks.push({ type: 'bulletList', content: items });
+      continue;
+    }
+
+    // Paragraph - runs until a blank line or the start of another block
+    const paragraphLines = [];
+    while (
+      i < lines.length &&
+      lines[i].trim() &&
+      !CODE_FENCE.test(lines[i]) &&
+      !ORDERED_ITEM.test(lines[i]) &&
+      !BULLET_ITEM.test(lines[i])
+    ) {
+      paragraphLines.push(lines[i]);
+      i++;
+    }
+    blocks.push(paragraph(paragraphLines));
+  }
+
+  return blocks;
+};
+
+const heading = (text, level = 3) => ({
+  type: 'heading',
+  attrs: { level },
+  content: [textNode(text)]
+});
+
+// Where a browser opens an attachment - the REST `content` URL needs API authentication, so it is turned into the
+// /secure/attachment/ URL Jira serves to signed-in users
+const getAttachmentUrl = ({ id, filename, content }) => {
+  if (!content) {
+    return null;
+  }
+  try {
+    return id ? `${new URL(content).origin}/secure/attachment/${encodeURIComponent(id)}/${encodeURIComponent(filename)}` : content;
+  } catch {
+    return null;
+  }
+};
+
+// Uploaded attachments ({ id, filename, mimeType, content }) -> a list of links. Images aren't embedded: ADF media
+// needs the file's Media Services id, which the REST API doesn't return, and an external media node pointing at the
+// attachment would render as a broken image for every viewer
+const renderAttachments = (attachments) => {
+  const items = attachments
+    .map(attachment => ({ attachment, url: getAttachmentUrl(attachment) }))
+    .filter(({ url }) => url)
+    .map(({ attachment, url }) => ({
+      type: 'listItem',
+      content: [{
+        type: 'paragraph',
+        content: [
+          textNode(attachment.filename, [{ type: 'link', attrs: { href: url } }]),
+          ...(attachment.mimeType && attachment.mimeType.startsWith('image/') ? [textNode(' (image)')] : [])
+        ]
+      }]
+    }));
+  return items.length > 0 ? [{ type: 'bulletList', content: items }] : [];
+};
+
+// Build the full description document from the parsed ticket fields
+const buildDescriptionAdf = (fields, attachments = []) => {
+  const content = [];
+  const sections = Array.isArray(fields.sections) && fields.sections.length > 0
+    ? fields.sections
+    : DESCRIPTION_SECTIONS.map(({ key, heading: title }) => ({ heading: title, text: fields[key] }));
+
+  sections.forEach(({ heading: title, text }) => {
+    const blocks = renderBlocks(text);
+    if (blocks.length > 0) {
+      content.push(heading(String(title)), ...blocks);
+    }
+  });
+
+  const attachmentBlocks = renderAttachments(attachments);
+  if (attachmentBlocks.length > 0) {
+    content.push(heading('Attachments'), ...attachmentBlocks);
+  }
+
+  return { type: 'doc', version: 1, content };
+};
+
+// Comment posted when a reporter files the same bug again on an existing issue
+const buildRepeatReportAdf = (fields, attachments = []) => {
+  const description = buildDescriptionAdf(fields, attachments);
+  return {
+    type: 'doc',
+    version: 1,
+    content: [
+      {
+        type: 'paragraph',
+        content: [textNode('Reported again: ', [{ type: 'strong' }]), textNode(fields.title || 'Bug Report')]
+      },
+      ...description.content
+    ]
+  };
+};
+
+module.exports = {
+  DESCRIPTION_SECTIONS,
+  renderInline,
+  renderBlocks,
+  buildDescriptionAdf,
+  buildRepeatReportAdf
+};
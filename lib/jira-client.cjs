@@ -0,0 +1,970 @@
+// Jira client
+// Platform-agnostic Jira Cloud calls shared by the Express server, Vercel functions and Netlify functions.
+// Every method resolves to { valid: true, ... } or { valid: false, status, error, details } - entry points
+// only translate that into their own response format.
+const { LEVEL_FIELDS, buildMappedFields, resolveLevelValues } = require('./jira-field-mapping.cjs');
+const { getOptionLabels } = require('./jira-field-options.cjs');
+const { buildDescriptionAdf, buildRepeatReportAdf } = require('./jira-adf.cjs');
+const crypto = require('crypto');
+
+const DEFAULT_CACHE_MINUTES = 10;
+
+// Jira issue keys look like WE-123
+const ISSUE_KEY_PATTERN = /^[A-Z][A-Z0-9_]+-\d+$/;
+// Project keys (WE) - checked before one goes into JQL, where a quote would end the string
+const PROJECT_KEY_PATTERN = /^[A-Z][A-Z0-9_]+$/;
+
+// App issue types -> Jira issue type names to look for, first match in the project wins
+// (company-managed projects call it "Sub-task", team-managed ones "Subtask")
+const ISSUE_TYPE_NAMES = {
+  bug: ['Bug'],
+  task: ['Task'],
+  story: ['Story'],
+  subtask: ['Sub-task', 'Subtask'],
+  incident: ['Incident']
+};
+
+// Fields the app always sends or Jira fills in itself
+const AUTO_FILLED_FIELDS = ['project', 'issuetype', 'reporter'];
+
+// Required createmeta fields without a default that the payload leaves empty - returns their names
+const findMissingRequiredFields = (metaFields, issueFields) =>
+  Object.entries(metaFields || {})
+    .filter(([fieldId, field]) =>
+      field.required && !field.hasDefaultValue && !AUTO_FILLED_FIELDS.includes(fieldId) && issueFields[fieldId] === undefined
+    )
+    .map(([fieldId, field]) => field.name || fieldId);
+
+// Link relations offered in the push flow, read from the new issue's side ("NEW blocks WE-12")
+// - newIsInward puts the new issue on the inward side of linkIssues below
+const ISSUE_LINK_RELATIONS = {
+  'relates to': { type: 'Relates', newIsInward: true },
+  'blocks': { type: 'Blocks', newIsInward: true },
+  'is blocked by': { type: 'Blocks', newIsInward: false },
+  'duplicates': { type: 'Duplicate', newIsInward: true }
+};
+
+// Check the requested links ([{ relation, key }]) - returns { valid, links } or { valid: false, error }
+const validateIssueLinks = (links) => {
+  if (links === undefined || links === null) {
+    return { valid: true, links: [] };
+  }
+  if (!Array.isArray(links)) {
+    return { valid: false, error: 'links must be an array of { relation, key }' };
+  }
+  for (const link of links) {
+    if (!link || !ISSUE_LINK_RELATIONS[link.relation]) {
+      return { valid: false, error: `Unsupported link relation: ${link && link.relation}. Use one of: ${Object.keys(ISSUE_LINK_RELATIONS).join(', ')}` };
+    }
+    if (!ISSUE_KEY_PATTERN.test(link.key || '')) {
+      return { valid: false, error: `Invalid Jira issue key: ${link.key}` };
+    }
+  }
+  return { valid: true, links: links.map(link => ({ relation: link.relation, key: link.key })) };
+};
+
+// Jira labels can't contain spaces - "Login Page" becomes "Login-Page"
+const normalizeLabel = (label) => String(label).trim().replace(/\s+/g, '-').substring(0, 255);
+
+// Check assignee, reporter, labels and sprint sent with a push
+// Returns { valid, values: { assigneeId, reporterId, labels, sprintId } } or { valid: false, error }
+const validateIssueDetails = ({ assigneeId, reporterId, labels, sprintId }) => {
+  for (const [name, accountId] of [['assigneeId', assigneeId], ['reporterId', reporterId]]) {
+    if (accountId !== undefined && accountId !== null && (typeof accountId !== 'string' || !/^[\w:-]{1,128}$/.test(accountId))) {
+      return { valid: false, error: `Invalid Jira account ID in ${name}` };
+    }
+  }
+  if (labels !== undefined && labels !== null && (!Array.isArray(labels) || labels.some(label => typeof label !== 'string'))) {
+    return { valid: false, error: 'labels must be an array of strings' };
+  }
+  if (sprintId !== undefined && sprintId !== null && !(Number.isInteger(Number(sprintId)) && Number(sprintId) > 0)) {
+    return { valid: false, error: `Invalid sprint ID: ${sprintId}` };
+  }
+
+  return {
+    valid: true,
+    values: {
+      assigneeId: assigneeId || undefined,
+      reporterId: reporterId || undefined,
+      labels: labels ? [...new Set(labels.map(normalizeLabel).filter(Boolean))] : undefined,
+      sprintId: sprintId ? Number(sprintId) : undefined
+    }
+  };
+};
+
+// A streamed attachment's request headers (the body is the raw file, sent as application/octet-stream):
+// X-Jira-Session, X-Jira-Issue, X-File-Name (URI-encoded), X-File-Type and X-Skip-Existing ("true" on updates)
+// Returns { valid, sessionId, issueKey, filename, contentType, skipExisting } or { valid: false, error }
+const readAttachmentHeaders = (headers) => {
+  const sessionId = headers['x-jira-session'];
+  const issueKey = headers['x-jira-issue'];
+  let filename = '';
+  try {
+    filename = decodeURIComponent(headers['x-file-name'] || '').trim();
+  } catch {
+    return { valid: false, error: 'X-File-Name must be URI-encoded' };
+  }
+  const contentType = headers['x-file-type'] || 'application/octet-stream';
+
+  if (!sessionId || !issueKey || !filename) {
+    return { valid: false, error: 'Missing required headers: X-Jira-Session, X-Jira-Issue, X-File-Name' };
+  }
+  if (!ISSUE_KEY_PATTERN.test(issueKey)) {
+    return { valid: false, error: `Invalid Jira issue key: ${issueKey}` };
+  }
+  if (filename.length > 255 || /[\\/\x00-\x1f]/.test(filename)) {
+    return { valid: false, error: 'Invalid file name' };
+  }
+  if (!/^[\w.+-]+\/[\w.+-]+$/.test(contentType)) {
+    return { valid: false, error: `Invalid file type: ${contentType}` };
+  }
+
+  return { valid: true, sessionId, issueKey, filename, contentType, skipExisting: headers['x-skip-existing'] === 'true' };
+};
+
+// createmeta / project versions cache, shared by every client in this process
+// (warm serverless instances reuse it, cold starts refetch)
+const metadataCache = new Map();
+
+// Cache lifetime in minutes - JIRA_METADATA_CACHE_MINUTES=0 disables caching
+const getCacheMinutes = () => {
+  const minutes = Number(process.env.JIRA_METADATA_CACHE_MINUTES);
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes : DEFAULT_CACHE_MINUTES;
+};
+
+const readCache = (cacheKey) => {
+  const cached = metadataCache.get(cacheKey);
+  if (cached && Date.now() < cached.expiresAt) {
+    return cached;
+  }
+  metadataCache.delete(cacheKey);
+  return null;
+};
+
+const writeCache = (cacheKey, value) => {
+  const minutes = getCacheMinutes();
+  if (minutes > 0) {
+    metadataCache.set(cacheKey, { ...value, expiresAt: Date.now() + minutes * 60 * 1000 });
+  }
+  return value;
+};
+
+// Map a Jira error status to a message the UI can show as-is
+const describeStatus = (status, fallback) => {
+  if (status === 401) return 'Authentication failed. Please check your email and API token.';
+  if (status === 403) return 'Access denied. Your account may not have permission.';
+  if (status === 404) return 'Jira instance or project not found. Please check your URL and project key.';
+  return fallback;
+};
+
+// Pull a readable message out of a Jira error response - returns { error, details }
+const extractJiraError = async (response, fallback) => {
+  const errorText = await response.text();
+  console.error('Jira API error:', errorText);
+
+  let errorData;
+  try {
+    errorData = JSON.parse(errorText);
+  } catch (e) {
+    return { error: `Jira API returned non-JSON response: ${errorText.substring(0, 200)}` };
+  }
+
+  let errorMessage = fallback;
+  if (errorData.errorMessages && Array.isArray(errorData.errorMessages) && errorData.errorMessages.length > 0) {
+    errorMessage = errorData.errorMessages.join(', ');
+  } else if (errorData.errors && typeof errorData.errors === 'object' && Object.keys(errorData.errors).length > 0) {
+    const errorFields = Object.entries(errorData.errors).map(([field, msg]) => `${field}: ${msg}`);
+    errorMessage = errorFields.join(', ');
+  } else if (errorData.error) {
+    errorMessage = errorData.error;
+  }
+
+  console.error('Processed error message:', errorMessage);
+  return { error: errorMessage, details: errorData };
+};
+
+// Find a createmeta option (with its ID) by value or name - returns the option or null
+const findAllowedValue = (metaFields, fieldId, optionValue) => {
+  const field = metaFields && metaFields[fieldId];
+  if (!field || !field.allowedValues) {
+    return null;
+  }
+  return field.allowedValues.find(opt => opt.value === optionValue || opt.name === optionValue) || null;
+};
+
+// Create a client bound to one set of (already decrypted) credentials
+const createJiraClient = ({ jiraUrl, email, apiToken }) => {
+  const baseUrl = jiraUrl.replace(/\/$/, ''); // Remove trailing slash
+  const authString = Buffer.from(`${email}:${apiToken}`).toString('base64');
+
+  const jiraFetch = (path, options = {}) =>
+    fetch(`${baseUrl}${path}`, {
+      ...options,
+      headers: {
+        'Authorization': `Basic ${authString}`,
+        'Accept': 'application/json',
+        ...(options.headers || {})
+      }
+    });
+
+  // Check the credentials by calling /myself
+  const testConnection = async () => {
+    const response = await jiraFetch('/rest/api/3/myself', { method: 'GET' });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error('Jira connection test failed:', errorText);
+      return {
+        valid: false,
+        status: response.status,
+        error: response.status === 404
+          ? 'Jira instance not found. Please check your URL.'
+          : describeStatus(response.status, 'Connection test failed')
+      };
+    }
+
+    const data = await response.json();
+    return {
+      valid: true,
+      user: {
+        displayName: data.displayName,
+        emailAddress: data.emailAddress,
+        accountId: data.accountId
+      }
+    };
+  };
+
+  // createmeta fields for one project + issue type - returns { valid, fields, issueTypeId, issueTypeName, fetchedAt }
+  // issueType may list alternative names ("Sub-task,Subtask") - the first one the project has is used
+  const getCreateMeta = async ({ projectKey, issueType = 'Bug', forceRefresh = false }) => {
+    const cacheKey = `createmeta|${baseUrl}|${projectKey}|${issueType}`;
+    const cached = !forceRefresh && readCache(cacheKey);
+    if (cached) {
+      return { valid: true, fields: cached.fields, issueTypeId: cached.issueTypeId, issueTypeName: cached.issueTypeName, fetchedAt: cached.fetchedAt };
+    }
+
+    const response = await jiraFetch(
+      `/rest/api/2/issue/createmeta?projectKeys=${encodeURIComponent(projectKey)}&issuetypeNames=${encodeURIComponent(issueType)}&expand=projects.issuetypes.fields`,
+      { method: 'GET' }
+    );
+
+    if (!response.ok) {
+      return {
+        valid: false,
+        status: response.status,
+        error: describeStatus(response.status, `Failed to load Jira field metadata (status ${response.status})`)
+      };
+    }
+
+    const metadata = await response.json();
+    const project = metadata.projects && metadata.projects[0];
+    if (!project) {
+      return { valid: false, status: 404, error: `Project ${projectKey} not found. Please check your project key.` };
+    }
+    const names = issueType.split(',');
+    const issueTypeMeta = project.issuetypes &&
+      (names.map(name => project.issuetypes.find(type => type.name === name)).find(Boolean) || project.issuetypes[0]);
+    if (!issueTypeMeta) {
+      return { valid: false, status: 404, error: `Issue type "${names.join('" / "')}" is not available in project ${projectKey}` };
+    }
+
+    return {
+      valid: true,
+      ...writeCache(cacheKey, {
+        fields: issueTypeMeta.fields || {},
+        issueTypeId: issueTypeMeta.id,
+        issueTypeName: issueTypeMeta.name,
+        fetchedAt: Date.now()
+      })
+    };
+  };
+
+  // Project versions, newest first with archived versions skipped - returns { valid, versions }
+  const getProjectVersions = async ({ projectKey, forceRefresh = false }) => {
+    const cacheKey = `versions|${baseUrl}|${projectKey}`;
+    const cached = !forceRefresh && readCache(cacheKey);
+    if (cached) {
+      return { valid: true, versions: cached.versions };
+    }
+
+    const response = await jiraFetch(`/rest/api/2/project/${encodeURIComponent(projectKey)}/versions`, { method: 'GET' });
+
+    if (!response.ok) {
+      return {
+        valid: false,
+        status: response.status,
+        error: describeStatus(response.status, `Failed to load project versions (status ${response.status})`)
+      };
+    }
+
+    const versions = (await response.json())
+      .filter(version => !version.archived)
+      .reverse();
+    return { valid: true, ...writeCache(cacheKey, { versions }) };
+  };
+
+  // createmeta for an app issue type (bug, story, ...) - returns the getCreateMeta result, or
+  // { valid: false, status: 400 } for a type the app doesn't know
+  const getIssueTypeMeta = async (projectKey, issueType = 'bug', { forceRefresh = false } = {}) => {
+    const names = ISSUE_TYPE_NAMES[issueType];
+    if (!names) {
+      return { valid: false, status: 400, error: `Unsupported issue type: ${issueType}. Use one of: ${Object.keys(ISSUE_TYPE_NAMES).join(', ')}` };
+    }
+    try {
+      return await getCreateMeta({ projectKey, issueType: names.join(','), forceRefresh });
+    } catch (error) {
+      console.log(`Warning: Could not fetch ${names[0]} field metadata:`, error.message);
+      return { valid: false, status: 500, error: error.message };
+    }
+  };
+
+  // Summary, description, priority, parent, people, labels and mapped custom fields shared by create and update
+  // meta is the issue type's createmeta (or null if it couldn't be loaded) - select options are looked up in it,
+  // and priority / mapped fields missing from the type's screen are left out instead of failing the request.
+  // Returns { issueFields, warnings } - warnings name every ticket value that was left out, for the push response
+  const buildIssueFields = async ({ meta, fields, customFields, fieldMapping, parentKey, assigneeId, reporterId, labels }) => {
+    const warnings = [];
+    const issueFields = {
+      summary: fields.title,
+      // Custom fields are sent separately, not in description
+      description: buildDescriptionAdf(fields)
+    };
+
+    // Parent epic - Jira Cloud accepts `parent` for epics in both team-managed and company-managed projects
+    if (parentKey) {
+      issueFields.parent = { key: parentKey };
+      console.log('Setting parent epic:', parentKey);
+    }
+    if (assigneeId) {
+      issueFields.assignee = { accountId: assigneeId };
+    }
+    if (reporterId) {
+      issueFields.reporter = { accountId: reporterId };
+    }
+    // Only send labels when there are some - an empty list would wipe labels added in Jira on update
+    if (labels && labels.length > 0) {
+      issueFields.labels = labels;
+      console.log('Setting labels:', labels.join(', '));
+    }
+
+    // Priority and severity arrive as levels (P1-P4, S1-S4) and go out as the site's own options. A ticket without
+    // a validated priority sends none - Jira applies the project's default (and an update keeps the current one)
+    const levelValues = fieldMapping
+      ? resolveLevelValues(fieldMapping, { priority: fields.priority, severity: fields.severity },
+        fieldId => (meta ? getOptionLabels(meta.fields[fieldId]) : null))
+      : {};
+    // Without createmeta a level can only go out through the mapping's "values" - say so instead of dropping it quietly
+    Object.keys(LEVEL_FIELDS).forEach(appField => {
+      if (fields[appField] && fieldMapping && fieldMapping[appField] && !levelValues[appField]) {
+        const reason = meta
+          ? `the ${meta.issueTypeName} ${appField} field has no option for it`
+          : `Jira's ${appField} options couldn't be loaded`;
+        warnings.push(`${appField} ${fields[appField]} was not set: ${reason} - add it to the ${appField} "values" in the field mapping`);
+        console.log(`✗ No Jira ${appField} for ${fields[appField]} (${reason})`);
+      }
+    });
+
+    // Add mapped custom fields if provided
+    if (fieldMapping) {
+      const mappedFields = await buildMappedFields(
+        fieldMapping,
+        { ...customFields, priority: levelValues.priority, severity: levelValues.severity },
+        (fieldId, optionValue) => {
+          const matchingOption = meta && findAllowedValue(meta.fields, fieldId, optionValue);
+          return matchingOption && matchingOption.id ? matchingOption : null;
+        }
+      );
+
+      Object.entries(fieldMapping).forEach(([appField, entry]) => {
+        if (entry && mappedFields[entry.fieldId] !== undefined && meta && !meta.fields[entry.fieldId]) {
+          delete mappedFields[entry.fieldId];
+          if (LEVEL_FIELDS[appField]) {
+            warnings.push(`${appField} ${fields[appField]} was not set: ${entry.fieldId} is not on the ${meta.issueTypeName} screen`);
+          }
+          console.log(`✗ ${appField} (${entry.fieldId}) is not on the ${meta.issueTypeName} screen, not set`);
+        } else if (entry && mappedFields[entry.fieldId] !== undefined) {
+          console.log(`✓ Setting ${appField} (${entry.fieldId}, ${entry.shape}):`, JSON.stringify(mappedFields[entry.fieldId]));
+        } else if (entry) {
+          console.log(`✗ ${appField} is missing from customFields, ${entry.fieldId} not set`);
+        }
+      });
+      Object.assign(issueFields, mappedFields);
+    }
+
+    return { issueFields, warnings };
+  };
+
+  // Create an issue of the given app type (bug, task, story, subtask, incident) from the parsed ticket fields
+  // Returns { valid, key, id, self, url, warnings } - or status 400 with missingFields when the type's screen requires
+  // fields the app can't fill
+  const createIssue = async ({ projectKey, issueType = 'bug', fields, customFields, fieldMapping, ...details }) => {
+    const meta = await getIssueTypeMeta(projectKey, issueType);
+    // An unknown type, project or issue type fails here; any other metadata error just skips the screen checks
+    if (!meta.valid && (meta.status === 400 || meta.status === 404)) {
+      return meta;
+    }
+    const typeMeta = meta.valid ? meta : null;
+
+    const { issueFields, warnings } = await buildIssueFields({ meta: typeMeta, fields, customFields, fieldMapping, ...details });
+
+    if (typeMeta) {
+      const missingFields = findMissingRequiredFields(typeMeta.fields, issueFields);
+      if (missingFields.length > 0) {
+        return {
+          valid: false,
+          status: 400,
+          error: `${typeMeta.issueTypeName} issues in ${projectKey} require fields the app doesn't fill in: ${missingFields.join(', ')}`,
+          missingFields
+        };
+      }
+    }
+
+    const jiraPayload = {
+      fields: {
+        project: {
+          key: projectKey
+        },
+        issuetype: typeMeta ? { id: typeMeta.issueTypeId } : { name: ISSUE_TYPE_NAMES[issueType][0] },
+        ...issueFields
+      }
+    };
+
+    if (process.env.NODE_ENV === 'development') {
+      console.log('Full Jira Payload:', JSON.stringify(jiraPayload, null, 2));
+    }
+
+    const response = await jiraFetch('/rest/api/3/issue', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(jiraPayload)
+    });
+
+    if (!response.ok) {
+      const { error, details } = await extractJiraError(response, 'Failed to create Jira ticket');
+      return { valid: false, status: response.status, error, details };
+    }
+
+    const data = await response.json();
+    console.log('Jira ticket created:', data.key);
+
+    return {
+      valid: true,
+      key: data.key,
+      id: data.id,
+      self: data.self,
+      url: `${baseUrl}/browse/${data.key}`,
+      warnings
+    };
+  };
+
+  // Overwrite summary, description, priority, parent, people, labels and mapped fields of an existing issue - returns { valid, key, url, warnings }
+  const updateIssue = async ({ issueKey, projectKey, issueType = 'bug', fields, customFields, fieldMapping, ...details }) => {
+    const meta = await getIssueTypeMeta(projectKey, issueType);
+    if (!meta.valid && meta.status === 400) {
+      return meta;
+    }
+
+    const { issueFields, warnings } = await buildIssueFields({ meta: meta.valid ? meta : null, fields, customFields, fieldMapping, ...details });
+    const jiraPayload = { fields: issueFields };
+
+    if (process.env.NODE_ENV === 'development') {
+      console.log('Full Jira Update Payload:', JSON.stringify(jiraPayload, null, 2));
+    }
+
+    const response = await jiraFetch(`/rest/api/3/issue/${encodeURIComponent(issueKey)}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(jiraPayload)
+    });
+
+    if (!response.ok) {
+      const { error, details } = await extractJiraError(response, `Failed to update Jira ticket ${issueKey}`);
+      return { valid: false, status: response.status, error, details };
+    }
+
+    console.log('Jira ticket updated:', issueKey);
+    return { valid: true, key: issueKey, url: `${baseUrl}/browse/${issueKey}`, warnings };
+  };
+
+  // Attachments already on an issue - returns { valid, attachments: [{ id, filename, mimeType, content, size }] }
+  const getAttachments = async (issueKey) => {
+    const response = await jiraFetch(`/rest/api/3/issue/${encodeURIComponent(issueKey)}?fields=attachment`, { method: 'GET' });
+
+    if (!response.ok) {
+      const { error, details } = await extractJiraError(response, `Failed to read attachments of ${issueKey}`);
+      return { valid: false, status: response.status, error, details };
+    }
+
+    const data = await response.json();
+    const attachments = ((data.fields && data.fields.attachment) || []).map(attachment => ({
+      id: attachment.id,
+      filename: attachment.filename,
+      mimeType: attachment.mimeType,
+      content: attachment.content,
+      size: attachment.size
+    }));
+    return { valid: true, attachments };
+  };
+
+  // Upload base64 attachments ({ filename, contentType, data }) one by one
+  // Files matching an entry in `existing` (same filename and size) are skipped instead of uploaded twice
+  // Returns { valid, uploaded: [{ filename, id, mimeType, content }], skipped: [filename], failed: [{ filename, status, error }],
+  // files: [{ filename, status: 'uploaded' | 'skipped' | 'failed', error }] } - files is every attachment in request order,
+  // what the routes report back. One bad file never stops the rest
+  const uploadAttachments = async (issueKey, attachments = [], existing = []) => {
+    const uploaded = [];
+    const skipped = [];
+    const failed = [];
+
+    console.log(`Uploading ${attachments.length} attachment(s) to Jira ticket:`, issueKey);
+
+    for (let i = 0; i < attachments.length; i++) {
+      const attachment = attachments[i];
+
+      try {
+        // Convert base64 to buffer
+        const base64Data = attachment.data.split(',')[1] || attachment.data;
+        const fileBuffer = Buffer.from(base64Data, 'base64');
+
+        const alreadyAttached = existing.some(file => file.filename === attachment.filename && file.size === fileBuffer.length);
+        if (alreadyAttached) {
+          skipped.push(attachment.filename);
+          console.log(`↷ Attachment ${i + 1}/${attachments.length} already on ${issueKey}, skipping: ${attachment.filename}`);
+          continue;
+        }
+
+        // Native FormData/Blob work with the built-in fetch on every platform
+        const formData = new FormData();
+        formData.append('file', new Blob([fileBuffer], { type: attachment.contentType || 'application/octet-stream' }), attachment.filename);
+
+        const attachmentResponse = await jiraFetch(`/rest/api/2/issue/${issueKey}/attachments`, {
+          method: 'POST',
+          headers: {
+            'X-Atlassian-Token': 'no-check'
+          },
+          body: formData
+        });
+
+        if (attachmentResponse.ok) {
+          // Jira answers with the stored attachment(s) - keep id, mimeType and content URL for the description links
+          const [stored] = await attachmentResponse.json();
+          uploaded.push({
+            filename: attachment.filename,
+            id: stored && stored.id,
+            mimeType: (stored && stored.mimeType) || attachment.contentType,
+            content: stored && stored.content
+          });
+          console.log(`✅ Attachment ${i + 1}/${attachments.length} uploaded: ${attachment.filename}`);
+        } else {
+          const attachmentError = await attachmentResponse.text();
+          console.error(`⚠️ Failed to upload attachment ${i + 1}:`, attachmentError);
+          failed.push({
+            filename: attachment.filename,
+            status: attachmentResponse.status,
+            error: attachmentResponse.status === 413
+              ? 'File is too large for Jira'
+              : describeStatus(attachmentResponse.status, `Upload failed (status ${attachmentResponse.status})`)
+          });
+        }
+      } catch (singleFileError) {
+        console.error(`⚠️ Error uploading file ${i + 1} (${attachment.filename}):`, singleFileError.message);
+        failed.push({ filename: attachment.filename, status: 500, error: singleFileError.message });
+      }
+    }
+
+    console.log('✅ All attachments processed');
+    const files = attachments.map(({ filename }) => {
+      const failure = failed.find(file => file.filename === filename);
+      if (failure) {
+        return { filename, status: 'failed', error: failure.error };
+      }
+      return { filename, status: skipped.includes(filename) ? 'skipped' : 'uploaded' };
+    });
+    return {
+      valid: failed.length === 0,
+      uploaded,
+      skipped,
+      failed,
+      files
+    };
+  };
+
+  // Stream one file to an issue - body is the raw file (a Node stream, any async iterable of chunks, or a Buffer)
+  // wrapped in a multipart body on the fly, so a large screen recording is never held in memory. size (when known)
+  // is sent as Content-Length, otherwise the upload is chunked. With skipExisting, a file the issue already has
+  // (same filename and size) isn't uploaded again.
+  // Returns { valid, attachment: { filename, id, mimeType, content, size }, skipped }
+  const uploadAttachmentStream = async ({ issueKey, filename, contentType, size, body, skipExisting = false }) => {
+    if (skipExisting) {
+      const existing = await getAttachments(issueKey);
+      const match = existing.valid && existing.attachments.find(file => file.filename === filename && file.size === size);
+      if (match) {
+        console.log(`↷ Attachment already on ${issueKey}, skipping: ${filename}`);
+        return { valid: true, attachment: match, skipped: true };
+      }
+    }
+
+    const boundary = `----ticket-attachment-${crypto.randomUUID()}`;
+    const head = Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${filename.replace(/["\r\n]/g, '_')}"\r\n`
+      + `Content-Type: ${contentType || 'application/octet-stream'}\r\n\r\n`);
+    const tail = Buffer.from(`\r\n--${boundary}--\r\n`);
+    async function* multipartBody() {
+      yield head;
+      if (Buffer.isBuffer(body)) {
+        yield body;
+      } else {
+        for await (const chunk of body) {
+          yield chunk;
+        }
+      }
+      yield tail;
+    }
+
+    const headers = {
+      'X-Atlassian-Token': 'no-check',
+      'Content-Type': `multipart/form-data; boundary=${boundary}`
+    };
+    if (Number.isFinite(size)) {
+      headers['Content-Length'] = String(head.length + size + tail.length);
+    }
+
+    const response = await jiraFetch(`/rest/api/2/issue/${encodeURIComponent(issueKey)}/attachments`, {
+      method: 'POST',
+      headers,
+      body: multipartBody(),
+      duplex: 'half'
+    });
+
+    if (!response.ok) {
+      const { error, details } = await extractJiraError(response, `Failed to upload ${filename}`);
+      return {
+        valid: false,
+        status: response.status,
+        error: response.status === 413 ? 'File is too large for Jira' : error,
+        details
+      };
+    }
+
+    const [stored] = await response.json();
+    console.log(`✅ Attachment streamed to ${issueKey}: ${filename}`);
+    return {
+      valid: true,
+      attachment: {
+        filename,
+        id: stored && stored.id,
+        mimeType: (stored && stored.mimeType) || contentType,
+        content: stored && stored.content,
+        size: stored && stored.size
+      },
+      skipped: false
+    };
+  };
+
+  // Run a JQL search - returns { valid, issues }
+  const searchIssues = async ({ jql, fields = ['summary', 'status'], maxResults = 20 }) => {
+    const response = await jiraFetch('/rest/api/3/search/jql', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ jql, fields, maxResults })
+    });
+
+    if (!response.ok) {
+      const { error, details } = await extractJiraError(response, 'Jira search failed');
+      return { valid: false, status: response.status, error, details };
+    }
+
+    const data = await response.json();
+    return { valid: true, issues: data.issues || [] };
+  };
+
+  // Add an ADF comment to an issue - returns { valid, id }
+  const addComment = async (issueKey, body) => {
+    const response = await jiraFetch(`/rest/api/3/issue/${encodeURIComponent(issueKey)}/comment`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ body })
+    });
+
+    if (!response.ok) {
+      const { error, details } = await extractJiraError(response, `Failed to comment on ${issueKey}`);
+      return { valid: false, status: response.status, error, details };
+    }
+
+    const data = await response.json();
+    console.log('Comment added to Jira ticket:', issueKey);
+    return { valid: true, id: data.id };
+  };
+
+  // Post the ticket as a "reported again" comment on an existing issue, uploading only attachments it doesn't have
+  // attachmentIds are files already streamed to the issue for this report - they are listed in the comment too
+  // Returns { valid, id, url, upload }
+  const addTicketComment = async ({ issueKey, fields, attachments = [], attachmentIds = [] }) => {
+    const existing = await getAttachments(issueKey);
+    if (!existing.valid) {
+      return existing;
+    }
+
+    const upload = await uploadAttachments(issueKey, attachments, existing.attachments);
+    const streamed = existing.attachments.filter(file => attachmentIds.includes(String(file.id)));
+    const comment = await addComment(issueKey, buildRepeatReportAdf(fields, [...streamed, ...upload.uploaded]));
+    if (!comment.valid) {
+      return comment;
+    }
+
+    return { valid: true, id: comment.id, url: `${baseUrl}/browse/${issueKey}`, upload };
+  };
+
+  // Link two issues. Jira shows the link type's outward text on the inward issue,
+  // so { type: 'Duplicate', inwardKey: NEW, outwardKey: OLD } reads "NEW duplicates OLD"
+  const linkIssues = async ({ type, inwardKey, outwardKey }) => {
+    const response = await jiraFetch('/rest/api/3/issueLink', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        type: { name: type },
+        inwardIssue: { key: inwardKey },
+        outwardIssue: { key: outwardKey }
+      })
+    });
+
+    if (!response.ok) {
+      const { error, details } = await extractJiraError(response, `Failed to link ${inwardKey} to ${outwardKey}`);
+      return { valid: false, status: response.status, error, details };
+    }
+
+    console.log(`🔗 Linked ${inwardKey} (${type}) ${outwardKey}`);
+    return { valid: true };
+  };
+
+  // Link an issue to several existing keys ([{ relation, key }] from validateIssueLinks) one by one
+  // Returns { linked: [{ relation, key }], failed: [{ relation, key, error }] } - one bad key never stops the rest
+  const addIssueLinks = async (issueKey, links = []) => {
+    const linked = [];
+    const failed = [];
+
+    for (const link of links) {
+      const { type, newIsInward } = ISSUE_LINK_RELATIONS[link.relation];
+      const result = await linkIssues({
+        type,
+        inwardKey: newIsInward ? issueKey : link.key,
+        outwardKey: newIsInward ? link.key : issueKey
+      });
+      if (result.valid) {
+        linked.push(link);
+      } else {
+        console.error(`⚠️ Could not link ${issueKey} (${link.relation}) ${link.key}:`, result.error);
+        failed.push({ ...link, error: result.error });
+      }
+    }
+
+    return { linked, failed };
+  };
+
+  // Open epics of the project, matching `query` by key or summary when given - returns { valid, epics }
+  // Epics that are parents of issues in an active sprint come first and carry inSprint: true
+  const searchEpics = async ({ projectKey, query = '' }) => {
+    if (!PROJECT_KEY_PATTERN.test(projectKey || '')) {
+      return { valid: false, status: 400, error: `Invalid Jira project key: ${projectKey}` };
+    }
+    const text = query.trim();
+    const isKey = ISSUE_KEY_PATTERN.test(text.toUpperCase());
+    const filter = !text
+      ? ''
+      : isKey
+      ? ` AND key = "${text.toUpperCase()}"`
+      : ` AND summary ~ "${text.replace(/[\\"]/g, ' ')}*"`;
+
+    const search = await searchIssues({
+      jql: `project = "${projectKey}" AND issuetype = Epic AND statusCategory != Done${filter} ORDER BY updated DESC`,
+      fields: ['summary', 'status'],
+      maxResults: 20
+    });
+    if (!search.valid) {
+      // JQL rejects a key that doesn't exist - that's just "no results" for a picker
+      return isKey && search.status === 400 ? { valid: true, epics: [] } : search;
+    }
+
+    // Parents of the active sprint's issues - projects without sprints reject openSprints(), which simply means no sprint epics
+    const sprintIssues = await searchIssues({
+      jql: `project = "${projectKey}" AND sprint in openSprints() AND parent is not EMPTY`,
+      fields: ['parent'],
+      maxResults: 100
+    });
+    const sprintEpicKeys = new Set(
+      sprintIssues.valid ? sprintIssues.issues.map(issue => issue.fields.parent && issue.fields.parent.key).filter(Boolean) : []
+    );
+
+    const epics = search.issues
+      .map(issue => ({
+        key: issue.key,
+        summary: issue.fields.summary,
+        status: issue.fields.status && issue.fields.status.name,
+        url: `${baseUrl}/browse/${issue.key}`,
+        inSprint: sprintEpicKeys.has(issue.key)
+      }))
+      .sort((a, b) => Number(b.inSprint) - Number(a.inSprint));
+
+    return { valid: true, epics };
+  };
+
+  // Users matching a name or email - assignable: true only returns people who can be assigned in the project
+  // Returns { valid, users: [{ accountId, displayName, emailAddress, avatarUrl }] }
+  const searchUsers = async ({ projectKey, query, assignable = false }) => {
+    const params = new URLSearchParams({ query, maxResults: '20' });
+    if (assignable) {
+      params.set('project', projectKey);
+    }
+    const response = await jiraFetch(`/rest/api/3/user${assignable ? '/assignable' : ''}/search?${params}`, { method: 'GET' });
+
+    if (!response.ok) {
+      const { error, details } = await extractJiraError(response, 'Jira user search failed');
+      return { valid: false, status: response.status, error, details };
+    }
+
+    // Skip apps and deactivated accounts
+    const users = (await response.json())
+      .filter(user => user.accountType === 'atlassian' && user.active !== false)
+      .map(user => ({
+        accountId: user.accountId,
+        displayName: user.displayName,
+        emailAddress: user.emailAddress,
+        avatarUrl: user.avatarUrls && user.avatarUrls['24x24']
+      }));
+    return { valid: true, users };
+  };
+
+  // Active and upcoming sprints of the project's scrum boards, active first - returns { valid, sprints: [{ id, name, state, boardName }] }
+  // Projects without Jira Software boards simply have no sprints
+  const getSprints = async ({ projectKey, forceRefresh = false }) => {
+    const cacheKey = `sprints|${baseUrl}|${projectKey}`;
+    const cached = !forceRefresh && readCache(cacheKey);
+    if (cached) {
+      return { valid: true, sprints: cached.sprints };
+    }
+
+    const boardResponse = await jiraFetch(`/rest/agile/1.0/board?projectKeyOrId=${encodeURIComponent(projectKey)}&type=scrum`, { method: 'GET' });
+    if (boardResponse.status === 404) {
+      return { valid: true, sprints: [] };
+    }
+    if (!boardResponse.ok) {
+      const { error, details } = await extractJiraError(boardResponse, 'Failed to load the project boards');
+      return { valid: false, status: boardResponse.status, error, details };
+    }
+
+    const boards = ((await boardResponse.json()).values || []).slice(0, 5);
+    const sprints = new Map();
+    for (const board of boards) {
+      const sprintResponse = await jiraFetch(`/rest/agile/1.0/board/${board.id}/sprint?state=active,future`, { method: 'GET' });
+      if (!sprintResponse.ok) {
+        console.log(`Warning: Could not load sprints of board ${board.name} (status ${sprintResponse.status})`);
+        continue;
+      }
+      ((await sprintResponse.json()).values || []).forEach(sprint => {
+        sprints.set(sprint.id, { id: sprint.id, name: sprint.name, state: sprint.state, boardName: board.name });
+      });
+    }
+
+    const sorted = [...sprints.values()].sort((a, b) => Number(b.state === 'active') - Number(a.state === 'active'));
+    return { valid: true, ...writeCache(cacheKey, { sprints: sorted }) };
+  };
+
+  // Move an issue into a sprint through the Agile API (the sprint field is rarely on the create screen)
+  const addIssueToSprint = async (sprintId, issueKey) => {
+    const response = await jiraFetch(`/rest/agile/1.0/sprint/${encodeURIComponent(sprintId)}/issue`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ issues: [issueKey] })
+    });
+
+    if (!response.ok) {
+      const { error, details } = await extractJiraError(response, `Failed to add ${issueKey} to sprint ${sprintId}`);
+      return { valid: false, status: response.status, error, details };
+    }
+
+    console.log(`🏃 Added ${issueKey} to sprint ${sprintId}`);
+    return { valid: true };
+  };
+
+  // Re-render the description with the uploaded attachments listed at the end, as links
+  const addAttachmentsToDescription = async ({ issueKey, fields, attachments }) => {
+    if (!attachments || attachments.length === 0) {
+      return { valid: true };
+    }
+
+    const response = await jiraFetch(`/rest/api/3/issue/${issueKey}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ fields: { description: buildDescriptionAdf(fields, attachments) } })
+    });
+
+    if (!response.ok) {
+      const { error, details } = await extractJiraError(response, 'Failed to add attachments to the description');
+      return { valid: false, status: response.status, error, details };
+    }
+
+    console.log(`✅ ${attachments.length} attachment(s) embedded in the description of`, issueKey);
+    return { valid: true };
+  };
+
+  // Rewrite the description with every attachment the issue has - after files were streamed to it one by one
+  // Returns { valid, attachments }
+  const embedIssueAttachments = async ({ issueKey, fields }) => {
+    const existing = await getAttachments(issueKey);
+    if (!existing.valid) {
+      return existing;
+    }
+
+    const embedded = await addAttachmentsToDescription({ issueKey, fields, attachments: existing.attachments });
+    return embedded.valid ? { valid: true, attachments: existing.attachments } : embedded;
+  };
+
+  return {
+    baseUrl,
+    testConnection,
+    getCreateMeta,
+    getIssueTypeMeta,
+    getProjectVersions,
+    createIssue,
+    updateIssue,
+    getAttachments,
+    uploadAttachments,
+    uploadAttachmentStream,
+    addAttachmentsToDescription,
+    embedIssueAttachments,
+    searchIssues,
+    addComment,
+    addTicketComment,
+    linkIssues,
+    addIssueLinks,
+    searchEpics,
+    searchUsers,
+    getSprints,
+    addIssueToSprint
+  };
+};
+
+module.exports = {
+  ISSUE_KEY_PATTERN,
+  PROJECT_KEY_PATTERN,
+  ISSUE_TYPE_NAMES,
+  ISSUE_LINK_RELATIONS,
+  validateIssueLinks,
+  validateIssueDetails,
+  readAttachmentHeaders,
+  createJiraClient,
+  findAllowedValue
+};
@@ -0,0 +1,123 @@
+// Jira duplicate detection
+// Builds a JQL text search from the parsed ticket's title and key phrases, then scores each open issue
+// Jira returns by how closely its summary/description matches the new ticket.
+
+const MAX_SEARCH_TERMS = 8;
+const MAX_CANDIDATES = 25;
+const DEFAULT_MIN_SCORE = 25;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'cannot', 'could', 'does', 'doesn',
+  'for', 'from', 'has', 'have', 'in', 'into', 'is', 'it', 'its', 'not', 'of', 'on', 'or', 'should', 'that',
+  'the', 'their', 'then', 'there', 'this', 'to', 'was', 'were', 'when', 'where', 'which', 'while', 'will',
+  'with', 'without', 'after', 'before', 'user', 'users', 'page', 'issue', 'bug', 'error', 'getting', 'unable',
+  'able', 'also', 'instead', 'being', 'any', 'all', 'some', 'than', 'these', 'those', 'them', 'they',
+  'click', 'clicking', 'clicked', 'shows', 'showing', 'shown', 'each', 'every', 'again', 'still', 'only',
+  'just', 'like', 'what', 'how', 'why', 'who', 'now', 'time', 'times'
+]);
+
+// Lowercase word tokens without stopwords, numbers or very short words
+const tokenize = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .replace(/[`*_#>[\](){}"'.,;:!?|\\/=+~^&-]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word.length >= 3 && !STOPWORDS.has(word) && !/^\d+$/.test(word));
+
+// Most telling words of the ticket - title words first, then the most frequent description words
+const extractKeyPhrases = (fields) => {
+  const titleTerms = [...new Set(tokenize(fields.title))];
+
+  const counts = new Map();
+  tokenize(`${fields.description || ''} ${fields.actual || ''}`).forEach(word => {
+    counts.set(word, (counts.get(word) || 0) + 1);
+  });
+  const bodyTerms = [...counts.entries()]
+    .filter(([word]) => !titleTerms.includes(word))
+    .sort((a, b) => b[1] - a[1])
+    .map(([word]) => word);
+
+  return [...titleTerms, ...bodyTerms].slice(0, MAX_SEARCH_TERMS);
+};
+
+// Quote a term for JQL text search (reserved characters are already stripped by tokenize)
+const jqlString = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+// JQL for open issues in the project whose summary or description mentions any key phrase
+const buildDuplicateJql = (projectKey, terms) => {
+  const textClauses = terms.flatMap(term => [`summary ~ ${jqlString(term)}`, `description ~ ${jqlString(term)}`]);
+  return `project = ${jqlString(projectKey)} AND statusCategory != Done AND (${textClauses.join(' OR ')}) ORDER BY updated DESC`;
+};
+
+// Plain text of an ADF document (Jira v3 returns descriptions as ADF)
+const adfToText = (node) => {
+  if (!node) return '';
+  if (typeof node === 'string') return node;
+  if (node.type === 'text') return node.text || '';
+  return (node.content || []).map(adfToText).join(' ');
+};
+
+// Dice coefficient of two token sets (0..1)
+const overlap = (a, b) => {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  if (setA.size === 0 || setB.size === 0) return 0;
+  let shared = 0;
+  setA.forEach(word => {
+    if (setB.has(word)) shared++;
+  });
+  return (2 * shared) / (setA.size + setB.size);
+};
+
+// 0-100 similarity between the new ticket and an existing issue - the title counts most
+const scoreSimilarity = (fields, issue) => {
+  const summary = tokenize(issue.fields && issue.fields.summary);
+  const description = tokenize(adfToText(issue.fields && issue.fields.description));
+
+  const titleScore = overlap(tokenize(fields.title), summary);
+  const keyPhrases = extractKeyPhrases(fields);
+  const phraseHits = keyPhrases.filter(term => summary.includes(term) || description.includes(term)).length;
+  const phraseScore = keyPhrases.length > 0 ? phraseHits / keyPhrases.length : 0;
+
+  return Math.round((titleScore * 0.6 + phraseScore * 0.4) * 100);
+};
+
+// Search Jira and return the most similar open issues - returns { valid, issues: [{ key, summary, status, url, score }] }
+const findDuplicateIssues = async (client, { projectKey, fields, limit = 5, minScore = DEFAULT_MIN_SCORE }) => {
+  const terms = extractKeyPhrases(fields);
+  if (terms.length === 0) {
+    return { valid: true, issues: [], terms };
+  }
+
+  const search = await client.searchIssues({
+    jql: buildDuplicateJql(projectKey, terms),
+    fields: ['summary', 'description', 'status', 'priority', 'updated'],
+    maxResults: MAX_CANDIDATES
+  });
+  if (!search.valid) {
+    return search;
+  }
+
+  const issues = search.issues
+    .map(issue => ({
+      key: issue.key,
+      summary: issue.fields.summary,
+      status: issue.fields.status && issue.fields.status.name,
+      priority: issue.fields.priority && issue.fields.priority.name,
+      updated: issue.fields.updated,
+      url: `${client.baseUrl}/browse/${issue.key}`,
+      score: scoreSimilarity(fields, issue)
+    }))
+    .filter(issue => issue.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+  return { valid: true, issues, terms };
+};
+
+module.exports = {
+  extractKeyPhrases,
+  buildDuplicateJql,
+  scoreSimilarity,
+  findDuplicateIssues
+};
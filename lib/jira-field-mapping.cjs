@@ -0,0 +1,221 @@
+// Jira field mapping
+// Maps app-level fields (instance, productLine, component, foundVersion, engineeringTeam) to Jira field IDs
+// and the value shape each field expects. Defaults live in config/jira-field-mapping.json and can be
+// replaced per deployment with the JIRA_FIELD_MAPPING environment variable (same JSON format).
+//
+// Format:
+// {
+//   "default": { "<appField>": { "fieldId": "customfield_123", "shape": "value" }, ... },
+//   "sites":   { "<host>.atlassian.net": { "<appField>": { ... } or null } }
+// }
+// Site entries override the default entry for the same app field; null stops that field being sent.
+//
+// priority and severity hold a level (P1-P4, S1-S4) rather than an option label. An optional "values" object maps
+// each level to the Jira option ({ "P1": "Blocker", ... }); levels without one take the field's options in Jira's
+// order, so P1-P4 land on the first four entries of the project's priority list.
+const defaultMapping = require('../config/jira-field-mapping.json');
+
+// Levels of the level fields, most urgent / most severe first
+const LEVEL_FIELDS = {
+  priority: ['P1', 'P2', 'P3', 'P4'],
+  severity: ['S1', 'S2', 'S3', 'S4']
+};
+
+// Priority is sent to Jira's own field by name unless the config maps it differently (or to null)
+const DEFAULT_PRIORITY_ENTRY = { fieldId: 'priority', shape: 'name' };
+
+// value: { value } • name: { name } • id: { id } looked up from createmeta • array: [item, ...] • text: "plain"
+const VALUE_SHAPES = ['value', 'name', 'id', 'array', 'text'];
+const ITEM_SHAPES = ['value', 'name', 'id', 'text'];
+
+// Validate a single field entry - returns an error string or null
+const validateFieldEntry = (appField, entry) => {
+  if (entry === null) {
+    return null;
+  }
+  if (!entry || typeof entry !== 'object') {
+    return `${appField}: mapping must be an object or null`;
+  }
+  if (!entry.fieldId || typeof entry.fieldId !== 'string') {
+    return `${appField}: fieldId is required`;
+  }
+  if (!VALUE_SHAPES.includes(entry.shape)) {
+    return `${appField}: shape must be one of ${VALUE_SHAPES.join(', ')}`;
+  }
+  if (entry.shape === 'array' && entry.itemShape && !ITEM_SHAPES.includes(entry.itemShape)) {
+    return `${appField}: itemShape must be one of ${ITEM_SHAPES.join(', ')}`;
+  }
+  if (entry.values !== undefined) {
+    const levels = LEVEL_FIELDS[appField];
+    if (!levels) {
+      return `${appField}: values is only supported for ${Object.keys(LEVEL_FIELDS).join(' and ')}`;
+    }
+    if (!entry.values || typeof entry.values !== 'object') {
+      return `${appField}: values must be an object`;
+    }
+    const invalid = Object.entries(entry.values).find(([level, label]) => !levels.includes(level) || !label || typeof label !== 'string');
+    if (invalid) {
+      return `${appField}: values must map ${levels.join(', ')} to Jira option names (got "${invalid[0]}")`;
+    }
+  }
+  return null;
+};
+
+// Validate the whole mapping document - returns { valid, error }
+const validateFieldMapping = (config) => {
+  if (!config || typeof config !== 'object' || !config.default || typeof config.default !== 'object') {
+    return { valid: false, error: 'Field mapping must contain a "default" object' };
+  }
+
+  const groups = [['default', config.default], ...Object.entries(config.sites || {})];
+  for (const [groupName, group] of groups) {
+    if (!group || typeof group !== 'object') {
+      return { valid: false, error: `Field mapping for "${groupName}" must be an object` };
+    }
+    for (const [appField, entry] of Object.entries(group)) {
+      const error = validateFieldEntry(appField, entry);
+      if (error) {
+        return { valid: false, error: `Invalid field mapping (${groupName}) - ${error}` };
+      }
+    }
+  }
+  return { valid: true };
+};
+
+// Read the mapping document from JIRA_FIELD_MAPPING or fall back to the bundled default
+const loadFieldMappingConfig = () => {
+  if (!process.env.JIRA_FIELD_MAPPING) {
+    return { valid: true, config: defaultMapping };
+  }
+  try {
+    const config = JSON.parse(process.env.JIRA_FIELD_MAPPING);
+    const validation = validateFieldMapping(config);
+    return validation.valid ? { valid: true, config } : validation;
+  } catch (error) {
+    return { valid: false, error: `JIRA_FIELD_MAPPING is not valid JSON: ${error.message}` };
+  }
+};
+
+// Resolve the mapping for a Jira site - returns { valid, mapping } or { valid: false, error }
+const getFieldMapping = (jiraUrl) => {
+  const loaded = loadFieldMappingConfig();
+  if (!loaded.valid) {
+    return loaded;
+  }
+
+  let hostname = '';
+  try {
+    hostname = new URL(jiraUrl).hostname.toLowerCase();
+  } catch (error) {
+    // Fall through to the default mapping
+  }
+
+  const siteMapping = (loaded.config.sites || {})[hostname] || {};
+  return { valid: true, mapping: { priority: DEFAULT_PRIORITY_ENTRY, ...loaded.config.default, ...siteMapping } };
+};
+
+// The Jira option for one level of a mapped level field - the configured value, else the option at the level's
+// position in Jira's list (getAllowedLabels(fieldId) returns the field's option labels in order, or null)
+const resolveLevelValue = (entry, appField, level, getAllowedLabels) => {
+  const index = LEVEL_FIELDS[appField].indexOf(level);
+  if (!entry || index === -1) {
+    return null;
+  }
+  return (entry.values && entry.values[level]) || (getAllowedLabels(entry.fieldId) || [])[index] || null;
+};
+
+// The ticket's levels as Jira options - { priority: 'Blocker', severity: 'Critical' }, unmapped ones left out
+const resolveLevelValues = (mapping, levels, getAllowedLabels) => {
+  const resolved = {};
+  Object.keys(LEVEL_FIELDS).forEach(appField => {
+    const value = resolveLevelValue(mapping[appField], appField, levels[appField], getAllowedLabels);
+    if (value) {
+      resolved[appField] = value;
+    }
+  });
+  return resolved;
+};
+
+// Every level of every mapped level field - { priority: { P1: 'Blocker', ... }, severity: { ... } } for the settings
+const describeLevelScales = (mapping, getAllowedLabels) => {
+  const scales = {};
+  Object.entries(LEVEL_FIELDS).forEach(([appField, levels]) => {
+    if (!mapping[appField]) {
+      return;
+    }
+    scales[appField] = {};
+    levels.forEach(level => {
+      const value = resolveLevelValue(mapping[appField], appField, level, getAllowedLabels);
+      if (value) {
+        scales[appField][level] = value;
+      }
+    });
+  });
+  return scales;
+};
+
+// Shape one value for Jira. findOption(fieldId, value) returns the createmeta option ({ id, value/name }) or null.
+const shapeValue = async (fieldId, shape, value, findOption) => {
+  switch (shape) {
+    case 'value':
+      return { value };
+    case 'name':
+      return { name: value };
+    case 'text':
+      return String(value);
+    case 'id': {
+      const option = findOption ? await findOption(fieldId, value) : null;
+      if (option && option.id) {
+        return option.value ? { id: option.id, value: option.value } : { id: option.id };
+      }
+      // Fallback: try with just value (some Jira instances might accept it)
+      console.log(`⚠ Option ID not found for ${fieldId}, sending value only:`, value);
+      return { value };
+    }
+    default:
+      return value;
+  }
+};
+
+// Build the Jira "fields" entries for the app-level values using the resolved mapping
+const buildMappedFields = async (mapping, values, findOption) => {
+  const fields = {};
+  if (!values) {
+    return fields;
+  }
+
+  for (const [appField, entry] of Object.entries(mapping)) {
+    if (!entry) {
+      continue;
+    }
+
+    const rawValue = values[appField];
+    const items = (Array.isArray(rawValue) ? rawValue : [rawValue])
+      .map(item => (typeof item === 'string' ? item.trim() : item))
+      .filter(item => item !== undefined && item !== null && item !== '');
+    if (items.length === 0) {
+      continue;
+    }
+
+    if (entry.shape === 'array') {
+      const itemShape = entry.itemShape || 'name';
+      fields[entry.fieldId] = await Promise.all(
+        items.map(item => shapeValue(entry.fieldId, itemShape, item, findOption))
+      );
+    } else {
+      fields[entry.fieldId] = await shapeValue(entry.fieldId, entry.shape, items[0], findOption);
+    }
+  }
+
+  return fields;
+};
+
+module.exports = {
+  VALUE_SHAPES,
+  LEVEL_FIELDS,
+  validateFieldMapping,
+  getFieldMapping,
+  buildMappedFields,
+  resolveLevelValues,
+  describeLevelScales
+};
@@ -0,0 +1,58 @@
+// Jira field options
+// Turns the project's create metadata (createmeta) into the allowed values for every mapped field,
+// so the settings dropdowns always match what Jira accepts. Metadata comes from the cached Jira client.
+const { describeLevelScales } = require('./jira-field-mapping.cjs');
+
+// Allowed option labels for one field, de-duplicated and in Jira's order
+const getOptionLabels = (field) => {
+  if (!field || !field.allowedValues) {
+    return null;
+  }
+  const labels = field.allowedValues
+    .filter(opt => !opt.disabled && !opt.archived)
+    .map(opt => opt.value || opt.name)
+    .filter(Boolean);
+  return [...new Set(labels)];
+};
+
+// Build { appField: [labels] } for every mapped field, plus the Jira option each priority / severity level is sent as.
+// issueType is the app type (bug, story, ...) - each Jira issue type has its own screen and option lists
+// - returns { valid, options, levels, fetchedAt } or { valid: false, status, error }
+const getFieldOptions = async (client, { projectKey, mapping, issueType = 'bug', forceRefresh = false }) => {
+  const meta = await client.getIssueTypeMeta(projectKey, issueType, { forceRefresh });
+  if (!meta.valid) {
+    return meta;
+  }
+
+  const options = {};
+  for (const [appField, entry] of Object.entries(mapping)) {
+    if (!entry) {
+      continue;
+    }
+    const field = meta.fields[entry.fieldId];
+    let labels = getOptionLabels(field);
+
+    // Version fields don't always expose allowedValues - fall back to the project's version list
+    const isVersionField = field && field.schema && (field.schema.type === 'version' || field.schema.items === 'version');
+    if ((!labels || labels.length === 0) && (isVersionField || appField === 'foundVersion')) {
+      const versions = await client.getProjectVersions({ projectKey, forceRefresh });
+      if (versions.valid) {
+        labels = versions.versions.map(version => version.name);
+      }
+    }
+
+    options[appField] = labels || [];
+  }
+
+  const levels = describeLevelScales(mapping, fieldId => {
+    const appField = Object.keys(mapping).find(key => mapping[key] && mapping[key].fieldId === fieldId);
+    return appField ? options[appField] : null;
+  });
+
+  return { valid: true, options, levels, fetchedAt: meta.fetchedAt };
+};
+
+module.exports = {
+  getOptionLabels,
+  getFieldOptions
+};
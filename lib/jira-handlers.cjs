@@ -0,0 +1,618 @@
+// Jira route handlers
+// Validation and orchestration of the Jira endpoints, shared by the Express server, the Vercel functions and the
+// Netlify functions (lib/http-adapters.cjs turns a handler into each platform's route). A handler gets the request as
+// { body, headers, file } and resolves to { status, body } - rate limits, CORS and error responses are the adapters'.
+const { createSession, openSession, isVaultConfigured, getExpirationDays } = require('./credential-vault.cjs');
+const { getFieldMapping } = require('./jira-field-mapping.cjs');
+const { getFieldOptions } = require('./jira-field-options.cjs');
+const { createJiraClient, ISSUE_KEY_PATTERN, validateIssueLinks, validateIssueDetails, readAttachmentHeaders } = require('./jira-client.cjs');
+const { findDuplicateIssues } = require('./jira-duplicates.cjs');
+
+const respond = (status, body) => ({ status, body });
+
+// Jira URL validation - only allow Atlassian domains
+const validateJiraUrl = (url) => {
+  try {
+    const parsedUrl = new URL(url);
+    // Only allow HTTPS
+    if (parsedUrl.protocol !== 'https:') {
+      return { valid: false, error: 'Jira URL must use HTTPS' };
+    }
+    // Only allow atlassian.net domains
+    if (!parsedUrl.hostname.endsWith('.atlassian.net')) {
+      return { valid: false, error: 'Only Atlassian-hosted Jira instances are allowed' };
+    }
+    return { valid: true };
+  } catch (error) {
+    return { valid: false, error: 'Invalid Jira URL format' };
+  }
+};
+
+// Look up the stored credentials - the client for the session, or the 401 the browser uses to ask for them again
+const openJiraClient = (sessionId) => {
+  const session = openSession(sessionId);
+  if (!session.valid) {
+    return {
+      valid: false,
+      response: respond(401, {
+        error: session.error,
+        sessionExpired: session.expired,
+        sessionInvalid: true
+      })
+    };
+  }
+  return { valid: true, client: createJiraClient(session.credentials), email: session.credentials.email };
+};
+
+// Which Jira field each app-level field is sent to (config/jira-field-mapping.json or JIRA_FIELD_MAPPING)
+const readFieldMapping = (client) => {
+  const mappingResult = getFieldMapping(client.baseUrl);
+  if (!mappingResult.valid) {
+    console.error('Jira field mapping error:', mappingResult.error);
+  }
+  return mappingResult;
+};
+
+// Push and update share their checks of the optional parent epic, links and issue details
+const validateIssueRequest = ({ parentKey, links, assigneeId, reporterId, labels, sprintId }) => {
+  if (parentKey && !ISSUE_KEY_PATTERN.test(parentKey)) {
+    return { valid: false, error: `Invalid parent epic key: ${parentKey}` };
+  }
+
+  const linkRequest = validateIssueLinks(links);
+  if (!linkRequest.valid) {
+    return { valid: false, error: linkRequest.error };
+  }
+
+  const details = validateIssueDetails({ assigneeId, reporterId, labels, sprintId });
+  if (!details.valid) {
+    return { valid: false, error: details.error };
+  }
+
+  return { valid: true, links: linkRequest.links, details: details.values };
+};
+
+// Sprint membership goes through the Agile API once the issue exists - a failure is reported, not fatal
+const addToSprint = async (client, issueKey, sprintId) => {
+  if (!sprintId) {
+    return undefined;
+  }
+  const sprint = await client.addIssueToSprint(sprintId, issueKey);
+  if (!sprint.valid) {
+    console.error(`⚠️ Could not add ${issueKey} to sprint ${sprintId}:`, sprint.error);
+    return sprint.error;
+  }
+  return undefined;
+};
+
+const logIssueRequest = (message, { customFields, attachments }) => {
+  console.log(message);
+  console.log('Custom Fields Received:', JSON.stringify(customFields, null, 2));
+  if (attachments && attachments.length > 0) {
+    console.log(`${attachments.length} attachment(s) included:`, attachments.map(a => a.filename).join(', '));
+  }
+};
+
+// Handlers for every Jira endpoint. verbose adds the request details to the logs (the Express server in development)
+const createJiraHandlers = ({ verbose = false } = {}) => {
+  // Save Jira credentials - returns a sessionId so the API token never has to be sent again
+  const saveJiraCredentials = async ({ body }) => {
+    const { jiraUrl, email, apiToken } = body;
+
+    // Validate required fields
+    if (!jiraUrl || !email || !apiToken) {
+      return respond(400, { error: 'Missing required fields: jiraUrl, email, apiToken' });
+    }
+
+    const urlValidation = validateJiraUrl(jiraUrl);
+    if (!urlValidation.valid) {
+      return respond(400, { error: urlValidation.error });
+    }
+
+    if (!isVaultConfigured()) {
+      return respond(500, { error: 'Server configuration error: CREDENTIALS_ENCRYPTION_KEY not set' });
+    }
+
+    const { sessionId, expiresAt } = createSession({
+      jiraUrl: jiraUrl.replace(/\/$/, ''), // Remove trailing slash
+      email: email.trim(),
+      apiToken: apiToken.trim()
+    });
+
+    if (verbose) {
+      console.log('Jira credentials saved for:', email);
+    }
+
+    return respond(200, {
+      sessionId,
+      expiresAt,
+      expiresInDays: getExpirationDays()
+    });
+  };
+
+  // Test the Jira connection of a saved session
+  const testJira = async ({ body }) => {
+    const { sessionId } = body;
+
+    if (!sessionId) {
+      return respond(400, { error: 'Missing required field: sessionId' });
+    }
+
+    const jira = openJiraClient(sessionId);
+    if (!jira.valid) {
+      return jira.response;
+    }
+
+    if (verbose) {
+      console.log('Testing Jira connection for:', jira.email);
+    }
+
+    const result = await jira.client.testConnection();
+    if (!result.valid) {
+      return respond(result.status, { error: result.error });
+    }
+
+    console.log('Jira connection test successful for:', result.user.displayName || result.user.emailAddress);
+
+    return respond(200, {
+      success: true,
+      ...result.user
+    });
+  };
+
+  // Allowed values for the settings dropdowns, read from createmeta for the issue type
+  const getJiraFieldOptions = async ({ body }) => {
+    const { sessionId, projectKey, issueType, refresh } = body;
+
+    if (!sessionId || !projectKey) {
+      return respond(400, { error: 'Missing required fields: sessionId and projectKey' });
+    }
+
+    const jira = openJiraClient(sessionId);
+    if (!jira.valid) {
+      return jira.response;
+    }
+
+    const mappingResult = readFieldMapping(jira.client);
+    if (!mappingResult.valid) {
+      return respond(500, { error: mappingResult.error });
+    }
+
+    const result = await getFieldOptions(jira.client, {
+      projectKey,
+      mapping: mappingResult.mapping,
+      issueType,
+      forceRefresh: refresh === true
+    });
+
+    if (!result.valid) {
+      console.error('Failed to load Jira field options:', result.error);
+      return respond(result.status || 500, { error: result.error });
+    }
+
+    if (verbose) {
+      console.log(`Loaded Jira field options for ${projectKey}:`, Object.entries(result.options).map(([field, values]) => `${field}=${values.length}`).join(', '));
+    }
+
+    return respond(200, {
+      success: true,
+      options: result.options,
+      levels: result.levels,
+      fetchedAt: result.fetchedAt
+    });
+  };
+
+  // Create the issue, then link, add to the sprint and attach - only the create itself can fail the push
+  const pushToJira = async ({ body }) => {
+    const { sessionId, projectKey, fields, customFields, attachments, duplicateOf, issueType, parentKey } = body;
+
+    if (!sessionId || !projectKey || !fields) {
+      return respond(400, { error: 'Missing required fields: sessionId, projectKey, fields' });
+    }
+
+    if (duplicateOf && !ISSUE_KEY_PATTERN.test(duplicateOf)) {
+      return respond(400, { error: `Invalid Jira issue key: ${duplicateOf}` });
+    }
+
+    const issueRequest = validateIssueRequest(body);
+    if (!issueRequest.valid) {
+      return respond(400, { error: issueRequest.error });
+    }
+    const { details } = issueRequest;
+
+    const jira = openJiraClient(sessionId);
+    if (!jira.valid) {
+      return jira.response;
+    }
+    const { client } = jira;
+
+    if (verbose) {
+      logIssueRequest(`Pushing ticket to Jira: ${projectKey}`, body);
+    }
+
+    const mappingResult = readFieldMapping(client);
+    if (!mappingResult.valid) {
+      return respond(500, { error: mappingResult.error });
+    }
+
+    const issue = await client.createIssue({
+      projectKey,
+      issueType,
+      fields,
+      customFields,
+      fieldMapping: mappingResult.mapping,
+      parentKey,
+      assigneeId: details.assigneeId,
+      reporterId: details.reporterId,
+      labels: details.labels
+    });
+
+    if (!issue.valid) {
+      return respond(issue.status, {
+        error: issue.error,
+        details: issue.details,
+        missingFields: issue.missingFields
+      });
+    }
+
+    // Link the new issue as a duplicate when the reporter chose that in the duplicate check
+    let linkError;
+    if (duplicateOf) {
+      const link = await client.linkIssues({ type: 'Duplicate', inwardKey: issue.key, outwardKey: duplicateOf });
+      if (!link.valid) {
+        linkError = link.error;
+        console.error(`⚠️ Could not link ${issue.key} as duplicate of ${duplicateOf}:`, link.error);
+      }
+    }
+
+    // Add the links chosen in the push flow ("relates to", "blocks", ...) - a failed link is reported, not fatal
+    const linkResult = await client.addIssueLinks(issue.key, issueRequest.links);
+    const sprintError = await addToSprint(client, issue.key, details.sprintId);
+
+    // Upload attachments if provided (multiple files) - a failed upload doesn't fail the ticket, it is reported per file
+    let attachmentResults = [];
+    if (attachments && attachments.length > 0) {
+      const upload = await client.uploadAttachments(issue.key, attachments);
+      const embedded = await client.addAttachmentsToDescription({ issueKey: issue.key, fields, attachments: upload.uploaded });
+      if (!embedded.valid) {
+        console.error('⚠️ Could not embed attachments in the description:', embedded.error);
+      }
+      attachmentResults = upload.files;
+    }
+
+    return respond(200, {
+      key: issue.key,
+      id: issue.id,
+      self: issue.self,
+      url: issue.url,
+      attachments: attachmentResults,
+      linkedTo: duplicateOf && !linkError ? duplicateOf : undefined,
+      linkError,
+      parentKey: parentKey || undefined,
+      links: linkResult.linked,
+      linkErrors: linkResult.failed,
+      sprintId: details.sprintId && !sprintError ? details.sprintId : undefined,
+      sprintError,
+      fieldWarnings: issue.warnings
+    });
+  };
+
+  // Update an existing issue (summary, description, fields and new attachments)
+  const updateJiraIssue = async ({ body }) => {
+    const { sessionId, issueKey, projectKey, fields, customFields, attachments, issueType, parentKey } = body;
+
+    if (!sessionId || !issueKey || !projectKey || !fields) {
+      return respond(400, { error: 'Missing required fields: sessionId, issueKey, projectKey, fields' });
+    }
+
+    if (!ISSUE_KEY_PATTERN.test(issueKey)) {
+      return respond(400, { error: `Invalid Jira issue key: ${issueKey}` });
+    }
+
+    const issueRequest = validateIssueRequest(body);
+    if (!issueRequest.valid) {
+      return respond(400, { error: issueRequest.error });
+    }
+    const { details } = issueRequest;
+
+    const jira = openJiraClient(sessionId);
+    if (!jira.valid) {
+      return jira.response;
+    }
+    const { client } = jira;
+
+    if (verbose) {
+      logIssueRequest(`Updating Jira ticket: ${issueKey}`, body);
+    }
+
+    const mappingResult = readFieldMapping(client);
+    if (!mappingResult.valid) {
+      return respond(500, { error: mappingResult.error });
+    }
+
+    const issue = await client.updateIssue({
+      issueKey,
+      projectKey,
+      issueType,
+      fields,
+      customFields,
+      fieldMapping: mappingResult.mapping,
+      parentKey,
+      assigneeId: details.assigneeId,
+      reporterId: details.reporterId,
+      labels: details.labels
+    });
+
+    if (!issue.valid) {
+      return respond(issue.status, {
+        error: issue.error,
+        details: issue.details,
+        missingFields: issue.missingFields
+      });
+    }
+
+    const linkResult = await client.addIssueLinks(issue.key, issueRequest.links);
+    const sprintError = await addToSprint(client, issue.key, details.sprintId);
+
+    // Only upload files the issue doesn't have yet, then re-embed every attachment in the rewritten description
+    const existing = await client.getAttachments(issueKey);
+    if (!existing.valid) {
+      console.error('⚠️ Could not read existing attachments:', existing.error);
+    }
+    const existingAttachments = existing.valid ? existing.attachments : [];
+    const upload = await client.uploadAttachments(issueKey, attachments || [], existingAttachments);
+    const embedded = await client.addAttachmentsToDescription({
+      issueKey,
+      fields,
+      attachments: [...existingAttachments, ...upload.uploaded]
+    });
+    if (!embedded.valid) {
+      console.error('⚠️ Could not embed attachments in the description:', embedded.error);
+    }
+
+    return respond(200, {
+      key: issue.key,
+      url: issue.url,
+      attachments: upload.files,
+      parentKey: parentKey || undefined,
+      links: linkResult.linked,
+      linkErrors: linkResult.failed,
+      sprintId: details.sprintId && !sprintError ? details.sprintId : undefined,
+      sprintError,
+      fieldWarnings: issue.warnings
+    });
+  };
+
+  // Open issues similar to the ticket (duplicate check before creating)
+  const findJiraDuplicates = async ({ body }) => {
+    const { sessionId, projectKey, fields } = body;
+
+    if (!sessionId || !projectKey || !fields || !fields.title) {
+      return respond(400, { error: 'Missing required fields: sessionId, projectKey, fields.title' });
+    }
+
+    const jira = openJiraClient(sessionId);
+    if (!jira.valid) {
+      return jira.response;
+    }
+
+    const result = await findDuplicateIssues(jira.client, { projectKey, fields });
+    if (!result.valid) {
+      console.error('Duplicate search failed:', result.error);
+      return respond(result.status || 500, { error: result.error });
+    }
+
+    console.log(`Duplicate check for "${fields.title}": ${result.issues.length} similar open issue(s)`);
+
+    return respond(200, {
+      success: true,
+      issues: result.issues,
+      terms: result.terms
+    });
+  };
+
+  // Add the ticket as a comment on an existing issue (reported again)
+  const commentOnJiraIssue = async ({ body }) => {
+    const { sessionId, issueKey, fields, attachments, attachmentIds } = body;
+
+    if (!sessionId || !issueKey || !fields) {
+      return respond(400, { error: 'Missing required fields: sessionId, issueKey, fields' });
+    }
+    if (!ISSUE_KEY_PATTERN.test(issueKey)) {
+      return respond(400, { error: `Invalid Jira issue key: ${issueKey}` });
+    }
+    if (attachmentIds !== undefined && (!Array.isArray(attachmentIds) || attachmentIds.some(id => !/^\d+$/.test(String(id))))) {
+      return respond(400, { error: 'attachmentIds must be an array of Jira attachment IDs' });
+    }
+
+    const jira = openJiraClient(sessionId);
+    if (!jira.valid) {
+      return jira.response;
+    }
+
+    console.log('Adding ticket as comment on Jira ticket:', issueKey);
+
+    const comment = await jira.client.addTicketComment({
+      issueKey,
+      fields,
+      attachments: attachments || [],
+      attachmentIds: (attachmentIds || []).map(String)
+    });
+    if (!comment.valid) {
+      return respond(comment.status || 500, {
+        error: comment.error,
+        details: comment.details
+      });
+    }
+
+    return respond(200, {
+      key: issueKey,
+      url: comment.url,
+      commentId: comment.id,
+      attachments: comment.upload.files
+    });
+  };
+
+  // One attachment for an existing issue - the file is the raw request body, described by the X-* headers.
+  // file.body is the request stream (Express, Vercel) or a Buffer (Netlify)
+  const uploadJiraAttachment = async ({ headers, file }) => {
+    const upload = readAttachmentHeaders(headers);
+    if (!upload.valid) {
+      return respond(400, { error: upload.error });
+    }
+
+    const jira = openJiraClient(upload.sessionId);
+    if (!jira.valid) {
+      return jira.response;
+    }
+
+    const size = Number.isFinite(file.size) ? file.size : undefined;
+    console.log(`Streaming attachment to ${upload.issueKey}: ${upload.filename} (${size !== undefined ? `${(size / 1024 / 1024).toFixed(2)} MB` : 'unknown size'})`);
+
+    const result = await jira.client.uploadAttachmentStream({
+      issueKey: upload.issueKey,
+      filename: upload.filename,
+      contentType: upload.contentType,
+      size,
+      body: file.body,
+      skipExisting: upload.skipExisting
+    });
+    if (!result.valid) {
+      console.error(`⚠️ Failed to upload ${upload.filename}:`, result.error);
+      return respond(result.status || 500, { error: result.error, details: result.details });
+    }
+
+    return respond(200, {
+      success: true,
+      attachment: result.attachment,
+      skipped: result.skipped
+    });
+  };
+
+  // Embed every attachment of an issue in its description - called once the files of a push are uploaded
+  const embedJiraAttachments = async ({ body }) => {
+    const { sessionId, issueKey, fields } = body;
+
+    if (!sessionId || !issueKey || !fields) {
+      return respond(400, { error: 'Missing required fields: sessionId, issueKey, fields' });
+    }
+    if (!ISSUE_KEY_PATTERN.test(issueKey)) {
+      return respond(400, { error: `Invalid Jira issue key: ${issueKey}` });
+    }
+
+    const jira = openJiraClient(sessionId);
+    if (!jira.valid) {
+      return jira.response;
+    }
+
+    const result = await jira.client.embedIssueAttachments({ issueKey, fields });
+    if (!result.valid) {
+      console.error('⚠️ Could not embed attachments in the description:', result.error);
+      return respond(result.status || 500, { error: result.error, details: result.details });
+    }
+
+    return respond(200, {
+      success: true,
+      attachments: result.attachments.map(attachment => attachment.filename)
+    });
+  };
+
+  // Open epics of the project for the parent epic picker
+  const searchJiraEpics = async ({ body }) => {
+    const { sessionId, projectKey, query } = body;
+
+    if (!sessionId || !projectKey) {
+      return respond(400, { error: 'Missing required fields: sessionId, projectKey' });
+    }
+
+    const jira = openJiraClient(sessionId);
+    if (!jira.valid) {
+      return jira.response;
+    }
+
+    const result = await jira.client.searchEpics({ projectKey, query: query || '' });
+    if (!result.valid) {
+      console.error('Epic search failed:', result.error);
+      return respond(result.status || 500, { error: result.error });
+    }
+
+    console.log(`Epic search in ${projectKey}${query ? ` for "${query}"` : ''}: ${result.epics.length} epic(s)`);
+
+    return respond(200, {
+      success: true,
+      epics: result.epics
+    });
+  };
+
+  // Jira users for the assignee and reporter pickers
+  const searchJiraUsers = async ({ body }) => {
+    const { sessionId, projectKey, query, assignable } = body;
+
+    if (!sessionId || !projectKey || !query || !query.trim()) {
+      return respond(400, { error: 'Missing required fields: sessionId, projectKey, query' });
+    }
+
+    const jira = openJiraClient(sessionId);
+    if (!jira.valid) {
+      return jira.response;
+    }
+
+    const result = await jira.client.searchUsers({ projectKey, query: query.trim(), assignable: !!assignable });
+    if (!result.valid) {
+      console.error('User search failed:', result.error);
+      return respond(result.status || 500, { error: result.error });
+    }
+
+    return respond(200, {
+      success: true,
+      users: result.users
+    });
+  };
+
+  // Active and upcoming sprints of the project for the sprint picker
+  const getJiraSprints = async ({ body }) => {
+    const { sessionId, projectKey, refresh } = body;
+
+    if (!sessionId || !projectKey) {
+      return respond(400, { error: 'Missing required fields: sessionId, projectKey' });
+    }
+
+    const jira = openJiraClient(sessionId);
+    if (!jira.valid) {
+      return jira.response;
+    }
+
+    const result = await jira.client.getSprints({ projectKey, forceRefresh: !!refresh });
+    if (!result.valid) {
+      console.error('Sprint lookup failed:', result.error);
+      return respond(result.status || 500, { error: result.error });
+    }
+
+    console.log(`Sprints for ${projectKey}: ${result.sprints.length} active or upcoming`);
+
+    return respond(200, {
+      success: true,
+      sprints: result.sprints
+    });
+  };
+
+  return {
+    saveJiraCredentials,
+    testJira,
+    getJiraFieldOptions,
+    pushToJira,
+    updateJiraIssue,
+    findJiraDuplicates,
+    commentOnJiraIssue,
+    uploadJiraAttachment,
+    embedJiraAttachments,
+    searchJiraEpics,
+    searchJiraUsers,
+    getJiraSprints
+  };
+};
+
+module.exports = {
+  validateJiraUrl,
+  createJiraHandlers
+};
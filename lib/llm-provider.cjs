@@ -0,0 +1,430 @@
+// LLM providers
+// The AI routes talk to the model through a provider picked per deployment (LLM_PROVIDER):
+// - anthropic: Anthropic's Messages API (default)
+// - openai:    any OpenAI-compatible Chat Completions API at OPENAI_BASE_URL (self-hosted models, gateways)
+// - mock:      canned, deterministic answers - no network or API key, for demos and end-to-end tests
+// Every provider speaks Anthropic's message format in and out: requests use Anthropic messages/tools, responses are
+// Anthropic message objects, and streams are Anthropic server-sent events - so the browser reads them all the same way.
+
+const { formatEvent } = require('./anthropic-stream.cjs');
+
+const PROVIDERS = ['anthropic', 'openai', 'mock'];
+
+const DEFAULT_MODELS = {
+  anthropic: 'claude-sonnet-4-20250514',
+  mock: 'mock-ticket-model'
+};
+
+const DEFAULT_LIMITS = {
+  ticket: 2000,
+  enhance: 500
+};
+
+// Keys pasted into dashboards often pick up whitespace or newlines
+const cleanKey = (value) => (value ? value.trim().replace(/\s+/g, '') : null);
+
+const parseLimit = (value, fallback, name) => {
+  if (value === undefined || value === '') {
+    return { value: fallback };
+  }
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0
+    ? { value: number }
+    : { error: `${name} must be a positive whole number` };
+};
+
+// Deployment settings from the environment - returns { provider, model, limits, ..., configError }
+const getLlmConfig = (env = process.env) => {
+  const provider = (env.LLM_PROVIDER || 'anthropic').trim().toLowerCase();
+  const ticketLimit = parseLimit(env.LLM_MAX_TOKENS, DEFAULT_LIMITS.ticket, 'LLM_MAX_TOKENS');
+  const enhanceLimit = parseLimit(env.LLM_ENHANCE_MAX_TOKENS, DEFAULT_LIMITS.enhance, 'LLM_ENHANCE_MAX_TOKENS');
+  const mockDelay = parseLimit(env.LLM_MOCK_DELAY_MS, 0, 'LLM_MOCK_DELAY_MS');
+
+  const config = {
+    provider,
+    model: (env.LLM_MODEL || '').trim() || DEFAULT_MODELS[provider] || null,
+    limits: { ticket: ticketLimit.value, enhance: enhanceLimit.value },
+    anthropicApiKey: cleanKey(env.ANTHROPIC_API_KEY),
+    anthropicBaseUrl: (env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com').trim().replace(/\/+$/, ''),
+    openAiApiKey: cleanKey(env.OPENAI_API_KEY),
+    openAiBaseUrl: (env.OPENAI_BASE_URL || '').trim().replace(/\/+$/, ''),
+    mockDelayMs: mockDelay.value,
+    configError: null
+  };
+
+  if (!PROVIDERS.includes(provider)) {
+    config.configError = `Unknown LLM_PROVIDER "${provider}" - use ${PROVIDERS.join(', ')}`;
+  } else if (provider === 'anthropic' && !config.anthropicApiKey) {
+    config.configError = 'ANTHROPIC_API_KEY is not set';
+  } else if (provider === 'openai' && !config.openAiBaseUrl) {
+    config.configError = 'OPENAI_BASE_URL is not set (e.g. http://localhost:11434/v1)';
+  } else if (!config.model) {
+    config.configError = `LLM_MODEL is not set (required for the ${provider} provider)`;
+  } else {
+    config.configError = ticketLimit.error || enhanceLimit.error || mockDelay.error || null;
+  }
+
+  return config;
+};
+
+// Error message from a failed upstream response (JSON error body, or the raw text of a self-hosted server)
+const readUpstreamError = async (response, fallback) => {
+  const text = await response.text().catch(() => '');
+  try {
+    const data = JSON.parse(text);
+    return data.error?.message || data.message || (typeof data.error === 'string' ? data.error : fallback);
+  } catch (e) {
+    return text.trim().slice(0, 300) || fallback;
+  }
+};
+
+// Anthropic
+
+const createAnthropicProvider = (config) => ({
+  async createMessage({ messages, tools, toolChoice, maxTokens, stream, signal }) {
+    const response = await fetch(`${config.anthropicBaseUrl}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': config.anthropicApiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify({
+        model: config.model,
+        max_tokens: maxTokens,
+        messages,
+        ...(tools ? { tools, tool_choice: toolChoice } : {}),
+        stream: Boolean(stream)
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      return { valid: false, status: response.status, error: await readUpstreamError(response, 'The AI request failed') };
+    }
+
+    // Already Anthropic's format - streamed bodies are relayed unchanged
+    return stream
+      ? { valid: true, events: response.body }
+      : { valid: true, message: await response.json() };
+  }
+});
+
+// OpenAI-compatible
+
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  tool_calls: 'tool_use',
+  function_call: 'tool_use',
+  content_filter: 'refusal'
+};
+
+// Anthropic content blocks -> Chat Completions content (plain text unless there are images, for text-only servers)
+const toOpenAiContent = (content) => {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (!content.some(block => block.type === 'image')) {
+    return content.map(block => block.text).join('\n\n');
+  }
+  return content.map(block => (block.type === 'image'
+    ? { type: 'image_url', image_url: { url: `data:${block.source.media_type};base64,${block.source.data}` } }
+    : { type: 'text', text: block.text }));
+};
+
+const toOpenAiRequest = ({ model, messages, tools, toolChoice, maxTokens, stream }) => ({
+  model,
+  max_tokens: maxTokens,
+  messages: messages.map(message => ({ role: message.role, content: toOpenAiContent(message.content) })),
+  ...(tools ? {
+    tools: tools.map(tool => ({
+      type: 'function',
+      function: { name: tool.name, description: tool.description, parameters: tool.input_schema }
+    })),
+    tool_choice: toolChoice?.type === 'tool' ? { type: 'function', function: { name: toolChoice.name } } : 'auto'
+  } : {}),
+  stream: Boolean(stream)
+});
+
+// A Chat Completions response as an Anthropic message
+const fromOpenAiResponse = (data, model) => {
+  const choice = data.choices?.[0] || {};
+  const content = [];
+
+  if (choice.message?.content) {
+    content.push({ type: 'text', text: choice.message.content });
+  }
+  (choice.message?.tool_calls || []).forEach(call => {
+    let input;
+    try {
+      input = JSON.parse(call.function.arguments || '{}');
+    } catch (e) {
+      throw new Error(`The model returned invalid ${call.function.name} arguments`);
+    }
+    content.push({ type: 'tool_use', id: call.id, name: call.function.name, input });
+  });
+
+  return {
+    id: data.id,
+    type: 'message',
+    role: 'assistant',
+    model: data.model || model,
+    content,
+    stop_reason: STOP_REASONS[choice.finish_reason] || 'end_turn'
+  };
+};
+
+// "data:" payloads of an upstream event stream (Node or web stream), up to the [DONE] marker
+async function* readDataLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return;
+      if (data) yield data;
+    }
+  }
+}
+
+// Chat Completions stream chunks -> Anthropic events (text deltas and tool argument deltas become content blocks)
+async function* toAnthropicEvents(body, model) {
+  let block = null;
+  let index = -1;
+  let stopReason = null;
+
+  const closeBlock = () => {
+    block = null;
+    return formatEvent('content_block_stop', { index });
+  };
+
+  yield formatEvent('message_start', {
+    message: { id: `msg_${Date.now()}`, type: 'message', role: 'assistant', model, content: [], stop_reason: null }
+  });
+
+  for await (const data of readDataLines(body)) {
+    let chunk;
+    try {
+      chunk = JSON.parse(data);
+    } catch (e) {
+      continue;
+    }
+
+    if (chunk.error) {
+      yield formatEvent('error', { error: { type: 'api_error', message: chunk.error.message || 'The AI stopped unexpectedly' } });
+      return;
+    }
+
+    const choice = chunk.choices?.[0];
+    if (!choice) continue;
+
+    if (choice.delta?.content) {
+      if (block?.type !== 'text') {
+        if (block) yield closeBlock();
+        block = { type: 'text' };
+        index++;
+        yield formatEvent('content_block_start', { index, content_block: { type: 'text', text: '' } });
+      }
+      yield formatEvent('content_block_delta', { index, delta: { type: 'text_delta', text: choice.delta.content } });
+    }
+
+    for (const call of choice.delta?.tool_calls || []) {
+      if (block?.type !== 'tool_use' || block.callIndex !== call.index) {
+        if (block) yield closeBlock();
+        block = { type: 'tool_use', callIndex: call.index };
+        index++;
+        yield formatEvent('content_block_start', {
+          index,
+          content_block: { type: 'tool_use', id: call.id, name: call.function?.name, input: {} }
+        });
+      }
+      if (call.function?.arguments) {
+        yield formatEvent('content_block_delta', { index, delta: { type: 'input_json_delta', partial_json: call.function.arguments } });
+      }
+    }
+
+    if (choice.finish_reason) {
+      stopReason = STOP_REASONS[choice.finish_reason] || 'end_turn';
+    }
+  }
+
+  if (block) yield closeBlock();
+  yield formatEvent('message_delta', { delta: { stop_reason: stopReason || 'end_turn' } });
+  yield formatEvent('message_stop', {});
+}
+
+const createOpenAiProvider = (config) => ({
+  async createMessage({ messages, tools, toolChoice, maxTokens, stream, signal }) {
+    const response = await fetch(`${config.openAiBaseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(config.openAiApiKey ? { Authorization: `Bearer ${config.openAiApiKey}` } : {})
+      },
+      body: JSON.stringify(toOpenAiRequest({ model: config.model, messages, tools, toolChoice, maxTokens, stream })),
+      signal
+    });
+
+    if (!response.ok) {
+      return { valid: false, status: response.status, error: await readUpstreamError(response, 'The AI request failed') };
+    }
+
+    return stream
+      ? { valid: true, events: toAnthropicEvents(response.body, config.model) }
+      : { valid: true, message: fromOpenAiResponse(await response.json(), config.model) };
+  }
+});
+
+// Mock
+
+// Canned section texts - sections without one (custom sections) get a generic sentence
+const MOCK_SECTIONS = {
+  title: 'Sample ticket from the mock AI provider',
+  description: 'This ticket was written by the mock provider, so it does not reflect the description you entered. Set LLM_PROVIDER to anthropic or openai for real tickets.',
+  steps: ['Open the application', 'Enter a short description', 'Click Generate Ticket'],
+  expected: 'A ticket is generated from the description.',
+  actual: 'A canned sample ticket is returned.',
+  impact: 'Low - sample content for demos and tests.',
+  userStory: 'As a tester, I want predictable AI output so that end-to-end tests are repeatable.',
+  acceptance: ['Given the mock provider, when a ticket is generated, then every section is filled in'],
+  done: ['Ticket generated', 'Ticket reviewed'],
+  timeline: ['To be confirmed: issue reported'],
+  workaround: 'None known',
+  priority: 'P3',
+  severity: 'S3',
+  // revise_ticket
+  summary: 'The mock provider always answers with its sample ticket.',
+  // ask_questions
+  questions: [
+    { question: 'Which browser were you using?', choices: ['Chrome', 'Firefox', 'Safari', 'Edge'] },
+    { question: 'Does it still happen after a page refresh?', choices: ['Yes', 'No'] },
+    { question: 'Which account or record were you working with?', choices: [] }
+  ],
+  // classify_ticket (each value is the field's first option)
+  confidence: 0.5,
+  reason: 'The mock provider always picks the first option.'
+};
+
+const MOCK_DESCRIPTION = 'The mock AI provider returned this sample description. Set LLM_PROVIDER to anthropic or openai to expand real descriptions.';
+
+// A value for every property of the tool's input schema
+const buildMockInput = (schema) => {
+  const input = {};
+  Object.entries(schema.properties || {}).forEach(([key, property]) => {
+    if (property.type === 'object') {
+      input[key] = buildMockInput(property);
+    } else if (property.enum) {
+      input[key] = property.enum.includes(MOCK_SECTIONS[key]) ? MOCK_SECTIONS[key] : property.enum[0];
+    } else if (property.type === 'number') {
+      input[key] = MOCK_SECTIONS[key] ?? 0;
+    } else if (key === 'environment') {
+      // The schema lists the exact environment lines to use, with bracketed placeholders for missing values
+      input[key] = (property.description || '').split('\n').slice(1).join('\n').replace(/\[[^\]]*\]/g, 'To be provided')
+        || 'Environment: Not specified';
+    } else if (MOCK_SECTIONS[key] !== undefined) {
+      input[key] = property.type === 'array' ? [].concat(MOCK_SECTIONS[key]) : [].concat(MOCK_SECTIONS[key]).join(' ');
+    } else {
+      const name = (property.description || key).split(':')[0];
+      input[key] = property.type === 'array' ? [`Sample ${name} item`] : `Sample ${name} text.`;
+    }
+  });
+  return input;
+};
+
+const buildMockMessage = ({ tools, toolChoice, model }) => {
+  const tool = tools && (tools.find(item => item.name === toolChoice?.name) || tools[0]);
+  return {
+    id: 'msg_mock',
+    type: 'message',
+    role: 'assistant',
+    model,
+    content: tool
+      ? [{ type: 'tool_use', id: 'toolu_mock', name: tool.name, input: buildMockInput(tool.input_schema) }]
+      : [{ type: 'text', text: MOCK_DESCRIPTION }],
+    stop_reason: tool ? 'tool_use' : 'end_turn'
+  };
+};
+
+// The canned message as a stream, in small deltas so the live preview has something to show
+async function* mockEvents(message, delayMs, signal) {
+  const pause = () => (delayMs > 0 ? new Promise(resolve => setTimeout(resolve, delayMs)) : Promise.resolve());
+  const [block] = message.content;
+
+  yield formatEvent('message_start', { message: { ...message, content: [], stop_reason: null } });
+  yield formatEvent('content_block_start', {
+    index: 0,
+    content_block: block.type === 'tool_use' ? { ...block, input: {} } : { type: 'text', text: '' }
+  });
+
+  const text = block.type === 'tool_use' ? JSON.stringify(block.input) : block.text;
+  for (let i = 0; i < text.length; i += 40) {
+    await pause();
+    if (signal?.aborted) return;
+    const piece = text.slice(i, i + 40);
+    yield formatEvent('content_block_delta', {
+      index: 0,
+      delta: block.type === 'tool_use' ? { type: 'input_json_delta', partial_json: piece } : { type: 'text_delta', text: piece }
+    });
+  }
+
+  yield formatEvent('content_block_stop', { index: 0 });
+  yield formatEvent('message_delta', { delta: { stop_reason: message.stop_reason } });
+  yield formatEvent('message_stop', {});
+}
+
+const createMockProvider = (config) => ({
+  async createMessage({ tools, toolChoice, stream, signal }) {
+    const message = buildMockMessage({ tools, toolChoice, model: config.model });
+    return stream
+      ? { valid: true, events: mockEvents(message, config.mockDelayMs, signal) }
+      : { valid: true, message };
+  }
+});
+
+const FACTORIES = {
+  anthropic: createAnthropicProvider,
+  openai: createOpenAiProvider,
+  mock: createMockProvider
+};
+
+// The deployment's provider: { name, model, limits, configError, createMessage(request) }
+// createMessage({ messages, tools, toolChoice, maxTokens, stream, signal }) resolves to
+// { valid: true, message } (an Anthropic message), { valid: true, events } (async iterable of Anthropic SSE chunks)
+// or { valid: false, status, error } when the upstream API rejected the request
+const createLlmProvider = (env = process.env) => {
+  const config = getLlmConfig(env);
+  const provider = {
+    name: config.provider,
+    model: config.model,
+    limits: config.limits,
+    configError: config.configError
+  };
+
+  if (config.configError) {
+    provider.createMessage = async () => ({ valid: false, status: 500, error: `Server configuration error: ${config.configError}` });
+    return provider;
+  }
+
+  return { ...provider, ...FACTORIES[config.provider](config) };
+};
+
+// Text of an Anthropic message's text blocks
+const getMessageText = (message) =>
+  (message.content || [])
+    .filter(item => item.type === 'text')
+    .map(item => item.text)
+    .join('\n')
+    .trim();
+
+module.exports = {
+  PROVIDERS,
+  getLlmConfig,
+  createLlmProvider,
+  getMessageText
+};
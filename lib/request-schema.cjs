@@ -0,0 +1,95 @@
+// Request body validation
+// A small JSON-schema subset (type, enum, pattern, min/max length, min/max items, properties, required,
+// additionalProperties) for the typed AI routes - anything the schema doesn't describe is rejected.
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+// Every problem with `value` as "path: message" strings (empty when it matches)
+const collectErrors = (value, schema, path) => {
+  const actualType = typeOf(value);
+  const expectedTypes = [].concat(schema.type);
+  const typeMatches = expectedTypes.includes(actualType) || (actualType === 'integer' && expectedTypes.includes('number'));
+  if (!typeMatches) {
+    return [`${path}: must be ${expectedTypes.join(' or ')}`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (actualType === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path}: has an invalid format`);
+    }
+  }
+
+  if (actualType === 'integer' || actualType === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (actualType === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...collectErrors(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  if (actualType === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: is required`);
+      }
+    });
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        errors.push(...collectErrors(value[key], properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: is not allowed`);
+      }
+    });
+  }
+
+  return errors;
+};
+
+// Validate a request body (or a part of one at `path`) - returns { valid: true, value } or
+// { valid: false, status: 400, error, details }
+const validateRequest = (body, schema, path = 'body') => {
+  const errors = collectErrors(body, schema, path);
+  if (errors.length > 0) {
+    return {
+      valid: false,
+      status: 400,
+      error: `Invalid request: ${errors[0]}${errors.length > 1 ? ` (and ${errors.length - 1} more)` : ''}`,
+      details: errors.slice(0, 20)
+    };
+  }
+  return { valid: true, value: body };
+};
+
+module.exports = {
+  validateRequest
+};
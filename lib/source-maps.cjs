@@ -0,0 +1,363 @@
+// Source maps
+// Maps minified stack frames (bundle URL, line, column) back to the original source for the symbolicate-stack
+// routes. Maps come from two places, both set in config/source-maps.json or the SOURCE_MAPS environment variable
+// (same JSON format):
+// - directory: .map files deployed with the server, looked up by the bundle's file name ("index-3f2a.js.map")
+// - remote:    bundles under "match" (same origin, and a path inside match's path) have their map fetched from
+//              "mapUrl", where {url} is the bundle URL (without its query string) and {file} its file name
+//
+// { "directory": "source-maps", "remote": [{ "match": "https://app.example.com/assets/", "mapUrl": "{url}.map" }] }
+//
+// Only URLs under a configured "match" are ever fetched - frame URLs come from pasted logs, so they can't be used to
+// make the server request anything else. URLs are compared parsed, so "https://app.example.com.evil.com/x.js" is
+// not under "https://app.example.com", and a map is never read past MAX_MAP_BYTES, with or without a Content-Length.
+// One request fetches at most MAX_FETCHES_PER_REQUEST maps and MAX_FETCH_BYTES_PER_REQUEST bytes in total - the
+// frames of any other bundle stay unmapped.
+
+const fs = require('fs');
+const path = require('path');
+const { validateRequest } = require('./request-schema.cjs');
+const defaultConfig = require('../config/source-maps.json');
+
+const MAX_FRAMES = 200;
+const MAX_MAP_BYTES = 20 * 1024 * 1024;
+const MAX_FETCHES_PER_REQUEST = 5;
+const MAX_FETCH_BYTES_PER_REQUEST = MAX_MAP_BYTES;
+const MAX_CACHED_MAPS = 20;
+const FETCH_TIMEOUT_MS = 10000;
+const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+const SYMBOLICATE_REQUEST_SCHEMA = {
+  type: 'object',
+  required: ['frames'],
+  additionalProperties: false,
+  properties: {
+    // Minified frames as they appear in the stack trace - line and column are 1-based
+    frames: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_FRAMES,
+      items: {
+        type: 'object',
+        required: ['file', 'line', 'column'],
+        additionalProperties: false,
+        properties: {
+          file: { type: 'string', minLength: 1, maxLength: 2000 },
+          line: { type: 'integer', minimum: 1 },
+          column: { type: 'integer', minimum: 1 }
+        }
+      }
+    }
+  }
+};
+
+const validateSymbolicateRequest = (body) => validateRequest(body, SYMBOLICATE_REQUEST_SCHEMA);
+
+// A remote entry's "match" as { origin, path } - path always ends with "/", so "/assets" doesn't cover
+// "/assets-old/". null when it isn't an http(s) URL
+const parseMatch = (match) => {
+  let url;
+  try {
+    url = new URL(match);
+  } catch {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(url.protocol) || url.username || url.password) {
+    return null;
+  }
+  return { origin: url.origin, path: url.pathname.endsWith('/') ? url.pathname : `${url.pathname}/` };
+};
+
+// A frame's bundle as an http(s) URL without credentials, query string or hash - null for anything else
+const parseBundleUrl = (file) => {
+  try {
+    const url = new URL(file);
+    return ['http:', 'https:'].includes(url.protocol) ? { origin: url.origin, path: url.pathname } : null;
+  } catch {
+    return null;
+  }
+};
+
+// A response body as { text, bytes } - text is null once it grows past maxBytes (Content-Length is missing on
+// chunked responses)
+const readLimitedText = async (response, maxBytes) => {
+  const reader = response.body.getReader();
+  const chunks = [];
+  let total = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      return { text: Buffer.concat(chunks).toString('utf8'), bytes: total };
+    }
+    total += value.length;
+    if (total > maxBytes) {
+      await reader.cancel();
+      return { text: null, bytes: total };
+    }
+    chunks.push(value);
+  }
+};
+
+// Validate the config document - returns { valid, error }
+const validateSourceMapConfig = (config) => {
+  if (!config || typeof config !== 'object') {
+    return { valid: false, error: 'Source map config must be an object' };
+  }
+  if (config.directory !== undefined && typeof config.directory !== 'string') {
+    return { valid: false, error: 'Source map config: directory must be a string' };
+  }
+  if (config.remote !== undefined && !Array.isArray(config.remote)) {
+    return { valid: false, error: 'Source map config: remote must be an array' };
+  }
+  const invalid = (config.remote || []).find(entry => !entry || !parseMatch(entry.match) || typeof entry.mapUrl !== 'string');
+  if (invalid) {
+    return { valid: false, error: 'Source map config: every remote entry needs an http(s) "match" URL and a "mapUrl"' };
+  }
+  return { valid: true };
+};
+
+// Base64 VLQ values of one mapping segment
+const decodeVlq = (text) => {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+  for (const char of text) {
+    const digit = BASE64_DIGITS.indexOf(char);
+    if (digit === -1) {
+      throw new Error(`Invalid character "${char}" in mappings`);
+    }
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+  return values;
+};
+
+// The mappings string as one list per generated line of [column, source, line, column, name?] segments
+// (all 0-based, sorted by column); segments without a source are dropped
+const decodeMappings = (mappings) => {
+  let source = 0;
+  let sourceLine = 0;
+  let sourceColumn = 0;
+  let name = 0;
+  return mappings.split(';').map(lineText => {
+    let column = 0;
+    const segments = [];
+    lineText.split(',').filter(Boolean).forEach(segmentText => {
+      const values = decodeVlq(segmentText);
+      column += values[0];
+      if (values.length < 4) {
+        return;
+      }
+      source += values[1];
+      sourceLine += values[2];
+      sourceColumn += values[3];
+      if (values.length > 4) {
+        name += values[4];
+        segments.push([column, source, sourceLine, sourceColumn, name]);
+      } else {
+        segments.push([column, source, sourceLine, sourceColumn]);
+      }
+    });
+    return segments;
+  });
+};
+
+// A parsed map ready for lookups - throws on anything but a plain version 3 map
+const parseSourceMap = (text) => {
+  const map = JSON.parse(text);
+  if (map.version !== 3 || typeof map.mappings !== 'string' || !Array.isArray(map.sources)) {
+    throw new Error(map.sections ? 'Indexed source maps (sections) are not supported' : 'Not a version 3 source map');
+  }
+  const sourceRoot = map.sourceRoot ? map.sourceRoot.replace(/\/?$/, '/') : '';
+  return {
+    sources: map.sources.map(source => `${sourceRoot}${source}`),
+    names: map.names || [],
+    lines: decodeMappings(map.mappings)
+  };
+};
+
+// The original position of a 1-based line and column - null when the map has nothing for it
+const lookupPosition = (map, line, column) => {
+  const segments = map.lines[line - 1];
+  if (!segments || segments.length === 0) {
+    return null;
+  }
+  // The last segment starting at or before the column
+  let low = 0;
+  let high = segments.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (segments[middle][0] <= column - 1) {
+      found = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  if (found === -1) {
+    return null;
+  }
+  const [, source, sourceLine, sourceColumn, name] = segments[found];
+  return {
+    source: map.sources[source] || null,
+    line: sourceLine + 1,
+    column: sourceColumn + 1,
+    name: name !== undefined ? map.names[name] || null : null
+  };
+};
+
+// The bundle's file name, safe to join onto the maps directory - null for anything unusual
+const getBundleFileName = (file) => {
+  let pathname = file.split(/[?#]/)[0];
+  try {
+    pathname = new URL(file).pathname;
+  } catch {
+    // Not a URL - a bare path or file name from the log
+  }
+  let name;
+  try {
+    name = decodeURIComponent(pathname.split('/').pop() || '');
+  } catch {
+    // Malformed escapes ("%E0%A4%A.js") - the frame stays unmapped
+    return null;
+  }
+  return /^[A-Za-z0-9._-]+$/.test(name) && !name.startsWith('.') ? name : null;
+};
+
+// Source map resolver for one config - { configured, configError, symbolicateFrames }
+const createSourceMapResolver = (env = process.env) => {
+  let config = defaultConfig;
+  if (env.SOURCE_MAPS) {
+    try {
+      config = JSON.parse(env.SOURCE_MAPS);
+    } catch (error) {
+      return { configured: false, configError: `SOURCE_MAPS is not valid JSON: ${error.message}` };
+    }
+  }
+  const validation = validateSourceMapConfig(config);
+  if (!validation.valid) {
+    return { configured: false, configError: validation.error };
+  }
+
+  const directory = config.directory ? path.resolve(__dirname, '..', config.directory) : null;
+  const remote = (config.remote || []).map(entry => ({ ...parseMatch(entry.match), mapUrl: entry.mapUrl }));
+  const hasDirectory = !!directory && fs.existsSync(directory);
+  // Parsed maps (or the error loading them) by file path or URL, oldest first
+  const cache = new Map();
+
+  const remember = (key, entry) => {
+    cache.set(key, entry);
+    if (cache.size > MAX_CACHED_MAPS) {
+      cache.delete(cache.keys().next().value);
+    }
+    return entry;
+  };
+
+  const readLocalMap = async (fileName) => {
+    const mapPath = path.join(directory, `${fileName}.map`);
+    if (cache.has(mapPath)) {
+      return cache.get(mapPath);
+    }
+    try {
+      const stats = await fs.promises.stat(mapPath);
+      if (stats.size > MAX_MAP_BYTES) {
+        return remember(mapPath, { error: `${fileName}.map is too large` });
+      }
+      return remember(mapPath, { map: parseSourceMap(await fs.promises.readFile(mapPath, 'utf8')) });
+    } catch (error) {
+      return remember(mapPath, { error: error.code === 'ENOENT' ? null : `${fileName}.map: ${error.message}` });
+    }
+  };
+
+  // budget: { fetches, bytes } of the request so far - maps over what is left of it are skipped, not cached
+  const fetchRemoteMap = async (mapUrl, budget) => {
+    if (cache.has(mapUrl)) {
+      return cache.get(mapUrl);
+    }
+    const maxBytes = Math.min(MAX_MAP_BYTES, MAX_FETCH_BYTES_PER_REQUEST - budget.bytes);
+    if (budget.fetches >= MAX_FETCHES_PER_REQUEST || maxBytes <= 0) {
+      return { error: `${mapUrl} skipped - one request fetches at most ${MAX_FETCHES_PER_REQUEST} maps and ${MAX_FETCH_BYTES_PER_REQUEST / 1024 / 1024} MB` };
+    }
+    budget.fetches++;
+    const tooLarge = () => (maxBytes < MAX_MAP_BYTES
+      ? { error: `${mapUrl} skipped - it doesn't fit in what is left of this request's ${MAX_FETCH_BYTES_PER_REQUEST / 1024 / 1024} MB` }
+      : remember(mapUrl, { error: `${mapUrl} is too large` }));
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+    try {
+      const response = await fetch(mapUrl, { signal: controller.signal });
+      if (!response.ok) {
+        return remember(mapUrl, { error: `${mapUrl} returned ${response.status}` });
+      }
+      if (Number(response.headers.get('content-length')) > maxBytes) {
+        await response.body.cancel();
+        return tooLarge();
+      }
+      const { text, bytes } = await readLimitedText(response, maxBytes);
+      budget.bytes += bytes;
+      if (text === null) {
+        return tooLarge();
+      }
+      return remember(mapUrl, { map: parseSourceMap(text) });
+    } catch (error) {
+      // Not cached - a timeout or network error may not happen next time
+      return { error: `${mapUrl}: ${error.name === 'AbortError' ? 'timed out' : error.message}` };
+    } finally {
+      clearTimeout(timeout);
+    }
+  };
+
+  // The map for a bundle - { map } or { error } (error null when no map is configured for it)
+  const loadMap = async (file, budget) => {
+    const fileName = getBundleFileName(file);
+    if (hasDirectory && fileName) {
+      const local = await readLocalMap(fileName);
+      if (local.map || local.error) {
+        return local;
+      }
+    }
+    const bundle = parseBundleUrl(file);
+    const entry = bundle && remote.find(item => item.origin === bundle.origin && bundle.path.startsWith(item.path));
+    if (!entry) {
+      return { error: null };
+    }
+    return fetchRemoteMap(entry.mapUrl.replace('{url}', `${bundle.origin}${bundle.path}`).replace('{file}', fileName || ''), budget);
+  };
+
+  // Original positions for minified frames ({ file, line, column }), in the same order -
+  // [{ source, line, column, name } or null], plus the maps that failed to load
+  const symbolicateFrames = async (frames) => {
+    const maps = new Map();
+    const budget = { fetches: 0, bytes: 0 };
+    for (const file of new Set(frames.map(frame => frame.file))) {
+      maps.set(file, await loadMap(file, budget));
+    }
+    return {
+      frames: frames.map(frame => {
+        const { map } = maps.get(frame.file);
+        return map ? lookupPosition(map, frame.line, frame.column) : null;
+      }),
+      errors: [...new Set([...maps.values()].map(entry => entry.error).filter(Boolean))]
+    };
+  };
+
+  return { configured: hasDirectory || remote.length > 0, configError: null, symbolicateFrames };
+};
+
+module.exports = {
+  MAX_FRAMES,
+  MAX_MAP_BYTES,
+  MAX_FETCHES_PER_REQUEST,
+  validateSymbolicateRequest,
+  decodeVlq,
+  parseSourceMap,
+  lookupPosition,
+  createSourceMapResolver
+};
@@ -0,0 +1,218 @@
+// Ticket route handlers
+// Validation and orchestration of the endpoints that write the ticket - generate, enhance, clarify, classify, refine,
+// regenerate a section and symbolicate stack frames - shared by Express, Vercel and Netlify through
+// lib/http-adapters.cjs. Same contract as lib/jira-handlers.cjs: { body, signal } in, { status, body } out; a streamed
+// generation resolves to { status, events } and each adapter relays the events its own way.
+const {
+  validateTicketRequest,
+  validateEnhanceRequest,
+  validateClarifyRequest,
+  validateClassifyRequest,
+  validateRefineRequest,
+  validateSectionRequest,
+  buildTicketMessages,
+  buildEnhanceMessages,
+  buildClarifyMessages,
+  buildClassifyMessages,
+  buildRefineMessages,
+  buildSectionMessages,
+  readClarifyResult,
+  readClassifyResult,
+  readRefineResult,
+  readSectionResult
+} = require('./ticket-prompt.cjs');
+const { getMessageText } = require('./llm-provider.cjs');
+const { validateSymbolicateRequest } = require('./source-maps.cjs');
+
+const respond = (status, body) => ({ status, body });
+
+const invalidRequest = (request) => respond(request.status, { error: request.error, details: request.details });
+
+// Handlers for the AI endpoints, answered by the configured LLM provider (lib/llm-provider.cjs)
+const createTicketHandlers = (llm) => {
+  // A request the provider can't serve - missing API key or unknown provider
+  const configErrorResponse = () => {
+    console.error(`LLM provider is not configured: ${llm.configError}`);
+    return respond(500, { error: `Server configuration error: ${llm.configError}` });
+  };
+
+  const providerError = (result, fallback) => {
+    console.error('LLM API error:', result.error);
+    return respond(result.status, { error: result.error || fallback });
+  };
+
+  // One tool call through the provider, read by readResult - the shape of clarify, classify, refine and regenerate
+  const runTool = async ({ validate, build, read, failure, signal, body }) => {
+    if (llm.configError) {
+      return configErrorResponse();
+    }
+
+    const toolRequest = validate(body);
+    if (!toolRequest.valid) {
+      return invalidRequest(toolRequest);
+    }
+
+    const { messages, tools, toolChoice } = build(toolRequest.value);
+    const result = await llm.createMessage({ messages, tools, toolChoice, maxTokens: llm.limits.ticket, signal });
+    if (!result.valid) {
+      return providerError(result, failure);
+    }
+
+    return read(result.message, toolRequest.value);
+  };
+
+  // Typed ticket requests only - the prompt is built here, never taken from the client
+  const generateTicket = async ({ body, signal }) => {
+    if (llm.configError) {
+      return configErrorResponse();
+    }
+
+    const ticketRequest = validateTicketRequest(body);
+    if (!ticketRequest.valid) {
+      return invalidRequest(ticketRequest);
+    }
+
+    const { stream } = ticketRequest.value;
+    const { messages, tools, toolChoice } = buildTicketMessages(ticketRequest.value);
+
+    console.log(`Generating ${ticketRequest.value.issueType} ticket with ${llm.name} (${llm.model})${stream ? ' (streaming)' : ''}...`);
+
+    const result = await llm.createMessage({
+      messages,
+      tools,
+      toolChoice,
+      maxTokens: llm.limits.ticket,
+      stream: Boolean(stream),
+      signal
+    });
+
+    if (!result.valid) {
+      return providerError(result, 'Failed to generate ticket');
+    }
+
+    if (stream) {
+      return { status: 200, events: result.events };
+    }
+
+    console.log('Ticket generated successfully');
+    return respond(200, result.message);
+  };
+
+  // Expand a short description
+  const enhanceDescription = async ({ body, signal }) => {
+    if (llm.configError) {
+      return configErrorResponse();
+    }
+
+    const enhanceRequest = validateEnhanceRequest(body);
+    if (!enhanceRequest.valid) {
+      return invalidRequest(enhanceRequest);
+    }
+
+    const result = await llm.createMessage({
+      messages: buildEnhanceMessages(enhanceRequest.value),
+      maxTokens: llm.limits.enhance,
+      signal
+    });
+
+    if (!result.valid) {
+      return providerError(result, 'Failed to enhance description');
+    }
+
+    return respond(200, { success: true, description: getMessageText(result.message) });
+  };
+
+  // Up to five questions about a description before the ticket is generated
+  const clarifyTicket = ({ body, signal }) => runTool({
+    body,
+    signal,
+    validate: validateClarifyRequest,
+    build: buildClarifyMessages,
+    failure: 'Failed to get clarifying questions',
+    read: (message) => {
+      const clarification = readClarifyResult(message);
+      return clarification.valid
+        ? respond(200, { success: true, questions: clarification.questions })
+        : respond(clarification.status, { error: clarification.error });
+    }
+  });
+
+  // The Jira component, product line, instance and team, picked from the project's options
+  const classifyTicket = ({ body, signal }) => runTool({
+    body,
+    signal,
+    validate: validateClassifyRequest,
+    build: buildClassifyMessages,
+    failure: 'Failed to classify ticket',
+    read: (message, classifyRequest) => {
+      const routing = readClassifyResult(message, classifyRequest.options);
+      return routing.valid
+        ? respond(200, { success: true, classification: routing.classification })
+        : respond(routing.status, { error: routing.error });
+    }
+  });
+
+  // Revise a generated ticket from a chat instruction
+  const refineTicket = ({ body, signal }) => runTool({
+    body,
+    signal,
+    validate: validateRefineRequest,
+    build: buildRefineMessages,
+    failure: 'Failed to refine ticket',
+    read: (message, refineRequest) => {
+      const revision = readRefineResult(message, refineRequest);
+      return revision.valid
+        ? respond(200, { success: true, summary: revision.summary, values: revision.values })
+        : respond(revision.status, { error: revision.error });
+    }
+  });
+
+  // Rewrite one section with the rest of the ticket as context
+  const regenerateSection = ({ body, signal }) => runTool({
+    body,
+    signal,
+    validate: validateSectionRequest,
+    build: buildSectionMessages,
+    failure: 'Failed to regenerate section',
+    read: (message, sectionRequest) => {
+      const section = readSectionResult(message, sectionRequest);
+      return section.valid
+        ? respond(200, { success: true, value: section.value })
+        : respond(section.status, { error: section.error });
+    }
+  });
+
+  return {
+    generateTicket,
+    enhanceDescription,
+    clarifyTicket,
+    classifyTicket,
+    refineTicket,
+    regenerateSection
+  };
+};
+
+// Map minified stack frames from pasted logs back to the original source (resolver from lib/source-maps.cjs)
+const createSymbolicateHandler = (sourceMaps) => async ({ body }) => {
+  if (sourceMaps.configError) {
+    console.error(`Source maps are not configured correctly: ${sourceMaps.configError}`);
+    return respond(500, { error: `Server configuration error: ${sourceMaps.configError}` });
+  }
+
+  const symbolicateRequest = validateSymbolicateRequest(body);
+  if (!symbolicateRequest.valid) {
+    return invalidRequest(symbolicateRequest);
+  }
+
+  const result = await sourceMaps.symbolicateFrames(symbolicateRequest.value.frames);
+  if (result.errors.length > 0) {
+    console.error('⚠️ Could not load source maps:', result.errors.join('; '));
+  }
+
+  return respond(200, { configured: sourceMaps.configured, frames: result.frames, errors: result.errors });
+};
+
+module.exports = {
+  createTicketHandlers,
+  createSymbolicateHandler
+};
@@ -0,0 +1,905 @@
+// Ticket prompts
+// The AI routes (generate, refine, regenerate section, clarify, classify) only accept the typed requests validated
+// here, and their Anthropic messages and forced tools are built here too, so the API key can't be used as a
+// general-purpose model proxy. The tool output is checked here before it goes back to the app.
+// Locked sections are context only, and the app-filled sections (attachments, error details) are never written by the AI.
+
+const { validateRequest } = require('./request-schema.cjs');
+
+const TICKET_TOOL_NAME = 'submit_ticket';
+const REFINE_TOOL_NAME = 'revise_ticket';
+const SECTION_TOOL_NAME = 'submit_section';
+const CLARIFY_TOOL_NAME = 'ask_questions';
+const CLASSIFY_TOOL_NAME = 'classify_ticket';
+const MAX_REFINE_TURNS = 10;
+const MAX_QUESTIONS = 5;
+const MAX_IMAGES = 20;
+const DOCUMENT_KINDS = ['har', 'log', 'txt', 'json', 'pdf'];
+const IMAGE_MEDIA_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+// Jira fields the classifier suggests per ticket (app field names from config/jira-field-mapping.json)
+const ROUTING_FIELDS = {
+  component: 'Component - the area of the product the ticket is about',
+  productLine: 'Product Line - the product the affected area belongs to',
+  instance: 'Instance - the environment or deployment where it was seen',
+  engineeringTeam: 'Engineering Team - the team that owns the affected area and should fix it'
+};
+const MAX_ROUTING_OPTIONS = 1000;
+
+// Prompt wording per issue type (labels, icons and default sections live in src/issueTypes.js)
+const ISSUE_TYPE_PROMPTS = {
+  bug: {
+    noun: 'bug',
+    request: 'Please analyze this bug report and create a detailed bug ticket.',
+    mediaHint: 'showing the bug',
+    mediaSections: 'Description, Steps to Reproduce, Expected Behaviour, and Actual Behaviour'
+  },
+  task: {
+    noun: 'task',
+    request: 'Please turn this request into a clear, actionable task ticket.',
+    mediaHint: 'related to the task',
+    mediaSections: 'Description and Definition of Done'
+  },
+  story: {
+    noun: 'story',
+    request: 'Please turn this feature request into a user story ticket with testable acceptance criteria.',
+    mediaHint: 'related to the story',
+    mediaSections: 'User Story, Description and Acceptance Criteria'
+  },
+  subtask: {
+    noun: 'sub-task',
+    request: 'Please turn this into a small, focused sub-task ticket of a larger issue.',
+    mediaHint: 'related to the sub-task',
+    mediaSections: 'Description and Definition of Done'
+  },
+  incident: {
+    noun: 'incident',
+    request: 'Please analyze this production incident report and create a detailed incident ticket.',
+    mediaHint: 'showing the incident',
+    mediaSections: 'Description, Timeline, Impact and Actual Behaviour'
+  }
+};
+
+// What the AI should write in each built-in section - custom sections get a generic instruction
+const SECTION_GUIDANCE = {
+  title: 'A clear, concise title - max 15 words',
+  description: '2-3 SHORT sentences maximum. Be direct and to-the-point. Include key visual details if media is provided.',
+  steps: '3 or more SHORT steps, 1 line each, without numbering',
+  expected: 'ONE sentence describing normal behavior',
+  actual: 'ONE sentence describing the bug',
+  impact: 'ONE sentence - state impact level (Critical/High/Medium/Low) and brief reason',
+  userStory: 'ONE sentence: As a <type of user>, I want <goal> so that <benefit>',
+  acceptance: '3-5 testable criteria, ideally Given/When/Then, 1 line each',
+  done: '2-4 concrete, checkable outcomes, 1 line each',
+  timeline: 'When it started / was detected (only times the user gave, otherwise "To be confirmed"), then key events so far, 1 line each',
+  workaround: 'ONE sentence - a workaround if one is known, otherwise "None known"',
+  priority: 'How urgently it must be fixed: P1 (drop everything - blocks users or loses data now), P2 (fix in the current cycle - major feature broken, no workaround), P3 (schedule it - partial or has a workaround) or P4 (whenever convenient - minor or cosmetic)',
+  severity: 'How bad the impact is when it happens, whatever the urgency: S1 (critical - crash, data loss or security hole, no workaround), S2 (major - a main feature fails), S3 (moderate - partial failure or a workaround exists) or S4 (minor - cosmetic or edge case)'
+};
+
+// Sections whose value is one level of a fixed scale - sent to Jira through the field mapping's level values
+const LEVEL_SECTIONS = {
+  priority: ['P1', 'P2', 'P3', 'P4'],
+  severity: ['S1', 'S2', 'S3', 'S4']
+};
+
+// Prompt rule for the ticket's level sections - priority and severity are rated separately, so they may differ
+const levelRule = (sections) => {
+  const levels = sections
+    .filter(section => LEVEL_SECTIONS[section.id])
+    .map(section => `${section.name} is exactly one of ${LEVEL_SECTIONS[section.id].join(', ')}`);
+  if (levels.length === 0) {
+    return 'Priority is exactly one of P1, P2, P3 or P4';
+  }
+  return levels.join(' and ') + (levels.length > 1 ? ' - priority is how soon it must be fixed, severity how bad the impact is' : '');
+};
+const BUILT_IN_SECTIONS = [...Object.keys(SECTION_GUIDANCE), 'environment', 'errorDetails', 'attachment'];
+const LIST_SECTIONS = ['steps', 'acceptance', 'done', 'timeline'];
+// The app fills these in, not the AI - the uploaded files, and the errors parsed from the Logs panel
+const APP_FILLED_SECTIONS = ['attachment', 'errorDetails'];
+
+const SECTION_ID_PATTERN = `^(${BUILT_IN_SECTIONS.join('|')}|custom_[A-Za-z0-9_]{1,40})$`;
+
+const shortText = (maxLength) => ({ type: 'string', maxLength });
+
+const SECTIONS_SCHEMA = {
+  type: 'array',
+  minItems: 1,
+  maxItems: 25,
+  items: {
+    type: 'object',
+    required: ['id', 'name'],
+    additionalProperties: false,
+    properties: {
+      id: { type: 'string', pattern: SECTION_ID_PATTERN },
+      name: { type: 'string', minLength: 1, maxLength: 80, pattern: '^[^*\\n\\r:]+$' }
+    }
+  }
+};
+
+const MEDIA_SCHEMA = {
+  type: 'array',
+  maxItems: 10,
+  items: {
+    type: 'object',
+    required: ['name', 'kind', 'images'],
+    additionalProperties: false,
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 255 },
+      kind: { type: 'string', enum: ['image', 'video'] },
+      images: {
+        type: 'array',
+        maxItems: 5,
+        items: {
+          type: 'object',
+          required: ['mediaType', 'data'],
+          additionalProperties: false,
+          properties: {
+            mediaType: { type: 'string', enum: IMAGE_MEDIA_TYPES },
+            data: { type: 'string', minLength: 1, maxLength: 10 * 1024 * 1024, pattern: '^[A-Za-z0-9+/]+={0,2}$' }
+          }
+        }
+      }
+    }
+  }
+};
+
+const DOCUMENTS_SCHEMA = {
+  type: 'array',
+  maxItems: 10,
+  items: {
+    type: 'object',
+    required: ['name', 'kind'],
+    additionalProperties: false,
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 255 },
+      kind: { type: 'string', enum: DOCUMENT_KINDS },
+      summary: shortText(4000)
+    }
+  }
+};
+
+const TICKET_REQUEST_SCHEMA = {
+  type: 'object',
+  required: ['issueType', 'description', 'sections'],
+  additionalProperties: false,
+  properties: {
+    issueType: { type: 'string', enum: Object.keys(ISSUE_TYPE_PROMPTS) },
+    description: { type: 'string', minLength: 1, maxLength: 5000 },
+    // Enabled sections of the ticket format, in order - built-in ids or custom_<id> with the user's heading
+    sections: SECTIONS_SCHEMA,
+    environment: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        instance: shortText(500),
+        branch: shortText(200),
+        username: shortText(200),
+        password: shortText(200),
+        customFields: {
+          type: 'array',
+          maxItems: 20,
+          items: {
+            type: 'object',
+            additionalProperties: false,
+            properties: { key: shortText(100), value: shortText(500) }
+          }
+        }
+      }
+    },
+    // Uploaded files - an image, or the frames extracted from a video (none if extraction failed)
+    media: MEDIA_SCHEMA,
+    // Uploaded documents - a HAR capture with the summary of its failed and slow requests
+    documents: DOCUMENTS_SCHEMA,
+    // Errors and stack traces parsed from the logs the user pasted - the ticket's Error Details section
+    errorDetails: shortText(8000),
+    // The user's answers to the clarifying questions, if they answered any
+    clarifications: {
+      type: 'array',
+      maxItems: MAX_QUESTIONS,
+      items: {
+        type: 'object',
+        required: ['question', 'answer'],
+        additionalProperties: false,
+        properties: { question: shortText(300), answer: { type: 'string', minLength: 1, maxLength: 500 } }
+      }
+    },
+    // Sections the user locked on the previous version, with their values - kept as they are
+    locked: { type: 'object' },
+    stream: { type: 'boolean' }
+  }
+};
+
+const ENHANCE_REQUEST_SCHEMA = {
+  type: 'object',
+  required: ['description'],
+  additionalProperties: false,
+  properties: {
+    description: { type: 'string', minLength: 1, maxLength: 1000 }
+  }
+};
+
+const REFINE_REQUEST_SCHEMA = {
+  type: 'object',
+  required: ['issueType', 'sections', 'values', 'instruction'],
+  additionalProperties: false,
+  properties: {
+    issueType: { type: 'string', enum: Object.keys(ISSUE_TYPE_PROMPTS) },
+    // The ticket's sections, in order - the revision keeps exactly these
+    sections: SECTIONS_SCHEMA,
+    // Current section values by section id (checked against the sections below)
+    values: { type: 'object' },
+    instruction: { type: 'string', minLength: 1, maxLength: 2000 },
+    // Ids of the sections the user locked - the revision can't change them
+    locked: { type: 'array', maxItems: 25, items: { type: 'string', pattern: SECTION_ID_PATTERN } },
+    // Earlier instructions on this ticket and what the AI said it changed, oldest first
+    conversation: {
+      type: 'array',
+      maxItems: MAX_REFINE_TURNS,
+      items: {
+        type: 'object',
+        required: ['instruction', 'summary'],
+        additionalProperties: false,
+        properties: { instruction: shortText(2000), summary: shortText(2000) }
+      }
+    }
+  }
+};
+
+const SECTION_REQUEST_SCHEMA = {
+  type: 'object',
+  required: ['issueType', 'sections', 'values', 'sectionId'],
+  additionalProperties: false,
+  properties: {
+    issueType: { type: 'string', enum: Object.keys(ISSUE_TYPE_PROMPTS) },
+    sections: SECTIONS_SCHEMA,
+    values: { type: 'object' },
+    // The section to write again
+    sectionId: { type: 'string', pattern: SECTION_ID_PATTERN },
+    // The user's original brief description, if the browser still has it
+    description: { type: 'string', maxLength: 5000 }
+  }
+};
+
+const CLARIFY_REQUEST_SCHEMA = {
+  type: 'object',
+  required: ['issueType', 'description', 'sections'],
+  additionalProperties: false,
+  properties: {
+    issueType: { type: 'string', enum: Object.keys(ISSUE_TYPE_PROMPTS) },
+    description: { type: 'string', minLength: 1, maxLength: 5000 },
+    // The sections the ticket will have - the questions target what they need
+    sections: SECTIONS_SCHEMA,
+    media: MEDIA_SCHEMA
+  }
+};
+
+const CLASSIFY_REQUEST_SCHEMA = {
+  type: 'object',
+  required: ['issueType', 'sections', 'values', 'options'],
+  additionalProperties: false,
+  properties: {
+    issueType: { type: 'string', enum: Object.keys(ISSUE_TYPE_PROMPTS) },
+    sections: SECTIONS_SCHEMA,
+    values: { type: 'object' },
+    // The user's original brief description, if the browser still has it
+    description: { type: 'string', maxLength: 5000 },
+    media: MEDIA_SCHEMA,
+    // The project's allowed values per routing field (from createmeta) - fields without options aren't classified
+    options: {
+      type: 'object',
+      additionalProperties: false,
+      properties: Object.fromEntries(Object.keys(ROUTING_FIELDS).map(field => [field, {
+        type: 'array',
+        maxItems: MAX_ROUTING_OPTIONS,
+        items: { type: 'string', minLength: 1, maxLength: 255 }
+      }]))
+    }
+  }
+};
+
+const failRequest = (error) => ({ valid: false, status: 400, error: `Invalid request: ${error}`, details: [error] });
+
+// The section list rules a schema can't express - returns an error result or null
+const checkSections = (sections) => {
+  const ids = sections.map(section => section.id);
+  if (!ids.includes('title')) {
+    return failRequest('body.sections: must include the title section');
+  }
+  if (new Set(ids).size !== ids.length) {
+    return failRequest('body.sections: section ids must be unique');
+  }
+  return null;
+};
+
+// Section values by section id may only be given for the request's own sections: text, or a list for list sections
+const checkSectionValues = (sections, values, path) => validateRequest(values, {
+  type: 'object',
+  additionalProperties: false,
+  properties: Object.fromEntries(sections.map(section => [section.id, LIST_SECTIONS.includes(section.id)
+    ? { type: 'array', maxItems: 30, items: shortText(1000) }
+    : shortText(5000)]))
+}, path);
+
+// The media rules a schema can't express - returns an error result or null
+const checkMedia = (media = []) => {
+  if (media.some(item => item.kind === 'image' && item.images.length !== 1)) {
+    return failRequest('body.media: an image item must have exactly one image');
+  }
+  const imageCount = media.reduce((sum, item) => sum + item.images.length, 0);
+  if (imageCount > MAX_IMAGES) {
+    return failRequest(`body.media: at most ${MAX_IMAGES} images per ticket`);
+  }
+  return null;
+};
+
+// Schema validation plus the rules a schema can't express - returns validateRequest's result
+const validateTicketRequest = (body) => {
+  const result = validateRequest(body, TICKET_REQUEST_SCHEMA);
+  if (!result.valid) {
+    return result;
+  }
+
+  const sectionsError = checkSections(body.sections);
+  if (sectionsError) {
+    return sectionsError;
+  }
+
+  if (body.locked) {
+    const lockedResult = checkSectionValues(body.sections, body.locked, 'body.locked');
+    if (!lockedResult.valid) {
+      return lockedResult;
+    }
+  }
+
+  return checkMedia(body.media) || result;
+};
+
+const validateEnhanceRequest = (body) => validateRequest(body, ENHANCE_REQUEST_SCHEMA);
+
+const validateClarifyRequest = (body) => {
+  const result = validateRequest(body, CLARIFY_REQUEST_SCHEMA);
+  if (!result.valid) {
+    return result;
+  }
+  return checkSections(body.sections) || checkMedia(body.media) || result;
+};
+
+const validateClassifyRequest = (body) => {
+  const result = validateRequest(body, CLASSIFY_REQUEST_SCHEMA);
+  if (!result.valid) {
+    return result;
+  }
+
+  const sectionsError = checkSections(body.sections) || checkMedia(body.media);
+  if (sectionsError) {
+    return sectionsError;
+  }
+
+  if (!Object.values(body.options).some(options => options.length > 0)) {
+    return failRequest('body.options: must list the options of at least one field');
+  }
+
+  const valuesResult = checkSectionValues(body.sections, body.values, 'body.values');
+  return valuesResult.valid ? result : valuesResult;
+};
+
+const validateRefineRequest = (body) => {
+  const result = validateRequest(body, REFINE_REQUEST_SCHEMA);
+  if (!result.valid) {
+    return result;
+  }
+
+  const sectionsError = checkSections(body.sections);
+  if (sectionsError) {
+    return sectionsError;
+  }
+
+  const ids = body.sections.map(section => section.id);
+  if ((body.locked || []).some(id => !ids.includes(id))) {
+    return failRequest('body.locked: must only name sections of the ticket');
+  }
+
+  const valuesResult = checkSectionValues(body.sections, body.values, 'body.values');
+  return valuesResult.valid ? result : valuesResult;
+};
+
+const validateSectionRequest = (body) => {
+  const result = validateRequest(body, SECTION_REQUEST_SCHEMA);
+  if (!result.valid) {
+    return result;
+  }
+
+  const sectionsError = checkSections(body.sections);
+  if (sectionsError) {
+    return sectionsError;
+  }
+
+  if (!body.sections.some(section => section.id === body.sectionId) || APP_FILLED_SECTIONS.includes(body.sectionId)) {
+    return failRequest('body.sectionId: must name a section the AI writes');
+  }
+
+  const valuesResult = checkSectionValues(body.sections, body.values, 'body.values');
+  return valuesResult.valid ? result : valuesResult;
+};
+
+// Environment lines the AI copies into the Environment section - placeholders for anything not configured
+const environmentLines = (environment = {}) => [
+  `Instance: ${environment.instance || 'https://workspan-staging-2.qa.workspan.app/'}`,
+  `Branch: ${environment.branch || '[Suggest likely branch or write "To be determined"]'}`,
+  `Username: ${environment.username || '[Leave blank or write "To be provided"]'}`,
+  `Password: ${environment.password || '[Leave blank or write "To be provided"]'}`,
+  ...(environment.customFields || [])
+    .filter(field => field.key && field.value)
+    .map(field => `${field.key}: ${field.value}`)
+].join('\n');
+
+// JSON schema for the submit_ticket tool - one required property per AI-written section, in format order
+// (environment is the request's environment profile, left out for revisions)
+const buildTicketSchema = (sections, environment) => {
+  const properties = {};
+  sections
+    .filter(section => !APP_FILLED_SECTIONS.includes(section.id))
+    .forEach(section => {
+      if (LEVEL_SECTIONS[section.id]) {
+        properties[section.id] = { type: 'string', enum: LEVEL_SECTIONS[section.id], description: SECTION_GUIDANCE[section.id] };
+      } else if (LIST_SECTIONS.includes(section.id)) {
+        properties[section.id] = {
+          type: 'array',
+          items: { type: 'string' },
+          minItems: 1,
+          description: `${section.name}: ${SECTION_GUIDANCE[section.id]}`
+        };
+      } else if (section.id === 'environment') {
+        // A revision has no environment profile - it keeps the ticket's lines unless told otherwise
+        properties.environment = {
+          type: 'string',
+          description: environment
+            ? `${section.name}: one "Key: value" per line. Use exactly these lines, replacing bracketed placeholders:\n${environmentLines(environment)}`
+            : `${section.name}: one "Key: value" per line`
+        };
+      } else {
+        properties[section.id] = {
+          type: 'string',
+          description: `${section.name}: ${SECTION_GUIDANCE[section.id] || 'Relevant information for this section'}`
+        };
+      }
+    });
+
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(properties),
+    additionalProperties: false
+  };
+};
+
+// Image blocks (and notes for videos without frames) for the uploaded media
+const buildMediaContent = (media, mediaHint) => {
+  const imageCount = media.filter(item => item.kind === 'image').length;
+  const videoCount = media.filter(item => item.kind === 'video').length;
+  const content = [{
+    type: 'text',
+    text: imageCount > 0 && videoCount > 0
+      ? `[${imageCount} image(s) and ${videoCount} video(s) provided ${mediaHint}]`
+      : imageCount > 0
+        ? `[${imageCount} image(s) provided ${mediaHint}]`
+        : `[${videoCount} video(s) provided ${mediaHint}]`
+  }];
+
+  media.forEach(item => {
+    if (item.kind === 'video' && item.images.length === 0) {
+      content.push({
+        type: 'text',
+        text: `[Video "${item.name}" attached; frame extraction skipped due to size/format. Please use the video attachment for context.]`
+      });
+      return;
+    }
+    item.images.forEach(image => {
+      content.push({ type: 'image', source: { type: 'base64', media_type: image.mediaType, data: image.data } });
+    });
+  });
+
+  return content;
+};
+
+// The attached documents for the prompt, with the summaries of HAR captures - empty when there are none
+const buildDocumentNotes = (documents) => {
+  if (documents.length === 0) {
+    return '';
+  }
+  const summaries = documents.filter(document => document.summary).map(document => document.summary);
+  const notes = `These files are attached to the ticket but not shown to you: ${documents.map(document => document.name).join(', ')}.`;
+  if (summaries.length === 0) {
+    return `${notes}\n\n`;
+  }
+  return `${notes}
+
+Network capture (HAR) summary, read from the attached files:
+${summaries.join('\n\n')}
+
+Cite the failing API call(s) - method, endpoint and status - in the Actual Behaviour section (or the closest section this ticket has), and the host and browser of the capture in the Environment section. Only mention calls listed in the summary.
+
+`;
+};
+
+// Anthropic messages + forced submit_ticket tool for a validated ticket request
+// Locked sections of the previous version are given as context and left out of the tool
+const buildTicketMessages = ({ issueType, description, sections, environment, media = [], documents = [], errorDetails = '', locked = {}, clarifications = [] }) => {
+  const prompt = ISSUE_TYPE_PROMPTS[issueType];
+  const lockedIds = Object.keys(locked);
+  const answers = clarifications
+    .map(item => `- Q: ${item.question}\n  A: ${item.answer}`)
+    .join('\n');
+  const imageCount = media.filter(item => item.kind === 'image').length;
+  const videoCount = media.filter(item => item.kind === 'video').length;
+
+  const content = media.length > 0 ? buildMediaContent(media, prompt.mediaHint) : [];
+  content.push({
+    type: 'text',
+    text: `${prompt.request}
+
+User's Brief Description: ${description}
+
+${answers ? `The user answered these clarifying questions about the ${prompt.noun} - treat the answers as part of the description:\n${answers}\n\n` : ''}${lockedIds.length > 0 ? `The user already wrote these sections of the ticket (keyed by section id) - they are not part of the ${TICKET_TOOL_NAME} tool, so write the other sections consistent with them:\n${JSON.stringify(locked, null, 2)}\n\n` : ''}${buildDocumentNotes(documents)}${errorDetails ? `Errors from the user's console logs (the app adds them to the ticket as Error Details - name the error in Actual Behaviour instead of copying the stack traces):\n${errorDetails}\n\n` : ''}${media.length > 0 ? `${imageCount} image(s) and ${videoCount} video(s) have been provided ${prompt.mediaHint}. Please carefully analyze all media to understand the issue and incorporate your observations into the ${prompt.mediaSections} sections.` : 'No media files were provided.'}
+
+CRITICAL - LANGUAGE REQUIREMENT:
+- The user's description may be in ANY language (English, Spanish, French, Hindi, Chinese, etc.)
+- You MUST create the entire ${prompt.noun} ticket in ENGLISH language ONLY
+- Translate the user's input to English if needed
+- All sections (Title, Description, Steps, etc.) must be in English
+
+IMPORTANT:
+- If images or video frames are provided, analyze them carefully and use what you see to write detailed ${prompt.mediaSections} sections.
+- DO NOT write a separate visual description of the attachments - the app lists the attached files itself.
+
+Submit the ${prompt.noun} ticket with the ${TICKET_TOOL_NAME} tool. Each tool property is one section of the ticket - follow its description. Keep everything CONCISE and TO-THE-POINT:
+1. Use 1-2 sentences per section, brief list items, no long paragraphs
+2. Write plain text values - no headings, bold labels or separator lines inside them
+3. List sections are arrays with one short item each - do not number or bullet the items
+4. ${levelRule(sections)}
+5. Be direct and to-the-point - quality over quantity`
+  });
+
+  return {
+    messages: [{ role: 'user', content }],
+    tools: [{
+      name: TICKET_TOOL_NAME,
+      description: 'Submit the finished ticket. Every property is one section of the ticket, written in English.',
+      input_schema: buildTicketSchema(sections.filter(section => !lockedIds.includes(section.id)), environment || {})
+    }],
+    toolChoice: { type: 'tool', name: TICKET_TOOL_NAME }
+  };
+};
+
+// Anthropic messages that expand a short description (the "Enhance" button)
+const buildEnhanceMessages = ({ description }) => [{
+  role: 'user',
+  content: [{
+    type: 'text',
+    text: `Expand this short bug description into a more detailed technical description (2-3 sentences). Keep it professional and bug-focused. IMPORTANT: Your response MUST be in English language only, regardless of the input language. Original description: "${description}"`
+  }]
+}];
+
+// Anthropic messages + forced ask_questions tool for a validated clarify request
+// An empty question list means the description (and media) already cover what the ticket needs
+const buildClarifyMessages = ({ issueType, description, sections, media = [] }) => {
+  const prompt = ISSUE_TYPE_PROMPTS[issueType];
+  const sectionNames = sections
+    .filter(section => !APP_FILLED_SECTIONS.includes(section.id))
+    .map(section => section.name)
+    .join(', ');
+
+  const content = media.length > 0 ? buildMediaContent(media, prompt.mediaHint) : [];
+  content.push({
+    type: 'text',
+    text: `A user is about to turn this description into a ${prompt.noun} ticket with these sections: ${sectionNames}.
+
+User's Brief Description: ${description}
+
+Before the ticket is written, decide what is missing or ambiguous and ask the user about it with the ${CLARIFY_TOOL_NAME} tool:
+1. Ask at most ${MAX_QUESTIONS} short, targeted questions - only about facts the ticket needs and neither the description nor the media answer (e.g. browser or device, how often it happens, which account or data, what was expected)
+2. Give 2-4 likely answers as choices when the answer is one of a few options - leave choices empty for open questions
+3. Don't ask for anything the app fills in itself (environment, attachments) and don't ask the user to rephrase
+4. If the description is already clear enough, submit an empty question list
+5. Write the questions in ENGLISH, even if the description is in another language`
+  });
+
+  return {
+    messages: [{ role: 'user', content }],
+    tools: [{
+      name: CLARIFY_TOOL_NAME,
+      description: 'Submit the clarifying questions for the user (an empty list if none are needed).',
+      input_schema: {
+        type: 'object',
+        properties: {
+          questions: {
+            type: 'array',
+            maxItems: MAX_QUESTIONS,
+            items: {
+              type: 'object',
+              properties: {
+                question: { type: 'string', description: 'One short question' },
+                choices: { type: 'array', maxItems: 4, items: { type: 'string' }, description: 'Likely answers, if the answer is one of a few options' }
+              },
+              required: ['question', 'choices'],
+              additionalProperties: false
+            }
+          }
+        },
+        required: ['questions'],
+        additionalProperties: false
+      }
+    }],
+    toolChoice: { type: 'tool', name: CLARIFY_TOOL_NAME }
+  };
+};
+
+// Anthropic messages + forced classify_ticket tool for a validated classify request
+// Each field with options gets a value limited to those options, a confidence and a short reason
+const buildClassifyMessages = ({ issueType, sections, values, description, media = [], options }) => {
+  const prompt = ISSUE_TYPE_PROMPTS[issueType];
+  const fields = Object.keys(ROUTING_FIELDS).filter(field => (options[field] || []).length > 0);
+  const ticket = Object.fromEntries(sections
+    .filter(section => !APP_FILLED_SECTIONS.includes(section.id))
+    .map(section => [section.name, values[section.id] ?? '']));
+
+  const content = media.length > 0 ? buildMediaContent(media, prompt.mediaHint) : [];
+  content.push({
+    type: 'text',
+    text: `Route this ${prompt.noun} ticket in Jira by picking its ${fields.map(field => ROUTING_FIELDS[field].split(' - ')[0]).join(', ')}.
+
+${description ? `User's Brief Description: ${description}\n\n` : ''}The ticket, as JSON keyed by section name:
+
+${JSON.stringify(ticket, null, 2)}
+
+Classify the ticket with the ${CLASSIFY_TOOL_NAME} tool:
+1. Pick each value from the field's allowed options only - base it on the ticket, the description and any screenshots
+2. Confidence is 0 to 1: above 0.8 only when the ticket clearly names the area, below 0.5 when you are guessing
+3. Give a one-sentence reason that points at what in the ticket decided it
+4. Keep the fields consistent with each other (the team should own the component, the component belong to the product line)`
+  });
+
+  return {
+    messages: [{ role: 'user', content }],
+    tools: [{
+      name: CLASSIFY_TOOL_NAME,
+      description: 'Submit the suggested Jira routing values for the ticket.',
+      input_schema: {
+        type: 'object',
+        properties: Object.fromEntries(fields.map(field => [field, {
+          type: 'object',
+          description: ROUTING_FIELDS[field],
+          properties: {
+            value: { type: 'string', enum: options[field] },
+            confidence: { type: 'number', minimum: 0, maximum: 1, description: 'How sure you are, 0 to 1' },
+            reason: { type: 'string', description: 'One short sentence' }
+          },
+          required: ['value', 'confidence', 'reason'],
+          additionalProperties: false
+        }])),
+        required: fields,
+        additionalProperties: false
+      }
+    }],
+    toolChoice: { type: 'tool', name: CLASSIFY_TOOL_NAME }
+  };
+};
+
+// Anthropic messages + forced revise_ticket tool for a validated refine request
+// The whole ticket comes back (with a short summary of the changes) and the browser diffs it section by section
+const buildRefineMessages = ({ issueType, sections, values, instruction, conversation = [], locked = [] }) => {
+  const prompt = ISSUE_TYPE_PROMPTS[issueType];
+  const lockedNames = sections.filter(section => locked.includes(section.id)).map(section => `"${section.name}"`);
+  const aiSections = sections.filter(section => !APP_FILLED_SECTIONS.includes(section.id));
+  const currentTicket = Object.fromEntries(aiSections.map(section => [section.id, values[section.id] ?? '']));
+  const earlierTurns = conversation
+    .map((turn, i) => `${i + 1}. Instruction: ${turn.instruction}\n   Your change: ${turn.summary}`)
+    .join('\n');
+
+  return {
+    messages: [{
+      role: 'user',
+      content: [{
+        type: 'text',
+        text: `You are refining an existing ${prompt.noun} ticket. These are its sections as JSON (keyed by section id):
+
+${JSON.stringify(currentTicket, null, 2)}
+
+${lockedNames.length > 0 ? `The user locked ${lockedNames.join(', ')} - locked sections are context only and not part of the ${REFINE_TOOL_NAME} tool. If the instruction is about a locked section, say in the summary that it is locked.\n\n` : ''}${earlierTurns ? `Earlier refinements of this ticket (already applied or rejected by the user):\n${earlierTurns}\n\n` : ''}The user's instruction: ${instruction}
+
+Revise the ticket following the instruction and submit it with the ${REFINE_TOOL_NAME} tool:
+1. Change only what the instruction asks for (and what it directly affects) - copy every other section exactly as it is
+2. The user's instruction may be in ANY language - the ticket stays in ENGLISH
+3. Keep the ticket CONCISE - plain text values, no headings, bold labels or separator lines inside them
+4. List sections are arrays with one short item each - do not number or bullet the items
+5. ${levelRule(aiSections)}
+6. The summary tells the user in 1-2 sentences what you changed - or why nothing changed if the instruction can't be applied`
+      }]
+    }],
+    tools: [{
+      name: REFINE_TOOL_NAME,
+      description: 'Submit the revised ticket with a short summary of the changes.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          summary: { type: 'string', description: 'What changed, in 1-2 sentences' },
+          ticket: buildTicketSchema(sections.filter(section => !locked.includes(section.id)))
+        },
+        required: ['summary', 'ticket'],
+        additionalProperties: false
+      }
+    }],
+    toolChoice: { type: 'tool', name: REFINE_TOOL_NAME }
+  };
+};
+
+// Anthropic messages + forced submit_section tool that rewrite one section, with the rest of the ticket as context
+const buildSectionMessages = ({ issueType, sections, values, sectionId, description }) => {
+  const prompt = ISSUE_TYPE_PROMPTS[issueType];
+  const section = sections.find(item => item.id === sectionId);
+  const otherSections = Object.fromEntries(sections
+    .filter(item => item.id !== sectionId && !APP_FILLED_SECTIONS.includes(item.id))
+    .map(item => [item.id, values[item.id] ?? '']));
+  const current = values[sectionId];
+  const currentText = Array.isArray(current) ? current.map(item => `- ${item}`).join('\n') : current;
+
+  return {
+    messages: [{
+      role: 'user',
+      content: [{
+        type: 'text',
+        text: `You are improving one section of an existing ${prompt.noun} ticket.
+
+${description ? `User's Brief Description: ${description}\n\n` : ''}The rest of the ticket, as JSON keyed by section id:
+
+${JSON.stringify(otherSections, null, 2)}
+
+The current "${section.name}" section:
+${currentText || '(empty)'}
+
+Write a better "${section.name}" section and submit it with the ${SECTION_TOOL_NAME} tool:
+1. Keep it consistent with the rest of the ticket and the description - don't invent facts they don't support
+2. Make it clearly better than the current version: more specific and clearer, but still CONCISE
+3. Write it in ENGLISH as plain text - no headings, bold labels or separator lines
+4. Follow the description of the value property`
+      }]
+    }],
+    tools: [{
+      name: SECTION_TOOL_NAME,
+      description: `Submit the rewritten ${section.name} section.`,
+      input_schema: {
+        type: 'object',
+        properties: { value: buildTicketSchema([section]).properties[section.id] },
+        required: ['value'],
+        additionalProperties: false
+      }
+    }],
+    toolChoice: { type: 'tool', name: SECTION_TOOL_NAME }
+  };
+};
+
+// Input of the forced tool call in the model's answer - { valid: true, input } or an error result
+const readToolInput = (message, toolName, what) => {
+  if (message.stop_reason === 'max_tokens') {
+    return { valid: false, status: 502, error: `The ${what} was cut off - try again or raise LLM_MAX_TOKENS` };
+  }
+  const toolUse = (message.content || []).find(block => block.type === 'tool_use' && block.name === toolName);
+  if (!toolUse || !toolUse.input || typeof toolUse.input !== 'object') {
+    return { valid: false, status: 502, error: `The AI did not return a ${what}. Please try again.` };
+  }
+  return { valid: true, input: toolUse.input };
+};
+
+// The questions from the model's answer - { valid: true, questions: [{ question, choices }] } or an error result
+// Questions and choices are trimmed to the request schema's limits so the answers can be sent back as they are
+const readClarifyResult = (message) => {
+  const result = readToolInput(message, CLARIFY_TOOL_NAME, 'question list');
+  if (!result.valid) {
+    return result;
+  }
+  if (!Array.isArray(result.input.questions)) {
+    return { valid: false, status: 502, error: 'The AI did not return a question list. Please try again.' };
+  }
+  const questions = result.input.questions
+    .filter(item => item && typeof item.question === 'string' && item.question.trim())
+    .slice(0, MAX_QUESTIONS)
+    .map(item => ({
+      question: item.question.trim().slice(0, 300),
+      choices: (Array.isArray(item.choices) ? item.choices : [])
+        .filter(choice => typeof choice === 'string' && choice.trim())
+        .slice(0, 4)
+        .map(choice => choice.trim().slice(0, 500))
+    }));
+  return { valid: true, questions };
+};
+
+// The routing suggestions from the model's answer - { valid: true, classification: { field: { value, confidence, reason } } }
+// or an error result. Values outside the request's options are dropped, so every suggestion is one Jira accepts.
+const readClassifyResult = (message, options) => {
+  const result = readToolInput(message, CLASSIFY_TOOL_NAME, 'classification');
+  if (!result.valid) {
+    return result;
+  }
+  const classification = {};
+  Object.keys(ROUTING_FIELDS).forEach(field => {
+    const suggestion = result.input[field];
+    if (!suggestion || !(options[field] || []).includes(suggestion.value)) {
+      return;
+    }
+    const confidence = Number(suggestion.confidence);
+    classification[field] = {
+      value: suggestion.value,
+      confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0,
+      reason: String(suggestion.reason || '').trim().slice(0, 300)
+    };
+  });
+  return { valid: true, classification };
+};
+
+// A tool result that doesn't match the tool's schema (and the limits of the next request it is sent back in)
+// - returns an error result or null
+const checkToolValues = (values, sections, what, path) => {
+  const checked = validateRequest(values, buildTicketSchema(sections), path);
+  const result = checked.valid ? checkSectionValues(sections, values, path) : checked;
+  if (result.valid) {
+    return null;
+  }
+  console.error(`Invalid AI ${what}:`, result.details);
+  return { valid: false, status: 502, error: `The AI returned an invalid ${what} (${result.details[0]}). Please try again.`, details: result.details };
+};
+
+// The revised ticket from the model's answer, checked against the refine request's unlocked sections
+// - { valid: true, summary, values } or an error result
+const readRefineResult = (message, { sections, locked = [] }) => {
+  const result = readToolInput(message, REFINE_TOOL_NAME, 'revised ticket');
+  if (!result.valid) {
+    return result;
+  }
+  if (!result.input.ticket || typeof result.input.ticket !== 'object') {
+    return { valid: false, status: 502, error: 'The AI did not return a revised ticket. Please try again.' };
+  }
+  const editable = sections.filter(section => !locked.includes(section.id));
+  return checkToolValues(result.input.ticket, editable, 'revised ticket', 'ticket') ||
+    { valid: true, summary: String(result.input.summary || '').trim().slice(0, 1000), values: result.input.ticket };
+};
+
+// The rewritten section from the model's answer, checked against the section's schema - { valid: true, value }
+// or an error result
+const readSectionResult = (message, { sections, sectionId }) => {
+  const result = readToolInput(message, SECTION_TOOL_NAME, 'rewritten section');
+  if (!result.valid) {
+    return result;
+  }
+  if (result.input.value === undefined) {
+    return { valid: false, status: 502, error: 'The AI did not return a rewritten section. Please try again.' };
+  }
+  const section = sections.filter(item => item.id === sectionId);
+  return checkToolValues({ [sectionId]: result.input.value }, section, 'rewritten section', 'section') ||
+    { valid: true, value: result.input.value };
+};
+
+module.exports = {
+  TICKET_TOOL_NAME,
+  REFINE_TOOL_NAME,
+  SECTION_TOOL_NAME,
+  CLARIFY_TOOL_NAME,
+  CLASSIFY_TOOL_NAME,
+  MAX_REFINE_TURNS,
+  MAX_QUESTIONS,
+  validateTicketRequest,
+  validateEnhanceRequest,
+  validateClarifyRequest,
+  validateClassifyRequest,
+  validateRefineRequest,
+  validateSectionRequest,
+  buildTicketMessages,
+  buildEnhanceMessages,
+  buildClarifyMessages,
+  buildClassifyMessages,
+  buildRefineMessages,
+  buildSectionMessages,
+  readClarifyResult,
+  readClassifyResult,
+  readRefineResult,
+  readSectionResult
+};
@@ -0,0 +1,9 @@
+// Netlify Serverless Function for Asking Clarifying Questions Before Generation (typed request - the prompt is built server-side)
+const { createLlmProvider } = require('../../lib/llm-provider.cjs');
+const { createTicketHandlers } = require('../../lib/ticket-handlers.cjs');
+const { createNetlifyHandler } = require('../../lib/http-adapters.cjs');
+
+// Provider, model and limits from the site's environment variables (LLM_PROVIDER, LLM_MODEL, ...)
+const { clarifyTicket } = createTicketHandlers(createLlmProvider(process.env));
+
+exports.handler = createNetlifyHandler(clarifyTicket, { maxRequests: 15 });
@@ -0,0 +1,7 @@
+// Netlify Serverless Function for Adding a Ticket as a Comment on an Existing Jira Issue
+const { createJiraHandlers } = require('../../lib/jira-handlers.cjs');
+const { createNetlifyHandler } = require('../../lib/http-adapters.cjs');
+
+const { commentOnJiraIssue } = createJiraHandlers();
+
+exports.handler = createNetlifyHandler(commentOnJiraIssue, { maxRequests: 10 });
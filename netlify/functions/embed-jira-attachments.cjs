@@ -0,0 +1,7 @@
+// Netlify Serverless Function for Embedding an Issue's Attachments in Its Description
+const { createJiraHandlers } = require('../../lib/jira-handlers.cjs');
+const { createNetlifyHandler } = require('../../lib/http-adapters.cjs');
+
+const { embedJiraAttachments } = createJiraHandlers();
+
+exports.handler = createNetlifyHandler(embedJiraAttachments, { maxRequests: 10 });
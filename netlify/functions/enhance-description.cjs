@@ -0,0 +1,9 @@
+// Netlify Serverless Function for Enhancing a Short Description (typed request - the prompt is built server-side)
+const { createLlmProvider } = require('../../lib/llm-provider.cjs');
+const { createTicketHandlers } = require('../../lib/ticket-handlers.cjs');
+const { createNetlifyHandler } = require('../../lib/http-adapters.cjs');
+
+// Provider, model and limits from the site's environment variables (LLM_PROVIDER, LLM_MODEL, ...)
+const { enhanceDescription } = createTicketHandlers(createLlmProvider(process.env));
+
+exports.handler = createNetlifyHandler(enhanceDescription, { maxRequests: 15 });
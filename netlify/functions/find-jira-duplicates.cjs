@@ -0,0 +1,7 @@
+// Netlify Serverless Function for Finding Similar Open Jira Issues
+const { createJiraHandlers } = require('../../lib/jira-handlers.cjs');
+const { createNetlifyHandler } = require('../../lib/http-adapters.cjs');
+
+const { findJiraDuplicates } = createJiraHandlers();
+
+exports.handler = createNetlifyHandler(findJiraDuplicates, { maxRequests: 10 });
@@ -0,0 +1,7 @@
+// Netlify Serverless Function for Loading Jira Field Options
+const { createJiraHandlers } = require('../../lib/jira-handlers.cjs');
+const { createNetlifyHandler } = require('../../lib/http-adapters.cjs');
+
+const { getJiraFieldOptions } = createJiraHandlers();
+
+exports.handler = createNetlifyHandler(getJiraFieldOptions, { maxRequests: 10 });
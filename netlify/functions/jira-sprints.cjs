@@ -0,0 +1,7 @@
+// Netlify Serverless Function for Listing Active and Upcoming Sprints (sprint picker)
+const { createJiraHandlers } = require('../../lib/jira-handlers.cjs');
+const { createNetlifyHandler } = require('../../lib/http-adapters.cjs');
+
+const { getJiraSprints } = createJiraHandlers();
+
+exports.handler = createNetlifyHandler(getJiraSprints, { maxRequests: 10 });
@@ -0,0 +1,9 @@
+// Netlify Serverless Function for Refining a Generated Ticket from a chat instruction (typed request - the prompt is built server-side)
+const { createLlmProvider } = require('../../lib/llm-provider.cjs');
+const { createTicketHandlers } = require('../../lib/ticket-handlers.cjs');
+const { createNetlifyHandler } = require('../../lib/http-adapters.cjs');
+
+// Provider, model and limits from the site's environment variables (LLM_PROVIDER, LLM_MODEL, ...)
+const { refineTicket } = createTicketHandlers(createLlmProvider(process.env));
+
+exports.handler = createNetlifyHandler(refineTicket, { maxRequests: 15 });
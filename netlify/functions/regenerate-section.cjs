@@ -0,0 +1,9 @@
+// Netlify Serverless Function for Regenerating One Section of a Ticket (typed request - the prompt is built server-side)
+const { createLlmProvider } = require('../../lib/llm-provider.cjs');
+const { createTicketHandlers } = require('../../lib/ticket-handlers.cjs');
+const { createNetlifyHandler } = require('../../lib/http-adapters.cjs');
+
+// Provider, model and limits from the site's environment variables (LLM_PROVIDER, LLM_MODEL, ...)
+const { regenerateSection } = createTicketHandlers(createLlmProvider(process.env));
+
+exports.handler = createNetlifyHandler(regenerateSection, { maxRequests: 15 });
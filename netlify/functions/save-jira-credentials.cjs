@@ -0,0 +1,7 @@
+// Netlify Serverless Function for Saving Jira Credentials
+const { createJiraHandlers } = require('../../lib/jira-handlers.cjs');
+const { createNetlifyHandler } = require('../../lib/http-adapters.cjs');
+
+const { saveJiraCredentials } = createJiraHandlers();
+
+exports.handler = createNetlifyHandler(saveJiraCredentials, { maxRequests: 10 });
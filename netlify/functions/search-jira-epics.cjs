@@ -0,0 +1,8 @@
+// Netlify Serverless Function for Searching Open Epics (parent picker)
+const { createJiraHandlers } = require('../../lib/jira-handlers.cjs');
+const { createNetlifyHandler } = require('../../lib/http-adapters.cjs');
+
+const { searchJiraEpics } = createJiraHandlers();
+
+// 30 requests per minute per IP - the picker searches as the reporter refines a query
+exports.handler = createNetlifyHandler(searchJiraEpics, { maxRequests: 30 });
@@ -0,0 +1,8 @@
+// Netlify Serverless Function for Searching Jira Users (assignee and reporter pickers)
+const { createJiraHandlers } = require('../../lib/jira-handlers.cjs');
+const { createNetlifyHandler } = require('../../lib/http-adapters.cjs');
+
+const { searchJiraUsers } = createJiraHandlers();
+
+// 30 requests per minute per IP - the pickers search as the reporter types
+exports.handler = createNetlifyHandler(searchJiraUsers, { maxRequests: 30 });
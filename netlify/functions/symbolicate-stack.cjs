@@ -0,0 +1,11 @@
+// Netlify Serverless Function for Symbolicating Stack Frames (minified frames from pasted logs -> original source)
+const { createSourceMapResolver } = require('../../lib/source-maps.cjs');
+const { createSymbolicateHandler } = require('../../lib/ticket-handlers.cjs');
+const { createNetlifyHandler } = require('../../lib/http-adapters.cjs');
+
+// Source maps from config/source-maps.json or the SOURCE_MAPS environment variable - parsed maps stay cached on warm instances
+const symbolicateStack = createSymbolicateHandler(createSourceMapResolver(process.env));
+
+// Every call can make the server fetch source maps, so other sites only get CORS access when ALLOWED_ORIGINS lists
+// them - the app itself calls from its own origin and needs none
+exports.handler = createNetlifyHandler(symbolicateStack, { maxRequests: 30, restrictOrigins: true });
@@ -0,0 +1,7 @@
+// Netlify Serverless Function for Updating an Existing Jira Issue
+const { createJiraHandlers } = require('../../lib/jira-handlers.cjs');
+const { createNetlifyHandler } = require('../../lib/http-adapters.cjs');
+
+const { updateJiraIssue } = createJiraHandlers();
+
+exports.handler = createNetlifyHandler(updateJiraIssue, { maxRequests: 10 });
@@ -0,0 +1,15 @@
+// Netlify Serverless Function for Uploading One Attachment to an Existing Jira Issue
+// The raw file is the request body (application/octet-stream, base64-encoded by Netlify). Netlify caps a function's
+// request body at 6 MB of base64 and Jira can't put an attachment together from several requests, so the browser
+// refuses files over 4 MB before sending them (getUploadSizeLimit in App.jsx); the Express server streams any size
+const { createJiraHandlers } = require('../../lib/jira-handlers.cjs');
+const { createNetlifyHandler } = require('../../lib/http-adapters.cjs');
+
+const { uploadJiraAttachment } = createJiraHandlers();
+
+// 30 requests per minute per IP - one request per file
+exports.handler = createNetlifyHandler(uploadJiraAttachment, {
+  maxRequests: 30,
+  allowHeaders: 'Content-Type, X-Jira-Session, X-Jira-Issue, X-File-Name, X-File-Type, X-Skip-Existing',
+  rawBody: true
+});
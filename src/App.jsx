@@ -1,10 +1,23 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Upload, AlertCircle, CheckCircle, Loader2, FileText, Video, Download, Moon, Sun, Maximize2, X as CloseIcon, Award, Mic, MicOff, Sparkles, History, Lightbulb, ExternalLink, Settings, Plus, Trash2 } from 'lucide-react';
+import { Upload, AlertCircle, CheckCircle, Loader2, FileText, Video, Download, Moon, Sun, Maximize2, X as CloseIcon, Award, Mic, MicOff, Sparkles, History, Lightbulb, ExternalLink, Settings, Plus, Trash2, ChevronDown, ChevronUp, Search, RefreshCw, Lock, Unlock } from 'lucide-react';
 import Confetti from './components/Confetti';
 import Toast from './components/Toast';
 import FormattedTicket from './components/FormattedTicket';
 import TicketSkeleton from './components/TicketSkeleton';
 import SearchableSelect from './components/SearchableSelect';
+import JiraUserPicker from './components/JiraUserPicker';
+import RefineChat from './components/RefineChat';
+import ClarifyingQuestions from './components/ClarifyingQuestions';
+import AttachmentUploads from './components/AttachmentUploads';
+import LogsPanel from './components/LogsPanel';
+import { ISSUE_TYPES, getIssueType, withNewDefaultSections } from './issueTypes';
+import { readTicketStream, parsePartialJson, getStreamedSections } from './ticketStream';
+import { PRIORITIES, SEVERITIES, APP_FILLED_FIELDS, getTicketFields, validateTicket, renderTicketMarkdown, parseTicketMarkdown, ticketToJiraFields } from './ticketSchema';
+import { getSectionChanges, hasUndecidedChanges } from './ticketDiff';
+import { assessPriority } from './priorityEngine';
+import { optimizeImage, getScaledSize } from './mediaPipeline';
+import { DOCUMENT_TYPES, DOCUMENT_ACCEPT, getDocumentKind, summarizeHar, formatHarSummary } from './documentFiles';
+import { parseLogs, getMinifiedFrames, toSymbolicatedMap, formatErrorDetails, frameKey } from './logParser';
 
 // Helper function that ALWAYS does direct URL-based detection (most reliable)
 const getApiEndpointDirect = (functionName) => {
@@ -107,136 +120,6 @@ const getApiEndpoint = (functionName) => {
 // API endpoint - will be set at runtime when function is called
 // We'll call getApiEndpoint() each time to ensure fresh detection
 
-// Enhanced encryption/decryption for localStorage
-// NOTE: This is obfuscation, not true encryption. Sensitive data like API tokens
-// should ideally be stored server-side or in secure session storage.
-// We use a stronger XOR cipher with per-device fingerprint and salt.
-
-const getDeviceFingerprint = () => {
-  // Create a semi-persistent device fingerprint (not truly unique, but better than hardcoded)
-  const canvas = document.createElement('canvas');
-  const ctx = canvas.getContext('2d');
-  ctx.textBaseline = 'top';
-  ctx.font = '14px Arial';
-  ctx.fillText('fingerprint', 2, 2);
-  const fingerprint = canvas.toDataURL().substring(0, 50);
-  
-  // Combine with navigator properties
-  const combined = fingerprint + 
-    (navigator.userAgent || '') + 
-    (navigator.language || '') + 
-    (screen.colorDepth || '') + 
-    (new Date().getTimezoneOffset() || '');
-  
-  // Hash it to a consistent length
-  let hash = 0;
-  for (let i = 0; i < combined.length; i++) {
-    const char = combined.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32bit integer
-  }
-  return Math.abs(hash).toString(16);
-};
-
-const STORAGE_KEY = 'wsbug_k3y_2024_v2'; // Base obfuscation key
-
-const encryptData = (data) => {
-  if (!data) return '';
-  try {
-    const deviceKey = getDeviceFingerprint();
-    const combinedKey = STORAGE_KEY + deviceKey;
-    
-    // Add random salt (store with encrypted data)
-    const salt = Array.from(crypto.getRandomValues(new Uint8Array(8)))
-      .map(b => b.toString(16).padStart(2, '0'))
-      .join('');
-    
-    // Encrypt: salt + data
-    const dataWithSalt = salt + data;
-    const encrypted = btoa(String.fromCharCode(...new TextEncoder().encode(dataWithSalt).map((byte, i) => {
-      const keyByte = combinedKey.charCodeAt(i % combinedKey.length);
-      const saltByte = parseInt(salt.substring((i % 8) * 2, (i % 8) * 2 + 2), 16);
-      return byte ^ keyByte ^ saltByte;
-    })));
-    
-    return encrypted;
-  } catch {
-    return data; // Fallback to plaintext if encryption fails
-  }
-};
-
-// Helper to check if a string looks like encrypted/binary data
-const looksLikeEncrypted = (str) => {
-  if (!str) return false;
-  // Check for non-printable characters (binary data)
-  // Jira API tokens are base64-like and can be any length, so don't check length
-  const nonPrintableRegex = /[\x00-\x08\x0E-\x1F\x7F-\x9F]/;
-  return nonPrintableRegex.test(str);
-};
-
-const decryptData = (encrypted) => {
-  if (!encrypted) return '';
-  
-  // If it doesn't look encrypted (no base64 padding, looks like plain text), return as-is
-  if (!encrypted.includes('=') && !looksLikeEncrypted(encrypted) && encrypted.length < 50) {
-    // Might be stored unencrypted
-    return encrypted;
-  }
-  
-  try {
-    const deviceKey = getDeviceFingerprint();
-    const combinedKey = STORAGE_KEY + deviceKey;
-    
-    // First decrypt to get salt + data
-    const decoded = atob(encrypted);
-    const decrypted = new TextDecoder().decode(new Uint8Array(
-      decoded.split('').map((char, i) => {
-        const keyByte = combinedKey.charCodeAt(i % combinedKey.length);
-        return char.charCodeAt(0) ^ keyByte;
-      })
-    ));
-    
-    // Extract salt (first 16 characters)
-    const salt = decrypted.substring(0, 16);
-    
-    // Decrypt the data part with salt
-    const finalData = Array.from(decrypted.substring(16)).map((char, i) => {
-      const saltByte = parseInt(salt.substring(((i + 16) % 8) * 2, ((i + 16) % 8) * 2 + 2), 16);
-      return String.fromCharCode(char.charCodeAt(0) ^ saltByte);
-    }).join('');
-    
-    // Validate decrypted data - should not contain non-printable characters
-    if (looksLikeEncrypted(finalData)) {
-      console.warn('Decrypted data looks encrypted, trying old method');
-      throw new Error('Decrypted data validation failed');
-    }
-    
-    return finalData;
-  } catch (error) {
-    // Try old decryption method for backwards compatibility
-    try {
-      const decoded = atob(encrypted);
-      const decrypted = new TextDecoder().decode(new Uint8Array(
-        decoded.split('').map((char, i) => 
-          char.charCodeAt(0) ^ STORAGE_KEY.charCodeAt(i % STORAGE_KEY.length)
-        )
-      ));
-      
-      // Validate decrypted data
-      if (looksLikeEncrypted(decrypted)) {
-        console.error('Decryption failed - result looks encrypted');
-        return ''; // Return empty instead of encrypted value
-      }
-      
-      return decrypted;
-    } catch (e) {
-      console.error('All decryption methods failed:', e);
-      // Return empty string instead of encrypted value to prevent sending garbage
-      return '';
-    }
-  }
-};
-
 // Sanitize text input to prevent XSS
 const sanitizeText = (text) => {
   if (!text) return '';
@@ -257,18 +140,147 @@ const sanitizeFileName = (filename) => {
     .substring(0, 255); // Limit length
 };
 
+// Jira issue keys look like WE-123 (same check as the backend)
+const JIRA_ISSUE_KEY_PATTERN = /^[A-Z][A-Z0-9_]+-\d+$/;
+
+// Link relations the backend accepts, read from the new ticket's side ("this ticket blocks WE-12")
+const JIRA_LINK_RELATIONS = ['relates to', 'blocks', 'is blocked by', 'duplicates'];
+
+// Files one ticket can carry - the generate routes take at most 10 media items and 10 documents
+const MAX_FILES = 10;
+
+// Image types the AI reads (IMAGE_MEDIA_TYPES in lib/ticket-prompt.cjs) - the media pipeline re-encodes most others
+// (BMP, TIFF, ...) as WebP; what is still in another format after it (SVG) can't be sent with the ticket
+const AI_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// Largest file one upload request can carry on this deployment, in bytes - null when there is no cap (the Express
+// server streams files of any size). Vercel caps a function's request body at 4.5 MB and Netlify at 6 MB of base64
+// (4.5 MB of file), and Jira can't assemble an attachment from several requests, so larger files are refused before
+// they are sent. VITE_MAX_UPLOAD_MB sets the cap for deployments the hostname doesn't give away (custom domains).
+// Lifting the cap on serverless needs object storage to stage the file in (see Attachment Uploads in the README).
+const getUploadSizeLimit = () => {
+  const configured = Number(import.meta.env.VITE_MAX_UPLOAD_MB);
+  if (configured > 0) {
+    return configured * 1024 * 1024;
+  }
+  const hostname = typeof window !== 'undefined' && window.location ? window.location.hostname.toLowerCase() : '';
+  const isServerless = ['vercel.app', 'vercel.com', 'netlify.app', 'netlify.com'].some(host => hostname.includes(host));
+  return isServerless ? 4 * 1024 * 1024 : null;
+};
+
+const formatUploadLimit = (bytes) => `${Math.round((bytes / 1024 / 1024) * 10) / 10} MB`;
+
+// POST a file as the raw request body, reporting upload progress (fetch can't) - resolves { ok, status, data }
+const uploadWithProgress = (url, file, headers, onProgress) => new Promise((resolve, reject) => {
+  const xhr = new XMLHttpRequest();
+  xhr.open('POST', url);
+  xhr.timeout = 10 * 60 * 1000; // 10 minutes - screen recordings can be large
+  xhr.setRequestHeader('Content-Type', 'application/octet-stream');
+  Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+  xhr.upload.onprogress = (e) => onProgress(e.loaded);
+  xhr.onload = () => {
+    let data = {};
+    try {
+      data = JSON.parse(xhr.responseText);
+    } catch {
+      // Not JSON - e.g. the hosting platform's own 413 page
+    }
+    resolve({ ok: xhr.status >= 200 && xhr.status < 300, status: xhr.status, data });
+  };
+  xhr.onerror = () => reject(new Error('Network error'));
+  xhr.ontimeout = () => reject(new Error('Upload timed out'));
+  xhr.send(file);
+});
+
+// Per-file attachment results kept on a pushed issue - [{ id, name, status: 'uploaded' | 'skipped' | 'failed', error,
+// tooLarge }] (id: the added file's id; tooLarge: over this deployment's upload cap, so a retry can't help).
+// The newest result for a file replaces the one from an earlier push or retry - by id, since two files can share a
+// name (pasted "image.png" screenshots); results saved before ids were kept fall back to the name.
+const getAttachmentResultKey = (result) => result.id || result.name;
+
+const mergeAttachmentResults = (previous = [], uploads = []) => {
+  const results = new Map(previous.map(result => [getAttachmentResultKey(result), result]));
+  uploads.forEach(({ id, name, status, error, tooLarge }) => results.set(getAttachmentResultKey({ id, name }), {
+    id,
+    name,
+    status,
+    ...(error ? { error } : {}),
+    ...(tooLarge ? { tooLarge } : {})
+  }));
+  return [...results.values()];
+};
+
+// The added files to send again for an issue's failed results - [{ result, fileItem }], one file per result at most.
+// A result's own file (same id) comes first. Files only live in memory, so after a reload they have to be added again
+// and get new ids: those are matched by name, among the added files that aren't already one of the issue's results.
+const matchFailedAttachments = (results = [], fileItems = []) => {
+  const claimed = new Set(results.map(result => result.id).filter(Boolean));
+  return results
+    .filter(result => result.status === 'failed' && !result.tooLarge)
+    .map(result => {
+      let fileItem = fileItems.find(item => item.id === result.id);
+      if (!fileItem) {
+        fileItem = fileItems.find(item => !claimed.has(item.id) && item.name === result.name);
+        if (fileItem) {
+          claimed.add(fileItem.id);
+        }
+      }
+      return { result, fileItem };
+    })
+    .filter(({ fileItem }) => fileItem);
+};
+
+const ATTACHMENT_STATUS_LABELS = { uploaded: 'attached', skipped: 'already in Jira', failed: 'failed' };
+
+// "2 attached, 1 already in Jira" - empty when there are no results
+const summarizeAttachmentResults = (results = []) => Object.entries(ATTACHMENT_STATUS_LABELS)
+  .map(([status, label]) => [results.filter(result => result.status === status).length, label])
+  .filter(([count]) => count > 0)
+  .map(([count, label]) => `${count} ${label}`)
+  .join(', ');
+
+// Jira fields the AI suggests per ticket (see /api/classify-ticket) - the Jira settings hold the defaults
+const JIRA_ROUTING_FIELDS = [
+  { id: 'component', label: 'Component' },
+  { id: 'productLine', label: 'Product Line' },
+  { id: 'instance', label: 'Instance' },
+  { id: 'engineeringTeam', label: 'Engineering Team' }
+];
+
+// Routing fields the user picked by hand - a new AI suggestion never replaces them
+const getEditedRouting = (routing) => Object.fromEntries(Object.entries(routing).filter(([, item]) => item.edited));
+
 export default function BugTrackerApp() {
   const [bugDescription, setBugDescription] = useState('');
   const [files, setFiles] = useState([]); // Changed to array for multiple files
+  // Logs panel - the pasted text, the errors parsed from it and the original positions of its minified frames
+  const [logsText, setLogsText] = useState('');
+  const [logErrors, setLogErrors] = useState([]);
+  const [symbolicatedFrames, setSymbolicatedFrames] = useState({});
+  const [isSymbolicating, setIsSymbolicating] = useState(false);
   const [loading, setLoading] = useState(false);
-  const [ticket, setTicket] = useState(null);
-  const [originalTicket, setOriginalTicket] = useState(null); // Store original AI-generated ticket
+  // Canonical structured ticket ({ issueType, fields, values }) - the markdown shown and copied is rendered from it
+  const [ticketData, setTicketData] = useState(null);
+  const [originalTicketData, setOriginalTicketData] = useState(null); // Store original AI-generated ticket
+  const ticket = ticketData ? renderTicketMarkdown(ticketData) : null;
+  const originalTicket = originalTicketData ? renderTicketMarkdown(originalTicketData) : null;
   const [isEditingTicket, setIsEditingTicket] = useState(false);
+  // Refinement chat turns for the current ticket (kept on its history entry) - see RefineChat
+  const [refineConversation, setRefineConversation] = useState([]);
+  const [refineInstruction, setRefineInstruction] = useState('');
+  const [isRefining, setIsRefining] = useState(false);
+  // Section ids pinned by the user - regenerations and refinements keep their text (kept on the history entry)
+  const [lockedSections, setLockedSections] = useState([]);
+  const [regeneratingSection, setRegeneratingSection] = useState(null); // Section id being rewritten
+  // Clarifying questions before generation (opt-in, remembered) - [{ question, choices, answer }] while shown
+  const [askClarifyingQuestions, setAskClarifyingQuestions] = useState(() => localStorage.getItem('askClarifyingQuestions') === 'true');
+  const [clarifyingQuestions, setClarifyingQuestions] = useState(null);
+  const [isClarifying, setIsClarifying] = useState(false);
   const [editedTicket, setEditedTicket] = useState('');
   const [showSaveDialog, setShowSaveDialog] = useState(false);
   const [error, setError] = useState('');
   const [copied, setCopied] = useState(false);
-  const [countdown, setCountdown] = useState(15);
+  const [elapsedSeconds, setElapsedSeconds] = useState(0);
   const [wordCount, setWordCount] = useState(0);
   const [showConfetti, setShowConfetti] = useState(false);
   const [toast, setToast] = useState(null);
@@ -280,7 +292,7 @@ export default function BugTrackerApp() {
   const [charCount, setCharCount] = useState(0);
   const textareaRef = useRef(null);
   const [loadingStep, setLoadingStep] = useState('');
-  const [loadingProgress, setLoadingProgress] = useState(0);
+  const [streamingTicket, setStreamingTicket] = useState(''); // Ticket text received so far while generating
   const [qualityScore, setQualityScore] = useState(null);
   
   // New feature states
@@ -290,82 +302,105 @@ export default function BugTrackerApp() {
   const [aiSuggestions, setAiSuggestions] = useState(null);
   const [isEnhancing, setIsEnhancing] = useState(false);
   const recognitionRef = useRef(null);
-  const countdownIntervalRef = useRef(null); // Track countdown interval for cleanup
+  const elapsedIntervalRef = useRef(null); // Track elapsed-time interval for cleanup
+  const generationControllerRef = useRef(null); // Aborts the running generation (Cancel button)
+  const preparedMediaRef = useRef(null); // Media last built from the uploaded files ({ files, media })
   
   // Jira integration states
   const [showJiraSettings, setShowJiraSettings] = useState(false);
   const [showTicketFormatSettings, setShowTicketFormatSettings] = useState(false);
   // Load Jira config from localStorage
+  // The API token itself is never stored in the browser - only the sessionId issued by the server
   const loadJiraConfig = () => {
-    try {
-      // Get token directly from localStorage
-      const storedToken = localStorage.getItem('jiraApiToken');
-      let apiToken = '';
-      
-      if (storedToken) {
-        // Check if it looks like encrypted data (has non-printable characters)
-        if (looksLikeEncrypted(storedToken)) {
-          // Try to decrypt (for backwards compatibility with old encrypted tokens)
-          try {
-            const decrypted = decryptData(storedToken);
-            if (decrypted && !looksLikeEncrypted(decrypted)) {
-              apiToken = decrypted;
-            } else {
-              // Decryption failed or produced garbage
-              console.warn('Token decryption failed, using empty token');
-              apiToken = '';
-            }
-          } catch (e) {
-            console.warn('Error decrypting token:', e);
-            apiToken = '';
-          }
-        } else {
-          // Token is stored as plain text - use it directly
-          apiToken = storedToken;
-        }
-      }
-      
-      const config = {
-    url: localStorage.getItem('jiraUrl') || 'https://workspan.atlassian.net/',
-    email: localStorage.getItem('jiraEmail') || '',
-        apiToken: apiToken,
-    projectKey: localStorage.getItem('jiraProjectKey') || '',
-    instance: localStorage.getItem('jiraInstance') || '',
-    productLine: localStorage.getItem('jiraProductLine') || '',
-    component: localStorage.getItem('jiraComponent') || '',
-        foundVersion: localStorage.getItem('jiraFoundVersion') || '',
-        engineeringTeam: localStorage.getItem('jiraEngineeringTeam') || ''
-      };
-      
-      console.log('Loaded Jira config:', {
-        url: config.url,
-        email: config.email,
-        apiTokenLength: config.apiToken ? config.apiToken.length : 0,
-        apiTokenPresent: !!config.apiToken,
-        storedTokenLength: storedToken ? storedToken.length : 0
-      });
-      
-      return config;
-    } catch (error) {
-      console.error('Error loading Jira config:', error);
-      return {
-        url: localStorage.getItem('jiraUrl') || 'https://workspan.atlassian.net/',
-        email: localStorage.getItem('jiraEmail') || '',
-        apiToken: '',
-        projectKey: localStorage.getItem('jiraProjectKey') || '',
-        instance: localStorage.getItem('jiraInstance') || '',
-        productLine: localStorage.getItem('jiraProductLine') || '',
-        component: localStorage.getItem('jiraComponent') || '',
-        foundVersion: localStorage.getItem('jiraFoundVersion') || '',
-        engineeringTeam: localStorage.getItem('jiraEngineeringTeam') || ''
-      };
+    // Drop tokens saved by older versions that kept them in localStorage
+    if (localStorage.getItem('jiraApiToken')) {
+      localStorage.removeItem('jiraApiToken');
     }
+
+    const sessionExpiresAt = Number(localStorage.getItem('jiraSessionExpiresAt')) || 0;
+    const sessionActive = sessionExpiresAt > Date.now();
+
+    return {
+      url: localStorage.getItem('jiraUrl') || 'https://workspan.atlassian.net/',
+      email: localStorage.getItem('jiraEmail') || '',
+      apiToken: '', // Only held in state while the user is typing a new token
+      sessionId: sessionActive ? localStorage.getItem('jiraSessionId') || '' : '',
+      sessionExpiresAt: sessionActive ? sessionExpiresAt : 0,
+      projectKey: localStorage.getItem('jiraProjectKey') || '',
+      instance: localStorage.getItem('jiraInstance') || '',
+      productLine: localStorage.getItem('jiraProductLine') || '',
+      component: localStorage.getItem('jiraComponent') || '',
+      foundVersion: localStorage.getItem('jiraFoundVersion') || '',
+      engineeringTeam: localStorage.getItem('jiraEngineeringTeam') || ''
+    };
   };
 
   const [jiraConfig, setJiraConfig] = useState(loadJiraConfig());
   const [isPushingToJira, setIsPushingToJira] = useState(false);
   const [jiraPushStep, setJiraPushStep] = useState('');
+  // Per-file progress of the attachments being streamed to Jira (see components/AttachmentUploads.jsx)
+  const [attachmentUploads, setAttachmentUploads] = useState([]);
+  const [isRetryingAttachments, setIsRetryingAttachments] = useState(false);
+  // Jira issue the current ticket was pushed to ({ key, url }) - pushing again updates it instead of creating a duplicate
+  const [jiraIssue, setJiraIssue] = useState(null);
+  // Similar open issues found before creating ({ issues }) - shown in the duplicate check modal
+  const [duplicateCheck, setDuplicateCheck] = useState(null);
+  const [commentingOnIssue, setCommentingOnIssue] = useState(null);
+
+  // Parent epic for pushed tickets ({ url, projectKey, key, summary }) - kept across tickets so every bug
+  // from a sprint test run lands in the sprint's epic
+  const loadJiraParentEpic = () => {
+    try {
+      const saved = localStorage.getItem('jiraParentEpic');
+      if (saved) {
+        return JSON.parse(saved);
+      }
+    } catch (e) {
+      console.error('Error loading Jira parent epic:', e);
+    }
+    return null;
+  };
+
+  const [jiraParentEpic, setJiraParentEpic] = useState(loadJiraParentEpic());
+  // Issue links of the current ticket ([{ relation, key }]) - sent with the next push
+  const [jiraLinks, setJiraLinks] = useState([]);
+  const [showJiraLinks, setShowJiraLinks] = useState(false);
+  const [epicQuery, setEpicQuery] = useState('');
+  const [epicResults, setEpicResults] = useState(null);
+  const [isSearchingEpics, setIsSearchingEpics] = useState(false);
+
+  // Sprint for pushed tickets ({ url, projectKey, id, name }) - kept across tickets like the parent epic
+  const loadJiraSprint = () => {
+    try {
+      const saved = localStorage.getItem('jiraSprint');
+      if (saved) {
+        return JSON.parse(saved);
+      }
+    } catch (e) {
+      console.error('Error loading Jira sprint:', e);
+    }
+    return null;
+  };
+
+  const [jiraSprint, setJiraSprint] = useState(loadJiraSprint());
+  const [jiraSprints, setJiraSprints] = useState(null);
+  const [isLoadingSprints, setIsLoadingSprints] = useState(false);
+  // Assignee / reporter ({ accountId, displayName }) and labels of the current ticket
+  const [jiraAssignee, setJiraAssignee] = useState(null);
+  const [jiraReporter, setJiraReporter] = useState(null);
+  const [jiraLabels, setJiraLabels] = useState([]);
+  const [labelInput, setLabelInput] = useState('');
+  // Routing of the current ticket ({ field: { value, confidence, reason } }, or { value, edited: true } when picked
+  // by hand) - overrides the Jira settings defaults for this ticket only (kept on the history entry)
+  const [jiraRouting, setJiraRouting] = useState({});
+  const [isClassifying, setIsClassifying] = useState(false);
+  const [editingRoutingField, setEditingRoutingField] = useState(null);
+  const classifyRequestRef = useRef(0); // Bumped for every new ticket so a late suggestion for an old one is dropped
+  // Priority the AI gave the current ticket before the priority engine blended in its rules (kept on the history entry)
+  const [modelPriority, setModelPriority] = useState(null);
+  const [currentHistoryId, setCurrentHistoryId] = useState(null);
   const [isTestingConnection, setIsTestingConnection] = useState(false);
+  const [isSavingJiraConfig, setIsSavingJiraConfig] = useState(false);
 
   // Environment Configuration state
   const loadEnvironmentConfig = () => {
@@ -388,38 +423,104 @@ export default function BugTrackerApp() {
 
   const [environmentConfig, setEnvironmentConfig] = useState(loadEnvironmentConfig());
 
-  // Default ticket format fields
-  const DEFAULT_TICKET_FIELDS = [
-    { id: 'title', name: 'Title', enabled: true, isDefault: true },
-    { id: 'description', name: 'Description', enabled: true, isDefault: true },
-    { id: 'steps', name: 'Steps to Reproduce', enabled: true, isDefault: true },
-    { id: 'expected', name: 'Expected Behaviour', enabled: true, isDefault: true },
-    { id: 'actual', name: 'Actual Behaviour', enabled: true, isDefault: true },
-    { id: 'impact', name: 'Impact', enabled: true, isDefault: true },
-    { id: 'priority', name: 'Priority', enabled: true, isDefault: true },
-    { id: 'environment', name: 'Environment', enabled: true, isDefault: true },
-    { id: 'attachment', name: 'Attachment', enabled: true, isDefault: true }
-  ];
-
-  // Ticket format configuration
-  const [ticketFormat, setTicketFormat] = useState(() => {
-    const saved = localStorage.getItem('ticketFormat');
-    if (saved) {
-      try {
-        return JSON.parse(saved);
-      } catch {
-        return DEFAULT_TICKET_FIELDS;
+  // Issue type being written (bug, task, story, subtask, incident) - prompt and default sections come from src/issueTypes.js
+  const [issueType, setIssueType] = useState(() => getIssueType(localStorage.getItem('issueType')).id);
+  const currentIssueType = getIssueType(issueType);
+  // Parent issue of a sub-task - kept across tickets so several sub-tasks can go under one issue
+  const [subtaskParentKey, setSubtaskParentKey] = useState('');
+
+  // Ticket format configuration, one per issue type ({ bug: [...], story: [...] })
+  // A format saved before issue types existed becomes the bug format; default sections added since are merged in
+  const [ticketFormats, setTicketFormats] = useState(() => {
+    const withDefaults = (formats) => Object.fromEntries(Object.entries(formats)
+      .map(([id, format]) => [id, withNewDefaultSections(format, getIssueType(id).sections)]));
+    try {
+      const saved = localStorage.getItem('ticketFormats');
+      if (saved) {
+        return withDefaults(JSON.parse(saved));
+      }
+      const legacyFormat = localStorage.getItem('ticketFormat');
+      if (legacyFormat) {
+        return withDefaults({ bug: JSON.parse(legacyFormat) });
       }
+    } catch {
+      return {};
     }
-    return DEFAULT_TICKET_FIELDS;
+    return {};
   });
+  const ticketFormat = ticketFormats[issueType] || currentIssueType.sections;
+  // Live generation progress - sections whose heading has streamed in, out of the enabled ones
+  const streamedSections = getStreamedSections(streamingTicket);
+  const enabledSectionCount = ticketFormat.filter(f => f.enabled).length;
+  // Same API as a plain useState setter, applied to the current issue type's format
+  const setTicketFormat = (update) => {
+    setTicketFormats(prev => {
+      const current = prev[issueType] || getIssueType(issueType).sections;
+      return { ...prev, [issueType]: typeof update === 'function' ? update(current) : update };
+    });
+  };
   const [draggedField, setDraggedField] = useState(null);
 
-  // Jira dropdown options
-  const JIRA_INSTANCES = ['Prod', 'UAT', 'VMWare UAT', 'Cisco-QA', 'QA', 'Demo', 'Cisco PS Dev', 'Cisco PS Test', 'Cisco UAT'];
-  const JIRA_PRODUCT_LINES = ['AI Teammates', 'Co-Sell Ecosystem', 'Co-Sell Hyperscaler', 'Marketplace', 'CTG', 'Enterprise', 'CRM', 'Partner Desk'];
-  const JIRA_ENGINEERING_TEAMS = ['Centaurus', 'Jarvis (QA team)', 'Polaris', 'PS Team', 'Solaris', 'Spartans', 'SRE', 'Supernova', 'Support Team', 'Tigers', 'Wave', 'Titans', 'Megatron', 'AI Mates', 'Product Management', 'Partner Desk'];
-  const JIRA_COMPONENTS = ['100X', '100x Metrics', '100x Reports', '100x Table view', '100x tasks', '1x Metrics', '1x Table view', 'Accept / Decline Flow', 'Access policies', 'ACE API', 'Activity Log', 'Add from CRM', 'Agreement', 'AI', 'AI Teammates', 'apex', 'api', 'App Installer', 'Application Users', 'Archiving Objects', 'ATM - Chat Session', 'ATM - Partner Advantage Panel', 'ATM - SFDC Administration', 'ATM - Teammate Actions', 'ATM - Teammate Insights', 'ATM - Teammate Knowledge Base', 'ATM - Teammate Profile', 'ATM - Teammate Question Prompts', 'ATM- License Management', 'Attachments', 'Auth & Provisioning', 'Auto-Create', 'Auto-Link', 'BPA', 'Breadcrumb', 'calculated field', 'Charts', 'Clone', 'Codacy', 'Company Page', 'Config Manager', 'Contact Details', 'datastore', 'Date & Time', 'db', 'Deal Size', 'Deal Term', 'Digital', 'Email Notification', 'ETL', 'Export', 'Feature flags', 'Field Dependency', 'fileservice', 'Filter & Sort', 'gae', 'go', 'Grid Edit', 'Historical Upload', 'Home', 'Hubspot', 'hubspot_outbound', 'Incoming Referrals', 'Integrations', 'Jenkins', 'Launch flow', 'leads', 'Listing', 'Localization', 'Login', 'marketplace', 'Membership', 'Membership Reports', 'Merge', 'Microsoft Partner Center', 'NA', 'Nav Bar', 'Object Stages', 'Offer', 'One-Object', 'Others', 'Outgoing Flow', 'Overview', 'Partner Program', 'Partner-Split', 'Performance', 'PLI', 'PROD', 'Profile', 'Project currency', 'py3', 'Reference table/lov', 'Report', 'rpc', 'salesforce outbound', 'Salesforce Setup', 'Search', 'Section List', 'security', 'SFDC Embed', 'Share object', 'Single List', 'SSO', 'Staging Table', 'Submit', 'Summary Panel', 'Sync Issue', 'Template', 'UI', 'Upgrades', 'Validation Engine', 'Value Map', 'Wizard', 'Workcenter', 'Workflow'];
+  // Jira dropdown options - loaded from the createmeta of the project's issue type via the backend, cached per
+  // site + project + issue type (each type has its own screen, so its own option lists)
+  const loadJiraFieldOptions = () => {
+    try {
+      const saved = localStorage.getItem('jiraFieldOptions');
+      if (saved) {
+        return JSON.parse(saved);
+      }
+    } catch (e) {
+      console.error('Error loading Jira field options:', e);
+    }
+    return { url: '', projectKey: '', issueType: '', options: {}, levels: {}, fetchedAt: 0 };
+  };
+
+  const [jiraFieldOptions, setJiraFieldOptions] = useState(loadJiraFieldOptions());
+  const [isLoadingJiraFieldOptions, setIsLoadingJiraFieldOptions] = useState(false);
+
+  // Options only apply to the site, project and issue type they were loaded for
+  const jiraFieldOptionsMatch = jiraFieldOptions.url === jiraConfig.url.trim() && jiraFieldOptions.projectKey === jiraConfig.projectKey &&
+    jiraFieldOptions.issueType === issueType;
+  const getJiraFieldOptions = (field) => (jiraFieldOptionsMatch && jiraFieldOptions.options[field]) || [];
+  // The Jira option a priority / severity level is sent as - { P1: 'Blocker', ... } from the field mapping
+  const getJiraLevels = (field) => (jiraFieldOptionsMatch && jiraFieldOptions.levels && jiraFieldOptions.levels[field]) || {};
+  const formatLevel = (field, level) => (getJiraLevels(field)[level] ? `${level} · ${getJiraLevels(field)[level]}` : level);
+  // The ticket's own routing value, else the default from Jira settings
+  const getRoutingValue = (field) => (jiraRouting[field] && jiraRouting[field].value) || jiraConfig[field];
+  // Live priority suggestion for the current ticket - follows routing changes, the ticket's own priority doesn't
+  const priorityAssessment = ticketData
+    ? assessPriority({
+      ticket: ticketData,
+      description: bugDescription,
+      modelPriority,
+      instances: [getRoutingValue('instance'), environmentConfig.instance],
+      component: getRoutingValue('component')
+    })
+    : null;
+  const hasPrioritySection = !!ticketData && ticketData.fields.some(field => field.id === 'priority');
+  // Severity is picked under Jira Details when the ticket has a Severity section or the project maps one
+  const hasSeveritySection = !!ticketData && ticketData.fields.some(field => field.id === 'severity');
+  const showSeverity = hasSeveritySection || Object.keys(getJiraLevels('severity')).length > 0;
+  // The ticket's Error Details section - empty without logs, and the section is then left out
+  const errorDetails = formatErrorDetails(logErrors, symbolicatedFrames);
+  const minifiedFrames = getMinifiedFrames(logErrors);
+  // Files that didn't reach the pushed issue - retried from the added files (see matchFailedAttachments); files over
+  // the deployment's upload cap would only fail again
+  const failedAttachments = jiraIssue ? (jiraIssue.attachments || []).filter(result => result.status === 'failed') : [];
+  const retryableAttachments = jiraIssue ? matchFailedAttachments(jiraIssue.attachments, files) : [];
+  const canRetryAttachments = retryableAttachments.length > 0;
+  // The saved epic only applies to the site + project it was picked in
+  const activeParentEpic = jiraParentEpic && jiraParentEpic.url === jiraConfig.url.trim() && jiraParentEpic.projectKey === jiraConfig.projectKey
+    ? jiraParentEpic
+    : null;
+  const activeSprint = jiraSprint && jiraSprint.url === jiraConfig.url.trim() && jiraSprint.projectKey === jiraConfig.projectKey
+    ? jiraSprint
+    : null;
+  const jiraFieldOptionsEmptyMessage = isLoadingJiraFieldOptions
+    ? 'Loading options from Jira...'
+    : jiraConfig.sessionId && jiraConfig.projectKey
+    ? 'No options available in Jira for this field'
+    : 'Test the connection and enter a project key to load options from Jira';
 
   const handleFileChange = (e) => {
     const selectedFiles = Array.from(e.target.files);
@@ -428,19 +529,58 @@ export default function BugTrackerApp() {
     e.target.value = '';
   };
 
+  // A document file as a file item - a HAR capture is summarized for the prompt (summary stays empty if it can't be read)
+  const readDocumentFile = async (file, documentKind) => {
+    const name = sanitizeFileName(file.name);
+    let summary = '';
+    if (documentKind === 'har') {
+      try {
+        summary = formatHarSummary(name, summarizeHar(await file.text()));
+      } catch (error) {
+        console.error(`Could not summarize ${file.name}:`, error);
+      }
+    }
+    return {
+      file,
+      preview: null,
+      name,
+      type: file.type || DOCUMENT_TYPES[documentKind],
+      size: file.size,
+      originalSize: file.size,
+      documentKind,
+      summary,
+      id: `${Date.now()}-${Math.random().toString(36).substring(2, 11)}`
+    };
+  };
+
   const addFiles = (newFiles) => {
-    // Filter valid files (images and videos only)
-    const validFiles = newFiles.filter(file => 
-      file.type.startsWith('image/') || file.type.startsWith('video/')
-    );
+    // Filter valid files (images, videos and documents - logs, HAR captures, text, JSON, PDF)
+    const isMedia = (file) => file.type.startsWith('image/') || file.type.startsWith('video/');
+    const supportedFiles = newFiles.filter(file => isMedia(file) || getDocumentKind(file.name));
 
-    if (validFiles.length === 0) {
-      setToast({ message: '❌ Please upload image or video files only', type: 'error' });
+    if (supportedFiles.length === 0) {
+      setToast({ message: '❌ Please upload images, videos, or .har, .log, .txt, .json or .pdf files', type: 'error' });
+      return;
+    }
+    if (files.length >= MAX_FILES) {
+      setToast({ message: `❌ A ticket can have at most ${MAX_FILES} files - remove one to add another`, type: 'error' });
       return;
     }
+    // Files past the cap are left out rather than failing the generation later
+    const validFiles = supportedFiles.slice(0, MAX_FILES - files.length);
+    const overLimit = supportedFiles.slice(validFiles.length).map(file => file.name);
+
+    const imageCount = validFiles.filter(file => file.type.startsWith('image/')).length;
+    if (imageCount > 0) {
+      setToast({ message: `🗜️ Optimizing ${imageCount} image(s)...`, type: 'info' });
+    }
 
-    // Process each file
-    const filePromises = validFiles.map(file => {
+    // Process each file - images go through the media pipeline first (downscaled, re-encoded, EXIF stripped)
+    const filePromises = validFiles.map(async originalFile => {
+      if (!isMedia(originalFile)) {
+        return readDocumentFile(originalFile, getDocumentKind(originalFile.name));
+      }
+      const { file, originalSize } = await optimizeImage(originalFile);
       return new Promise((resolve, reject) => {
         const reader = new FileReader();
         reader.onloadend = () => {
@@ -450,6 +590,7 @@ export default function BugTrackerApp() {
             name: sanitizeFileName(file.name), // Sanitized filename
             type: file.type,
             size: file.size,
+            originalSize,
             id: `${Date.now()}-${Math.random().toString(36).substring(2, 11)}` // Better unique ID
           });
         };
@@ -459,13 +600,39 @@ export default function BugTrackerApp() {
     });
 
     Promise.all(filePromises)
-      .then(processedFiles => {
+      .then(readFiles => {
+        const unreadable = readFiles.filter(item => item.type.startsWith('image/') && !AI_IMAGE_TYPES.includes(item.type));
+        const processedFiles = readFiles.filter(item => !unreadable.includes(item));
+        const skippedNote = [
+          unreadable.length > 0 ? ` · ❌ ${unreadable.map(item => item.name).join(', ')} skipped - images must be JPEG, PNG, GIF or WebP` : '',
+          overLimit.length > 0 ? ` · ❌ ${overLimit.join(', ')} skipped - at most ${MAX_FILES} files per ticket` : ''
+        ].join('');
+        if (processedFiles.length === 0) {
+          setToast({ message: `❌ No files added${skippedNote}`, type: 'error' });
+          return;
+        }
+        const originalBytes = processedFiles.reduce((sum, item) => sum + item.originalSize, 0);
+        const optimizedBytes = processedFiles.reduce((sum, item) => sum + item.size, 0);
+        const savings = optimizedBytes < originalBytes
+          ? ` · images optimized ${(originalBytes / 1024 / 1024).toFixed(1)} MB → ${(optimizedBytes / 1024 / 1024).toFixed(1)} MB`
+          : '';
+        const unreadHar = processedFiles.filter(item => item.documentKind === 'har' && !item.summary);
+        const harNote = unreadHar.length > 0
+          ? ` · ${unreadHar.map(item => item.name).join(', ')} could not be read as HAR (attached as is)`
+          : '';
+        // Told now rather than after the push - these can't be attached in Jira from this deployment
+        const sizeLimit = getUploadSizeLimit();
+        const oversized = sizeLimit ? processedFiles.filter(item => item.file.size > sizeLimit) : [];
+        const sizeNote = oversized.length > 0
+          ? ` · ⚠️ ${oversized.map(item => item.name).join(', ')} ${oversized.length === 1 ? 'is' : 'are'} over the ${formatUploadLimit(sizeLimit)} this deployment can send to Jira - attach ${oversized.length === 1 ? 'it' : 'them'} in Jira directly`
+          : '';
         setFiles(prev => {
-          const updated = [...prev, ...processedFiles];
+          // Capped again here - files added while these were being read count too
+          const updated = [...prev, ...processedFiles].slice(0, MAX_FILES);
           // Calculate total inside setState callback to avoid race condition
           setToast({ 
-            message: `✅ ${validFiles.length} file(s) uploaded! Total: ${updated.length}/10`, 
-            type: 'success' 
+            message: `✅ ${updated.length - prev.length} file(s) uploaded! Total: ${updated.length}/${MAX_FILES}${savings}${harNote}${sizeNote}${skippedNote}`, 
+            type: oversized.length > 0 || skippedNote ? 'info' : 'success' 
           });
           return updated;
         });
@@ -475,6 +642,43 @@ export default function BugTrackerApp() {
       });
   };
 
+  const handleLogsChange = (text) => {
+    setLogsText(text);
+    setLogErrors(parseLogs(text));
+  };
+
+  // Map the minified frames of the pasted logs to the original source with the server's source maps
+  const symbolicateLogs = async () => {
+    setIsSymbolicating(true);
+    try {
+      const response = await fetchWithTimeout(getApiEndpointDirect('symbolicate-stack'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ frames: minifiedFrames })
+      }, 30000);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `Symbolication failed (${response.status})`);
+      }
+      if (!data.configured) {
+        setToast({ message: '🗺️ No source maps are configured on the server - see Source Maps in the README', type: 'info' });
+        return;
+      }
+
+      const mapped = toSymbolicatedMap(minifiedFrames, data.frames || []);
+      setSymbolicatedFrames(prev => ({ ...prev, ...mapped }));
+      const mappedCount = Object.keys(mapped).length;
+      setToast(mappedCount > 0
+        ? { message: `🗺️ Mapped ${mappedCount} of ${minifiedFrames.length} frame(s) to the source`, type: 'success' }
+        : { message: `🗺️ No source map matched these frames${data.errors && data.errors.length > 0 ? `: ${data.errors.join('; ')}` : ''}`, type: 'info' });
+    } catch (error) {
+      console.error('Symbolication error:', error);
+      setToast({ message: `❌ ${error.message}`, type: 'error' });
+    } finally {
+      setIsSymbolicating(false);
+    }
+  };
+
   const removeFile = (fileId) => {
     setFiles(prev => prev.filter(f => f.id !== fileId));
     setToast({ message: '🗑️ File removed', type: 'success' });
@@ -506,7 +710,7 @@ export default function BugTrackerApp() {
       // Ctrl/Cmd + Enter to generate
       if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
         e.preventDefault();
-        generateTicket();
+        startGeneration();
       }
       // ESC to clear
       if (e.key === 'Escape') {
@@ -516,7 +720,7 @@ export default function BugTrackerApp() {
 
     window.addEventListener('keydown', handleKeyPress);
     return () => window.removeEventListener('keydown', handleKeyPress);
-  }, [bugDescription, files]);
+  }, [bugDescription, files, askClarifyingQuestions]);
 
   // Dark mode effect
   useEffect(() => {
@@ -542,11 +746,14 @@ export default function BugTrackerApp() {
     return () => window.removeEventListener('beforeunload', handleBeforeUnload);
   }, [bugDescription, files, ticket]);
 
-  // Cleanup intervals on component unmount
+  // Cleanup intervals and running generation on component unmount
   useEffect(() => {
     return () => {
-      if (countdownIntervalRef.current) {
-        clearInterval(countdownIntervalRef.current);
+      if (elapsedIntervalRef.current) {
+        clearInterval(elapsedIntervalRef.current);
+      }
+      if (generationControllerRef.current) {
+        generationControllerRef.current.abort();
       }
     };
   }, []);
@@ -573,9 +780,11 @@ export default function BugTrackerApp() {
         // Always update missing fields from localStorage
         // This ensures that after page refresh, all saved values are loaded into state
         const updated = {
+          ...prevConfig,
           url: prevConfig.url || config.url,
           email: prevConfig.email || config.email,
-          apiToken: prevConfig.apiToken || config.apiToken, // CRITICAL: Load token from localStorage if missing in state
+          sessionId: prevConfig.sessionId || config.sessionId,
+          sessionExpiresAt: prevConfig.sessionExpiresAt || config.sessionExpiresAt,
           projectKey: prevConfig.projectKey || config.projectKey,
           instance: prevConfig.instance || config.instance,
           productLine: prevConfig.productLine || config.productLine,
@@ -586,7 +795,7 @@ export default function BugTrackerApp() {
         
         // Check if we actually need to update
         const hasChanges = 
-          updated.apiToken !== prevConfig.apiToken ||
+          updated.sessionId !== prevConfig.sessionId ||
           updated.email !== prevConfig.email ||
           updated.url !== prevConfig.url ||
           updated.projectKey !== prevConfig.projectKey ||
@@ -597,11 +806,6 @@ export default function BugTrackerApp() {
           updated.engineeringTeam !== prevConfig.engineeringTeam;
         
         if (hasChanges) {
-          console.log('Updating Jira config from localStorage:', {
-            apiTokenUpdated: updated.apiToken !== prevConfig.apiToken,
-            emailUpdated: updated.email !== prevConfig.email,
-            apiTokenLength: updated.apiToken ? updated.apiToken.length : 0
-          });
           return updated;
         }
         
@@ -706,7 +910,7 @@ export default function BugTrackerApp() {
     };
   }, []);
 
-  // AI Auto-Suggestions based on description
+  // Suggestions while typing: the priority engine's rules on the description alone, and label tags
   useEffect(() => {
     if (!bugDescription.trim()) {
       setAiSuggestions(null);
@@ -715,34 +919,15 @@ export default function BugTrackerApp() {
 
     const debounceTimer = setTimeout(() => {
       const desc = bugDescription.toLowerCase();
-      
-      // Analyze keywords for suggestions
-      let priority = 'P3';
-      let impact = 'Medium';
-      let tags = [];
-
-      // Critical keywords
-      if (desc.match(/crash|critical|production|down|outage|data loss|security/)) {
-        priority = 'P1';
-        impact = 'Critical';
-        tags.push('urgent');
-      }
-      // High priority keywords
-      else if (desc.match(/login|payment|checkout|error|broken|cannot|unable|fails/)) {
-        priority = 'P2';
-        impact = 'High';
-        tags.push('important');
-      }
-      // Medium priority
-      else if (desc.match(/slow|display|ui|layout|mobile/)) {
-        priority = 'P3';
-        impact = 'Medium';
-      }
-      // Low priority
-      else {
-        priority = 'P4';
-        impact = 'Low';
-      }
+      const priority = assessPriority({
+        description: bugDescription,
+        instances: [jiraConfig.instance, environmentConfig.instance],
+        component: jiraConfig.component
+      });
+      const tags = [];
+
+      if (priority.priority === 'P1') tags.push('urgent');
+      else if (priority.priority === 'P2') tags.push('important');
 
       // Add category tags
       if (desc.match(/login|auth|password|signin/)) tags.push('authentication');
@@ -751,11 +936,11 @@ export default function BugTrackerApp() {
       if (desc.match(/mobile|tablet|responsive/)) tags.push('mobile');
       if (desc.match(/slow|performance|loading/)) tags.push('performance');
 
-      setAiSuggestions({ priority, impact, tags });
+      setAiSuggestions({ priority, tags });
     }, 500);
 
     return () => clearTimeout(debounceTimer);
-  }, [bugDescription]);
+  }, [bugDescription, jiraConfig.instance, jiraConfig.component, environmentConfig.instance]);
 
   // Lock body scroll when modals are open
   useEffect(() => {
@@ -871,58 +1056,131 @@ export default function BugTrackerApp() {
     });
   };
 
-  // Test Jira Connection
-  const testJiraConnection = async () => {
-    // Use the current state values (what user sees/enters in the form)
-    // If state is empty, reload from localStorage
-    let configToUse = {
-      url: jiraConfig.url && jiraConfig.url.trim() ? jiraConfig.url.trim() : '',
-      email: jiraConfig.email && jiraConfig.email.trim() ? jiraConfig.email.trim() : '',
-      apiToken: jiraConfig.apiToken && jiraConfig.apiToken.trim() ? jiraConfig.apiToken.trim() : ''
-    };
+  // Forget the Jira session in this browser (e.g. after it expired) - the server keeps no record of it, so a copy
+  // elsewhere stays valid until it expires
+  const clearJiraSession = () => {
+    localStorage.removeItem('jiraSessionId');
+    localStorage.removeItem('jiraSessionExpiresAt');
+    setJiraConfig(prev => ({ ...prev, sessionId: '', sessionExpiresAt: 0 }));
+  };
 
-    // If any field is missing from state, load from localStorage
-    if (!configToUse.url || !configToUse.email || !configToUse.apiToken) {
-      const currentConfig = loadJiraConfig();
-      configToUse = {
-        url: configToUse.url || currentConfig.url,
-        email: configToUse.email || currentConfig.email,
-        apiToken: configToUse.apiToken || currentConfig.apiToken
-      };
-      
-      // Update state with loaded values for UI display
-      if (!jiraConfig.apiToken && currentConfig.apiToken) {
-        setJiraConfig(prev => ({ ...prev, apiToken: currentConfig.apiToken }));
-      }
-      if (!jiraConfig.email && currentConfig.email) {
-        setJiraConfig(prev => ({ ...prev, email: currentConfig.email }));
+  // Send the API token to the server once and keep only the returned sessionId
+  const saveJiraCredentials = async () => {
+    const SAVE_CREDENTIALS_ENDPOINT = getApiEndpointDirect('save-jira-credentials');
+
+    const response = await fetchWithTimeout(SAVE_CREDENTIALS_ENDPOINT, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        jiraUrl: jiraConfig.url.trim(),
+        email: jiraConfig.email.trim(),
+        apiToken: jiraConfig.apiToken.trim()
+      })
+    }, 30000); // 30 second timeout
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to save Jira credentials');
+    }
+
+    localStorage.setItem('jiraEmail', jiraConfig.email.trim());
+    localStorage.setItem('jiraSessionId', data.sessionId);
+    localStorage.setItem('jiraSessionExpiresAt', String(data.expiresAt));
+    // Clear the token from state - from now on only the sessionId is sent
+    setJiraConfig(prev => ({ ...prev, apiToken: '', sessionId: data.sessionId, sessionExpiresAt: data.expiresAt }));
+
+    return data;
+  };
+
+  // Fetch dropdown options (components, versions, select lists) for the configured project from Jira
+  const fetchJiraFieldOptions = async ({ sessionId = jiraConfig.sessionId, refresh = false, silent = false } = {}) => {
+    const projectKey = jiraConfig.projectKey.trim();
+    if (!sessionId || !projectKey) {
+      return;
+    }
+
+    setIsLoadingJiraFieldOptions(true);
+    try {
+      const FIELD_OPTIONS_ENDPOINT = getApiEndpointDirect('jira-field-options');
+
+      const response = await fetchWithTimeout(FIELD_OPTIONS_ENDPOINT, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ sessionId, projectKey, issueType, refresh })
+      }, 30000); // 30 second timeout
+
+      const data = await response.json();
+      if (!response.ok) {
+        if (data.sessionInvalid) {
+          clearJiraSession();
+        }
+        throw new Error(data.error || 'Failed to load Jira field options');
       }
-      if (!jiraConfig.url && currentConfig.url) {
-        setJiraConfig(prev => ({ ...prev, url: currentConfig.url }));
+
+      const loaded = {
+        url: jiraConfig.url.trim(),
+        projectKey,
+        issueType,
+        options: data.options || {},
+        levels: data.levels || {},
+        fetchedAt: data.fetchedAt || Date.now()
+      };
+      localStorage.setItem('jiraFieldOptions', JSON.stringify(loaded));
+      setJiraFieldOptions(loaded);
+
+      if (!silent) {
+        setToast({ message: '✅ Dropdown options refreshed from Jira', type: 'success' });
       }
+    } catch (error) {
+      console.error('Load Jira field options error:', error);
+      setToast({ message: `⚠️ Could not load options from Jira: ${error.message}`, type: 'error' });
+    } finally {
+      setIsLoadingJiraFieldOptions(false);
     }
+  };
 
-    // Validate required fields for test
-    if (!configToUse.url || !configToUse.email || !configToUse.apiToken) {
-      if (!configToUse.apiToken) {
-        setToast({ 
-          message: '⚠️ API Token is missing. Please enter your API token in the field above and try again.', 
-          type: 'error' 
-        });
-      } else if (!configToUse.email) {
-        setToast({ 
-          message: '⚠️ Email is missing. Please enter your Jira email address.', 
-          type: 'error' 
-        });
-      } else {
-      setToast({ message: '⚠️ Please enter Jira URL, Email, and API Token to test connection', type: 'error' });
-      }
+  // Refresh dropdown options whenever the settings modal opens (the server caches createmeta, so this is cheap)
+  useEffect(() => {
+    if (showJiraSettings && jiraConfig.sessionId && jiraConfig.projectKey) {
+      fetchJiraFieldOptions({ silent: true });
+    }
+  }, [showJiraSettings, jiraConfig.sessionId]);
+
+  // Switching issue type switches option lists - load the new type's ones if they aren't the cached ones
+  useEffect(() => {
+    if (!jiraFieldOptionsMatch && jiraConfig.sessionId && jiraConfig.projectKey) {
+      fetchJiraFieldOptions({ silent: true });
+    }
+  }, [issueType]);
+
+  // Test Jira Connection
+  const testJiraConnection = async () => {
+    if (!jiraConfig.url || !jiraConfig.email) {
+      setToast({ message: '⚠️ Please enter Jira URL and Email to test connection', type: 'error' });
+      return;
+    }
+    if (!jiraConfig.apiToken.trim() && !jiraConfig.sessionId) {
+      setToast({ 
+        message: '⚠️ API Token is missing. Please enter your API token in the field above and try again.', 
+        type: 'error' 
+      });
       return;
     }
 
     setIsTestingConnection(true);
 
     try {
+      // A newly typed token is saved first so the test itself only carries the sessionId
+      let sessionId = jiraConfig.sessionId;
+      if (jiraConfig.apiToken.trim()) {
+        const saved = await saveJiraCredentials();
+        sessionId = saved.sessionId;
+      }
+
       // Use backend proxy to test connection
       const TEST_JIRA_ENDPOINT = getApiEndpointDirect('test-jira');
 
@@ -931,18 +1189,20 @@ export default function BugTrackerApp() {
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({
-          jiraUrl: configToUse.url,
-          email: configToUse.email,
-          apiToken: configToUse.apiToken
-        })
+        body: JSON.stringify({ sessionId })
       }, 30000); // 30 second timeout
 
       if (!response.ok) {
         const errorData = await response.json();
         
         // Provide user-friendly error messages
-        if (response.status === 401) {
+        if (errorData.sessionInvalid) {
+          clearJiraSession();
+          setToast({ 
+            message: `🔐 ${errorData.error}`, 
+            type: 'error' 
+          });
+        } else if (response.status === 401) {
           setToast({ 
             message: '🔐 Authentication failed! Please check your Email and API Token.', 
             type: 'error' 
@@ -974,6 +1234,9 @@ export default function BugTrackerApp() {
         type: 'success' 
       });
       
+      // Now that the credentials work, fill the dropdowns from the project
+      fetchJiraFieldOptions({ sessionId, silent: true });
+
     } catch (error) {
       console.error('Test connection error:', error);
       
@@ -994,12 +1257,30 @@ export default function BugTrackerApp() {
   };
 
   // Save Jira Configuration
-  const saveJiraConfig = () => {
+  const saveJiraConfig = async () => {
+    // A newly entered API token goes to the server vault, never to localStorage
+    if (jiraConfig.apiToken.trim()) {
+      setIsSavingJiraConfig(true);
+      try {
+        const saved = await saveJiraCredentials();
+        setToast({ 
+          message: `✅ Credentials saved securely on server! Expires in ${saved.expiresInDays} day${saved.expiresInDays !== 1 ? 's' : ''}`, 
+          type: 'success' 
+        });
+      } catch (error) {
+        console.error('Save credentials error:', error);
+        setToast({ message: `❌ Could not save credentials: ${error.message}`, type: 'error' });
+        return;
+      } finally {
+        setIsSavingJiraConfig(false);
+      }
+    } else {
+      setToast({ message: '✅ Jira configuration saved!', type: 'success' });
+    }
+
     // Save all Jira configuration including URL
     localStorage.setItem('jiraUrl', jiraConfig.url);
     localStorage.setItem('jiraEmail', jiraConfig.email);
-    // Store API token as plain text (user requested no encryption)
-    localStorage.setItem('jiraApiToken', jiraConfig.apiToken);
     localStorage.setItem('jiraProjectKey', jiraConfig.projectKey);
     localStorage.setItem('jiraInstance', jiraConfig.instance);
     localStorage.setItem('jiraProductLine', jiraConfig.productLine);
@@ -1009,7 +1290,6 @@ export default function BugTrackerApp() {
     // Save environment configuration
     localStorage.setItem('environmentConfig', JSON.stringify(environmentConfig));
     setShowJiraSettings(false);
-    setToast({ message: '✅ Jira configuration saved!', type: 'success' });
   };
 
   // Environment Configuration functions
@@ -1041,14 +1321,19 @@ export default function BugTrackerApp() {
 
   // Ticket Format Functions
   const saveTicketFormat = () => {
-    localStorage.setItem('ticketFormat', JSON.stringify(ticketFormat));
+    localStorage.setItem('ticketFormats', JSON.stringify(ticketFormats));
     setShowTicketFormatSettings(false);
     setToast({ message: '✅ Ticket format saved!', type: 'success' });
   };
 
   const resetTicketFormat = () => {
-    setTicketFormat(DEFAULT_TICKET_FIELDS);
-    setToast({ message: '🔄 Ticket format reset to default', type: 'info' });
+    setTicketFormat(currentIssueType.sections);
+    setToast({ message: `🔄 ${currentIssueType.label} format reset to default`, type: 'info' });
+  };
+
+  const selectIssueType = (typeId) => {
+    setIssueType(typeId);
+    localStorage.setItem('issueType', typeId);
   };
 
   const toggleFieldEnabled = (fieldId) => {
@@ -1115,242 +1400,482 @@ export default function BugTrackerApp() {
     setTicketFormat(newFormat);
   };
 
-  // Parse ticket content to extract fields
-  const parseTicketForJira = (ticketContent) => {
-    const lines = ticketContent.split('\n');
-    const fields = {};
-    
-    // Extract title
-    const titleMatch = ticketContent.match(/\*\*Title:\*\*\s*(.+?)(?:\n|$)/);
-    fields.title = titleMatch ? titleMatch[1].trim() : 'Bug Report';
-    
-    // Extract description
-    const descMatch = ticketContent.match(/\*\*Description:\*\*\s*\n([\s\S]*?)(?:\n━|$)/);
-    fields.description = descMatch ? descMatch[1].trim() : '';
-    
-    // Extract steps
-    const stepsMatch = ticketContent.match(/\*\*Steps to Reproduce:\*\*\s*\n([\s\S]*?)(?:\n━|$)/);
-    fields.steps = stepsMatch ? stepsMatch[1].trim() : '';
-    
-    // Extract expected behavior
-    const expectedMatch = ticketContent.match(/\*\*Expected Behaviour:\*\*\s*\n([\s\S]*?)(?:\n━|$)/);
-    fields.expected = expectedMatch ? expectedMatch[1].trim() : '';
-    
-    // Extract actual behavior
-    const actualMatch = ticketContent.match(/\*\*Actual Behaviour:\*\*\s*\n([\s\S]*?)(?:\n━|$)/);
-    fields.actual = actualMatch ? actualMatch[1].trim() : '';
-    
-    // Extract impact
-    const impactMatch = ticketContent.match(/\*\*Impact:\*\*\s*\n([\s\S]*?)(?:\n━|$)/);
-    fields.impact = impactMatch ? impactMatch[1].trim() : '';
-    
-    // Extract priority - improved regex to handle various formats
-    // Try multiple patterns to catch different formats the AI might use
-    let priorityText = null;
-    
-    // Pattern 1: **Priority:** P2 (most common - with bold markdown)
-    const priorityMatch1 = ticketContent.match(/\*\*Priority:\*\*\s*([Pp][1-4])\b/);
-    if (priorityMatch1 && priorityMatch1[1]) {
-      priorityText = priorityMatch1[1].trim().toUpperCase();
-      console.log('Priority found via Pattern 1 (bold):', priorityText);
-    } else {
-      // Pattern 2: Priority: P2 (without bold, with colon)
-      const priorityMatch2 = ticketContent.match(/Priority:\s*([Pp][1-4])\b/i);
-      if (priorityMatch2 && priorityMatch2[1]) {
-        priorityText = priorityMatch2[1].trim().toUpperCase();
-        console.log('Priority found via Pattern 2 (colon):', priorityText);
-      } else {
-        // Pattern 3: Priority P2 (without colon)
-        const priorityMatch3 = ticketContent.match(/Priority\s+([Pp][1-4])\b/i);
-        if (priorityMatch3 && priorityMatch3[1]) {
-          priorityText = priorityMatch3[1].trim().toUpperCase();
-          console.log('Priority found via Pattern 3 (space):', priorityText);
+  // Stream the uploaded files to an issue one at a time, each as the raw body of its own request - no JSON body
+  // limit applies and every file reports its progress. With skipExisting, files the issue already has are skipped.
+  // fileItems: the files to send (all of them by default, only the failed ones on a retry)
+  // Returns the final list - [{ id, name, size, loaded, status, attachment, error }] (status as in AttachmentUploads)
+  const uploadJiraAttachments = async (issueKey, { skipExisting = false, fileItems = files } = {}) => {
+    const UPLOAD_ENDPOINT = getApiEndpointDirect('upload-jira-attachment');
+    const sizeLimit = getUploadSizeLimit();
+    let uploads = fileItems.map(fileItem => ({ id: fileItem.id, name: fileItem.name, size: fileItem.file.size, loaded: 0, status: 'pending' }));
+    const updateUpload = (id, changes) => {
+      uploads = uploads.map(upload => (upload.id === id ? { ...upload, ...changes } : upload));
+      setAttachmentUploads(uploads);
+    };
+    setAttachmentUploads(uploads);
+
+    for (const fileItem of fileItems) {
+      // The platform would reject it with a bare 413 after the whole file was sent
+      if (sizeLimit && fileItem.file.size > sizeLimit) {
+        updateUpload(fileItem.id, {
+          status: 'failed',
+          tooLarge: true,
+          error: `Over the ${formatUploadLimit(sizeLimit)} this deployment can upload - attach it in Jira directly`
+        });
+        continue;
+      }
+      updateUpload(fileItem.id, { status: 'uploading' });
+      try {
+        const response = await uploadWithProgress(UPLOAD_ENDPOINT, fileItem.file, {
+          'X-Jira-Session': jiraConfig.sessionId,
+          'X-Jira-Issue': issueKey,
+          'X-File-Name': encodeURIComponent(fileItem.name),
+          'X-File-Type': fileItem.type || 'application/octet-stream',
+          'X-Skip-Existing': String(skipExisting)
+        }, loaded => updateUpload(fileItem.id, { loaded }));
+
+        if (response.ok) {
+          updateUpload(fileItem.id, {
+            status: response.data.skipped ? 'skipped' : 'uploaded',
+            loaded: fileItem.file.size,
+            attachment: response.data.attachment
+          });
         } else {
-          // Pattern 4: Just look for P1, P2, P3, P4 anywhere after "Priority" keyword
-          const priorityMatch4 = ticketContent.match(/Priority[:\s\*]*\s*([Pp][1-4])\b/i);
-          if (priorityMatch4 && priorityMatch4[1]) {
-            priorityText = priorityMatch4[1].trim().toUpperCase();
-            console.log('Priority found via Pattern 4 (flexible):', priorityText);
-          } else {
-            // Pattern 5: Look for standalone P1-P4 near "Priority" keyword (within 20 chars)
-            const prioritySection = ticketContent.match(/\*\*Priority:\*\*[\s\S]{0,30}/i);
-            if (prioritySection) {
-              const pMatch = prioritySection[0].match(/([Pp][1-4])\b/);
-              if (pMatch && pMatch[1]) {
-                priorityText = pMatch[1].trim().toUpperCase();
-                console.log('Priority found via Pattern 5 (section search):', priorityText);
-              }
-            }
-          }
+          // A 413 without a JSON body comes from the hosting platform's request size cap, not from Jira
+          updateUpload(fileItem.id, {
+            status: 'failed',
+            error: response.data.error || (response.status === 413 ? 'Too large to upload through this deployment' : `Upload failed (${response.status})`)
+          });
         }
+      } catch (error) {
+        updateUpload(fileItem.id, { status: 'failed', error: error.message });
       }
     }
-    
-    // If still not found, default to P3
-    if (!priorityText || !/^P[1-4]$/.test(priorityText)) {
-      console.warn('⚠️ Priority not found or invalid format. Extracted:', priorityText, '- Defaulting to P3');
-      console.warn('Full ticket content for debugging:', ticketContent.substring(0, 500));
-      priorityText = 'P3';
-    }
-    
-    // Map P1-P4 to Jira priority IDs (based on standard Jira: 1=Highest, 2=High, 3=Medium, 4=Low, 5=Lowest)
-    const priorityIdMap = {
-      'P1': '1',  // Highest
-      'P2': '2',  // High
-      'P3': '3',  // Medium
-      'P4': '4'   // Low
-    };
-    // Store both ID and name for flexibility - always ensure priorityId is set
-    fields.priorityId = priorityIdMap[priorityText] || '3'; // Default to '3' (Medium/P3) if mapping fails
-    fields.priorityName = priorityText; // Keep original P1-P4 for reference
-    
-    // Ensure priorityId is always a string (not undefined/null)
-    if (!fields.priorityId || typeof fields.priorityId !== 'string') {
-      console.error('Priority ID is invalid, forcing to default P3 (ID: 3)');
-      fields.priorityId = '3';
-      fields.priorityName = 'P3';
-    }
-    
-    // Debug logging
-    console.log('=== PRIORITY EXTRACTION DEBUG ===');
-    console.log('Raw ticket content (Priority section):', ticketContent.match(/\*\*Priority:\*\*[\s\S]{0,50}/)?.[0]);
-    console.log('Extracted priorityText:', priorityText);
-    console.log('Mapped priorityId:', fields.priorityId);
-    console.log('Mapped priorityName:', fields.priorityName);
-    console.log('=== END PRIORITY DEBUG ===');
-    
-    // Extract environment
-    const envMatch = ticketContent.match(/\*\*Environment:\*\*\s*\n([\s\S]*?)(?:\n━|$)/);
-    fields.environment = envMatch ? envMatch[1].trim() : '';
-    
-    return fields;
-  };
 
-  // Push ticket to Jira
-  const pushToJira = async () => {
-    if (!ticket) {
-      setToast({ message: '❌ No ticket to push', type: 'error' });
-      return;
-    }
+    return uploads;
+  };
 
-    // Validate Jira configuration (all fields are now mandatory)
-    if (!jiraConfig.url || !jiraConfig.email || !jiraConfig.apiToken || !jiraConfig.projectKey || 
-        !jiraConfig.instance || !jiraConfig.productLine || !jiraConfig.component || !jiraConfig.foundVersion || !jiraConfig.engineeringTeam) {
+  // Show the issue's attachments in its description once they are uploaded - a failure leaves them attached only
+  const embedJiraAttachments = async (issueKey, fields) => {
+    try {
+      const response = await fetchWithTimeout(getApiEndpointDirect('embed-jira-attachments'), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ sessionId: jiraConfig.sessionId, issueKey, fields })
+      }, 60000);
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        console.error('Could not embed attachments in the description:', data.error || response.status);
+      }
+    } catch (error) {
+      console.error('Could not embed attachments in the description:', error);
+    }
+  };
+
+  // Merge updates into the current ticket's history entry
+  // historyId: the entry to update when it may not be the current one yet (e.g. right after saving a new ticket)
+  const updateCurrentHistoryItem = (updates, historyId = currentHistoryId) => {
+    if (!historyId) {
+      return;
+    }
+    setTicketHistory(prev => {
+      const updatedHistory = prev.map(item => (item.id === historyId ? { ...item, ...updates } : item));
+      localStorage.setItem('ticketHistory', JSON.stringify(updatedHistory));
+      return updatedHistory;
+    });
+  };
+
+  // Remember the pushed issue on the current ticket and its history entry
+  const rememberJiraIssue = (issue) => {
+    setJiraIssue(issue);
+    updateCurrentHistoryItem({ jiraIssue: issue });
+  };
+
+  // Search the project for open issues similar to the ticket - returns [] if none (or if the search itself fails)
+  const findJiraDuplicates = async (fields) => {
+    try {
+      const DUPLICATES_ENDPOINT = getApiEndpointDirect('find-jira-duplicates');
+      const response = await fetchWithTimeout(DUPLICATES_ENDPOINT, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          sessionId: jiraConfig.sessionId,
+          projectKey: jiraConfig.projectKey,
+          fields
+        })
+      }, 30000); // 30 second timeout
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Duplicate search failed');
+      }
+      return data.issues || [];
+    } catch (error) {
+      // Never block a push because the duplicate search failed
+      console.warn('Duplicate check skipped:', error.message);
+      return [];
+    }
+  };
+
+  // Search the project's open epics for the parent picker (an empty query lists the current sprint's epics first)
+  const searchJiraEpics = async (query = epicQuery) => {
+    if (!jiraConfig.sessionId || !jiraConfig.projectKey) {
+      setToast({ message: '⚙️ Test the Jira connection and enter a project key to search epics', type: 'error' });
+      return;
+    }
+
+    setIsSearchingEpics(true);
+    try {
+      const EPICS_ENDPOINT = getApiEndpointDirect('search-jira-epics');
+      const response = await fetchWithTimeout(EPICS_ENDPOINT, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          sessionId: jiraConfig.sessionId,
+          projectKey: jiraConfig.projectKey,
+          query: query.trim()
+        })
+      }, 30000); // 30 second timeout
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        if (data.sessionInvalid) {
+          clearJiraSession();
+          setShowJiraSettings(true);
+        }
+        throw new Error(data.error || 'Epic search failed');
+      }
+      setEpicResults(data.epics || []);
+    } catch (error) {
+      console.error('Epic search error:', error);
+      setToast({ message: `❌ ${error.message}`, type: 'error' });
+    } finally {
+      setIsSearchingEpics(false);
+    }
+  };
+
+  // Users for the assignee / reporter pickers - returns [] when the search fails
+  const searchJiraUsers = async (query, assignable) => {
+    try {
+      const USERS_ENDPOINT = getApiEndpointDirect('search-jira-users');
+      const response = await fetchWithTimeout(USERS_ENDPOINT, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          sessionId: jiraConfig.sessionId,
+          projectKey: jiraConfig.projectKey,
+          query,
+          assignable
+        })
+      }, 30000); // 30 second timeout
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        if (data.sessionInvalid) {
+          clearJiraSession();
+          setShowJiraSettings(true);
+        }
+        throw new Error(data.error || 'User search failed');
+      }
+      return data.users || [];
+    } catch (error) {
+      console.error('User search error:', error);
+      setToast({ message: `❌ ${error.message}`, type: 'error' });
+      return [];
+    }
+  };
+
+  // Active and upcoming sprints for the sprint picker
+  const fetchJiraSprints = async (refresh = false) => {
+    setIsLoadingSprints(true);
+    try {
+      const SPRINTS_ENDPOINT = getApiEndpointDirect('jira-sprints');
+      const response = await fetchWithTimeout(SPRINTS_ENDPOINT, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          sessionId: jiraConfig.sessionId,
+          projectKey: jiraConfig.projectKey,
+          refresh
+        })
+      }, 30000); // 30 second timeout
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        if (data.sessionInvalid) {
+          clearJiraSession();
+          setShowJiraSettings(true);
+        }
+        throw new Error(data.error || 'Could not load sprints');
+      }
+      setJiraSprints(data.sprints || []);
+    } catch (error) {
+      console.error('Load sprints error:', error);
+      setToast({ message: `⚠️ Could not load sprints from Jira: ${error.message}`, type: 'error' });
+    } finally {
+      setIsLoadingSprints(false);
+    }
+  };
+
+  const selectSprint = (sprintId) => {
+    const sprint = (jiraSprints || []).find(item => String(item.id) === sprintId);
+    if (!sprint) {
+      setJiraSprint(null);
+      localStorage.removeItem('jiraSprint');
+      return;
+    }
+    const selected = { url: jiraConfig.url.trim(), projectKey: jiraConfig.projectKey, id: sprint.id, name: sprint.name };
+    setJiraSprint(selected);
+    localStorage.setItem('jiraSprint', JSON.stringify(selected));
+  };
+
+  // Add labels typed in the editor (comma or space separated) - Jira labels can't contain spaces
+  const addJiraLabels = (text) => {
+    const newLabels = text.split(/[,\s]+/).map(label => label.trim()).filter(Boolean);
+    setJiraLabels(prev => [...new Set([...prev, ...newLabels])]);
+    setLabelInput('');
+  };
+
+  // List the sprint's epics and the open sprints the first time the panel opens
+  useEffect(() => {
+    if (!showJiraLinks || !jiraConfig.sessionId || !jiraConfig.projectKey) {
+      return;
+    }
+    if (epicResults === null) {
+      searchJiraEpics('');
+    }
+    if (jiraSprints === null) {
+      fetchJiraSprints();
+    }
+  }, [showJiraLinks]);
+
+  const selectParentEpic = (epic) => {
+    if (!epic) {
+      setJiraParentEpic(null);
+      localStorage.removeItem('jiraParentEpic');
+      return;
+    }
+    const parentEpic = { url: jiraConfig.url.trim(), projectKey: jiraConfig.projectKey, key: epic.key, summary: epic.summary };
+    setJiraParentEpic(parentEpic);
+    localStorage.setItem('jiraParentEpic', JSON.stringify(parentEpic));
+  };
+
+  const updateJiraLink = (index, changes) => {
+    setJiraLinks(prev => prev.map((link, i) => (i === index ? { ...link, ...changes } : link)));
+  };
+
+  // AI routing - suggests the ticket's component, product line, instance and team from the project's options
+  // keep: routing picked by hand, left as it is; silent: no toast when it can't run (after a generation)
+  const classifyTicket = async (data = ticketData, { historyId = currentHistoryId, keep = getEditedRouting(jiraRouting), silent = false } = {}) => {
+    const options = Object.fromEntries(JIRA_ROUTING_FIELDS
+      .filter(field => !keep[field.id])
+      .map(field => [field.id, getJiraFieldOptions(field.id)]));
+    if (!data || !Object.values(options).some(list => list.length > 0)) {
+      if (!silent) {
+        setToast({ message: '⚙️ Load the dropdown options in Jira settings to get routing suggestions', type: 'error' });
+      }
+      return;
+    }
+
+    const requestId = ++classifyRequestRef.current;
+    setIsClassifying(true);
+    try {
+      const media = await prepareMedia();
+      const CLASSIFY_ENDPOINT = getApiEndpointDirect('classify-ticket');
+      const response = await fetchWithTimeout(CLASSIFY_ENDPOINT, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          issueType: data.issueType || issueType,
+          sections: data.fields,
+          values: data.values,
+          ...(bugDescription.trim() ? { description: bugDescription.slice(0, 5000) } : {}),
+          media,
+          options
+        })
+      }, 60000);
+
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to classify ticket');
+      }
+      if (requestId !== classifyRequestRef.current) {
+        return;
+      }
+
+      const updatedRouting = { ...(result.classification || {}), ...keep };
+      setJiraRouting(updatedRouting);
+      updateCurrentHistoryItem({ jiraRouting: updatedRouting }, historyId);
+      if (!silent) {
+        setToast({ message: '🧭 Routing suggested - check it under Jira Details', type: 'success' });
+      }
+    } catch (err) {
+      console.error('Ticket classification failed:', err);
+      if (requestId === classifyRequestRef.current) {
+        setToast({ message: `ℹ️ Couldn't suggest the Jira routing (${err.message}) - the Jira settings defaults are used`, type: 'info' });
+      }
+    } finally {
+      if (requestId === classifyRequestRef.current) {
+        setIsClassifying(false);
+      }
+    }
+  };
+
+  // A routing value picked by hand for this ticket - an empty value goes back to the Jira settings default
+  const setRoutingValue = (field, value) => {
+    const updatedRouting = { ...jiraRouting };
+    if (value) {
+      updatedRouting[field] = { value, edited: true };
+    } else {
+      delete updatedRouting[field];
+    }
+    setJiraRouting(updatedRouting);
+    updateCurrentHistoryItem({ jiraRouting: updatedRouting });
+    setEditingRoutingField(null);
+  };
+
+  // Priority or severity picked under Jira Details - written to the ticket, or kept for the push when it has no
+  // such section (an empty value goes back to the suggested priority / no severity)
+  const setTicketLevel = (field, level) => {
+    const values = { ...ticketData.values, [field]: level };
+    if (!level) {
+      delete values[field];
+    }
+    const updatedTicket = { ...ticketData, values };
+    setTicketData(updatedTicket);
+    setEditedTicket(renderTicketMarkdown(updatedTicket));
+    updateCurrentHistoryItem({ data: updatedTicket, content: renderTicketMarkdown(updatedTicket) });
+  };
+
+  // Jira fields come straight from the structured ticket - priority is its validated P1-P4, or the priority
+  // engine's suggestion when the format has no Priority section and none was picked under Jira Details
+  const getJiraFields = () => ticketToJiraFields(PRIORITIES.includes(ticketData.values.priority)
+    ? ticketData
+    : { ...ticketData, values: { ...ticketData.values, priority: priorityAssessment.priority } });
+
+  // Push ticket to Jira
+  // mode: 'update' PUTs to the remembered issue, 'create' always makes a new one
+  // options.skipDuplicateCheck: create without searching first; options.duplicateOf: link the new issue as its duplicate
+  const pushToJira = async (mode = jiraIssue ? 'update' : 'create', options = {}) => {
+    const isUpdate = mode === 'update' && !!jiraIssue;
+
+    if (!ticket) {
+      setToast({ message: '❌ No ticket to push', type: 'error' });
+      return;
+    }
+
+    // A ticket with a Priority section must have a valid one (tickets from history may not)
+    const { errors: ticketErrors } = validateTicket(ticketData, { allowEmpty: true });
+    if (ticketErrors.length > 0) {
+      setToast({ message: `✏️ Edit the ticket before pushing: ${ticketErrors.join(', ')}`, type: 'error' });
+      return;
+    }
+
+    // Validate Jira configuration (all fields are now mandatory) - routing fields may come from the ticket instead
+    const routing = Object.fromEntries(JIRA_ROUTING_FIELDS.map(field => [field.id, getRoutingValue(field.id)]));
+    if (!jiraConfig.url || !jiraConfig.email || !jiraConfig.sessionId || !jiraConfig.projectKey || 
+        !routing.instance || !routing.productLine || !routing.component || !jiraConfig.foundVersion || !routing.engineeringTeam) {
       setToast({ message: '⚙️ Please complete all Jira settings (all fields required)', type: 'error' });
       setShowJiraSettings(true);
       return;
     }
 
+    // Sub-tasks are always created under a parent issue
+    const parentIssueKey = subtaskParentKey.trim().toUpperCase();
+    if (currentIssueType.requiresParent && !isUpdate && !JIRA_ISSUE_KEY_PATTERN.test(parentIssueKey)) {
+      setToast({ message: '🧩 Sub-tasks need a parent issue - enter its key under Jira Details', type: 'error' });
+      setShowJiraLinks(true);
+      return;
+    }
+
+    // Links with a key filled in - rows left empty are ignored
+    const links = jiraLinks
+      .map(link => ({ relation: link.relation, key: link.key.trim().toUpperCase() }))
+      .filter(link => link.key);
+    const invalidLink = links.find(link => !JIRA_ISSUE_KEY_PATTERN.test(link.key));
+    if (invalidLink) {
+      setToast({ message: `🔗 "${invalidLink.key}" is not a Jira issue key (e.g. WE-123)`, type: 'error' });
+      setShowJiraLinks(true);
+      return;
+    }
+
     setIsPushingToJira(true);
     setJiraPushStep('Preparing ticket data...');
 
     try {
-      // Parse ticket content
-      const fields = parseTicketForJira(ticket);
-      
-      // Debug: Log priority extraction
-      console.log('=== PRIORITY DEBUG ===');
-      console.log('Priority ID:', fields.priorityId);
-      console.log('Priority Name:', fields.priorityName);
-      console.log('Full fields object:', JSON.stringify(fields, null, 2));
-      console.log('=== END DEBUG ===');
+      const fields = getJiraFields();
       
+      // Before creating, offer similar open issues so the same bug isn't filed twice
+      if (!isUpdate && !options.skipDuplicateCheck) {
+        setJiraPushStep('Checking for duplicates...');
+        const similarIssues = await findJiraDuplicates(fields);
+        if (similarIssues.length > 0) {
+          setDuplicateCheck({ issues: similarIssues });
+          return;
+        }
+      }
+
       setJiraPushStep('Validating Jira connection...');
       
       // Use backend proxy to avoid CORS issues
-      const JIRA_ENDPOINT = getApiEndpointDirect('push-to-jira');
+      const JIRA_ENDPOINT = getApiEndpointDirect(isUpdate ? 'update-jira-issue' : 'push-to-jira');
 
       // Prepare request payload
       const requestPayload = {
-        jiraUrl: jiraConfig.url,
-        email: jiraConfig.email,
-        apiToken: jiraConfig.apiToken,
+        sessionId: jiraConfig.sessionId,
+        ...(isUpdate ? { issueKey: jiraIssue.key } : {}),
+        ...(!isUpdate && options.duplicateOf ? { duplicateOf: options.duplicateOf } : {}),
+        issueType,
+        ...(currentIssueType.requiresParent
+          ? (parentIssueKey ? { parentKey: parentIssueKey } : {})
+          : (activeParentEpic ? { parentKey: activeParentEpic.key } : {})),
+        ...(links.length > 0 ? { links } : {}),
+        ...(jiraAssignee ? { assigneeId: jiraAssignee.accountId } : {}),
+        ...(jiraReporter ? { reporterId: jiraReporter.accountId } : {}),
+        ...(jiraLabels.length > 0 ? { labels: jiraLabels } : {}),
+        // Sub-tasks follow their parent's sprint
+        ...(activeSprint && !currentIssueType.requiresParent ? { sprintId: activeSprint.id } : {}),
         projectKey: jiraConfig.projectKey,
         fields: fields,
         customFields: {
-          instance: jiraConfig.instance,
-          productLine: jiraConfig.productLine,
-          component: jiraConfig.component,
+          instance: routing.instance,
+          productLine: routing.productLine,
+          component: routing.component,
           foundVersion: jiraConfig.foundVersion,
-          engineeringTeam: jiraConfig.engineeringTeam
+          engineeringTeam: routing.engineeringTeam
         }
       };
       
-      // Calculate attachment payload size (to avoid Netlify limits)
-      // Base64 encoding increases size by ~33%, so we need to account for that in JSON
-      const estimatePayloadSize = (base64String) => {
-        // Base64 string length in JSON (with quotes and escaping) is roughly the string length
-        // Plus JSON overhead, estimate as 1.1x the base64 string length
-        return Math.ceil(base64String.length * 1.1);
-      };
-      
-      let totalAttachmentBytes = 0;
-      if (files.length > 0) {
-        totalAttachmentBytes = files.reduce((sum, fileItem) => {
-          // Get base64 data (after the data:image/...;base64, prefix)
-          const base64Data = fileItem.preview.includes(',') 
-            ? fileItem.preview.split(',')[1] 
-            : fileItem.preview;
-          return sum + estimatePayloadSize(base64Data);
-        }, 0);
-        
-        // Add JSON structure overhead for attachments array (~200 bytes per file)
-        totalAttachmentBytes += files.length * 200;
-      }
-
-      // Netlify functions typically have a body limit (~6–10 MB). Use a conservative 6 MB cap for attachments only.
-      // The rest of the payload (fields, customFields, etc.) adds ~50KB, so we leave room for that.
-      const NETLIFY_ATTACHMENT_LIMIT_BYTES = 6 * 1024 * 1024; // 6 MB for attachments
-      const shouldSkipAttachments =
-        import.meta.env.PROD &&
-        totalAttachmentBytes > NETLIFY_ATTACHMENT_LIMIT_BYTES;
-
-      // Debug logging
-      console.log('=== ATTACHMENT SIZE CHECK ===');
-      console.log('Files count:', files.length);
-      console.log('Total attachment payload size (estimated):', (totalAttachmentBytes / 1024 / 1024).toFixed(2), 'MB');
-      console.log('Limit:', (NETLIFY_ATTACHMENT_LIMIT_BYTES / 1024 / 1024).toFixed(2), 'MB');
-      console.log('Should skip attachments:', shouldSkipAttachments);
-      console.log('Is production:', import.meta.env.PROD);
-      console.log('=== END ATTACHMENT CHECK ===');
-
-      if (shouldSkipAttachments) {
-        setToast({
-          message:
-            'ℹ️ Attachments are large; pushing ticket without attachments to avoid Netlify size limits. You can add them manually in Jira.',
-          type: 'info'
-        });
-      }
-
       // Additional debug: Log the exact payload being sent
       console.log('=== PAYLOAD BEING SENT TO BACKEND ===');
-      console.log('Priority in fields:', {
-        priorityId: fields.priorityId,
-        priorityName: fields.priorityName
+      console.log('Levels in fields:', {
+        priority: fields.priority,
+        severity: fields.severity
       });
       console.log('Full fields object:', JSON.stringify(fields, null, 2));
       console.log('=== END PAYLOAD DEBUG ===');
 
-      // Include files if uploaded (max 10)
-      if (files.length > 0 && !shouldSkipAttachments) {
-        setJiraPushStep(`Preparing ${files.length} attachment(s)...`);
-        requestPayload.attachments = files.map(fileItem => ({
-          filename: fileItem.name,
-          contentType: fileItem.type,
-          data: fileItem.preview // base64 encoded file
-        }));
-      }
-
-      setJiraPushStep('Creating Jira ticket...');
+      setJiraPushStep(isUpdate ? `Updating ${jiraIssue.key}...` : 'Creating Jira ticket...');
+      setAttachmentUploads([]);
       
-      // Make API call through backend proxy with timeout
+      // Make API call through backend proxy with timeout - attachments follow once the issue exists
       const response = await fetchWithTimeout(JIRA_ENDPOINT, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
         body: JSON.stringify(requestPayload)
-      }, 120000); // 120 second timeout for Jira (includes attachments)
+      }, 120000); // 120 second timeout for Jira
 
       if (!response.ok) {
         let errorMessage = 'Failed to create Jira ticket';
@@ -1360,13 +1885,22 @@ export default function BugTrackerApp() {
           errorMessage = `📦 One or more files you uploaded are too large for Jira. Please remove large files (click Clear All or individual X buttons) and then push the ticket again.`;
           throw new Error(errorMessage);
         } else if (response.status === 401) {
+          const errorData = await response.json().catch(() => ({}));
+          if (errorData.sessionInvalid) {
+            // Stored credentials expired or are no longer readable - ask for the token again
+            clearJiraSession();
+            setShowJiraSettings(true);
+            throw new Error(`🔐 ${errorData.error}`);
+          }
           errorMessage = '🔐 Authentication failed. Please check your Jira Email and API Token in settings.';
           throw new Error(errorMessage);
         } else if (response.status === 403) {
           errorMessage = '🚫 Permission denied. Your Jira account may not have permission to create tickets in this project.';
           throw new Error(errorMessage);
         } else if (response.status === 404) {
-          errorMessage = '🔍 Project not found. Please verify your Jira URL and Project Key in settings.';
+          errorMessage = isUpdate
+            ? `🔍 ${jiraIssue.key} was not found in Jira. It may have been deleted or moved - use "New Jira Issue" to create it again.`
+            : '🔍 Project not found. Please verify your Jira URL and Project Key in settings.';
           throw new Error(errorMessage);
         }
         
@@ -1395,16 +1929,77 @@ export default function BugTrackerApp() {
         throw new Error(errorMessage);
       }
 
-      setJiraPushStep(files.length > 0 ? `Uploading ${files.length} attachment(s)...` : 'Finalizing ticket...');
+      setJiraPushStep('Finalizing ticket...');
       
       const data = await response.json();
       const jiraKey = data.key;
       const jiraLink = data.url;
 
-      setToast({ 
-        message: `✅ Jira ticket ${jiraKey} created successfully!`, 
-        type: 'success' 
-      });
+      // An update keeps the results of earlier pushes - a file that failed then is still missing unless sent again
+      const previousAttachments = isUpdate ? jiraIssue.attachments : [];
+      rememberJiraIssue({ key: jiraKey, url: jiraLink, attachments: previousAttachments });
+
+      // Files are streamed to the issue one by one, then embedded in its description
+      let uploads = [];
+      if (files.length > 0) {
+        setJiraPushStep(`Uploading ${files.length} attachment(s)...`);
+        uploads = await uploadJiraAttachments(jiraKey, { skipExisting: isUpdate });
+        if (uploads.some(upload => upload.status === 'uploaded')) {
+          setJiraPushStep('Adding attachments to the description...');
+          await embedJiraAttachments(jiraKey, fields);
+        }
+      }
+      if (uploads.length > 0) {
+        rememberJiraIssue({ key: jiraKey, url: jiraLink, attachments: mergeAttachmentResults(previousAttachments, uploads) });
+      }
+      const failedUploads = uploads.filter(upload => upload.status === 'failed');
+      const attachmentNote = uploads.length > 0 ? ` · 📎 ${summarizeAttachmentResults(uploads)}` : '';
+
+      // Keep only the links Jira rejected so they can be fixed and sent with the next update
+      const linkErrors = data.linkErrors || [];
+      setJiraLinks(linkErrors.map(({ relation, key }) => ({ relation, key })));
+
+      if (failedUploads.length > 0) {
+        setToast({ 
+          message: `⚠️ Jira ticket ${jiraKey} ${isUpdate ? 'updated' : 'created'}, but ${failedUploads.length} of ${uploads.length} attachment${uploads.length !== 1 ? 's' : ''} failed: ${failedUploads.map(upload => `${upload.name} (${upload.error})`).join(', ')} - use "Retry failed attachments" to send them again`, 
+          type: 'error' 
+        });
+      } else if (linkErrors.length > 0) {
+        setToast({ 
+          message: `⚠️ Jira ticket ${jiraKey} ${isUpdate ? 'updated' : 'created'}, but ${linkErrors.length} link${linkErrors.length !== 1 ? 's' : ''} failed: ${linkErrors.map(link => `${link.key} (${link.error})`).join(', ')}`, 
+          type: 'info' 
+        });
+      } else if (data.fieldWarnings && data.fieldWarnings.length > 0) {
+        setToast({ 
+          message: `⚠️ Jira ticket ${jiraKey} ${isUpdate ? 'updated' : 'created'}, but ${data.fieldWarnings.join('; ')}`, 
+          type: 'info' 
+        });
+      } else if (data.sprintError) {
+        setToast({ 
+          message: `⚠️ Jira ticket ${jiraKey} ${isUpdate ? 'updated' : 'created'}, but adding it to ${activeSprint ? activeSprint.name : 'the sprint'} failed: ${data.sprintError}`, 
+          type: 'info' 
+        });
+      } else if (isUpdate) {
+        setToast({ 
+          message: `✅ Jira ticket ${jiraKey} updated successfully!${attachmentNote}`, 
+          type: 'success' 
+        });
+      } else if (data.linkedTo) {
+        setToast({ 
+          message: `✅ Jira ticket ${jiraKey} created and linked as a duplicate of ${data.linkedTo}!${attachmentNote}`, 
+          type: 'success' 
+        });
+      } else if (data.linkError) {
+        setToast({ 
+          message: `⚠️ Jira ticket ${jiraKey} created, but linking it as a duplicate failed: ${data.linkError}`, 
+          type: 'info' 
+        });
+      } else {
+        setToast({ 
+          message: `✅ Jira ticket ${jiraKey} created${data.parentKey ? ` in epic ${data.parentKey}` : ''} successfully!${attachmentNote}`, 
+          type: 'success' 
+        });
+      }
 
       // Open Jira ticket in new tab
       setTimeout(() => {
@@ -1429,6 +2024,86 @@ export default function BugTrackerApp() {
     } finally {
       setIsPushingToJira(false);
       setJiraPushStep('');
+      setAttachmentUploads([]);
+    }
+  };
+
+  // Send the files that failed to reach the pushed issue again - only those, and only while they are still added
+  const retryFailedAttachments = async () => {
+    // Sent under the result's id, so the new result replaces the failed one even when the file was added again
+    const retryFiles = matchFailedAttachments(jiraIssue.attachments, files)
+      .map(({ result, fileItem }) => ({ ...fileItem, id: getAttachmentResultKey(result) }));
+    if (retryFiles.length === 0) {
+      setToast({ message: '📎 The failed files are no longer added - add them again to retry', type: 'error' });
+      return;
+    }
+
+    setIsRetryingAttachments(true);
+    try {
+      const uploads = await uploadJiraAttachments(jiraIssue.key, { skipExisting: true, fileItems: retryFiles });
+      if (uploads.some(upload => upload.status === 'uploaded')) {
+        await embedJiraAttachments(jiraIssue.key, getJiraFields());
+      }
+      rememberJiraIssue({ ...jiraIssue, attachments: mergeAttachmentResults(jiraIssue.attachments, uploads) });
+
+      const failedUploads = uploads.filter(upload => upload.status === 'failed');
+      setToast(failedUploads.length > 0
+        ? { message: `⚠️ ${failedUploads.length} of ${uploads.length} attachment${uploads.length !== 1 ? 's' : ''} still failed: ${failedUploads.map(upload => `${upload.name} (${upload.error})`).join(', ')}`, type: 'error' }
+        : { message: `✅ Attachments sent to ${jiraIssue.key} · 📎 ${summarizeAttachmentResults(uploads)}`, type: 'success' });
+    } finally {
+      setIsRetryingAttachments(false);
+      setAttachmentUploads([]);
+    }
+  };
+
+  // Post the ticket (and any new attachments) as a comment on an existing issue instead of creating a new one
+  const commentOnJiraIssue = async (issue) => {
+    setCommentingOnIssue(issue.key);
+    try {
+      const fields = ticketToJiraFields(ticketData);
+      const COMMENT_ENDPOINT = getApiEndpointDirect('comment-on-jira-issue');
+
+      // New files go to the issue first - the comment lists the ones it didn't have yet
+      const uploads = files.length > 0 ? await uploadJiraAttachments(issue.key, { skipExisting: true }) : [];
+      const attachmentIds = uploads
+        .filter(upload => upload.status === 'uploaded' && upload.attachment && upload.attachment.id)
+        .map(upload => String(upload.attachment.id));
+
+      const requestPayload = {
+        sessionId: jiraConfig.sessionId,
+        issueKey: issue.key,
+        fields,
+        attachmentIds
+      };
+
+      const response = await fetchWithTimeout(COMMENT_ENDPOINT, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(requestPayload)
+      }, 60000);
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        if (data.sessionInvalid) {
+          clearJiraSession();
+          setShowJiraSettings(true);
+        }
+        throw new Error(data.error || `Failed to comment on ${issue.key}`);
+      }
+
+      setDuplicateCheck(null);
+      setToast({ message: `💬 Added as a comment on ${issue.key}`, type: 'success' });
+      setTimeout(() => {
+        window.open(data.url || issue.url, '_blank');
+      }, 500);
+    } catch (error) {
+      console.error('Jira comment error:', error);
+      setToast({ message: `❌ ${error.message}`, type: 'error' });
+    } finally {
+      setCommentingOnIssue(null);
+      setAttachmentUploads([]);
     }
   };
 
@@ -1505,29 +2180,17 @@ export default function BugTrackerApp() {
     setIsEnhancing(true);
     try {
       // Use direct detection for reliability
-      const API_ENDPOINT = getApiEndpointDirect('generate-ticket');
+      const API_ENDPOINT = getApiEndpointDirect('enhance-description');
       const response = await fetchWithTimeout(API_ENDPOINT, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          messages: [{
-            role: 'user',
-            content: [{
-              type: 'text',
-              text: `Expand this short bug description into a more detailed technical description (2-3 sentences). Keep it professional and bug-focused. IMPORTANT: Your response MUST be in English language only, regardless of the input language. Original description: "${bugDescription}"`
-            }]
-          }]
-        })
+        body: JSON.stringify({ description: bugDescription })
       }, 30000); // 30 second timeout for description enhancement
 
       if (!response.ok) throw new Error('Failed to enhance description');
 
       const data = await response.json();
-      const enhanced = data.content
-        .filter(item => item.type === 'text')
-        .map(item => item.text)
-        .join('\n')
-        .trim();
+      const enhanced = data.description;
 
       setBugDescription(enhanced);
       setToast({ message: '✨ Description enhanced!', type: 'success' });
@@ -1538,19 +2201,30 @@ export default function BugTrackerApp() {
     }
   };
 
-  // Save Ticket to History
-  const saveTicketToHistory = (ticketContent) => {
+  // Save Ticket to History - the structured ticket plus its markdown for the history list
+  // Returns the new entry's id
+  const saveTicketToHistory = (data, locked = [], { routing = {}, modelPriority: aiPriority = null } = {}) => {
     const newTicket = {
       id: Date.now(),
-      content: ticketContent,
+      content: renderTicketMarkdown(data),
+      data,
       description: bugDescription.substring(0, 100),
       timestamp: new Date().toISOString(),
-      hasMedia: files.length > 0
+      hasMedia: files.length > 0,
+      issueType,
+      // A regenerated ticket keeps pointing at the issue it was already pushed to
+      jiraIssue: jiraIssue,
+      refinements: [],
+      lockedSections: locked,
+      jiraRouting: routing,
+      modelPriority: aiPriority
     };
 
     const updatedHistory = [newTicket, ...ticketHistory].slice(0, 10); // Keep last 10
     setTicketHistory(updatedHistory);
     localStorage.setItem('ticketHistory', JSON.stringify(updatedHistory));
+    setCurrentHistoryId(newTicket.id);
+    return newTicket.id;
   };
 
   // Delete History Item
@@ -1563,7 +2237,30 @@ export default function BugTrackerApp() {
 
   // Load ticket from history
   const loadHistoryTicket = (historyItem) => {
-    setTicket(historyItem.content);
+    // Tickets saved before issue types existed are bugs
+    const historyIssueType = getIssueType(historyItem.issueType);
+    // Tickets saved before structured output only have their markdown - read the sections back from it
+    const data = historyItem.data || parseTicketMarkdown(historyItem.content, {
+      issueType: historyIssueType.id,
+      fields: getTicketFields(ticketFormats[historyIssueType.id] || historyIssueType.sections)
+    });
+    setTicketData(data);
+    setOriginalTicketData(data);
+    setIssueType(historyIssueType.id);
+    setJiraIssue(historyItem.jiraIssue || null);
+    setCurrentHistoryId(historyItem.id);
+    setRefineConversation(historyItem.refinements || []);
+    setRefineInstruction('');
+    setLockedSections(historyItem.lockedSections || []);
+    setJiraLinks([]);
+    setJiraAssignee(null);
+    setJiraReporter(null);
+    setJiraLabels([]);
+    classifyRequestRef.current += 1;
+    setIsClassifying(false);
+    setJiraRouting(historyItem.jiraRouting || {});
+    setModelPriority(historyItem.modelPriority || null);
+    setEditingRoutingField(null);
     setShowHistory(false);
     setToast({ message: '📂 Ticket loaded from history', type: 'success' });
   };
@@ -1586,8 +2283,10 @@ export default function BugTrackerApp() {
       const framePositions = [0.1, 0.5, 0.9]; // Extract frames at 10%, 50%, and 90% of video
       
       video.addEventListener('loadedmetadata', () => {
-        canvas.width = video.videoWidth;
-        canvas.height = video.videoHeight;
+        // Frames are capped at the media pipeline's size, like uploaded images
+        const frameSize = getScaledSize(video.videoWidth, video.videoHeight);
+        canvas.width = frameSize.width;
+        canvas.height = frameSize.height;
         video.currentTime = video.duration * framePositions[0];
       });
       
@@ -1621,19 +2320,27 @@ export default function BugTrackerApp() {
   };
 
   // Helper function to add timeout to fetch requests
+  // The timeout covers waiting for the response headers; a caller's own signal (e.g. Cancel) also aborts a streamed body
   const fetchWithTimeout = async (url, options = {}, timeout = 60000) => {
+    const { signal, ...fetchOptions } = options;
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), timeout);
+    if (signal) {
+      signal.addEventListener('abort', () => controller.abort());
+    }
     
     try {
       const response = await fetch(url, {
-        ...options,
+        ...fetchOptions,
         signal: controller.signal
       });
       clearTimeout(timeoutId);
       return response;
     } catch (error) {
       clearTimeout(timeoutId);
+      if (error.name === 'AbortError' && signal && signal.aborted) {
+        throw error;
+      }
       if (error.name === 'AbortError') {
         throw new Error('⏱️ Request timeout. The server is taking too long to respond. Please try again.');
       }
@@ -1641,254 +2348,231 @@ export default function BugTrackerApp() {
     }
   };
 
-  const generateTicket = async () => {
+  // What stops any description from being sent - the error message, or '' if there is none
+  const getDescriptionError = () => {
     if (!bugDescription.trim()) {
-      setToast({ message: '❌ Please provide a bug description', type: 'error' });
-      return;
+      return `❌ Please provide a ${currentIssueType.noun} description`;
     }
 
     // Validate that description contains actual words, not just punctuation/special characters
     const hasActualWords = /[a-zA-Z]{2,}/.test(bugDescription);
     if (!hasActualWords) {
-      setToast({ message: '❌ Please use actual words, not just punctuation or special characters', type: 'error' });
-      return;
+      return '❌ Please use actual words, not just punctuation or special characters';
     }
 
-    // Count actual words (at least 2 characters long)
-    const words = bugDescription.match(/[a-zA-Z]{2,}/g) || [];
-    if (words.length < 5) {
-      setToast({ message: `❌ Please add ${5 - words.length} more word${5 - words.length !== 1 ? 's' : ''} (${words.length}/5)`, type: 'error' });
-      return;
+    // The server rejects longer descriptions
+    if (bugDescription.length > 5000) {
+      return `❌ Please keep the description under 5000 characters (${bugDescription.length})`;
     }
 
-    // Check if description contains bug/technical-related keywords
-    const technicalKeywords = [
-      'bug', 'error', 'issue', 'problem', 'broken', 'not working', 'fails', 'crash',
-      'button', 'page', 'form', 'menu', 'dropdown', 'field', 'input', 'click',
-      'load', 'display', 'show', 'appear', 'missing', 'wrong', 'incorrect',
-      'unable', 'cannot', 'does not', 'doesn\'t', 'didn\'t', 'should', 'expected',
-      'freeze', 'hang', 'slow', 'timeout', 'redirect', 'login', 'logout', 'submit',
-      'upload', 'download', 'save', 'delete', 'update', 'create', 'edit',
-      'screen', 'modal', 'popup', 'dialog', 'alert', 'message', 'notification',
-      'api', 'request', 'response', 'data', 'database', 'server', 'client'
-    ];
-    
-    const descriptionLower = bugDescription.toLowerCase();
-    const hasTechnicalContext = technicalKeywords.some(keyword => 
-      descriptionLower.includes(keyword)
-    );
-    
-    if (!hasTechnicalContext) {
-      setToast({ message: '❌ Please describe a technical bug/issue. Use keywords like "error", "broken", "not working", etc.', type: 'error' });
-      return;
-    }
+    return '';
+  };
 
-    setLoading(true);
-    setError('');
-    setTicket(null);
-    setLoadingStep('🚀 Getting ready to help you...');
-    setLoadingProgress(0);
-    
-    // Clear any existing interval
-    if (countdownIntervalRef.current) {
-      clearInterval(countdownIntervalRef.current);
+  // Uploaded files as media references for the server-built prompt: an image, or frames extracted from a video
+  // Kept for the same file list, so the frames extracted for the clarifying questions are reused by the generation
+  const prepareMedia = async () => {
+    if (preparedMediaRef.current && preparedMediaRef.current.files === files) {
+      return preparedMediaRef.current.media;
     }
-    
-    // Set countdown to 20 seconds for all cases
-    setCountdown(20);
-
-    // Start countdown timer
-    countdownIntervalRef.current = setInterval(() => {
-      setCountdown(prev => {
-        if (prev <= 1) {
-          return 0; // Stay at 0, don't clear interval yet
-        }
-        return prev - 1;
-      });
-    }, 1000);
 
-    try {
-      // AI-like conversational loading steps
-      setLoadingStep('👋 Hello! I\'m analyzing your bug report...');
-      setLoadingProgress(10);
-      
-      const messages = [
-        {
-          role: 'user',
-          content: []
-        }
-      ];
+    const media = [];
+    const videoCount = files.filter(f => f.type.startsWith('video/')).length;
 
-      // Count images and videos
-      const imageCount = files.filter(f => f.type.startsWith('image/')).length;
-      const videoCount = files.filter(f => f.type.startsWith('video/')).length;
-
-      // Add multiple images/videos if uploaded
-      if (files.length > 0) {
-        setLoadingStep(`📎 Examining your ${files.length} file(s) in detail...`);
-        setLoadingProgress(25);
-
-        // Add header text about files
-        let filesText = '';
-        if (imageCount > 0 && videoCount > 0) {
-          filesText = `[${imageCount} image(s) and ${videoCount} video(s) provided showing the bug]`;
-        } else if (imageCount > 0) {
-          filesText = `[${imageCount} image(s) provided showing the bug]`;
-        } else {
-          filesText = `[${videoCount} video(s) provided showing the bug]`;
-        }
-        messages[0].content.push({
-          type: 'text',
-          text: filesText
-        });
+    if (files.length > 0) {
+      setLoadingStep(`📎 Preparing your ${files.length} file(s)...`);
 
-        // Process each file
-        for (let i = 0; i < files.length; i++) {
-          const fileItem = files[i];
-          
-          if (fileItem.type.startsWith('image/')) {
-            // Process image
-            const base64Data = fileItem.preview.split(',')[1] || fileItem.preview;
-            messages[0].content.push({
-              type: 'image',
-              source: {
-                type: 'base64',
-                media_type: fileItem.type,
-                data: base64Data
-              }
+      // Process each file
+      for (let i = 0; i < files.length; i++) {
+        const fileItem = files[i];
+        
+        if (fileItem.type.startsWith('image/')) {
+          // Process image
+          const base64Data = fileItem.preview.split(',')[1] || fileItem.preview;
+          media.push({ name: fileItem.name, kind: 'image', images: [{ mediaType: fileItem.type, data: base64Data }] });
+        } else if (fileItem.type.startsWith('video/')) {
+          // Extract frames from video
+          try {
+            setLoadingStep(`🎬 Extracting frames from video ${i + 1} of ${videoCount}...`);
+            const videoFrames = await extractMultipleVideoFrames(fileItem.file, 3);
+            media.push({
+              name: fileItem.name,
+              kind: 'video',
+              images: videoFrames.map(frameData => ({ mediaType: 'image/jpeg', data: frameData }))
+            });
+          } catch (videoError) {
+            console.error(`Error extracting frames from video ${i + 1}:`, videoError);
+            // Fallback: keep the video reference for Jira attachment - the server tells the AI it has no frames
+            media.push({ name: fileItem.name, kind: 'video', images: [] });
+            setToast({ 
+              message: `ℹ️ Video "${fileItem.name}" kept as attachment; frame extraction skipped.`, 
+              type: 'info' 
             });
-          } else if (fileItem.type.startsWith('video/')) {
-            // Extract frames from video
-            try {
-              setLoadingStep(`🎬 Analyzing video ${i + 1} of ${videoCount}...`);
-              const videoFrames = await extractMultipleVideoFrames(fileItem.file, 3);
-              
-              // Add frames
-              videoFrames.forEach((frameData) => {
-                messages[0].content.push({
-                  type: 'image',
-                  source: {
-                    type: 'base64',
-                    media_type: 'image/jpeg',
-                    data: frameData
-                  }
-                });
-              });
-            } catch (videoError) {
-              console.error(`Error extracting frames from video ${i + 1}:`, videoError);
-              // Fallback: keep the video reference for Jira attachment and inform the AI
-              messages[0].content.push({
-                type: 'text',
-                text: `[Video "${fileItem.name}" attached; frame extraction skipped due to size/format. Please use the video attachment for context.]`
-              });
-              setToast({ 
-                message: `ℹ️ Video "${fileItem.name}" kept as attachment; frame extraction skipped.`, 
-                type: 'info' 
-              });
-            }
           }
         }
-        
-        setLoadingProgress(45);
       }
+    }
+
+    preparedMediaRef.current = { files, media };
+    return media;
+  };
+
+  // Generate button and Ctrl+Enter - with clarifying questions on, the questions come first
+  const startGeneration = () => (askClarifyingQuestions ? requestClarifyingQuestions() : generateTicket());
+
+  const toggleClarifyingQuestions = () => {
+    const enabled = !askClarifyingQuestions;
+    setAskClarifyingQuestions(enabled);
+    localStorage.setItem('askClarifyingQuestions', enabled.toString());
+    if (!enabled) {
+      setClarifyingQuestions(null);
+    }
+  };
+
+  // Clarifying questions - the AI reads the description and media and asks up to five questions, shown as a quick form
+  // They never block a ticket: without questions (or if the request fails) the ticket is generated right away
+  const requestClarifyingQuestions = async () => {
+    const descriptionError = getDescriptionError();
+    if (descriptionError) {
+      setToast({ message: descriptionError, type: 'error' });
+      return;
+    }
+
+    setIsClarifying(true);
+    setClarifyingQuestions(null);
+    let questions;
+    try {
+      const media = await prepareMedia();
+      const CLARIFY_ENDPOINT = getApiEndpointDirect('clarify-ticket');
+      const response = await fetchWithTimeout(CLARIFY_ENDPOINT, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          issueType,
+          description: bugDescription,
+          sections: getTicketFields(ticketFormat),
+          media
+        })
+      }, 60000);
 
-      // Add bug description
-      messages[0].content.push({
-        type: 'text',
-        text: `Please analyze this bug report and create a detailed bug ticket.
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to get clarifying questions');
+      }
+      questions = data.questions || [];
+    } catch (err) {
+      console.error('Clarifying questions failed:', err);
+      setToast({ message: `ℹ️ Couldn't get clarifying questions (${err.message}) - generating without them`, type: 'info' });
+    } finally {
+      setIsClarifying(false);
+    }
 
-User's Brief Description: ${bugDescription}
+    if (!questions) {
+      generateTicket();
+    } else if (questions.length === 0) {
+      setToast({ message: '✅ The description is clear - no questions needed', type: 'success' });
+      generateTicket([]);
+    } else {
+      setClarifyingQuestions(questions.map(item => ({ ...item, answer: '' })));
+    }
+  };
 
-${files.length > 0 ? `${imageCount} image(s) and ${videoCount} video(s) have been provided showing the bug. Please carefully analyze all media to understand the issue and incorporate your observations into the Description, Steps to Reproduce, Expected Behaviour, and Actual Behaviour sections.` : 'No media files were provided.'}
+  const answerClarifyingQuestion = (index, answer) => {
+    setClarifyingQuestions(prev => prev.map((item, i) => (i === index ? { ...item, answer } : item)));
+  };
 
-CRITICAL - LANGUAGE REQUIREMENT:
-- The user's description may be in ANY language (English, Spanish, French, Hindi, Chinese, etc.)
-- You MUST create the entire bug ticket in ENGLISH language ONLY
-- Translate the user's input to English if needed
-- All sections (Title, Description, Steps, etc.) must be in English
+  // Answered questions go into the ticket prompt; Skip generates from the description alone
+  // The form stays up until the ticket is generated, so a failed generation can be retried with the same answers
+  const submitClarifications = (skip = false) => {
+    const clarifications = skip
+      ? []
+      : clarifyingQuestions
+        .filter(item => item.answer.trim())
+        .map(item => ({ question: item.question, answer: item.answer.trim() }));
+    generateTicket(clarifications);
+  };
 
-IMPORTANT: 
-- If images or video frames are provided, analyze them carefully and use what you see to write detailed Description, Steps to Reproduce, Expected Behaviour, and Actual Behaviour sections.
-- DO NOT write a separate visual description in the Attachment field.
-- The Attachment field should ONLY contain the filename, nothing else.
+  // clarifications: the answered clarifying questions (an array, possibly empty) when the questions step ran -
+  // the AI has then already looked for missing details, so the short-description checks are skipped
+  const generateTicket = async (clarifications = null) => {
+    const descriptionError = getDescriptionError();
+    if (descriptionError) {
+      setToast({ message: descriptionError, type: 'error' });
+      return;
+    }
 
-Please create a CONCISE and TO-THE-POINT bug ticket following this EXACT format with BOLD headings. Keep all sections SHORT and focused - no long paragraphs:
+    if (!clarifications) {
+      // Count actual words (at least 2 characters long)
+      const words = bugDescription.match(/[a-zA-Z]{2,}/g) || [];
+      if (words.length < 5) {
+        setToast({ message: `❌ Please add ${5 - words.length} more word${5 - words.length !== 1 ? 's' : ''} (${words.length}/5)`, type: 'error' });
+        return;
+      }
 
-${(() => {
-  const enabledFields = ticketFormat.filter(f => f.enabled);
-  const separator = '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━';
-  let formatString = '';
-  
-  enabledFields.forEach((field, index) => {
-    const fieldName = field.name;
+      // Check if description contains bug/technical-related keywords
+      const technicalKeywords = [
+        'bug', 'error', 'issue', 'problem', 'broken', 'not working', 'fails', 'crash',
+        'button', 'page', 'form', 'menu', 'dropdown', 'field', 'input', 'click',
+        'load', 'display', 'show', 'appear', 'missing', 'wrong', 'incorrect',
+        'unable', 'cannot', 'does not', 'doesn\'t', 'didn\'t', 'should', 'expected',
+        'freeze', 'hang', 'slow', 'timeout', 'redirect', 'login', 'logout', 'submit',
+        'upload', 'download', 'save', 'delete', 'update', 'create', 'edit',
+        'screen', 'modal', 'popup', 'dialog', 'alert', 'message', 'notification',
+        'api', 'request', 'response', 'data', 'database', 'server', 'client'
+      ];
     
-    // Generate field-specific content based on field ID
-    if (field.id === 'title') {
-      formatString += `**${fieldName}:** [Create a clear, concise title - max 15 words]\n\n${separator}\n\n`;
-    } else if (field.id === 'description') {
-      formatString += `**${fieldName}:** \n[Write 2-3 SHORT sentences maximum. Be direct and to-the-point. Include key visual details if media is provided.]\n\n${separator}\n\n`;
-    } else if (field.id === 'steps') {
-      formatString += `**${fieldName}:**\n1. [SHORT, clear first step]\n2. [SHORT second step]\n3. [SHORT third step - keep steps brief, 1 line each max]\n\n${separator}\n\n`;
-    } else if (field.id === 'expected') {
-      formatString += `**${fieldName}:** \n[ONE sentence describing normal behavior]\n\n${separator}\n\n`;
-    } else if (field.id === 'actual') {
-      formatString += `**${fieldName}:** \n[ONE sentence describing the bug]\n\n${separator}\n\n`;
-    } else if (field.id === 'impact') {
-      formatString += `**${fieldName}:** \n[ONE sentence - state impact level (Critical/High/Medium/Low) and brief reason]\n\n${separator}\n\n`;
-    } else if (field.id === 'priority') {
-      formatString += `**${fieldName}:** [Just state: P1, P2, P3, or P4 - nothing else]\n\n${separator}\n\n`;
-    } else if (field.id === 'environment') {
-      // Use saved environment configuration
-      const envConfig = loadEnvironmentConfig();
-      let envString = `**${fieldName}:**\n`;
-      
-      // Instance
-      envString += `Instance: ${envConfig.instance || 'https://workspan-staging-2.qa.workspan.app/'}\n`;
-      
-      // Branch
-      envString += `Branch: ${envConfig.branch || '[Suggest likely branch or write "To be determined"]'}\n`;
-      
-      // Username
-      envString += `Username: ${envConfig.username || '[Leave blank or write "To be provided"]'}\n`;
-      
-      // Password
-      envString += `Password: ${envConfig.password || '[Leave blank or write "To be provided"]'}\n`;
-      
-      // Custom fields
-      if (envConfig.customFields && envConfig.customFields.length > 0) {
-        envConfig.customFields.forEach(customField => {
-          if (customField.key && customField.value) {
-            envString += `${customField.key}: ${customField.value}\n`;
-          }
-        });
+      const descriptionLower = bugDescription.toLowerCase();
+      const hasTechnicalContext = technicalKeywords.some(keyword => 
+        descriptionLower.includes(keyword)
+      );
+    
+      if (currentIssueType.technical && !hasTechnicalContext) {
+        setToast({ message: '❌ Please describe a technical bug/issue. Use keywords like "error", "broken", "not working", etc.', type: 'error' });
+        return;
       }
-      
-      formatString += envString + `\n${separator}\n\n`;
-    } else if (field.id === 'attachment') {
-      formatString += `**${fieldName}:** ${files.length > 0 ? files.map(f => f.name).join(', ') : 'No attachments provided'}\n\n`;
-    } else {
-      // Custom field
-      formatString += `**${fieldName}:** \n[Provide relevant information for this field]\n\n${index < enabledFields.length - 1 ? separator + '\n\n' : ''}`;
     }
-  });
-  
-  return formatString;
-})()}
-
-CRITICAL FORMATTING RULES:
-1. Use **bold** for all field labels
-2. Add the horizontal line separator (━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━) after EACH section - use EXACTLY 50 unicode box characters
-3. The Attachment field must ONLY contain the filename - DO NOT add any description or analysis text there
-4. Incorporate all visual observations into Description, Steps to Reproduce, Expected Behaviour, and Actual Behaviour sections
-5. Follow this EXACT format and field order - ONLY include these fields in this exact order: ${ticketFormat.filter(f => f.enabled).map(f => f.name).join(', ')}
-6. Do not add any additional sections or fields not listed above
-7. Keep all horizontal lines exactly the same length (50 characters)
-8. IMPORTANT: Keep everything SHORT and CONCISE - use 1-2 sentences per section, brief steps, no long paragraphs
-9. Be direct and to-the-point - quality over quantity`
-      });
 
-      setLoadingStep('🧠 Using AI to understand the issue deeply...');
-      setLoadingProgress(60);
+    const controller = new AbortController();
+    generationControllerRef.current = controller;
+
+    setLoading(true);
+    setError('');
+    setTicketData(null);
+    setStreamingTicket('');
+    setLoadingStep(`📝 Preparing your ${currentIssueType.noun} report...`);
+    
+    // Clear any existing interval
+    if (elapsedIntervalRef.current) {
+      clearInterval(elapsedIntervalRef.current);
+    }
+    
+    // Elapsed time shown next to the Cancel button
+    setElapsedSeconds(0);
+    elapsedIntervalRef.current = setInterval(() => {
+      setElapsedSeconds(prev => prev + 1);
+    }, 1000);
+
+    try {
+      const media = await prepareMedia();
+
+      // The enabled format sections - the server turns them into the submit_ticket tool's JSON schema
+      // (Error Details only when the Logs panel found errors)
+      const ticketFields = getTicketFields(ticketFormat).filter(field => field.id !== 'errorDetails' || errorDetails);
+      const envConfig = loadEnvironmentConfig();
+      // The app fills in the attachment list and the error details itself
+      const attachmentValue = files.length > 0 ? files.map(f => f.name).join(', ') : 'No attachments provided';
+      const withAttachments = (values) => ({
+        ...values,
+        ...(ticketFields.some(field => field.id === 'attachment') ? { attachment: attachmentValue } : {}),
+        ...(ticketFields.some(field => field.id === 'errorDetails') ? { errorDetails } : {})
+      });
+      // Locked sections of the previous ticket are kept as they are - the AI only gets them as context
+      const lockedValues = ticketData
+        ? Object.fromEntries(lockedSections
+          .filter(id => !APP_FILLED_FIELDS.includes(id) && ticketFields.some(field => field.id === id) && ticketData.values[id] !== undefined)
+          .map(id => [id, ticketData.values[id]]))
+        : {};
+
+      setLoadingStep('📡 Sending to the AI...');
       
       // Use direct detection for maximum reliability
       const API_ENDPOINT = getApiEndpointDirect('generate-ticket');
@@ -1907,13 +2591,32 @@ CRITICAL FORMATTING RULES:
           'Content-Type': 'application/json'
         },
         body: JSON.stringify({
-          messages: messages
-        })
-      }, 90000); // 90 second timeout for AI generation
+          issueType,
+          description: bugDescription,
+          sections: ticketFields,
+          environment: {
+            instance: envConfig.instance || '',
+            branch: envConfig.branch || '',
+            username: envConfig.username || '',
+            password: envConfig.password || '',
+            customFields: (envConfig.customFields || []).map(({ key, value }) => ({ key: key || '', value: value || '' }))
+          },
+          media,
+          documents: files
+            .filter(fileItem => fileItem.documentKind)
+            .map(fileItem => ({ name: fileItem.name, kind: fileItem.documentKind, ...(fileItem.summary ? { summary: fileItem.summary } : {}) })),
+          ...(errorDetails ? { errorDetails } : {}),
+          ...(Object.keys(lockedValues).length > 0 ? { locked: lockedValues } : {}),
+          ...(clarifications && clarifications.length > 0 ? { clarifications } : {}),
+          stream: true
+        }),
+        signal: controller.signal
+      }, 90000); // 90 second timeout until the AI starts responding
 
       // Check content type before parsing
       const contentType = response.headers.get('content-type') || '';
       const isJson = contentType.includes('application/json');
+      const isEventStream = contentType.includes('text/event-stream');
 
       if (!response.ok) {
         let errorMessage = 'Failed to generate ticket';
@@ -1942,73 +2645,151 @@ CRITICAL FORMATTING RULES:
         throw new Error(errorMessage);
       }
 
-      setLoadingStep('✍️ Crafting a professional ticket for you...');
-      setLoadingProgress(80);
+      setLoadingStep('✍️ The AI is writing your ticket...');
       
-      // Parse response with error handling
-      let data;
-      if (isJson) {
-        data = await response.json();
+      // Parse response with error handling - servers without streaming support still answer with JSON
+      // Either way the ticket is the submit_ticket tool input, validated against the format below
+      let ticketValues;
+      if (isEventStream) {
+        const result = await readTicketStream(response, {
+          onJson: (json) => {
+            const partial = parsePartialJson(json);
+            if (!partial) return;
+            const text = renderTicketMarkdown({ fields: ticketFields, values: { ...partial, ...lockedValues } });
+            setStreamingTicket(text);
+            const sections = getStreamedSections(text);
+            if (sections.length > 0) {
+              setLoadingStep(`✍️ Writing ${sections[sections.length - 1]}...`);
+            }
+          }
+        });
+        if (result.stopReason === 'max_tokens') {
+          throw new Error('The ticket hit the length limit before it was finished. Please disable some sections or shorten the description and try again.');
+        }
+        ticketValues = parsePartialJson(result.json);
+      } else if (isJson) {
+        const data = await response.json();
+        const toolUse = (data.content || []).find(item => item.type === 'tool_use');
+        ticketValues = toolUse ? toolUse.input : null;
       } else {
         const textResponse = await response.text();
         console.error('Expected JSON but got:', textResponse.substring(0, 200));
         throw new Error(`❌ Server returned non-JSON response. Endpoint: ${API_ENDPOINT}. Please check your deployment configuration.`);
       }
-      const ticketContent = data.content
-        .filter(item => item.type === 'text')
-        .map(item => item.text)
-        .join('\n');
-      
-      setLoadingStep('✨ Adding final touches and formatting...');
-      setLoadingProgress(95);
+
+      if (!ticketValues) {
+        throw new Error('The AI did not return a ticket. Please try again.');
+      }
+
+      // Never fill in a missing section or priority with a default - ask for a new generation instead
+      const validation = validateTicket({ issueType, fields: ticketFields, values: withAttachments({ ...ticketValues, ...lockedValues }) });
+      if (!validation.valid) {
+        console.error('Invalid ticket from the AI:', validation.errors, ticketValues);
+        throw new Error(`The AI returned an incomplete ticket (${validation.errors.join(', ')}). Please try again.`);
+      }
+      // Routing the user picked by hand stays; the rest is suggested again for the new ticket
+      const keptRouting = getEditedRouting(jiraRouting);
+      // The AI's priority is one vote of the priority engine - the blend becomes the ticket's default priority
+      const aiPriority = lockedValues.priority ? null : validation.ticket.values.priority || null;
+      const generatedTicket = aiPriority
+        ? {
+          ...validation.ticket,
+          values: {
+            ...validation.ticket.values,
+            priority: assessPriority({
+              ticket: validation.ticket,
+              description: bugDescription,
+              modelPriority: aiPriority,
+              instances: [(keptRouting.instance && keptRouting.instance.value) || jiraConfig.instance, environmentConfig.instance],
+              component: (keptRouting.component && keptRouting.component.value) || jiraConfig.component
+            }).priority
+          }
+        }
+        : validation.ticket;
+      const ticketContent = renderTicketMarkdown(generatedTicket);
       
       // Calculate quality score
       const score = calculateQualityScore(ticketContent);
       setQualityScore(score);
 
-      // Clear countdown interval
-      if (countdownIntervalRef.current) {
-        clearInterval(countdownIntervalRef.current);
-        countdownIntervalRef.current = null;
-      }
-      
-      setLoadingProgress(100);
-      setTicket(ticketContent);
-      setOriginalTicket(ticketContent); // Store original for reset functionality
+      setTicketData(generatedTicket);
+      setRefineConversation([]);
+      setLockedSections(Object.keys(lockedValues));
+      setClarifyingQuestions(null);
+      setModelPriority(aiPriority);
+      classifyRequestRef.current += 1;
+      setIsClassifying(false);
+      setJiraRouting(keptRouting);
+      // Suggested tags become the ticket's Jira labels unless labels were already edited
+      setJiraLabels(prev => (prev.length > 0 ? prev : (aiSuggestions ? aiSuggestions.tags : [])));
+      setOriginalTicketData(generatedTicket); // Store original for reset functionality
       setEditedTicket(ticketContent); // Initialize edited ticket
       setIsEditingTicket(false); // Reset edit mode
-      setCountdown(0);
       setShowConfetti(true);
       setToast({ message: '🎉 Ticket generated successfully!', type: 'success' });
       
       // Save to history
-      saveTicketToHistory(ticketContent);
+      const historyId = saveTicketToHistory(generatedTicket, Object.keys(lockedValues), { routing: keptRouting, modelPriority: aiPriority });
+      classifyTicket(generatedTicket, { historyId, keep: keptRouting, silent: true });
       
       // Hide confetti after animation
       setTimeout(() => setShowConfetti(false), 4000);
     } catch (err) {
-      if (countdownIntervalRef.current) {
-        clearInterval(countdownIntervalRef.current);
-        countdownIntervalRef.current = null;
+      if (controller.signal.aborted) {
+        setToast({ message: '🛑 Generation cancelled', type: 'info' });
+      } else {
+        setToast({ message: `❌ ${err.message || 'Failed to generate ticket. Please try again.'}`, type: 'error' });
       }
-      setToast({ message: `❌ ${err.message || 'Failed to generate ticket. Please try again.'}`, type: 'error' });
     } finally {
+      if (elapsedIntervalRef.current) {
+        clearInterval(elapsedIntervalRef.current);
+        elapsedIntervalRef.current = null;
+      }
+      if (generationControllerRef.current === controller) {
+        generationControllerRef.current = null;
+      }
+      setStreamingTicket('');
       setLoading(false);
     }
   };
 
+  // Stop the running generation - the server aborts its upstream AI request when the connection closes
+  const cancelGeneration = () => {
+    if (generationControllerRef.current) {
+      generationControllerRef.current.abort();
+    }
+  };
+
   const resetForm = () => {
     setBugDescription('');
     setFiles([]);
-    setTicket(null);
-    setOriginalTicket(null);
+    setLogsText('');
+    setLogErrors([]);
+    setSymbolicatedFrames({});
+    setTicketData(null);
+    setOriginalTicketData(null);
     setEditedTicket('');
     setIsEditingTicket(false);
+    setRefineConversation([]);
+    setRefineInstruction('');
+    setLockedSections([]);
+    setClarifyingQuestions(null);
+    classifyRequestRef.current += 1;
+    setIsClassifying(false);
+    setJiraRouting({});
+    setEditingRoutingField(null);
+    setModelPriority(null);
     setShowSaveDialog(false);
     setError('');
     setWordCount(0);
     setCharCount(0);
     setQualityScore(null);
+    setJiraIssue(null);
+    setCurrentHistoryId(null);
+    setJiraLinks([]);
+    setJiraAssignee(null);
+    setJiraReporter(null);
+    setJiraLabels([]);
     // Reset file input
     const fileInput = document.getElementById('file-upload');
     if (fileInput) {
@@ -2017,6 +2798,199 @@ CRITICAL FORMATTING RULES:
     setToast({ message: '✨ Form reset!', type: 'info' });
   };
 
+  // Refinement chat - sends the current ticket and the instruction, and adds the AI's revision as a turn whose
+  // changed sections are accepted or rejected one by one (nothing changes until they are)
+  const refineTicket = async () => {
+    const instruction = refineInstruction.trim();
+    if (!instruction || !ticketData || isRefining) {
+      return;
+    }
+    if (hasUndecidedChanges(refineConversation[refineConversation.length - 1])) {
+      setToast({ message: '❌ Accept or reject the proposed changes first', type: 'error' });
+      return;
+    }
+
+    setIsRefining(true);
+    try {
+      const REFINE_ENDPOINT = getApiEndpointDirect('refine-ticket');
+      const response = await fetchWithTimeout(REFINE_ENDPOINT, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          issueType: ticketData.issueType || issueType,
+          sections: ticketData.fields,
+          values: ticketData.values,
+          instruction,
+          locked: lockedSections.filter(id => ticketData.fields.some(field => field.id === id)),
+          // The server accepts the last 10 turns as context
+          conversation: refineConversation.slice(-10).map(turn => ({ instruction: turn.instruction, summary: turn.summary }))
+        })
+      }, 90000); // 90 second timeout - the whole ticket is rewritten
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to refine ticket');
+      }
+
+      // The revision must still be a complete ticket - locked and app-filled sections stay as they are
+      const keptValues = Object.fromEntries([...lockedSections, ...APP_FILLED_FIELDS]
+        .filter(id => ticketData.values[id] !== undefined)
+        .map(id => [id, ticketData.values[id]]));
+      const validation = validateTicket({ ...ticketData, values: { ...data.values, ...keptValues } });
+      if (!validation.valid) {
+        throw new Error(`The AI returned an incomplete ticket (${validation.errors.join(', ')}). Please try again.`);
+      }
+
+      const turn = {
+        id: Date.now(),
+        instruction,
+        summary: data.summary || '',
+        changes: getSectionChanges(ticketData, validation.ticket.values),
+        decisions: {},
+        timestamp: new Date().toISOString()
+      };
+      const updatedConversation = [...refineConversation, turn];
+      setRefineConversation(updatedConversation);
+      updateCurrentHistoryItem({ refinements: updatedConversation });
+      setRefineInstruction('');
+      if (turn.changes.length === 0) {
+        setToast({ message: 'ℹ️ The AI did not change any section', type: 'info' });
+      }
+    } catch (err) {
+      setToast({ message: `❌ ${err.message || 'Failed to refine ticket'}`, type: 'error' });
+    } finally {
+      setIsRefining(false);
+    }
+  };
+
+  // Accept (apply the revised text) or reject (keep the current text) sections of a refinement turn
+  const decideRefinement = (turnId, sectionIds, accept) => {
+    const turn = refineConversation.find(item => item.id === turnId);
+    if (!turn) {
+      return;
+    }
+    const decided = turn.changes.filter(change => sectionIds.includes(change.id) && !turn.decisions[change.id]);
+    // A section locked after the revision was proposed keeps its text
+    const applied = accept ? decided.filter(change => !lockedSections.includes(change.id)) : [];
+    if (applied.length < decided.length && accept) {
+      setToast({ message: '🔒 Locked sections were left unchanged', type: 'info' });
+    }
+
+    const updatedConversation = refineConversation.map(item => (item.id === turnId
+      ? {
+        ...item,
+        decisions: {
+          ...item.decisions,
+          ...Object.fromEntries(decided.map(change => [change.id, applied.includes(change) ? 'accepted' : 'rejected']))
+        }
+      }
+      : item));
+    setRefineConversation(updatedConversation);
+
+    if (applied.length > 0) {
+      const updatedTicket = {
+        ...ticketData,
+        values: { ...ticketData.values, ...Object.fromEntries(applied.map(change => [change.id, change.after])) }
+      };
+      setTicketData(updatedTicket);
+      setEditedTicket(renderTicketMarkdown(updatedTicket));
+      updateCurrentHistoryItem({ refinements: updatedConversation, data: updatedTicket, content: renderTicketMarkdown(updatedTicket) });
+    } else {
+      updateCurrentHistoryItem({ refinements: updatedConversation });
+    }
+  };
+
+  // Pin or unpin a section - locked sections are never changed by regenerations or refinements
+  const toggleSectionLock = (fieldId) => {
+    const updatedLocks = lockedSections.includes(fieldId)
+      ? lockedSections.filter(id => id !== fieldId)
+      : [...lockedSections, fieldId];
+    setLockedSections(updatedLocks);
+    updateCurrentHistoryItem({ lockedSections: updatedLocks });
+  };
+
+  // Rewrite one section with the rest of the ticket (and the original description) as context
+  const regenerateSection = async (field) => {
+    if (!ticketData || regeneratingSection || lockedSections.includes(field.id)) {
+      return;
+    }
+
+    setRegeneratingSection(field.id);
+    try {
+      const SECTION_ENDPOINT = getApiEndpointDirect('regenerate-section');
+      const response = await fetchWithTimeout(SECTION_ENDPOINT, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          issueType: ticketData.issueType || issueType,
+          sections: ticketData.fields,
+          values: ticketData.values,
+          sectionId: field.id,
+          ...(bugDescription.trim() ? { description: bugDescription.slice(0, 5000) } : {})
+        })
+      }, 60000); // 60 second timeout for a single section
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to regenerate section');
+      }
+
+      // Same rules as a generated ticket: the section can't come back empty or with an invalid priority
+      const validation = validateTicket({ issueType: ticketData.issueType, fields: [field], values: { [field.id]: data.value } });
+      if (!validation.valid) {
+        throw new Error(`The AI returned an invalid ${field.name} section (${validation.errors.join(', ')}). Please try again.`);
+      }
+
+      const updatedTicket = { ...ticketData, values: { ...ticketData.values, [field.id]: validation.ticket.values[field.id] } };
+      setTicketData(updatedTicket);
+      setEditedTicket(renderTicketMarkdown(updatedTicket));
+      updateCurrentHistoryItem({ data: updatedTicket, content: renderTicketMarkdown(updatedTicket) });
+      setToast({ message: `🔁 ${field.name} regenerated`, type: 'success' });
+    } catch (err) {
+      setToast({ message: `❌ ${err.message || 'Failed to regenerate section'}`, type: 'error' });
+    } finally {
+      setRegeneratingSection(null);
+    }
+  };
+
+  // Regenerate / lock controls on each section heading of the ticket view
+  const renderSectionActions = (sectionName) => {
+    const field = ticketData && ticketData.fields.find(item => item.name === sectionName);
+    if (!field || APP_FILLED_FIELDS.includes(field.id)) {
+      return null;
+    }
+    const isLocked = lockedSections.includes(field.id);
+    const buttonClass = (highlighted) => `p-1 rounded transition-all disabled:opacity-40 disabled:cursor-not-allowed ${
+      isDarkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-200'
+    } ${
+      highlighted
+        ? (isDarkMode ? 'text-amber-300' : 'text-amber-600')
+        : (isDarkMode ? 'text-gray-400 hover:text-gray-100' : 'text-gray-500 hover:text-gray-900')
+    }`;
+
+    return (
+      <span className="flex items-center gap-1">
+        <button
+          onClick={() => regenerateSection(field)}
+          disabled={isLocked || Boolean(regeneratingSection) || isRefining}
+          className={buttonClass(false)}
+          title={isLocked ? `${field.name} is locked` : 'Regenerate this section'}
+        >
+          {regeneratingSection === field.id
+            ? <Loader2 className="w-4 h-4 animate-spin" />
+            : <RefreshCw className="w-4 h-4" />}
+        </button>
+        <button
+          onClick={() => toggleSectionLock(field.id)}
+          className={buttonClass(isLocked)}
+          title={isLocked ? `Unlock ${field.name}` : `Lock ${field.name} - regenerations and refinements won't change it`}
+        >
+          {isLocked ? <Lock className="w-4 h-4" /> : <Unlock className="w-4 h-4" />}
+        </button>
+      </span>
+    );
+  };
+
   // Edit ticket functions
   const handleEditTicket = () => {
     setIsEditingTicket(true);
@@ -2033,17 +3007,26 @@ CRITICAL FORMATTING RULES:
     setShowSaveDialog(true);
   };
 
+  // The edited markdown is read back into the structured ticket - sections are matched by heading
   const handleFinallySave = () => {
-    setTicket(editedTicket);
-    setOriginalTicket(editedTicket); // Update original as well
+    const edited = parseTicketMarkdown(editedTicket, ticketData);
+    const validation = validateTicket(edited, { allowEmpty: true });
+    if (!validation.valid) {
+      setShowSaveDialog(false);
+      setToast({ message: `❌ ${validation.errors.join(', ')}`, type: 'error' });
+      return;
+    }
+
+    setTicketData(validation.ticket);
+    setOriginalTicketData(validation.ticket); // Update original as well
     setIsEditingTicket(false);
     setShowSaveDialog(false);
     setToast({ message: '✅ Ticket edited and saved successfully!', type: 'success' });
   };
 
   const handleResetToOriginal = () => {
-    if (originalTicket) {
-      setTicket(originalTicket);
+    if (originalTicketData) {
+      setTicketData(originalTicketData);
       setEditedTicket(originalTicket);
       setIsEditingTicket(false);
       setShowSaveDialog(false);
@@ -2308,10 +3291,31 @@ CRITICAL FORMATTING RULES:
           <div className={`${isDarkMode ? 'bg-gray-800/90' : 'bg-white/90'} backdrop-blur-sm rounded-xl shadow-lg p-6 animate-slideInLeft card-float`}>
             <div className="flex items-center justify-between mb-6">
               <h2 className={`text-2xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-800'} flex items-center gap-2`}>
-                <span className="text-3xl">🐛</span>
-                Report Bug
+                <span className="text-3xl">{currentIssueType.icon}</span>
+                Report {currentIssueType.label}
               </h2>
             </div>
+
+            {/* Issue Type - locked while a ticket is shown so its sections keep matching the type */}
+            <div className="mb-4 flex flex-wrap gap-2">
+              {ISSUE_TYPES.map(type => (
+                <button
+                  key={type.id}
+                  onClick={() => selectIssueType(type.id)}
+                  disabled={!!ticket && type.id !== issueType}
+                  title={ticket && type.id !== issueType ? 'Start a new ticket to change the issue type' : `Write a ${type.noun} ticket`}
+                  className={`px-3 py-1.5 rounded-lg text-xs font-semibold transition-all border disabled:opacity-40 disabled:cursor-not-allowed ${
+                    type.id === issueType
+                      ? 'bg-gradient-to-r from-blue-600 to-indigo-600 text-white border-transparent shadow-md'
+                      : isDarkMode
+                      ? 'bg-gray-700/50 text-gray-300 border-gray-600 hover:bg-gray-700'
+                      : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                  }`}
+                >
+                  {type.icon} {type.label}
+                </button>
+              ))}
+            </div>
             
             {/* Bug Description */}
             <div className="mb-4">
@@ -2319,7 +3323,7 @@ CRITICAL FORMATTING RULES:
               <div className="flex items-center justify-between mb-3 gap-2">
                 <label className={`text-base font-semibold ${isDarkMode ? 'text-gray-100' : 'text-gray-800'} flex items-center gap-2`}>
                   <span className="text-lg">✍️</span>
-                  Brief Bug Description
+                  Brief {currentIssueType.label} Description
                 </label>
                 
                 <div className="flex gap-2">
@@ -2393,7 +3397,7 @@ CRITICAL FORMATTING RULES:
                 ref={textareaRef}
                 value={bugDescription}
                 onChange={handleDescriptionChange}
-                placeholder="Example: The login button on the homepage doesn't respond when clicked on mobile devices... (Type or speak in any language 🌍)"
+                placeholder={currentIssueType.placeholder}
                 rows="5"
                 className={`w-full px-5 py-4 border-2 rounded-xl focus:ring-4 focus:ring-blue-500/20 focus:border-blue-500 transition-all text-base leading-relaxed ${
                   isDarkMode 
@@ -2545,31 +3549,25 @@ CRITICAL FORMATTING RULES:
                   <div className="flex items-center gap-2 mb-2">
                     <Lightbulb className={`w-4 h-4 ${isDarkMode ? 'text-yellow-400' : 'text-yellow-600'}`} />
                     <h4 className={`text-xs font-bold ${isDarkMode ? 'text-indigo-300' : 'text-indigo-700'}`}>
-                      AI Suggestions
+                      Suggestions
                     </h4>
                   </div>
                   <div className="flex flex-wrap gap-2">
-                    <span className={`px-2 py-1 rounded text-xs font-semibold ${
-                      aiSuggestions.priority === 'P1' 
-                        ? 'bg-red-500 text-white' 
-                        : aiSuggestions.priority === 'P2' 
-                        ? 'bg-orange-500 text-white' 
-                        : aiSuggestions.priority === 'P3' 
-                        ? 'bg-yellow-500 text-white' 
-                        : 'bg-green-500 text-white'
-                    }`}>
-                      Priority: {aiSuggestions.priority}
-                    </span>
-                    <span className={`px-2 py-1 rounded text-xs font-semibold ${
-                      aiSuggestions.impact === 'Critical' 
-                        ? 'bg-red-600 text-white' 
-                        : aiSuggestions.impact === 'High' 
-                        ? 'bg-orange-600 text-white' 
-                        : aiSuggestions.impact === 'Medium' 
-                        ? 'bg-yellow-600 text-white' 
-                        : 'bg-blue-600 text-white'
-                    }`}>
-                      Impact: {aiSuggestions.impact}
+                    <span
+                      className={`px-2 py-1 rounded text-xs font-semibold ${
+                        aiSuggestions.priority.priority === 'P1' 
+                          ? 'bg-red-500 text-white' 
+                          : aiSuggestions.priority.priority === 'P2' 
+                          ? 'bg-orange-500 text-white' 
+                          : aiSuggestions.priority.priority === 'P3' 
+                          ? 'bg-yellow-500 text-white' 
+                          : 'bg-green-500 text-white'
+                      }`}
+                      title={aiSuggestions.priority.reasons.length > 0
+                        ? aiSuggestions.priority.reasons.map(reason => `${reason.priority}: ${reason.text}`).join('\n')
+                        : 'No priority rule matched - the default priority'}
+                    >
+                      Priority: {aiSuggestions.priority.priority}
                     </span>
                     {aiSuggestions.tags.map((tag, index) => (
                       <span 
@@ -2588,10 +3586,25 @@ CRITICAL FORMATTING RULES:
               )}
             </div>
 
+            {/* Logs */}
+            <div className="mb-6">
+              <LogsPanel
+                value={logsText}
+                onChange={handleLogsChange}
+                errors={logErrors}
+                errorDetails={errorDetails}
+                minifiedCount={minifiedFrames.length}
+                symbolicatedCount={minifiedFrames.filter(frame => symbolicatedFrames[frameKey(frame)]).length}
+                onSymbolicate={symbolicateLogs}
+                isSymbolicating={isSymbolicating}
+                isDarkMode={isDarkMode}
+              />
+            </div>
+
             {/* File Upload */}
             <div className="mb-6">
               <label className={`block text-sm font-medium ${isDarkMode ? 'text-gray-200' : 'text-gray-700'} mb-2`}>
-                Upload Image/Video (Optional)
+                Upload Images, Videos or Logs (Optional)
               </label>
               <div 
                 className={`border-2 border-dashed rounded-lg p-6 text-center transition-all file-upload-area ${
@@ -2608,7 +3621,7 @@ CRITICAL FORMATTING RULES:
               >
                 <input
                   type="file"
-                  accept="image/*,video/*"
+                  accept={`image/*,video/*,${DOCUMENT_ACCEPT}`}
                   onChange={handleFileChange}
                   className="hidden"
                   id="file-upload"
@@ -2619,7 +3632,7 @@ CRITICAL FORMATTING RULES:
                     {/* File Count */}
                     <div className="flex items-center justify-between">
                       <span className={`text-sm font-medium ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
-                        📎 {files.length}/10 files uploaded
+                        📎 {files.length}/{MAX_FILES} files uploaded
                       </span>
                       <button 
                         onClick={(e) => {
@@ -2649,6 +3662,16 @@ CRITICAL FORMATTING RULES:
                               alt={fileItem.name} 
                               className="w-full h-24 object-cover" 
                             />
+                          ) : fileItem.documentKind ? (
+                            <div
+                              className="w-full h-24 flex flex-col items-center justify-center gap-1 bg-gradient-to-br from-gray-500 to-slate-600"
+                              title={fileItem.summary || fileItem.name}
+                            >
+                              <FileText className="w-8 h-8 text-white" />
+                              <span className="text-xs font-semibold uppercase text-white">
+                                {fileItem.documentKind}{fileItem.summary ? ' · summarized' : ''}
+                              </span>
+                            </div>
                           ) : (
                             <div className="w-full h-24 flex items-center justify-center bg-gradient-to-br from-purple-500 to-blue-500">
                               <Video className="w-8 h-8 text-white" />
@@ -2662,6 +3685,11 @@ CRITICAL FORMATTING RULES:
                             </p>
                             <p className={`text-xs ${isDarkMode ? 'text-gray-500' : 'text-gray-500'}`}>
                               {(fileItem.size / 1024 / 1024).toFixed(2)} MB
+                              {fileItem.originalSize > fileItem.size && (
+                                <span className="text-green-600" title={`Optimized from ${(fileItem.originalSize / 1024 / 1024).toFixed(2)} MB`}>
+                                  {' '}(-{Math.round((1 - fileItem.size / fileItem.originalSize) * 100)}%)
+                                </span>
+                              )}
                             </p>
                           </div>
 
@@ -2681,7 +3709,7 @@ CRITICAL FORMATTING RULES:
                       ))}
 
                       {/* Add More Button */}
-                      {files.length < 10 && (
+                      {files.length < MAX_FILES && (
                         <label 
                           htmlFor="file-upload" 
                           className={`flex flex-col items-center justify-center h-32 border-2 border-dashed rounded-lg cursor-pointer transition-all ${
@@ -2708,7 +3736,7 @@ CRITICAL FORMATTING RULES:
                       {isDragging ? 'Drop files here!' : 'Click to upload or drag and drop'}
                     </p>
                     <p className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
-                      Images & Videos • Max 10 files • Max 50MB per file
+                      Images, Videos, HAR, Logs, Text, JSON & PDF • Max {MAX_FILES} files • Max 50MB per file
                     </p>
                   </label>
                 )}
@@ -2716,16 +3744,28 @@ CRITICAL FORMATTING RULES:
             </div>
 
 
+            {/* Clarifying questions toggle */}
+            <label className={`flex items-center gap-2 mb-3 text-sm cursor-pointer ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+              <input
+                type="checkbox"
+                checked={askClarifyingQuestions}
+                onChange={toggleClarifyingQuestions}
+                className="w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-2 focus:ring-blue-500"
+              />
+              Ask clarifying questions first
+              <span className={`text-xs ${isDarkMode ? 'text-gray-500' : 'text-gray-400'}`}>(up to 5, all optional)</span>
+            </label>
+
             {/* Generate Button */}
             <button
-              onClick={generateTicket}
-              disabled={loading}
+              onClick={startGeneration}
+              disabled={loading || isClarifying}
               className="w-full bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 text-white font-semibold py-3 px-6 rounded-lg transition-all disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center justify-center gap-2 btn-glow btn-ripple shadow-md"
             >
-              {loading ? (
+              {loading || isClarifying ? (
                 <>
                   <Loader2 className="w-5 h-5 animate-spin" />
-                  <span className="animate-pulse">Generating Ticket...</span>
+                  <span className="animate-pulse">{isClarifying ? 'Looking for open questions...' : 'Generating Ticket...'}</span>
                 </>
               ) : (
                 <>
@@ -2734,6 +3774,19 @@ CRITICAL FORMATTING RULES:
                 </>
               )}
             </button>
+
+            {clarifyingQuestions && (
+              <div className="mt-4">
+                <ClarifyingQuestions
+                  questions={clarifyingQuestions}
+                  onAnswerChange={answerClarifyingQuestion}
+                  onSubmit={() => submitClarifications()}
+                  onSkip={() => submitClarifications(true)}
+                  isGenerating={loading}
+                  isDarkMode={isDarkMode}
+                />
+              </div>
+            )}
           </div>
 
           {/* Output Section */}
@@ -2761,7 +3814,7 @@ CRITICAL FORMATTING RULES:
               </div>
             )}
 
-            {loading && (
+            {loading && !streamingTicket && (
               <div className="h-full flex items-center justify-center min-h-[400px] py-8 overflow-y-auto">
                 <div className="text-center w-full px-4 max-w-2xl mx-auto">
                   {/* AI-Powered Loading Animation */}
@@ -2818,37 +3871,76 @@ CRITICAL FORMATTING RULES:
                       <TicketSkeleton isDarkMode={isDarkMode} />
                     </div>
 
-                    {/* Fun AI Messages */}
-                    <div className={`rounded-xl p-3 ${isDarkMode ? 'bg-gradient-to-r from-blue-900/20 to-purple-900/20 border border-blue-700/30' : 'bg-gradient-to-r from-blue-50 to-purple-50 border border-blue-200'}`}>
-                      <p className={`text-xs ${isDarkMode ? 'text-blue-200' : 'text-blue-700'} font-medium`}>
-                        {countdown > 10 ? '🧠 Analyzing your description and files...' :
-                         countdown > 5 ? '✍️ Crafting a detailed ticket for you...' :
-                         '🎯 Almost there! Finalizing details...'}
-                      </p>
-                    </div>
-                    
-                    {/* Subtle Progress Indicator */}
-                    <div className="flex items-center justify-center gap-2 pt-2">
-                      <div className={`h-1 w-24 rounded-full ${isDarkMode ? 'bg-gray-700' : 'bg-gray-200'} overflow-hidden`}>
-                        <div 
-                          className={`h-full bg-gradient-to-r from-blue-500 via-purple-500 to-pink-500 animate-pulse`}
-                          style={{ 
-                            width: `${Math.min(100 - (countdown * 5), 95)}%`,
-                            transition: 'width 0.5s ease-out'
-                          }}
-                        />
-                      </div>
-                      {countdown > 0 && (
-                        <span className={`text-xs font-medium ${isDarkMode ? 'text-gray-400' : 'text-gray-500'} whitespace-nowrap`}>
-                          ~{countdown}s
-                        </span>
-                      )}
+                    {/* Elapsed Time and Cancel */}
+                    <div className="flex items-center justify-center gap-3 pt-2">
+                      <span className={`text-xs font-medium ${isDarkMode ? 'text-gray-400' : 'text-gray-500'} whitespace-nowrap`}>
+                        {elapsedSeconds}s elapsed
+                      </span>
+                      <button
+                        onClick={cancelGeneration}
+                        className={`px-3 py-1.5 text-xs font-semibold rounded-lg transition-all ${
+                          isDarkMode
+                            ? 'bg-red-900/40 hover:bg-red-900/60 text-red-300'
+                            : 'bg-red-100 hover:bg-red-200 text-red-700'
+                        }`}
+                        title="Stop generating this ticket"
+                      >
+                        🛑 Cancel
+                      </button>
                     </div>
                   </div>
                 </div>
               </div>
             )}
 
+            {/* Ticket sections rendered live while the AI streams them */}
+            {loading && streamingTicket && (
+              <div className="space-y-4 animate-fadeIn">
+                <div className="flex items-center justify-between gap-3 flex-wrap">
+                  <p className={`text-sm font-medium flex items-center gap-2 ${isDarkMode ? 'text-blue-300' : 'text-blue-600'}`}>
+                    <Loader2 className="w-4 h-4 animate-spin flex-shrink-0" />
+                    {loadingStep}
+                  </p>
+                  <div className="flex items-center gap-3">
+                    <span className={`text-xs font-medium ${isDarkMode ? 'text-gray-400' : 'text-gray-500'} whitespace-nowrap`}>
+                      {Math.min(streamedSections.length, enabledSectionCount)}/{enabledSectionCount} sections · {elapsedSeconds}s
+                    </span>
+                    <button
+                      onClick={cancelGeneration}
+                      className={`px-3 py-1.5 text-xs font-semibold rounded-lg transition-all ${
+                        isDarkMode
+                          ? 'bg-red-900/40 hover:bg-red-900/60 text-red-300'
+                          : 'bg-red-100 hover:bg-red-200 text-red-700'
+                      }`}
+                      title="Stop generating this ticket"
+                    >
+                      🛑 Cancel
+                    </button>
+                  </div>
+                </div>
+
+                <div className={`h-1 w-full rounded-full ${isDarkMode ? 'bg-gray-700' : 'bg-gray-200'} overflow-hidden`}>
+                  <div
+                    className="h-full bg-gradient-to-r from-blue-500 via-purple-500 to-pink-500"
+                    style={{
+                      width: `${Math.min(100, (streamedSections.length / Math.max(enabledSectionCount, 1)) * 100)}%`,
+                      transition: 'width 0.5s ease-out'
+                    }}
+                  />
+                </div>
+
+                <div className={`rounded-lg p-5 max-h-[600px] overflow-y-auto shadow-inner border ${
+                  isDarkMode 
+                    ? 'bg-gradient-to-br from-gray-900 to-gray-800 border-gray-700' 
+                    : 'bg-gradient-to-br from-gray-50 to-blue-50 border-gray-200'
+                }`}>
+                  <div className={`text-sm leading-relaxed ${isDarkMode ? 'text-gray-200' : 'text-gray-800'}`}>
+                    <FormattedTicket ticket={streamingTicket} isDarkMode={isDarkMode} isStreaming />
+                  </div>
+                </div>
+              </div>
+            )}
+
             {ticket && (
               <div className="space-y-4 animate-fadeIn">
                 {/* Edit Button */}
@@ -2917,11 +4009,23 @@ CRITICAL FORMATTING RULES:
                       : 'bg-gradient-to-br from-gray-50 to-blue-50 border-gray-200'
                   }`}>
                     <div className={`text-sm leading-relaxed ${isDarkMode ? 'text-gray-200' : 'text-gray-800'}`}>
-                      <FormattedTicket ticket={ticket} isDarkMode={isDarkMode} />
+                      <FormattedTicket ticket={ticket} isDarkMode={isDarkMode} renderSectionActions={renderSectionActions} />
                     </div>
                   </div>
                 )}
 
+                {!isEditingTicket && (
+                  <RefineChat
+                    turns={refineConversation}
+                    instruction={refineInstruction}
+                    onInstructionChange={setRefineInstruction}
+                    onSend={refineTicket}
+                    onDecide={decideRefinement}
+                    isRefining={isRefining}
+                    isDarkMode={isDarkMode}
+                  />
+                )}
+
                 <div className="space-y-3">
                   {copied && (
                     <div className="bg-gradient-to-r from-blue-50 to-indigo-50 border-2 border-blue-300 rounded-lg p-3 flex items-center gap-2 animate-slideDown success-pop">
@@ -2929,6 +4033,481 @@ CRITICAL FORMATTING RULES:
                       <p className="text-sm text-blue-700 font-semibold">Copied to clipboard!</p>
                     </div>
                   )}
+                  {!isEditingTicket && (
+                    <div className={`rounded-lg border ${isDarkMode ? 'border-gray-700 bg-gray-900/40' : 'border-gray-200 bg-gray-50'}`}>
+                      <button
+                        onClick={() => setShowJiraLinks(!showJiraLinks)}
+                        className={`w-full flex items-center justify-between gap-2 px-3 py-2 text-sm font-semibold ${isDarkMode ? 'text-gray-200' : 'text-gray-700'}`}
+                        title="Routing, priority, parent epic, sprint, people, labels and issue links sent with the next push"
+                      >
+                        <span className="flex items-center gap-2 min-w-0">
+                          🧭 Jira Details
+                          {isClassifying && <Loader2 className="w-3.5 h-3.5 animate-spin flex-shrink-0" />}
+                          {priorityAssessment && (
+                            <span className={`text-xs font-medium px-2 py-0.5 rounded ${isDarkMode ? 'bg-amber-900/50 text-amber-200' : 'bg-amber-100 text-amber-700'}`}>
+                              {PRIORITIES.includes(ticketData.values.priority) ? ticketData.values.priority : priorityAssessment.priority}
+                            </span>
+                          )}
+                          {currentIssueType.requiresParent && subtaskParentKey && (
+                            <span className={`truncate text-xs font-medium px-2 py-0.5 rounded ${isDarkMode ? 'bg-purple-900/50 text-purple-200' : 'bg-purple-100 text-purple-700'}`}>
+                              🧩 {subtaskParentKey}
+                            </span>
+                          )}
+                          {activeParentEpic && !currentIssueType.requiresParent && (
+                            <span className={`truncate text-xs font-medium px-2 py-0.5 rounded ${isDarkMode ? 'bg-purple-900/50 text-purple-200' : 'bg-purple-100 text-purple-700'}`}>
+                              {activeParentEpic.key}
+                            </span>
+                          )}
+                          {activeSprint && !currentIssueType.requiresParent && (
+                            <span className={`truncate text-xs font-medium px-2 py-0.5 rounded ${isDarkMode ? 'bg-green-900/50 text-green-200' : 'bg-green-100 text-green-700'}`}>
+                              🏃 {activeSprint.name}
+                            </span>
+                          )}
+                          {jiraLinks.length > 0 && (
+                            <span className={`text-xs font-medium px-2 py-0.5 rounded ${isDarkMode ? 'bg-blue-900/50 text-blue-200' : 'bg-blue-100 text-blue-700'}`}>
+                              🔗 {jiraLinks.length}
+                            </span>
+                          )}
+                        </span>
+                        {showJiraLinks ? <ChevronUp className="w-4 h-4 flex-shrink-0" /> : <ChevronDown className="w-4 h-4 flex-shrink-0" />}
+                      </button>
+
+                      {showJiraLinks && (
+                        <div className={`px-3 pb-3 space-y-4 border-t ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                          <div className="pt-3">
+                            <div className="flex items-center justify-between mb-1">
+                              <label className={`block text-xs font-semibold ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                                Routing
+                              </label>
+                              <button
+                                onClick={() => classifyTicket()}
+                                disabled={isClassifying}
+                                className={`text-xs font-semibold disabled:opacity-50 ${isDarkMode ? 'text-blue-300 hover:text-blue-200' : 'text-blue-700 hover:text-blue-800'}`}
+                                title="Suggest the fields you haven't picked by hand from the ticket and its screenshots"
+                              >
+                                {isClassifying ? 'Classifying...' : '✨ Suggest'}
+                              </button>
+                            </div>
+                            <div className="flex flex-wrap gap-1.5">
+                              {JIRA_ROUTING_FIELDS.map(field => {
+                                const suggestion = jiraRouting[field.id];
+                                const value = getRoutingValue(field.id);
+                                const chipColor = !suggestion
+                                  ? (isDarkMode ? 'border-gray-600 text-gray-300' : 'border-gray-300 text-gray-600 bg-white')
+                                  : suggestion.edited
+                                    ? (isDarkMode ? 'border-blue-700 bg-blue-900/40 text-blue-200' : 'border-blue-200 bg-blue-50 text-blue-700')
+                                    : suggestion.confidence >= 0.8
+                                      ? (isDarkMode ? 'border-green-700 bg-green-900/40 text-green-200' : 'border-green-200 bg-green-50 text-green-700')
+                                      : suggestion.confidence >= 0.5
+                                        ? (isDarkMode ? 'border-amber-700 bg-amber-900/40 text-amber-200' : 'border-amber-200 bg-amber-50 text-amber-700')
+                                        : (isDarkMode ? 'border-red-700 bg-red-900/40 text-red-200' : 'border-red-200 bg-red-50 text-red-700');
+                                return (
+                                  <button
+                                    key={field.id}
+                                    onClick={() => setEditingRoutingField(editingRoutingField === field.id ? null : field.id)}
+                                    className={`text-xs px-2 py-0.5 rounded-full border flex items-center gap-1 max-w-full ${chipColor} ${
+                                      editingRoutingField === field.id ? 'ring-2 ring-blue-500' : ''
+                                    }`}
+                                    title={!suggestion
+                                      ? 'Default from Jira settings - click to change it for this ticket'
+                                      : suggestion.edited
+                                        ? 'Picked for this ticket - click to change it'
+                                        : `AI suggestion: ${suggestion.reason || 'no reason given'} - click to change it`}
+                                  >
+                                    <span className="opacity-70 flex-shrink-0">{field.label}:</span>
+                                    <span className="font-medium truncate">{value || 'Not set'}</span>
+                                    {suggestion && !suggestion.edited && (
+                                      <span className="font-semibold flex-shrink-0">{Math.round(suggestion.confidence * 100)}%</span>
+                                    )}
+                                  </button>
+                                );
+                              })}
+                            </div>
+                            {editingRoutingField && (
+                              <div className="mt-2">
+                                <SearchableSelect
+                                  value={getRoutingValue(editingRoutingField)}
+                                  onChange={(value) => setRoutingValue(editingRoutingField, value)}
+                                  options={getJiraFieldOptions(editingRoutingField)}
+                                  placeholder={`${JIRA_ROUTING_FIELDS.find(field => field.id === editingRoutingField).label} for this ticket`}
+                                  isDarkMode={isDarkMode}
+                                  emptyMessage={jiraFieldOptionsEmptyMessage}
+                                />
+                              </div>
+                            )}
+                            <p className={`text-xs mt-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                              Suggested per ticket with the AI's confidence (hover for its reason). Clearing a field goes back to the Jira settings default.
+                            </p>
+                          </div>
+
+                          {priorityAssessment && (
+                            <div>
+                              <label className={`block text-xs font-semibold mb-1 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                                Priority
+                              </label>
+                              <div className="flex items-center gap-2">
+                                <select
+                                  value={PRIORITIES.includes(ticketData.values.priority) ? ticketData.values.priority : ''}
+                                  onChange={(e) => setTicketLevel('priority', e.target.value)}
+                                  className={`flex-1 min-w-0 px-2 py-1.5 rounded-lg border text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                                    isDarkMode ? 'bg-gray-800 border-gray-600 text-gray-200' : 'bg-white border-gray-300 text-gray-900'
+                                  }`}
+                                >
+                                  {!hasPrioritySection && (
+                                    <option value="">Suggested ({formatLevel('priority', priorityAssessment.priority)})</option>
+                                  )}
+                                  {PRIORITIES.map(priority => (
+                                    <option key={priority} value={priority}>{formatLevel('priority', priority)}</option>
+                                  ))}
+                                </select>
+                                {PRIORITIES.includes(ticketData.values.priority) && ticketData.values.priority !== priorityAssessment.priority && (
+                                  <button
+                                    onClick={() => setTicketLevel('priority', hasPrioritySection ? priorityAssessment.priority : '')}
+                                    className={`text-xs font-semibold flex-shrink-0 ${isDarkMode ? 'text-blue-300 hover:text-blue-200' : 'text-blue-700 hover:text-blue-800'}`}
+                                    title="Use the priority the rules and the AI suggest now"
+                                  >
+                                    Use suggested {priorityAssessment.priority}
+                                  </button>
+                                )}
+                              </div>
+                              <ul className={`mt-1 space-y-0.5 text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                                {priorityAssessment.reasons.length === 0 ? (
+                                  <li>No priority rule matched - {priorityAssessment.priority} is the default</li>
+                                ) : (
+                                  priorityAssessment.reasons.map((reason, index) => (
+                                    <li key={index} className="flex gap-1.5">
+                                      <span className="font-mono font-semibold flex-shrink-0">{reason.priority}</span>
+                                      <span className="min-w-0">{reason.text}{reason.floor ? ' (minimum)' : ''}</span>
+                                    </li>
+                                  ))
+                                )}
+                              </ul>
+                            </div>
+                          )}
+
+                          {showSeverity && (
+                            <div>
+                              <label className={`block text-xs font-semibold mb-1 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                                Severity
+                              </label>
+                              <select
+                                value={SEVERITIES.includes(ticketData.values.severity) ? ticketData.values.severity : ''}
+                                onChange={(e) => setTicketLevel('severity', e.target.value)}
+                                className={`w-full px-2 py-1.5 rounded-lg border text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                                  isDarkMode ? 'bg-gray-800 border-gray-600 text-gray-200' : 'bg-white border-gray-300 text-gray-900'
+                                }`}
+                              >
+                                {!hasSeveritySection && <option value="">Not set</option>}
+                                {SEVERITIES.map(severity => (
+                                  <option key={severity} value={severity}>{formatLevel('severity', severity)}</option>
+                                ))}
+                              </select>
+                              <p className={`text-xs mt-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                                How bad the impact is - priority is how soon it must be fixed.
+                              </p>
+                            </div>
+                          )}
+
+                          {currentIssueType.requiresParent ? (
+                            <div>
+                              <label className={`block text-xs font-semibold mb-1 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                                Parent Issue
+                              </label>
+                              <input
+                                type="text"
+                                value={subtaskParentKey}
+                                onChange={(e) => setSubtaskParentKey(e.target.value.toUpperCase())}
+                                placeholder="WE-123"
+                                className={`w-full px-3 py-1.5 rounded-lg border text-sm font-mono focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                                  isDarkMode ? 'bg-gray-800 border-gray-600 text-gray-200' : 'bg-white border-gray-300 text-gray-900'
+                                }`}
+                              />
+                              <p className={`text-xs mt-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                                Sub-tasks are created under this issue and follow its epic and sprint.
+                              </p>
+                            </div>
+                          ) : (
+                            <div>
+                              <label className={`block text-xs font-semibold mb-1 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                                Parent Epic
+                              </label>
+                              {activeParentEpic ? (
+                                <div className={`flex items-center justify-between gap-2 p-2 rounded-lg border text-sm ${
+                                  isDarkMode ? 'bg-purple-900/30 border-purple-700 text-purple-100' : 'bg-purple-50 border-purple-200 text-purple-800'
+                                }`}>
+                                  <span className="min-w-0 truncate">
+                                    <span className="font-mono font-semibold">{activeParentEpic.key}</span> {activeParentEpic.summary}
+                                  </span>
+                                  <button
+                                    onClick={() => selectParentEpic(null)}
+                                    className={`p-1 rounded flex-shrink-0 ${isDarkMode ? 'hover:bg-purple-800' : 'hover:bg-purple-100'}`}
+                                    title="Remove parent epic"
+                                  >
+                                    <CloseIcon className="w-4 h-4" />
+                                  </button>
+                                </div>
+                              ) : (
+                                <p className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>No epic - the ticket is created without a parent</p>
+                              )}
+                              <div className="flex gap-2 mt-2">
+                                <input
+                                  type="text"
+                                  value={epicQuery}
+                                  onChange={(e) => setEpicQuery(e.target.value)}
+                                  onKeyDown={(e) => {
+                                    if (e.key === 'Enter') {
+                                      e.preventDefault();
+                                      searchJiraEpics();
+                                    }
+                                  }}
+                                  placeholder="Search epics by name or key..."
+                                  className={`flex-1 min-w-0 px-3 py-1.5 rounded-lg border text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                                    isDarkMode ? 'bg-gray-800 border-gray-600 text-gray-200' : 'bg-white border-gray-300 text-gray-900'
+                                  }`}
+                                />
+                                <button
+                                  onClick={() => searchJiraEpics()}
+                                  disabled={isSearchingEpics}
+                                  className="px-3 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-700 text-white text-sm flex items-center gap-1 disabled:opacity-50 disabled:cursor-not-allowed"
+                                  title="Search open epics in the project"
+                                >
+                                  {isSearchingEpics ? <Loader2 className="w-4 h-4 animate-spin" /> : <Search className="w-4 h-4" />}
+                                </button>
+                              </div>
+                              {epicResults && (
+                                <div className={`mt-2 max-h-48 overflow-y-auto rounded-lg border ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                                  {epicResults.length === 0 ? (
+                                    <p className={`p-2 text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>No open epics found</p>
+                                  ) : (
+                                    epicResults.map(epic => (
+                                      <button
+                                        key={epic.key}
+                                        onClick={() => selectParentEpic(epic)}
+                                        className={`w-full text-left px-2 py-1.5 text-sm flex items-center gap-2 ${
+                                          activeParentEpic && activeParentEpic.key === epic.key
+                                            ? (isDarkMode ? 'bg-purple-900/40 text-purple-100' : 'bg-purple-50 text-purple-800')
+                                            : (isDarkMode ? 'text-gray-200 hover:bg-gray-800' : 'text-gray-800 hover:bg-white')
+                                        }`}
+                                      >
+                                        <span className="font-mono text-xs font-semibold flex-shrink-0">{epic.key}</span>
+                                        <span className="truncate flex-1">{epic.summary}</span>
+                                        {epic.inSprint && (
+                                          <span className="text-xs px-1.5 py-0.5 rounded bg-green-100 text-green-700 flex-shrink-0" title="Has issues in the active sprint">
+                                            🏃 Sprint
+                                          </span>
+                                        )}
+                                      </button>
+                                    ))
+                                  )}
+                                </div>
+                              )}
+                              <p className={`text-xs mt-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                                The epic stays selected for the next tickets, so bugs found during sprint testing all go to the sprint's epic.
+                              </p>
+                            </div>
+                          )}
+
+                          {!currentIssueType.requiresParent && (
+                            <div>
+                              <div className="flex items-center justify-between mb-1">
+                                <label className={`block text-xs font-semibold ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                                  Sprint
+                                </label>
+                                <button
+                                  onClick={() => fetchJiraSprints(true)}
+                                  disabled={isLoadingSprints}
+                                  className={`text-xs font-semibold disabled:opacity-50 ${isDarkMode ? 'text-blue-300 hover:text-blue-200' : 'text-blue-700 hover:text-blue-800'}`}
+                                >
+                                  {isLoadingSprints ? 'Loading...' : '🔄 Refresh'}
+                                </button>
+                              </div>
+                              <select
+                                value={activeSprint ? String(activeSprint.id) : ''}
+                                onChange={(e) => selectSprint(e.target.value)}
+                                className={`w-full px-2 py-1.5 rounded-lg border text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                                  isDarkMode ? 'bg-gray-800 border-gray-600 text-gray-200' : 'bg-white border-gray-300 text-gray-900'
+                                }`}
+                              >
+                                <option value="">No sprint (backlog)</option>
+                                {/* Keep the saved sprint selectable before the list has loaded */}
+                                {activeSprint && !(jiraSprints || []).some(sprint => sprint.id === activeSprint.id) && (
+                                  <option value={String(activeSprint.id)}>{activeSprint.name}</option>
+                                )}
+                                {(jiraSprints || []).map(sprint => (
+                                  <option key={sprint.id} value={String(sprint.id)}>
+                                    {sprint.name}{sprint.state === 'active' ? ' (active)' : ''}
+                                  </option>
+                                ))}
+                              </select>
+                            </div>
+                          )}
+
+                          <div className="grid grid-cols-2 gap-2">
+                            <div>
+                              <label className={`block text-xs font-semibold mb-1 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                                Assignee
+                              </label>
+                              <JiraUserPicker
+                                value={jiraAssignee}
+                                onChange={setJiraAssignee}
+                                onSearch={(query) => searchJiraUsers(query, true)}
+                                placeholder="Unassigned"
+                                isDarkMode={isDarkMode}
+                                disabled={!jiraConfig.sessionId}
+                              />
+                            </div>
+                            <div>
+                              <label className={`block text-xs font-semibold mb-1 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                                Reporter
+                              </label>
+                              <JiraUserPicker
+                                value={jiraReporter}
+                                onChange={setJiraReporter}
+                                onSearch={(query) => searchJiraUsers(query, false)}
+                                placeholder="You (API token owner)"
+                                isDarkMode={isDarkMode}
+                                disabled={!jiraConfig.sessionId}
+                              />
+                            </div>
+                          </div>
+
+                          <div>
+                            <label className={`block text-xs font-semibold mb-1 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                              Labels
+                            </label>
+                            <div className={`flex flex-wrap items-center gap-1.5 p-1.5 rounded-lg border ${
+                              isDarkMode ? 'bg-gray-800 border-gray-600' : 'bg-white border-gray-300'
+                            }`}>
+                              {jiraLabels.map(label => (
+                                <span
+                                  key={label}
+                                  className={`text-xs px-2 py-0.5 rounded-full flex items-center gap-1 ${isDarkMode ? 'bg-blue-900/50 text-blue-200' : 'bg-blue-100 text-blue-700'}`}
+                                >
+                                  {label}
+                                  <button
+                                    onClick={() => setJiraLabels(prev => prev.filter(item => item !== label))}
+                                    className="hover:text-red-500"
+                                    title={`Remove ${label}`}
+                                  >
+                                    <CloseIcon className="w-3 h-3" />
+                                  </button>
+                                </span>
+                              ))}
+                              <input
+                                type="text"
+                                value={labelInput}
+                                onChange={(e) => setLabelInput(e.target.value)}
+                                onKeyDown={(e) => {
+                                  if ((e.key === 'Enter' || e.key === ',') && labelInput.trim()) {
+                                    e.preventDefault();
+                                    addJiraLabels(labelInput);
+                                  } else if (e.key === 'Backspace' && !labelInput && jiraLabels.length > 0) {
+                                    setJiraLabels(prev => prev.slice(0, -1));
+                                  }
+                                }}
+                                onBlur={() => labelInput.trim() && addJiraLabels(labelInput)}
+                                placeholder={jiraLabels.length === 0 ? 'Add labels...' : ''}
+                                className={`flex-1 min-w-[80px] px-1 py-0.5 text-sm bg-transparent focus:outline-none ${isDarkMode ? 'text-gray-200' : 'text-gray-900'}`}
+                              />
+                            </div>
+                            {aiSuggestions && aiSuggestions.tags.some(tag => !jiraLabels.includes(tag)) && (
+                              <div className="flex flex-wrap items-center gap-1 mt-1">
+                                <span className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>Suggested:</span>
+                                {aiSuggestions.tags.filter(tag => !jiraLabels.includes(tag)).map(tag => (
+                                  <button
+                                    key={tag}
+                                    onClick={() => addJiraLabels(tag)}
+                                    className={`text-xs px-2 py-0.5 rounded-full border border-dashed ${isDarkMode ? 'border-gray-500 text-gray-300 hover:bg-gray-800' : 'border-gray-400 text-gray-600 hover:bg-white'}`}
+                                  >
+                                    + {tag}
+                                  </button>
+                                ))}
+                              </div>
+                            )}
+                          </div>
+
+                          <div>
+                            <label className={`block text-xs font-semibold mb-1 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                              Issue Links
+                            </label>
+                            <div className="space-y-2">
+                              {jiraLinks.map((link, index) => (
+                                <div key={index} className="flex gap-2">
+                                  <select
+                                    value={link.relation}
+                                    onChange={(e) => updateJiraLink(index, { relation: e.target.value })}
+                                    className={`px-2 py-1.5 rounded-lg border text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                                      isDarkMode ? 'bg-gray-800 border-gray-600 text-gray-200' : 'bg-white border-gray-300 text-gray-900'
+                                    }`}
+                                  >
+                                    {JIRA_LINK_RELATIONS.map(relation => (
+                                      <option key={relation} value={relation}>{relation}</option>
+                                    ))}
+                                  </select>
+                                  <input
+                                    type="text"
+                                    value={link.key}
+                                    onChange={(e) => updateJiraLink(index, { key: e.target.value.toUpperCase() })}
+                                    placeholder="WE-123"
+                                    className={`flex-1 min-w-0 px-3 py-1.5 rounded-lg border text-sm font-mono focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                                      isDarkMode ? 'bg-gray-800 border-gray-600 text-gray-200' : 'bg-white border-gray-300 text-gray-900'
+                                    }`}
+                                  />
+                                  <button
+                                    onClick={() => setJiraLinks(prev => prev.filter((_, i) => i !== index))}
+                                    className={`p-1.5 rounded-lg ${isDarkMode ? 'text-gray-400 hover:bg-gray-800' : 'text-gray-500 hover:bg-gray-200'}`}
+                                    title="Remove link"
+                                  >
+                                    <Trash2 className="w-4 h-4" />
+                                  </button>
+                                </div>
+                              ))}
+                              <button
+                                onClick={() => setJiraLinks(prev => [...prev, { relation: 'relates to', key: '' }])}
+                                className={`text-sm font-semibold flex items-center gap-1 ${isDarkMode ? 'text-blue-300 hover:text-blue-200' : 'text-blue-700 hover:text-blue-800'}`}
+                              >
+                                <Plus className="w-4 h-4" />
+                                Add link
+                              </button>
+                            </div>
+                          </div>
+                        </div>
+                      )}
+                    </div>
+                  )}
+                  {(isPushingToJira || isRetryingAttachments) && attachmentUploads.length > 0 && (
+                    <AttachmentUploads uploads={attachmentUploads} isDarkMode={isDarkMode} />
+                  )}
+                  {jiraIssue && !isPushingToJira && !isRetryingAttachments && failedAttachments.length > 0 && (
+                    <div className="space-y-2">
+                      <AttachmentUploads
+                        uploads={jiraIssue.attachments.map(result => ({ ...result, id: getAttachmentResultKey(result) }))}
+                        isDarkMode={isDarkMode}
+                      />
+                      <button
+                        onClick={retryFailedAttachments}
+                        disabled={!canRetryAttachments}
+                        className={`w-full font-semibold py-2 px-3 rounded-lg transition-all text-sm border-2 flex items-center justify-center gap-1 disabled:opacity-50 disabled:cursor-not-allowed ${
+                          isDarkMode
+                            ? 'border-red-700 text-red-300 hover:bg-red-900/30'
+                            : 'border-red-600 text-red-700 hover:bg-red-50'
+                        }`}
+                        title={canRetryAttachments
+                          ? `Upload the ${retryableAttachments.length} missing file${retryableAttachments.length !== 1 ? 's' : ''} to ${jiraIssue.key}`
+                          : failedAttachments.every(result => result.tooLarge)
+                            ? 'These files are over this deployment\'s upload limit - attach them in Jira directly'
+                            : 'Add the failed files again to retry them'}
+                      >
+                        <RefreshCw className="w-4 h-4" />
+                        Retry failed attachments
+                      </button>
+                      {retryableAttachments.length < failedAttachments.filter(result => !result.tooLarge).length && (
+                        <p className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                          Added files are only kept while this page is open - after a reload, add the failed files again (same names) to retry them.
+                        </p>
+                      )}
+                    </div>
+                  )}
                   <div className="grid grid-cols-2 gap-2">
                     {isEditingTicket ? (
                       <button
@@ -2958,10 +4537,10 @@ CRITICAL FORMATTING RULES:
                       </>
                     )}
                     <button
-                      onClick={pushToJira}
+                      onClick={() => pushToJira()}
                       disabled={isPushingToJira}
                       className="bg-gradient-to-r from-blue-700 to-blue-800 hover:from-blue-800 hover:to-blue-900 text-white font-semibold py-2.5 px-3 rounded-lg transition-all shadow-md btn-glow btn-ripple text-sm flex flex-col items-center justify-center gap-1 disabled:opacity-50 disabled:cursor-not-allowed min-w-[140px]"
-                      title="Push to Jira"
+                      title={jiraIssue ? `Update ${jiraIssue.key} in Jira` : 'Push to Jira'}
                     >
                       {isPushingToJira ? (
                         <>
@@ -2978,10 +4557,23 @@ CRITICAL FORMATTING RULES:
                       ) : (
                         <>
                           <ExternalLink className="w-4 h-4" />
-                          Push to Jira
+                          {jiraIssue ? `Update ${jiraIssue.key}` : 'Push to Jira'}
                         </>
                       )}
                     </button>
+                    {jiraIssue && !isPushingToJira && (
+                      <button
+                        onClick={() => pushToJira('create')}
+                        className={`font-semibold py-2.5 px-3 rounded-lg transition-all shadow-md text-sm border-2 ${
+                          isDarkMode
+                            ? 'border-blue-700 text-blue-300 hover:bg-blue-900/40'
+                            : 'border-blue-700 text-blue-700 hover:bg-blue-50'
+                        }`}
+                        title={`Create a separate Jira issue instead of updating ${jiraIssue.key}`}
+                      >
+                        ➕ New Jira Issue
+                      </button>
+                    )}
                     <button
                       onClick={resetForm}
                       className="bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-700 hover:to-purple-700 text-white font-semibold py-2.5 px-3 rounded-lg transition-all shadow-md btn-glow btn-ripple text-sm"
@@ -3176,6 +4768,35 @@ CRITICAL FORMATTING RULES:
                         {item.description}
                       </p>
                       
+                      {/* Jira Badge */}
+                      {item.jiraIssue && (
+                        <a
+                          href={item.jiraIssue.url}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          onClick={(e) => e.stopPropagation()}
+                          className={`inline-flex items-center gap-1 px-2 py-0.5 mr-2 rounded text-xs font-medium hover:underline ${
+                            isDarkMode ? 'bg-indigo-900/30 text-indigo-300' : 'bg-indigo-100 text-indigo-700'
+                          }`}
+                        >
+                          <ExternalLink className="w-3 h-3" />
+                          {item.jiraIssue.key}
+                        </a>
+                      )}
+
+                      {/* Missing Attachments Badge */}
+                      {item.jiraIssue && (item.jiraIssue.attachments || []).some(result => result.status === 'failed') && (
+                        <span
+                          className={`inline-flex items-center gap-1 px-2 py-0.5 mr-2 rounded text-xs font-medium ${
+                            isDarkMode ? 'bg-red-900/30 text-red-300' : 'bg-red-100 text-red-700'
+                          }`}
+                          title={`Not in Jira: ${item.jiraIssue.attachments.filter(result => result.status === 'failed').map(result => result.name).join(', ')} - open the ticket and add these files again to retry them`}
+                        >
+                          <AlertCircle className="w-3 h-3" />
+                          {item.jiraIssue.attachments.filter(result => result.status === 'failed').length} attachment(s) missing
+                        </span>
+                      )}
+
                       {/* Media Badge */}
                       {item.hasMedia && (
                         <span className={`inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs font-medium ${
@@ -3304,7 +4925,7 @@ CRITICAL FORMATTING RULES:
                     type="password"
                     value={jiraConfig.apiToken}
                     onChange={(e) => setJiraConfig({...jiraConfig, apiToken: e.target.value})}
-                    placeholder="Your Jira API token"
+                    placeholder={jiraConfig.sessionId ? 'Saved securely on server - enter a new token to replace it' : 'Your Jira API token'}
                     className={`w-full px-4 py-2.5 border-2 rounded-lg focus:ring-4 focus:ring-blue-500/20 focus:border-blue-500 transition-all ${
                       isDarkMode 
                         ? 'bg-gray-800 border-gray-700 text-white placeholder-gray-500' 
@@ -3319,6 +4940,11 @@ CRITICAL FORMATTING RULES:
                   >
                     Create API token →
                   </a>
+                  {jiraConfig.sessionId && (
+                    <p className={`text-xs mt-1 ${isDarkMode ? 'text-green-400' : 'text-green-700'}`}>
+                      🔒 Token stored on server • Expires {new Date(jiraConfig.sessionExpiresAt).toLocaleDateString()}
+                    </p>
+                  )}
                 </div>
                 
                 {/* Project Key */}
@@ -3330,6 +4956,7 @@ CRITICAL FORMATTING RULES:
                     type="text"
                     value={jiraConfig.projectKey}
                     onChange={(e) => setJiraConfig({...jiraConfig, projectKey: e.target.value.toUpperCase()})}
+                    onBlur={() => !jiraFieldOptionsMatch && fetchJiraFieldOptions({ silent: true })}
                     placeholder="PROJ"
                     className={`w-full px-4 py-2.5 border-2 rounded-lg focus:ring-4 focus:ring-blue-500/20 focus:border-blue-500 transition-all ${
                       isDarkMode 
@@ -3342,6 +4969,37 @@ CRITICAL FORMATTING RULES:
                   </p>
                 </div>
                 
+                {/* Dropdown options source */}
+                <div className={`flex items-center justify-between text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                  <span>
+                    {isLoadingJiraFieldOptions
+                      ? 'Loading dropdown options from Jira...'
+                      : jiraFieldOptionsMatch && jiraFieldOptions.fetchedAt
+                      ? `Dropdown options loaded from Jira ${new Date(jiraFieldOptions.fetchedAt).toLocaleString()}`
+                      : 'Dropdown options are loaded from your Jira project'}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => fetchJiraFieldOptions({ refresh: true })}
+                    disabled={!jiraConfig.sessionId || !jiraConfig.projectKey || isLoadingJiraFieldOptions}
+                    className="text-blue-600 hover:underline disabled:opacity-50 disabled:no-underline disabled:cursor-not-allowed flex items-center gap-1"
+                  >
+                    {isLoadingJiraFieldOptions && <Loader2 className="w-3 h-3 animate-spin" />}
+                    Refresh from Jira
+                  </button>
+                </div>
+                <p className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                  Instance, Product Line, Component and Engineering Team are defaults - each ticket gets AI suggestions you can change under 🧭 Jira Details.
+                </p>
+                {/* How P1-P4 / S1-S4 land in this project (config/jira-field-mapping.json) */}
+                {[['priority', 'Priority', PRIORITIES], ['severity', 'Severity', SEVERITIES]]
+                  .filter(([field]) => Object.keys(getJiraLevels(field)).length > 0)
+                  .map(([field, label, levels]) => (
+                    <p key={field} className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                      {label} is sent as {levels.map(level => `${level} → ${getJiraLevels(field)[level] || 'not set'}`).join(', ')}
+                    </p>
+                  ))}
+
                 {/* Instance */}
                 <div>
                   <label className={`block text-sm font-semibold mb-2 ${isDarkMode ? 'text-gray-200' : 'text-gray-700'}`}>
@@ -3350,7 +5008,8 @@ CRITICAL FORMATTING RULES:
                   <SearchableSelect
                     value={jiraConfig.instance}
                     onChange={(value) => setJiraConfig({...jiraConfig, instance: value})}
-                    options={JIRA_INSTANCES}
+                    options={getJiraFieldOptions('instance')}
+                    emptyMessage={jiraFieldOptionsEmptyMessage}
                     placeholder="Select Instance"
                     isDarkMode={isDarkMode}
                   />
@@ -3364,7 +5023,8 @@ CRITICAL FORMATTING RULES:
                   <SearchableSelect
                     value={jiraConfig.productLine}
                     onChange={(value) => setJiraConfig({...jiraConfig, productLine: value})}
-                    options={JIRA_PRODUCT_LINES}
+                    options={getJiraFieldOptions('productLine')}
+                    emptyMessage={jiraFieldOptionsEmptyMessage}
                     placeholder="Select Product Line"
                     isDarkMode={isDarkMode}
                   />
@@ -3378,7 +5038,8 @@ CRITICAL FORMATTING RULES:
                   <SearchableSelect
                     value={jiraConfig.component}
                     onChange={(value) => setJiraConfig({...jiraConfig, component: value})}
-                    options={JIRA_COMPONENTS}
+                    options={getJiraFieldOptions('component')}
+                    emptyMessage={jiraFieldOptionsEmptyMessage}
                     placeholder="Select Component"
                     isDarkMode={isDarkMode}
                   />
@@ -3389,16 +5050,13 @@ CRITICAL FORMATTING RULES:
                   <label className={`block text-sm font-semibold mb-2 ${isDarkMode ? 'text-gray-200' : 'text-gray-700'}`}>
                     Found Version <span className="text-red-500">*</span>
                   </label>
-                  <input
-                    type="text"
+                  <SearchableSelect
                     value={jiraConfig.foundVersion}
-                    onChange={(e) => setJiraConfig({...jiraConfig, foundVersion: e.target.value})}
-                    placeholder="e.g., 194.0.0, 193.0.0"
-                    className={`w-full px-4 py-2.5 border-2 rounded-lg focus:ring-4 focus:ring-blue-500/20 focus:border-blue-500 transition-all ${
-                      isDarkMode 
-                        ? 'bg-gray-800 border-gray-700 text-white placeholder-gray-500' 
-                        : 'bg-white border-gray-300 text-gray-900 placeholder-gray-400'
-                    }`}
+                    onChange={(value) => setJiraConfig({...jiraConfig, foundVersion: value})}
+                    options={getJiraFieldOptions('foundVersion')}
+                    emptyMessage={jiraFieldOptionsEmptyMessage}
+                    placeholder="Select Found Version"
+                    isDarkMode={isDarkMode}
                   />
                 </div>
                 
@@ -3410,7 +5068,8 @@ CRITICAL FORMATTING RULES:
                   <SearchableSelect
                     value={jiraConfig.engineeringTeam}
                     onChange={(value) => setJiraConfig({...jiraConfig, engineeringTeam: value})}
-                    options={JIRA_ENGINEERING_TEAMS}
+                    options={getJiraFieldOptions('engineeringTeam')}
+                    emptyMessage={jiraFieldOptionsEmptyMessage}
                     placeholder="Select Engineering Team"
                     isDarkMode={isDarkMode}
                   />
@@ -3587,7 +5246,7 @@ CRITICAL FORMATTING RULES:
                 </button>
                 <button
                   onClick={testJiraConnection}
-                  disabled={!jiraConfig.url || !jiraConfig.email || !jiraConfig.apiToken || isTestingConnection}
+                  disabled={!jiraConfig.url || !jiraConfig.email || (!jiraConfig.apiToken && !jiraConfig.sessionId) || isTestingConnection || isSavingJiraConfig}
                   className={`flex-1 px-4 py-2.5 rounded-lg font-semibold transition-all shadow-md disabled:opacity-50 disabled:cursor-not-allowed ${
                     isDarkMode
                       ? 'bg-gradient-to-r from-green-600 to-green-700 hover:from-green-700 hover:to-green-800 text-white'
@@ -3605,10 +5264,17 @@ CRITICAL FORMATTING RULES:
                 </button>
                 <button
                   onClick={saveJiraConfig}
-                  disabled={!jiraConfig.url || !jiraConfig.email || !jiraConfig.apiToken || !jiraConfig.projectKey || !jiraConfig.instance || !jiraConfig.productLine || !jiraConfig.component || !jiraConfig.foundVersion || !jiraConfig.engineeringTeam}
+                  disabled={!jiraConfig.url || !jiraConfig.email || (!jiraConfig.apiToken && !jiraConfig.sessionId) || !jiraConfig.projectKey || !jiraConfig.instance || !jiraConfig.productLine || !jiraConfig.component || !jiraConfig.foundVersion || !jiraConfig.engineeringTeam || isSavingJiraConfig}
                   className="flex-1 px-4 py-2.5 bg-gradient-to-r from-blue-600 to-blue-700 hover:from-blue-700 hover:to-blue-800 text-white rounded-lg font-semibold transition-all shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
                 >
-                  Save Configuration
+                  {isSavingJiraConfig ? (
+                    <span className="flex items-center justify-center gap-2">
+                      <Loader2 className="w-4 h-4 animate-spin" />
+                      Saving...
+                    </span>
+                  ) : (
+                    'Save Configuration'
+                  )}
                 </button>
               </div>
             </div>
@@ -3643,7 +5309,7 @@ CRITICAL FORMATTING RULES:
                     </div>
                     <div>
                       <h3 className={`text-xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-800'}`}>
-                        Customize Ticket Format
+                        Customize {currentIssueType.label} Format
                       </h3>
                       <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
                         Drag to reorder • Check to enable • Add custom fields
@@ -3806,6 +5472,157 @@ CRITICAL FORMATTING RULES:
       )}
 
       {/* Save Confirmation Dialog */}
+      {/* Duplicate Check Modal */}
+      {duplicateCheck && (
+        <>
+          {/* Backdrop */}
+          <div 
+            className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 animate-fadeIn"
+            onClick={() => !commentingOnIssue && setDuplicateCheck(null)}
+          />
+          
+          {/* Dialog */}
+          <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+            <div 
+              className={`relative w-full max-w-2xl max-h-[85vh] flex flex-col ${
+                isDarkMode ? 'bg-gray-900' : 'bg-white'
+              } rounded-xl shadow-2xl border-2 ${
+                isDarkMode ? 'border-gray-700' : 'border-gray-200'
+              } animate-scaleIn`}
+              onWheel={(e) => e.stopPropagation()}
+            >
+              {/* Header */}
+              <div className={`flex items-center justify-between p-6 border-b-2 ${
+                isDarkMode ? 'border-gray-700' : 'border-gray-200'
+              }`}>
+                <div className="flex items-center gap-3">
+                  <div className="w-10 h-10 rounded-full bg-yellow-100 dark:bg-yellow-900/30 flex items-center justify-center">
+                    <span className="text-2xl">🔎</span>
+                  </div>
+                  <div>
+                    <h3 className={`text-xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-800'}`}>
+                      Possible Duplicates Found
+                    </h3>
+                    <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                      {duplicateCheck.issues.length} similar open issue{duplicateCheck.issues.length !== 1 ? 's' : ''} in {jiraConfig.projectKey}
+                    </p>
+                  </div>
+                </div>
+                <button
+                  onClick={() => setDuplicateCheck(null)}
+                  disabled={!!commentingOnIssue}
+                  className={`p-2 rounded-lg transition-colors ${
+                    isDarkMode 
+                      ? 'hover:bg-gray-800 text-gray-400 hover:text-gray-200' 
+                      : 'hover:bg-gray-100 text-gray-500 hover:text-gray-700'
+                  }`}
+                >
+                  <CloseIcon className="w-5 h-5" />
+                </button>
+              </div>
+
+              {/* Similar Issues */}
+              <div className="p-6 space-y-3 overflow-y-auto">
+                {duplicateCheck.issues.map((issue) => (
+                  <div
+                    key={issue.key}
+                    className={`p-4 rounded-lg border-2 ${
+                      isDarkMode ? 'bg-gray-800 border-gray-700' : 'bg-gray-50 border-gray-200'
+                    }`}
+                  >
+                    <div className="flex items-start justify-between gap-3 mb-3">
+                      <div className="min-w-0">
+                        <a
+                          href={issue.url}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="inline-flex items-center gap-1 text-sm font-bold text-blue-600 hover:underline"
+                        >
+                          {issue.key}
+                          <ExternalLink className="w-3 h-3" />
+                        </a>
+                        <p className={`text-sm mt-1 ${isDarkMode ? 'text-gray-200' : 'text-gray-800'}`}>
+                          {issue.summary}
+                        </p>
+                        <p className={`text-xs mt-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                          {[issue.status, issue.priority, issue.updated && `Updated ${new Date(issue.updated).toLocaleDateString()}`].filter(Boolean).join(' • ')}
+                        </p>
+                      </div>
+                      <span className={`shrink-0 px-2 py-1 rounded text-xs font-bold ${
+                        issue.score >= 70
+                          ? 'bg-red-100 text-red-700'
+                          : issue.score >= 45
+                          ? 'bg-yellow-100 text-yellow-700'
+                          : 'bg-gray-200 text-gray-700'
+                      }`}>
+                        {issue.score}% match
+                      </span>
+                    </div>
+                    <div className="flex flex-wrap gap-2">
+                      <button
+                        onClick={() => commentOnJiraIssue(issue)}
+                        disabled={!!commentingOnIssue}
+                        className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-blue-600 hover:bg-blue-700 text-white transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-1"
+                      >
+                        {commentingOnIssue === issue.key && <Loader2 className="w-3 h-3 animate-spin" />}
+                        💬 Add as comment
+                      </button>
+                      <button
+                        onClick={() => {
+                          setDuplicateCheck(null);
+                          pushToJira('create', { skipDuplicateCheck: true, duplicateOf: issue.key });
+                        }}
+                        disabled={!!commentingOnIssue}
+                        className={`px-3 py-1.5 rounded-lg text-xs font-semibold border-2 transition-all disabled:opacity-50 disabled:cursor-not-allowed ${
+                          isDarkMode
+                            ? 'border-gray-600 text-gray-200 hover:bg-gray-700'
+                            : 'border-gray-300 text-gray-700 hover:bg-gray-100'
+                        }`}
+                      >
+                        🔗 Create &amp; link as duplicate
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              {commentingOnIssue && attachmentUploads.length > 0 && (
+                <div className="px-6 pb-3">
+                  <AttachmentUploads uploads={attachmentUploads} isDarkMode={isDarkMode} />
+                </div>
+              )}
+
+              {/* Actions */}
+              <div className={`flex gap-3 p-6 border-t-2 ${
+                isDarkMode ? 'border-gray-700' : 'border-gray-200'
+              }`}>
+                <button
+                  onClick={() => setDuplicateCheck(null)}
+                  disabled={!!commentingOnIssue}
+                  className={`flex-1 px-4 py-2.5 rounded-lg font-semibold transition-all ${
+                    isDarkMode 
+                      ? 'bg-gray-800 hover:bg-gray-700 text-gray-200' 
+                      : 'bg-gray-200 hover:bg-gray-300 text-gray-700'
+                  }`}
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={() => {
+                    setDuplicateCheck(null);
+                    pushToJira('create', { skipDuplicateCheck: true });
+                  }}
+                  disabled={!!commentingOnIssue}
+                  className="flex-1 px-4 py-2.5 rounded-lg font-semibold bg-gradient-to-r from-blue-700 to-blue-800 hover:from-blue-800 hover:to-blue-900 text-white transition-all shadow-md disabled:opacity-50"
+                >
+                  Create anyway
+                </button>
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+
       {showSaveDialog && (
         <>
           {/* Backdrop */}
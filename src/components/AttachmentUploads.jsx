@@ -0,0 +1,39 @@
+import React from 'react';
+import { CheckCircle, AlertCircle, Loader2 } from 'lucide-react';
+
+const formatMegabytes = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+// Per-file progress of the attachments streamed to Jira after a push - each upload is
+// { id, name, size, loaded, status: 'pending' | 'uploading' | 'uploaded' | 'skipped' | 'failed', error }
+const AttachmentUploads = ({ uploads, isDarkMode = false }) => (
+  <ul className={`rounded-lg border px-3 py-2 space-y-2 text-xs ${isDarkMode ? 'border-gray-700 bg-gray-900/40 text-gray-300' : 'border-gray-200 bg-gray-50 text-gray-700'}`}>
+    {uploads.map(upload => {
+      const percent = upload.size > 0 ? Math.min(100, Math.round((upload.loaded / upload.size) * 100)) : 0;
+      return (
+        <li key={upload.id} className="space-y-1">
+          <div className="flex items-center gap-2">
+            {upload.status === 'uploading' && <Loader2 className="w-3.5 h-3.5 animate-spin flex-shrink-0 text-blue-500" />}
+            {(upload.status === 'uploaded' || upload.status === 'skipped') && <CheckCircle className="w-3.5 h-3.5 flex-shrink-0 text-green-500" />}
+            {upload.status === 'failed' && <AlertCircle className="w-3.5 h-3.5 flex-shrink-0 text-red-500" />}
+            {upload.status === 'pending' && <span className="w-3.5 h-3.5 flex-shrink-0 rounded-full border border-gray-400" />}
+            <span className="truncate flex-1 min-w-0" title={upload.name}>{upload.name}</span>
+            <span className={`flex-shrink-0 ${upload.status === 'failed' ? 'text-red-500' : isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+              {upload.status === 'uploading' && `${formatMegabytes(upload.loaded)} / ${formatMegabytes(upload.size)}`}
+              {upload.status === 'pending' && formatMegabytes(upload.size)}
+              {upload.status === 'uploaded' && 'Attached'}
+              {upload.status === 'skipped' && 'Already in Jira'}
+              {upload.status === 'failed' && (upload.error || 'Failed')}
+            </span>
+          </div>
+          {upload.status === 'uploading' && (
+            <div className={`h-1 rounded-full overflow-hidden ${isDarkMode ? 'bg-gray-700' : 'bg-gray-200'}`}>
+              <div className="h-full bg-blue-500 transition-all" style={{ width: `${percent}%` }} />
+            </div>
+          )}
+        </li>
+      );
+    })}
+  </ul>
+);
+
+export default AttachmentUploads;
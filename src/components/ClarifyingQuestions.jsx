@@ -0,0 +1,96 @@
+import React from 'react';
+import { HelpCircle, Loader2 } from 'lucide-react';
+
+// Quick form for the AI's clarifying questions before generation - each question is { question, choices, answer }:
+// a choice fills in the answer and the text field takes anything else. Unanswered questions are left out.
+const ClarifyingQuestions = ({
+  questions,
+  onAnswerChange,
+  onSubmit,
+  onSkip,
+  isGenerating = false,
+  isDarkMode = false
+}) => {
+  const answeredCount = questions.filter(item => item.answer.trim()).length;
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      onSubmit();
+    }
+  };
+
+  return (
+    <div className={`rounded-lg border ${isDarkMode ? 'border-gray-700 bg-gray-900/40' : 'border-blue-200 bg-blue-50/60'}`}>
+      <div className={`flex items-center gap-2 px-3 py-2 text-sm font-semibold ${isDarkMode ? 'text-gray-200' : 'text-gray-700'}`}>
+        <HelpCircle className="w-4 h-4" />
+        A few questions before the ticket is written
+      </div>
+
+      <div className={`px-3 pb-3 space-y-3 border-t ${isDarkMode ? 'border-gray-700' : 'border-blue-200'}`}>
+        {questions.map((item, index) => (
+          <div key={index} className="pt-3 space-y-1.5">
+            <label className={`block text-sm font-medium ${isDarkMode ? 'text-gray-200' : 'text-gray-800'}`}>
+              {index + 1}. {item.question}
+            </label>
+            {item.choices.length > 0 && (
+              <div className="flex flex-wrap gap-1.5">
+                {item.choices.map(choice => (
+                  <button
+                    key={choice}
+                    onClick={() => onAnswerChange(index, item.answer === choice ? '' : choice)}
+                    disabled={isGenerating}
+                    className={`px-2.5 py-0.5 text-xs font-medium rounded-full border transition-colors ${
+                      item.answer === choice
+                        ? 'bg-blue-600 border-blue-600 text-white'
+                        : isDarkMode
+                          ? 'border-gray-600 text-gray-300 hover:bg-gray-700'
+                          : 'border-gray-300 text-gray-700 bg-white hover:bg-gray-100'
+                    }`}
+                  >
+                    {choice}
+                  </button>
+                ))}
+              </div>
+            )}
+            <input
+              type="text"
+              value={item.answer}
+              onChange={(e) => onAnswerChange(index, e.target.value)}
+              onKeyDown={handleKeyDown}
+              maxLength={500}
+              disabled={isGenerating}
+              placeholder={item.choices.length > 0 ? 'Or type another answer' : 'Your answer (optional)'}
+              className={`w-full px-3 py-1.5 rounded-lg border text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-60 ${
+                isDarkMode ? 'bg-gray-800 border-gray-600 text-gray-200' : 'bg-white border-gray-300 text-gray-900'
+              }`}
+            />
+          </div>
+        ))}
+
+        <div className="pt-1 flex items-center justify-end gap-2">
+          <button
+            onClick={onSkip}
+            disabled={isGenerating}
+            className={`px-3 py-1.5 text-sm font-semibold rounded-lg disabled:opacity-50 ${
+              isDarkMode ? 'bg-gray-700 hover:bg-gray-600 text-gray-200' : 'bg-gray-200 hover:bg-gray-300 text-gray-700'
+            }`}
+            title="Generate the ticket from the description alone"
+          >
+            Skip
+          </button>
+          <button
+            onClick={onSubmit}
+            disabled={isGenerating}
+            className="px-4 py-1.5 bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 text-white font-semibold rounded-lg text-sm flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isGenerating && <Loader2 className="w-4 h-4 animate-spin" />}
+            {answeredCount > 0 ? `Generate with ${answeredCount} answer${answeredCount !== 1 ? 's' : ''}` : 'Generate'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ClarifyingQuestions;
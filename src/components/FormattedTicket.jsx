@@ -1,8 +1,14 @@
 import React from 'react';
 
-const FormattedTicket = ({ ticket, isDarkMode, searchTerm = '' }) => {
+// renderSectionActions(sectionName) - optional controls shown at the end of each section's heading line
+const FormattedTicket = ({ ticket, isDarkMode, searchTerm = '', isStreaming = false, renderSectionActions = null }) => {
   if (!ticket) return null;
 
+  // While streaming, hold back a half-received **heading so raw asterisks don't flash up
+  const visibleTicket = isStreaming && (ticket.split('\n').pop().match(/\*\*/g) || []).length % 2 === 1
+    ? ticket.slice(0, ticket.lastIndexOf('**'))
+    : ticket;
+
   // Section icons mapping
   const getSectionIcon = (text) => {
     if (text.includes('Title:')) return '📝';
@@ -14,96 +20,136 @@ const FormattedTicket = ({ ticket, isDarkMode, searchTerm = '' }) => {
     if (text.includes('Priority:')) return '🎯';
     if (text.includes('Environment:')) return '🌐';
     if (text.includes('Attachment:')) return '📎';
+    if (text.includes('User Story:')) return '👤';
+    if (text.includes('Acceptance Criteria:')) return '☑️';
+    if (text.includes('Definition of Done:')) return '🏁';
+    if (text.includes('Timeline:')) return '⏱️';
+    if (text.includes('Workaround:')) return '🩹';
+    if (text.includes('Error Details:')) return '🧯';
     return '';
   };
 
+  // Lines between ``` fences (Error Details) - shown as they are, without markdown
+  const renderCode = (lines, key) => (
+    <pre
+      key={key}
+      className={`mb-2 p-3 rounded-lg text-xs font-mono overflow-x-auto whitespace-pre ${isDarkMode ? 'bg-gray-900 text-gray-200' : 'bg-gray-100 text-gray-800'}`}
+    >
+      {lines.join('\n')}
+    </pre>
+  );
+
   // Parse and format the ticket with markdown bold
   const formatText = (text) => {
     if (!text) return null;
 
-    // Split by lines
-    const lines = text.split('\n');
-    
-    return lines.map((line, index) => {
-      // Check if line contains bold markdown
-      if (line.includes('**')) {
-        const parts = line.split(/(\*\*.*?\*\*)/g);
-        return (
-          <div key={index} className="mb-2 flex items-start gap-2">
-            {parts.map((part, i) => {
-              if (part.startsWith('**') && part.endsWith('**')) {
-                const boldText = part.slice(2, -2);
-                const icon = getSectionIcon(boldText);
-                
-                // Highlight search term if present
-                if (searchTerm && boldText.toLowerCase().includes(searchTerm.toLowerCase())) {
-                  return (
-                    <React.Fragment key={i}>
-                      {icon && <span className="text-xl flex-shrink-0">{icon}</span>}
-                      <strong className={`${isDarkMode ? 'text-blue-300' : 'text-blue-700'} font-extrabold text-lg`}>
-                        <span className="bg-yellow-300 text-gray-900 px-1 rounded">{boldText}</span>
-                      </strong>
-                    </React.Fragment>
-                  );
-                }
-                
+    // Split by lines - fenced code is collected into one block (an unclosed fence, while streaming, runs to the end)
+    const blocks = [];
+    let code = null;
+    text.split('\n').forEach((line, index) => {
+      if (/^\s*```/.test(line)) {
+        if (code) {
+          blocks.push(renderCode(code, index));
+        }
+        code = code ? null : [];
+      } else if (code) {
+        code.push(line);
+      } else {
+        blocks.push(formatLine(line, index));
+      }
+    });
+    if (code) {
+      blocks.push(renderCode(code, 'code'));
+    }
+    return blocks;
+  };
+
+  const formatLine = (line, index) => {
+    // Check if line contains bold markdown
+    if (line.includes('**')) {
+      const parts = line.split(/(\*\*.*?\*\*)/g);
+      const heading = renderSectionActions && line.match(/^\s*\*\*([^*\n]+?):\*\*/);
+      return (
+        <div key={index} className="mb-2 flex items-start gap-2">
+          {parts.map((part, i) => {
+            if (part.startsWith('**') && part.endsWith('**')) {
+              const boldText = part.slice(2, -2);
+              const icon = getSectionIcon(boldText);
+              
+              // Highlight search term if present
+              if (searchTerm && boldText.toLowerCase().includes(searchTerm.toLowerCase())) {
                 return (
                   <React.Fragment key={i}>
                     {icon && <span className="text-xl flex-shrink-0">{icon}</span>}
                     <strong className={`${isDarkMode ? 'text-blue-300' : 'text-blue-700'} font-extrabold text-lg`}>
-                      {boldText}
+                      <span className="bg-yellow-300 text-gray-900 px-1 rounded">{boldText}</span>
                     </strong>
                   </React.Fragment>
                 );
               }
               
-              // Highlight search term in regular text
-              if (searchTerm && part.toLowerCase().includes(searchTerm.toLowerCase())) {
-                const regex = new RegExp(`(${searchTerm})`, 'gi');
-                const highlighted = part.split(regex);
-                return (
-                  <span key={i}>
-                    {highlighted.map((chunk, j) => 
-                      chunk.toLowerCase() === searchTerm.toLowerCase() ? (
-                        <span key={j} className="bg-yellow-300 text-gray-900 px-1 rounded font-bold">{chunk}</span>
-                      ) : (
-                        chunk
-                      )
-                    )}
-                  </span>
-                );
-              }
-              
-              return <span key={i}>{part}</span>;
-            })}
-          </div>
-        );
-      }
-      
-      // Highlight search term in lines without markdown
-      if (searchTerm && line.toLowerCase().includes(searchTerm.toLowerCase())) {
-        const regex = new RegExp(`(${searchTerm})`, 'gi');
-        const highlighted = line.split(regex);
-        return (
-          <div key={index} className="mb-2">
-            {highlighted.map((chunk, j) => 
-              chunk.toLowerCase() === searchTerm.toLowerCase() ? (
-                <span key={j} className="bg-yellow-300 text-gray-900 px-1 rounded font-bold">{chunk}</span>
-              ) : (
-                chunk
-              )
-            )}
-          </div>
-        );
-      }
-      
-      return <div key={index} className="mb-2">{line || '\u00A0'}</div>;
-    });
+              return (
+                <React.Fragment key={i}>
+                  {icon && <span className="text-xl flex-shrink-0">{icon}</span>}
+                  <strong className={`${isDarkMode ? 'text-blue-300' : 'text-blue-700'} font-extrabold text-lg`}>
+                    {boldText}
+                  </strong>
+                </React.Fragment>
+              );
+            }
+            
+            // Highlight search term in regular text
+            if (searchTerm && part.toLowerCase().includes(searchTerm.toLowerCase())) {
+              const regex = new RegExp(`(${searchTerm})`, 'gi');
+              const highlighted = part.split(regex);
+              return (
+                <span key={i}>
+                  {highlighted.map((chunk, j) => 
+                    chunk.toLowerCase() === searchTerm.toLowerCase() ? (
+                      <span key={j} className="bg-yellow-300 text-gray-900 px-1 rounded font-bold">{chunk}</span>
+                    ) : (
+                      chunk
+                    )
+                  )}
+                </span>
+              );
+            }
+            
+            return <span key={i}>{part}</span>;
+          })}
+          {heading && (
+            <span className="ml-auto pl-2 flex-shrink-0">{renderSectionActions(heading[1].trim())}</span>
+          )}
+        </div>
+      );
+    }
+    
+    // Highlight search term in lines without markdown
+    if (searchTerm && line.toLowerCase().includes(searchTerm.toLowerCase())) {
+      const regex = new RegExp(`(${searchTerm})`, 'gi');
+      const highlighted = line.split(regex);
+      return (
+        <div key={index} className="mb-2">
+          {highlighted.map((chunk, j) => 
+            chunk.toLowerCase() === searchTerm.toLowerCase() ? (
+              <span key={j} className="bg-yellow-300 text-gray-900 px-1 rounded font-bold">{chunk}</span>
+            ) : (
+              chunk
+            )
+          )}
+        </div>
+      );
+    }
+    
+    return <div key={index} className="mb-2">{line || '\u00A0'}</div>;
   };
 
   return (
     <div className="space-y-1 leading-relaxed">
-      {formatText(ticket)}
+      {formatText(visibleTicket)}
+      {isStreaming && (
+        <span className={`inline-block w-2 h-4 align-middle animate-pulse ${isDarkMode ? 'bg-blue-400' : 'bg-blue-600'}`} />
+      )}
     </div>
   );
 };
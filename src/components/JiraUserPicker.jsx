@@ -0,0 +1,174 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Search, ChevronDown, X, Loader2 } from 'lucide-react';
+
+// Searchable Jira user dropdown - results come from onSearch(query), which resolves to
+// [{ accountId, displayName, emailAddress, avatarUrl }]
+const JiraUserPicker = ({
+  value,
+  onChange,
+  onSearch,
+  placeholder = 'Select user',
+  isDarkMode = false,
+  disabled = false
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [users, setUsers] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const wrapperRef = useRef(null);
+
+  // Search once typing pauses (at least 2 characters)
+  useEffect(() => {
+    if (!isOpen || searchTerm.trim().length < 2) {
+      setUsers([]);
+      return;
+    }
+
+    let cancelled = false;
+    const debounceTimer = setTimeout(async () => {
+      setIsSearching(true);
+      try {
+        const results = await onSearch(searchTerm.trim());
+        if (!cancelled) {
+          setUsers(results);
+        }
+      } finally {
+        if (!cancelled) {
+          setIsSearching(false);
+        }
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(debounceTimer);
+    };
+  }, [searchTerm, isOpen]);
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (wrapperRef.current && !wrapperRef.current.contains(event.target)) {
+        setIsOpen(false);
+        setSearchTerm('');
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const handleSelect = (user) => {
+    onChange({ accountId: user.accountId, displayName: user.displayName });
+    setIsOpen(false);
+    setSearchTerm('');
+  };
+
+  const handleClear = (e) => {
+    e.stopPropagation();
+    onChange(null);
+    setSearchTerm('');
+  };
+
+  return (
+    <div ref={wrapperRef} className="relative">
+      {/* Selected User Display */}
+      <button
+        type="button"
+        onClick={() => !disabled && setIsOpen(!isOpen)}
+        disabled={disabled}
+        className={`w-full px-3 py-1.5 border rounded-lg text-left text-sm flex items-center justify-between transition-all ${
+          isOpen
+            ? 'ring-2 ring-blue-500/20 border-blue-500'
+            : ''
+        } ${
+          isDarkMode
+            ? 'bg-gray-800 border-gray-600 text-gray-200 hover:border-gray-500'
+            : 'bg-white border-gray-300 text-gray-900 hover:border-gray-400'
+        } ${disabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}
+      >
+        <span className={`truncate ${value ? '' : isDarkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+          {value ? value.displayName : placeholder}
+        </span>
+        <div className="flex items-center gap-2 flex-shrink-0">
+          {value && !disabled && (
+            <X
+              className="w-4 h-4 text-gray-400 hover:text-red-500 transition-colors"
+              onClick={handleClear}
+            />
+          )}
+          <ChevronDown className={`w-4 h-4 transition-transform ${isOpen ? 'rotate-180' : ''}`} />
+        </div>
+      </button>
+
+      {/* Dropdown Panel */}
+      {isOpen && (
+        <div className={`absolute z-50 w-full mt-2 rounded-lg shadow-2xl border-2 overflow-hidden animate-slideDown ${
+          isDarkMode
+            ? 'bg-gray-800 border-gray-700'
+            : 'bg-white border-gray-200'
+        }`}>
+          {/* Search Box */}
+          <div className={`p-2 border-b ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+            <div className="relative">
+              <Search className={`absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 ${
+                isDarkMode ? 'text-gray-400' : 'text-gray-500'
+              }`} />
+              <input
+                type="text"
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                placeholder="Search by name or email..."
+                autoFocus
+                className={`w-full pl-10 pr-4 py-1.5 rounded-lg border text-sm transition-all ${
+                  isDarkMode
+                    ? 'bg-gray-900 border-gray-600 text-white placeholder-gray-500 focus:border-blue-500'
+                    : 'bg-gray-50 border-gray-300 text-gray-900 placeholder-gray-400 focus:border-blue-500'
+                } focus:outline-none focus:ring-2 focus:ring-blue-500/20`}
+              />
+            </div>
+          </div>
+
+          {/* Results List */}
+          <div className="max-h-56 overflow-y-auto">
+            {isSearching ? (
+              <div className={`p-3 flex items-center justify-center gap-2 text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                <Loader2 className="w-4 h-4 animate-spin" />
+                Searching Jira...
+              </div>
+            ) : users.length === 0 ? (
+              <div className={`p-3 text-center text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                {searchTerm.trim().length < 2 ? 'Type at least 2 characters' : 'No users found'}
+              </div>
+            ) : (
+              users.map((user) => (
+                <button
+                  key={user.accountId}
+                  type="button"
+                  onClick={() => handleSelect(user)}
+                  className={`w-full px-3 py-2 text-left text-sm flex items-center gap-2 transition-colors ${
+                    value && value.accountId === user.accountId
+                      ? isDarkMode
+                        ? 'bg-blue-900/50 text-blue-300'
+                        : 'bg-blue-100 text-blue-700'
+                      : isDarkMode
+                      ? 'text-gray-200 hover:bg-gray-700'
+                      : 'text-gray-800 hover:bg-gray-100'
+                  }`}
+                >
+                  {user.avatarUrl && <img src={user.avatarUrl} alt="" className="w-5 h-5 rounded-full flex-shrink-0" />}
+                  <span className="truncate">{user.displayName}</span>
+                  {user.emailAddress && (
+                    <span className={`truncate text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>{user.emailAddress}</span>
+                  )}
+                </button>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default JiraUserPicker;
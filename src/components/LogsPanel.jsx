@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronUp, Loader2, MapPin } from 'lucide-react';
+
+// Pasted console output or stack traces, with what was parsed from them - errors are { message, frames, count }
+// (see src/logParser.js). errorDetails is the text the ticket's Error Details section gets; minifiedCount the
+// frames that can be mapped to the source, symbolicatedCount those already mapped.
+const LogsPanel = ({
+  value,
+  onChange,
+  errors,
+  errorDetails,
+  minifiedCount = 0,
+  symbolicatedCount = 0,
+  onSymbolicate,
+  isSymbolicating = false,
+  isDarkMode = false
+}) => {
+  const [isOpen, setIsOpen] = useState(Boolean(value));
+  const repeats = errors.reduce((sum, error) => sum + error.count - 1, 0);
+
+  return (
+    <div className={`rounded-lg border ${isDarkMode ? 'border-gray-700 bg-gray-900/40' : 'border-gray-200 bg-gray-50'}`}>
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className={`w-full flex items-center justify-between px-3 py-2 text-sm font-medium ${isDarkMode ? 'text-gray-200' : 'text-gray-700'}`}
+      >
+        <span>
+          📋 Logs (Optional)
+          {errors.length > 0 && (
+            <span className={`ml-2 text-xs font-normal ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+              {errors.length} error{errors.length !== 1 ? 's' : ''}{repeats > 0 ? ` · ${repeats} repeat${repeats !== 1 ? 's' : ''} removed` : ''}
+            </span>
+          )}
+        </span>
+        {isOpen ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+      </button>
+
+      {isOpen && (
+        <div className={`px-3 pb-3 space-y-2 border-t ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+          <textarea
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            placeholder="Paste browser console output or a stack trace - errors are picked out and repeats merged into the ticket's Error Details"
+            rows="5"
+            spellCheck={false}
+            className={`mt-3 w-full px-3 py-2 border rounded-lg font-mono text-xs focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+              isDarkMode
+                ? 'bg-gray-700/50 border-gray-600 text-white placeholder-gray-400'
+                : 'bg-white border-gray-300 text-gray-900 placeholder-gray-400'
+            }`}
+          />
+
+          {value.trim() && errors.length === 0 && (
+            <p className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+              No errors or stack traces found in these logs.
+            </p>
+          )}
+
+          {errors.length > 0 && (
+            <>
+              <div className="flex items-center justify-between gap-2">
+                <span className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                  Error Details preview
+                </span>
+                {minifiedCount > 0 && (
+                  <button
+                    type="button"
+                    onClick={onSymbolicate}
+                    disabled={isSymbolicating}
+                    className={`flex items-center gap-1 px-2 py-1 rounded text-xs font-medium border disabled:opacity-50 disabled:cursor-not-allowed ${
+                      isDarkMode
+                        ? 'border-gray-600 text-gray-300 hover:bg-gray-700'
+                        : 'border-gray-300 text-gray-600 hover:bg-gray-100'
+                    }`}
+                    title="Map frames in minified bundles back to the original source with the server's source maps"
+                  >
+                    {isSymbolicating ? <Loader2 className="w-3 h-3 animate-spin" /> : <MapPin className="w-3 h-3" />}
+                    Map to source ({symbolicatedCount}/{minifiedCount})
+                  </button>
+                )}
+              </div>
+              <pre className={`max-h-48 overflow-auto p-2 rounded text-xs font-mono whitespace-pre ${
+                isDarkMode ? 'bg-gray-900 text-gray-200' : 'bg-white text-gray-800 border border-gray-200'
+              }`}>
+                {errorDetails}
+              </pre>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LogsPanel;
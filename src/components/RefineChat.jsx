@@ -0,0 +1,157 @@
+import React from 'react';
+import { Loader2, Check, X, MessageSquare } from 'lucide-react';
+import { diffLines, hasUndecidedChanges } from '../ticketDiff';
+import { formatSectionValue } from '../ticketSchema';
+
+const EXAMPLES = ['Make the steps more granular', 'This only happens on Safari', 'Lower the priority to P3'];
+
+// Refinement chat under a generated ticket - each turn is { id, instruction, summary, changes, decisions }:
+// the AI's revised sections are shown as a diff and accepted or rejected one by one (or all at once)
+const RefineChat = ({
+  turns,
+  instruction,
+  onInstructionChange,
+  onSend,
+  onDecide,
+  isRefining = false,
+  isDarkMode = false
+}) => {
+  const isAwaitingDecision = hasUndecidedChanges(turns[turns.length - 1]);
+  const canSend = instruction.trim().length > 0 && !isRefining && !isAwaitingDecision;
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      if (canSend) onSend();
+    }
+  };
+
+  const lineClass = (type) => {
+    if (type === 'added') return isDarkMode ? 'bg-green-900/40 text-green-200' : 'bg-green-50 text-green-800';
+    if (type === 'removed') return isDarkMode ? 'bg-red-900/40 text-red-200 line-through' : 'bg-red-50 text-red-700 line-through';
+    return isDarkMode ? 'text-gray-400' : 'text-gray-500';
+  };
+
+  const renderChange = (turn, change) => {
+    const decision = turn.decisions[change.id];
+    const lines = diffLines(formatSectionValue(change.id, change.before), formatSectionValue(change.id, change.after));
+
+    return (
+      <div key={change.id} className={`rounded-lg border ${isDarkMode ? 'border-gray-700 bg-gray-900/60' : 'border-gray-200 bg-white'}`}>
+        <div className={`flex items-center justify-between gap-2 px-3 py-1.5 border-b ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+          <span className={`text-xs font-semibold ${isDarkMode ? 'text-gray-200' : 'text-gray-700'}`}>{change.name}</span>
+          {decision ? (
+            <span className={`text-xs font-medium px-2 py-0.5 rounded ${
+              decision === 'accepted'
+                ? (isDarkMode ? 'bg-green-900/50 text-green-200' : 'bg-green-100 text-green-700')
+                : (isDarkMode ? 'bg-gray-700 text-gray-300' : 'bg-gray-100 text-gray-600')
+            }`}>
+              {decision === 'accepted' ? 'Accepted' : 'Rejected'}
+            </span>
+          ) : (
+            <div className="flex items-center gap-1">
+              <button
+                onClick={() => onDecide(turn.id, [change.id], true)}
+                className="px-2 py-0.5 text-xs font-semibold rounded bg-green-600 hover:bg-green-700 text-white flex items-center gap-1"
+                title={`Apply the new ${change.name}`}
+              >
+                <Check className="w-3 h-3" /> Accept
+              </button>
+              <button
+                onClick={() => onDecide(turn.id, [change.id], false)}
+                className={`px-2 py-0.5 text-xs font-semibold rounded flex items-center gap-1 ${
+                  isDarkMode ? 'bg-gray-700 hover:bg-gray-600 text-gray-200' : 'bg-gray-200 hover:bg-gray-300 text-gray-700'
+                }`}
+                title={`Keep the current ${change.name}`}
+              >
+                <X className="w-3 h-3" /> Reject
+              </button>
+            </div>
+          )}
+        </div>
+        <div className="px-3 py-2 font-mono text-xs space-y-0.5">
+          {lines.map((line, i) => (
+            <div key={i} className={`whitespace-pre-wrap rounded px-1 ${lineClass(line.type)}`}>
+              {line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  '}{line.text}
+            </div>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className={`rounded-lg border ${isDarkMode ? 'border-gray-700 bg-gray-900/40' : 'border-gray-200 bg-gray-50'}`}>
+      <div className={`flex items-center gap-2 px-3 py-2 text-sm font-semibold ${isDarkMode ? 'text-gray-200' : 'text-gray-700'}`}>
+        <MessageSquare className="w-4 h-4" />
+        Refine with AI
+      </div>
+
+      <div className={`px-3 pb-3 space-y-3 border-t ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+        {turns.map(turn => {
+          const undecided = turn.changes.filter(change => !turn.decisions[change.id]);
+          return (
+            <div key={turn.id} className="pt-3 space-y-2">
+              <div className="flex justify-end">
+                <p className="max-w-[85%] px-3 py-1.5 rounded-lg text-sm bg-blue-600 text-white whitespace-pre-wrap">
+                  {turn.instruction}
+                </p>
+              </div>
+              <p className={`max-w-[85%] px-3 py-1.5 rounded-lg text-sm ${isDarkMode ? 'bg-gray-800 text-gray-200' : 'bg-white text-gray-800 border border-gray-200'}`}>
+                {turn.summary || 'Revised the ticket.'}
+                {turn.changes.length === 0 && ' (No sections changed.)'}
+              </p>
+              {turn.changes.map(change => renderChange(turn, change))}
+              {undecided.length > 1 && (
+                <div className="flex justify-end gap-2">
+                  <button
+                    onClick={() => onDecide(turn.id, undecided.map(change => change.id), false)}
+                    className={`px-3 py-1 text-xs font-semibold rounded-lg ${
+                      isDarkMode ? 'bg-gray-700 hover:bg-gray-600 text-gray-200' : 'bg-gray-200 hover:bg-gray-300 text-gray-700'
+                    }`}
+                  >
+                    Reject all
+                  </button>
+                  <button
+                    onClick={() => onDecide(turn.id, undecided.map(change => change.id), true)}
+                    className="px-3 py-1 text-xs font-semibold rounded-lg bg-green-600 hover:bg-green-700 text-white"
+                  >
+                    Accept all
+                  </button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+
+        <div className="pt-3">
+          <div className="flex items-end gap-2">
+            <textarea
+              value={instruction}
+              onChange={(e) => onInstructionChange(e.target.value)}
+              onKeyDown={handleKeyDown}
+              rows={2}
+              maxLength={2000}
+              disabled={isRefining}
+              placeholder={isAwaitingDecision ? 'Accept or reject the changes above first' : `e.g. "${EXAMPLES.join('", "')}"`}
+              className={`flex-1 px-3 py-2 rounded-lg border text-sm resize-none focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-60 ${
+                isDarkMode ? 'bg-gray-800 border-gray-600 text-gray-200' : 'bg-white border-gray-300 text-gray-900'
+              }`}
+            />
+            <button
+              onClick={onSend}
+              disabled={!canSend}
+              className="px-4 py-2 bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 text-white font-semibold rounded-lg text-sm flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+              title="Send the instruction - the AI proposes a revised ticket"
+            >
+              {isRefining ? <Loader2 className="w-4 h-4 animate-spin" /> : '💬'}
+              {isRefining ? 'Refining...' : 'Send'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RefineChat;
@@ -7,7 +7,8 @@ const SearchableSelect = ({
   options, 
   placeholder = 'Select option', 
   isDarkMode = false,
-  disabled = false 
+  disabled = false,
+  emptyMessage = 'No options found'
 }) => {
   const [isOpen, setIsOpen] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
@@ -114,7 +115,7 @@ const SearchableSelect = ({
           <div className="max-h-64 overflow-y-auto">
             {filteredOptions.length === 0 ? (
               <div className={`p-4 text-center text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
-                No options found
+                {searchTerm ? 'No options found' : emptyMessage}
               </div>
             ) : (
               filteredOptions.map((option) => (
@@ -0,0 +1,151 @@
+// Document files
+// Logs, HAR captures, text, JSON and PDF files can be added next to images and video. Every one is attached in Jira
+// as it is; a HAR file is also read here, in the browser, and summarized for the prompt - the failed requests
+// (4xx/5xx, or no response at all) and the slow ones, with their endpoint, status and a snippet of the response -
+// so the ticket cites the API call that actually failed. The HAR itself never leaves the browser except as the
+// Jira attachment.
+
+// Accepted extensions and the type each is attached as when the browser doesn't know it (.har and .log usually)
+export const DOCUMENT_TYPES = {
+  har: 'application/json',
+  log: 'text/plain',
+  txt: 'text/plain',
+  json: 'application/json',
+  pdf: 'application/pdf'
+};
+
+// For the file input's accept attribute
+export const DOCUMENT_ACCEPT = Object.keys(DOCUMENT_TYPES).map(extension => `.${extension}`).join(',');
+
+// 'har', 'log', 'txt', 'json' or 'pdf' - null when the file isn't an accepted document
+export const getDocumentKind = (name = '') => {
+  const extension = (name.match(/\.([^.]+)$/) || [])[1];
+  return extension && DOCUMENT_TYPES[extension.toLowerCase()] ? extension.toLowerCase() : null;
+};
+
+const MAX_LISTED = 8;
+const SNIPPET_LENGTH = 200;
+const SUMMARY_LENGTH = 4000;
+// A request is slow when it took at least this long and several times the capture's median
+const SLOW_MS = 2000;
+const SLOW_FACTOR = 5;
+
+const formatDuration = (ms) => (ms >= 1000 ? `${(ms / 1000).toFixed(1)} s` : `${Math.round(ms)} ms`);
+
+// Host and path only - query strings carry tokens and session ids often enough to leave them out
+const getEndpoint = (url) => {
+  try {
+    const { origin, pathname } = new URL(url);
+    return `${origin}${pathname}`;
+  } catch {
+    return url.split('?')[0];
+  }
+};
+
+const getResponseSnippet = (content = {}) => {
+  let text = content.text || '';
+  if (content.encoding === 'base64') {
+    try {
+      text = atob(text);
+    } catch {
+      return '';
+    }
+  }
+  const snippet = text.replace(/\s+/g, ' ').trim();
+  return snippet.length > SNIPPET_LENGTH ? `${snippet.slice(0, SNIPPET_LENGTH)}...` : snippet;
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// The requests in a HAR capture that matter to a bug report
+// Returns { requests, hosts, browser, failed: [{ method, endpoint, status, statusText, time, count, snippet }],
+// slow: [{ method, endpoint, status, time }], medianTime } - repeats of a failure (same call, same status) are counted once
+// Throws when the text isn't a HAR capture
+export const summarizeHar = (text) => {
+  const har = JSON.parse(text);
+  const entries = har && har.log && Array.isArray(har.log.entries) ? har.log.entries : null;
+  if (!entries) {
+    throw new Error('Not a HAR file - log.entries is missing');
+  }
+
+  const requests = entries
+    .filter(entry => entry && entry.request && entry.request.url)
+    .map(entry => ({
+      method: entry.request.method || 'GET',
+      endpoint: getEndpoint(entry.request.url),
+      status: entry.response ? entry.response.status : 0,
+      statusText: entry.response ? entry.response.statusText || '' : '',
+      time: typeof entry.time === 'number' && entry.time > 0 ? entry.time : 0,
+      content: entry.response && entry.response.content
+    }));
+
+  const failed = [];
+  requests
+    .filter(request => request.status === 0 || request.status >= 400)
+    .forEach(request => {
+      const repeat = failed.find(item => item.method === request.method && item.endpoint === request.endpoint && item.status === request.status);
+      if (repeat) {
+        repeat.count += 1;
+        repeat.time = Math.max(repeat.time, request.time);
+        return;
+      }
+      failed.push({
+        method: request.method,
+        endpoint: request.endpoint,
+        status: request.status,
+        statusText: request.statusText,
+        time: request.time,
+        count: 1,
+        snippet: getResponseSnippet(request.content)
+      });
+    });
+
+  const times = requests.map(request => request.time).filter(time => time > 0);
+  const medianTime = times.length > 0 ? median(times) : 0;
+  const slow = requests
+    .filter(request => request.time >= Math.max(SLOW_MS, medianTime * SLOW_FACTOR))
+    .sort((a, b) => b.time - a.time)
+    .map(({ method, endpoint, status, time }) => ({ method, endpoint, status, time }));
+
+  const creator = har.log.browser || har.log.creator;
+  return {
+    requests: requests.length,
+    hosts: [...new Set(requests.map(request => request.endpoint.split('/').slice(0, 3).join('/')))],
+    browser: creator && creator.name ? `${creator.name}${creator.version ? ` ${creator.version}` : ''}` : '',
+    failed,
+    slow,
+    medianTime
+  };
+};
+
+// The summary as the short text the prompt gets
+export const formatHarSummary = (name, summary) => {
+  const lines = [
+    `${name}: ${summary.requests} request(s) to ${summary.hosts.slice(0, 3).join(', ') || 'no hosts'}${summary.browser ? `, captured in ${summary.browser}` : ''}`
+  ];
+
+  if (summary.failed.length > 0) {
+    lines.push('Failed requests:');
+    summary.failed.slice(0, MAX_LISTED).forEach(request => {
+      const status = request.status === 0 ? 'no response' : `${request.status}${request.statusText ? ` ${request.statusText}` : ''}`;
+      const details = [formatDuration(request.time), request.count > 1 ? `${request.count}x` : ''].filter(Boolean).join(', ');
+      lines.push(`- ${request.method} ${request.endpoint} -> ${status} (${details})${request.snippet ? ` response: ${request.snippet}` : ''}`);
+    });
+  } else {
+    lines.push('No failed requests.');
+  }
+
+  if (summary.slow.length > 0) {
+    lines.push(`Slow requests (median ${formatDuration(summary.medianTime)}):`);
+    summary.slow.slice(0, MAX_LISTED).forEach(request => {
+      lines.push(`- ${request.method} ${request.endpoint} -> ${request.status || 'no response'} (${formatDuration(request.time)})`);
+    });
+  }
+
+  const text = lines.join('\n');
+  return text.length > SUMMARY_LENGTH ? `${text.slice(0, SUMMARY_LENGTH - 3)}...` : text;
+};
@@ -0,0 +1,112 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { createNetlifyHandler, createVercelHandler } from '../lib/http-adapters.cjs';
+import { createTicketHandlers } from '../lib/ticket-handlers.cjs';
+import { createJiraHandlers, validateJiraUrl } from '../lib/jira-handlers.cjs';
+import { createLlmProvider } from '../lib/llm-provider.cjs';
+
+const tickets = createTicketHandlers(createLlmProvider({ LLM_PROVIDER: 'mock' }));
+const jira = createJiraHandlers();
+
+const ticketBody = {
+  issueType: 'bug',
+  description: 'Saving a draft fails',
+  sections: [{ id: 'title', name: 'Title' }, { id: 'priority', name: 'Priority' }]
+};
+
+const netlifyEvent = (body, overrides = {}) => ({
+  httpMethod: 'POST',
+  headers: { origin: 'https://ai-bug-ticket-generator.netlify.app', 'client-ip': '10.0.0.1' },
+  body: typeof body === 'string' ? body : JSON.stringify(body),
+  ...overrides
+});
+
+// Enough of a Node response for the Vercel adapter: headers, status().json(), end() and the 'close' event
+const vercelResponse = () => {
+  const res = new EventEmitter();
+  res.headers = {};
+  res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; res.writableFinished = true; return res; };
+  res.end = () => { res.writableFinished = true; return res; };
+  return res;
+};
+
+test('the Netlify adapter answers preflight and rejects other methods', async () => {
+  const handler = createNetlifyHandler(jira.testJira);
+
+  const preflight = await handler(netlifyEvent('', { httpMethod: 'OPTIONS' }));
+  assert.equal(preflight.statusCode, 200);
+  assert.equal(preflight.headers['Access-Control-Allow-Origin'], 'https://ai-bug-ticket-generator.netlify.app');
+
+  const get = await handler(netlifyEvent('', { httpMethod: 'GET' }));
+  assert.equal(get.statusCode, 405);
+});
+
+test('the Netlify adapter returns 400 for a body that is not JSON and 500 for a thrown error', async () => {
+  const invalid = await createNetlifyHandler(jira.testJira)(netlifyEvent('{"sessionId":'));
+  assert.equal(invalid.statusCode, 400);
+
+  const failing = createNetlifyHandler(async () => { throw new Error('boom'); });
+  const response = await failing(netlifyEvent({}));
+  assert.equal(response.statusCode, 500);
+  assert.deepEqual(JSON.parse(response.body), { error: 'boom' });
+});
+
+test('the Netlify adapter rate-limits per IP', async () => {
+  const handler = createNetlifyHandler(jira.testJira, { maxRequests: 2 });
+  const statuses = [];
+  for (let i = 0; i < 3; i++) {
+    statuses.push((await handler(netlifyEvent({}))).statusCode);
+  }
+  assert.deepEqual(statuses, [400, 400, 429]);
+});
+
+test('restricted origins get no CORS header unless listed', async () => {
+  const handler = createNetlifyHandler(async () => ({ status: 200, body: {} }), { restrictOrigins: true });
+  const response = await handler(netlifyEvent({}));
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.headers['Access-Control-Allow-Origin'], undefined);
+});
+
+test('a streamed ticket is returned by Netlify as an event stream body', async () => {
+  const response = await createNetlifyHandler(tickets.generateTicket)(netlifyEvent({ ...ticketBody, stream: true }));
+  assert.equal(response.statusCode, 200);
+  assert.match(response.headers['Content-Type'], /^text\/event-stream/);
+  const text = await new Response(response.body).text();
+  assert.match(text, /event: message_stop/);
+});
+
+test('the Vercel adapter sends the handler result with CORS headers', async () => {
+  const handler = createVercelHandler(tickets.generateTicket);
+  const res = vercelResponse();
+  await handler({ method: 'POST', headers: { origin: 'https://example.com' }, body: ticketBody }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['access-control-allow-origin'], 'https://example.com');
+  assert.equal(res.body.content[0].name, 'submit_ticket');
+});
+
+test('ticket handlers reject invalid requests before calling the provider', async () => {
+  const result = await tickets.enhanceDescription({ body: {} });
+  assert.equal(result.status, 400);
+  assert.match(result.body.error, /description/);
+});
+
+test('Jira handlers validate the request before opening the session', async () => {
+  assert.equal((await jira.pushToJira({ body: { sessionId: 's', projectKey: 'P', fields: {}, parentKey: 'bad' } })).status, 400);
+  assert.equal((await jira.updateJiraIssue({ body: { sessionId: 's', issueKey: 'nope', projectKey: 'P', fields: {} } })).status, 400);
+  assert.equal((await jira.commentOnJiraIssue({ body: { sessionId: 's', issueKey: 'P-1', fields: {}, attachmentIds: ['x'] } })).status, 400);
+
+  const session = await jira.testJira({ body: { sessionId: 'unknown' } });
+  assert.equal(session.status, 401);
+  assert.equal(session.body.sessionInvalid, true);
+});
+
+test('only HTTPS Atlassian URLs are accepted for Jira credentials', () => {
+  assert.equal(validateJiraUrl('https://acme.atlassian.net').valid, true);
+  assert.equal(validateJiraUrl('http://acme.atlassian.net').valid, false);
+  assert.equal(validateJiraUrl('https://jira.example.com').valid, false);
+  assert.equal(validateJiraUrl('not a url').valid, false);
+});
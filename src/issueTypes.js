@@ -0,0 +1,115 @@
+// Issue types the app can generate and push to Jira
+// Each type has its own default ticket sections (the prompt wording is built server-side in lib/ticket-prompt.cjs) -
+// `id` is what the backend maps to the project's Jira issue type (see ISSUE_TYPE_NAMES in lib/jira-client.cjs)
+
+const section = (id, name, enabled = true) => ({ id, name, enabled, isDefault: true });
+
+export const ISSUE_TYPES = [
+  {
+    id: 'bug',
+    label: 'Bug',
+    icon: '🐛',
+    noun: 'bug',
+    // Bug and incident descriptions must read like a technical problem
+    technical: true,
+    placeholder: 'Example: The login button on the homepage doesn\'t respond when clicked on mobile devices... (Type or speak in any language 🌍)',
+    sections: [
+      section('title', 'Title'),
+      section('description', 'Description'),
+      section('steps', 'Steps to Reproduce'),
+      section('expected', 'Expected Behaviour'),
+      section('actual', 'Actual Behaviour'),
+      section('impact', 'Impact'),
+      section('priority', 'Priority'),
+      // How bad the impact is, next to how urgent - off unless the Jira project has a severity field
+      section('severity', 'Severity', false),
+      section('environment', 'Environment'),
+      // Filled in from the Logs panel - left out of tickets without logs
+      section('errorDetails', 'Error Details'),
+      section('attachment', 'Attachment')
+    ]
+  },
+  {
+    id: 'task',
+    label: 'Task',
+    icon: '✅',
+    noun: 'task',
+    technical: false,
+    placeholder: 'Example: Rotate the staging database credentials and update the deploy secrets... (Type or speak in any language 🌍)',
+    sections: [
+      section('title', 'Title'),
+      section('description', 'Description'),
+      section('done', 'Definition of Done'),
+      section('priority', 'Priority'),
+      section('attachment', 'Attachment')
+    ]
+  },
+  {
+    id: 'story',
+    label: 'Story',
+    icon: '📖',
+    noun: 'story',
+    technical: false,
+    placeholder: 'Example: Partners should be able to export their deal pipeline to CSV from the dashboard... (Type or speak in any language 🌍)',
+    sections: [
+      section('title', 'Title'),
+      section('userStory', 'User Story'),
+      section('description', 'Description'),
+      section('acceptance', 'Acceptance Criteria'),
+      section('priority', 'Priority'),
+      section('attachment', 'Attachment')
+    ]
+  },
+  {
+    id: 'subtask',
+    label: 'Sub-task',
+    icon: '🧩',
+    noun: 'sub-task',
+    technical: false,
+    // Jira only creates sub-tasks under an existing parent issue
+    requiresParent: true,
+    placeholder: 'Example: Add the CSV export button to the pipeline toolbar... (Type or speak in any language 🌍)',
+    sections: [
+      section('title', 'Title'),
+      section('description', 'Description'),
+      section('done', 'Definition of Done'),
+      section('attachment', 'Attachment')
+    ]
+  },
+  {
+    id: 'incident',
+    label: 'Incident',
+    icon: '🚨',
+    noun: 'incident',
+    technical: true,
+    placeholder: 'Example: Checkout has returned 502 errors for all EU customers since 14:05 UTC... (Type or speak in any language 🌍)',
+    sections: [
+      section('title', 'Title'),
+      section('description', 'Description'),
+      section('impact', 'Impact'),
+      section('timeline', 'Timeline'),
+      section('actual', 'Actual Behaviour'),
+      section('workaround', 'Workaround'),
+      section('priority', 'Priority'),
+      // How bad the impact is, next to how urgent - off unless the Jira project has a severity field
+      section('severity', 'Severity', false),
+      section('environment', 'Environment'),
+      // Filled in from the Logs panel - left out of tickets without logs
+      section('errorDetails', 'Error Details'),
+      section('attachment', 'Attachment')
+    ]
+  }
+];
+
+// Look up a type by id - unknown ids fall back to Bug
+export const getIssueType = (id) => ISSUE_TYPES.find(type => type.id === id) || ISSUE_TYPES[0];
+
+// A saved format with the default sections added since it was saved - each goes after the default section it
+// follows (defaults can only be disabled, so a missing one is new)
+export const withNewDefaultSections = (format, defaults) => defaults.reduce((merged, field, index) => {
+  if (merged.some(item => item.id === field.id)) {
+    return merged;
+  }
+  const previous = index > 0 ? merged.findIndex(item => item.id === defaults[index - 1].id) : -1;
+  return [...merged.slice(0, previous + 1), field, ...merged.slice(previous + 1)];
+}, format);
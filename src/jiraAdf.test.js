@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { renderInline, renderBlocks, buildDescriptionAdf, buildRepeatReportAdf } from '../lib/jira-adf.cjs';
+
+// Every node of a document, depth first
+const walk = (node) => [node, ...(node.content || []).flatMap(walk)];
+
+test('renders bold, code and links, keeping trailing punctuation out of the link', () => {
+  assert.deepEqual(renderInline('See **this** and `x()` at https://example.com/a.'), [
+    { type: 'text', text: 'See ' },
+    { type: 'text', text: 'this', marks: [{ type: 'strong' }] },
+    { type: 'text', text: ' and ' },
+    { type: 'text', text: 'x()', marks: [{ type: 'code' }] },
+    { type: 'text', text: ' at ' },
+    { type: 'text', text: 'https://example.com/a', marks: [{ type: 'link', attrs: { href: 'https://example.com/a' } }] },
+    { type: 'text', text: '.' }
+  ]);
+});
+
+test('renders lists, code blocks and paragraphs', () => {
+  const blocks = renderBlocks('Intro line\nsecond line\n\n3. Open\n4. Click\n\n- one\n- two\n\n```js\nconst a = 1;\n```');
+  assert.deepEqual(blocks.map(block => block.type), ['paragraph', 'orderedList', 'bulletList', 'codeBlock']);
+  assert.equal(blocks[0].content[1].type, 'hardBreak');
+  assert.deepEqual(blocks[1].attrs, { order: 3 });
+  assert.equal(blocks[2].content.length, 2);
+  assert.deepEqual(blocks[3], { type: 'codeBlock', attrs: { language: 'js' }, content: [{ type: 'text', text: 'const a = 1;' }] });
+});
+
+test('builds a heading per non-empty section', () => {
+  const doc = buildDescriptionAdf({ sections: [{ heading: 'Summary', text: 'Broken' }, { heading: 'Empty', text: '' }] });
+  assert.equal(doc.type, 'doc');
+  assert.deepEqual(doc.content.map(node => node.type), ['heading', 'paragraph']);
+  assert.equal(doc.content[0].content[0].text, 'Summary');
+});
+
+test('falls back to the bug sections when no section list is sent', () => {
+  const doc = buildDescriptionAdf({ description: 'It fails', steps: '1. Open' });
+  const headings = doc.content.filter(node => node.type === 'heading').map(node => node.content[0].text);
+  assert.deepEqual(headings, ['Description', 'Steps to Reproduce']);
+});
+
+test('lists attachments as links to the browser URL, never as external media', () => {
+  const doc = buildDescriptionAdf({ sections: [] }, [
+    { id: '10001', filename: 'screen shot.png', mimeType: 'image/png', content: 'https://acme.atlassian.net/rest/api/3/attachment/content/10001' },
+    { id: '10002', filename: 'app.har', mimeType: 'application/json', content: 'https://acme.atlassian.net/rest/api/3/attachment/content/10002' },
+    { filename: 'no-url.txt', mimeType: 'text/plain' }
+  ]);
+  const nodes = doc.content.flatMap(walk);
+  assert.equal(nodes.some(node => node.type === 'media' || node.type === 'mediaSingle'), false);
+  const links = nodes.filter(node => node.marks && node.marks[0].type === 'link').map(node => node.marks[0].attrs.href);
+  assert.deepEqual(links, [
+    'https://acme.atlassian.net/secure/attachment/10001/screen%20shot.png',
+    'https://acme.atlassian.net/secure/attachment/10002/app.har'
+  ]);
+  assert.equal(doc.content[0].content[0].text, 'Attachments');
+});
+
+test('a repeat report starts with the title', () => {
+  const doc = buildRepeatReportAdf({ title: 'Login fails', sections: [{ heading: 'Summary', text: 'Again' }] });
+  assert.equal(doc.content[0].content[1].text, 'Login fails');
+  assert.equal(doc.content[1].type, 'heading');
+});
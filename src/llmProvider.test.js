@@ -0,0 +1,67 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createLlmProvider } from '../lib/llm-provider.cjs';
+import { validateTicketRequest, buildTicketMessages, TICKET_TOOL_NAME } from '../lib/ticket-prompt.cjs';
+import { validateRequest } from '../lib/request-schema.cjs';
+import { readTicketStream } from './ticketStream.js';
+
+const llm = createLlmProvider({ LLM_PROVIDER: 'mock' });
+
+const ticketRequest = validateTicketRequest({
+  issueType: 'bug',
+  description: 'Saving a draft fails',
+  sections: [
+    { id: 'title', name: 'Title' },
+    { id: 'steps', name: 'Steps to Reproduce' },
+    { id: 'priority', name: 'Priority' },
+    { id: 'custom_notes', name: 'Notes' }
+  ]
+}).value;
+
+// A fetch Response-like object streaming the given server-sent event strings
+const toResponse = async (events) => {
+  const chunks = [];
+  for await (const event of events) {
+    chunks.push(new TextEncoder().encode(event));
+  }
+  return { body: new ReadableStream({ start(controller) { chunks.forEach(chunk => controller.enqueue(chunk)); controller.close(); } }) };
+};
+
+test('the mock provider calls the forced tool with input matching its schema', async () => {
+  const { messages, tools, toolChoice } = buildTicketMessages(ticketRequest);
+  const result = await llm.createMessage({ messages, tools, toolChoice });
+
+  assert.equal(result.valid, true);
+  assert.equal(result.message.role, 'assistant');
+  assert.equal(result.message.stop_reason, 'tool_use');
+  const [block] = result.message.content;
+  assert.equal(block.type, 'tool_use');
+  assert.equal(block.name, TICKET_TOOL_NAME);
+  assert.equal(validateRequest(block.input, tools[0].input_schema).valid, true);
+  assert.deepEqual(Object.keys(block.input), ['title', 'steps', 'priority', 'custom_notes']);
+  assert.ok(Array.isArray(block.input.steps));
+  assert.equal(block.input.priority, 'P3');
+});
+
+test('the mock provider answers with text when no tool is offered', async () => {
+  const result = await llm.createMessage({ messages: [{ role: 'user', content: 'Expand this' }] });
+  assert.equal(result.message.stop_reason, 'end_turn');
+  assert.equal(result.message.content[0].type, 'text');
+  assert.ok(result.message.content[0].text.length > 0);
+});
+
+test('the mock stream carries the same tool input as the message', async () => {
+  const { messages, tools, toolChoice } = buildTicketMessages(ticketRequest);
+  const { message } = await llm.createMessage({ messages, tools, toolChoice });
+  const streamed = await llm.createMessage({ messages, tools, toolChoice, stream: true });
+
+  const { json, stopReason } = await readTicketStream(await toResponse(streamed.events));
+  assert.deepEqual(JSON.parse(json), message.content[0].input);
+  assert.equal(stopReason, 'tool_use');
+});
+
+test('a configuration error is answered instead of calling a provider', async () => {
+  const provider = createLlmProvider({ LLM_PROVIDER: 'anthropic' });
+  assert.equal(provider.configError, 'ANTHROPIC_API_KEY is not set');
+  assert.deepEqual(await provider.createMessage({}), { valid: false, status: 500, error: 'Server configuration error: ANTHROPIC_API_KEY is not set' });
+});
@@ -0,0 +1,159 @@
+// Log parsing
+// Reads browser console output or stack traces pasted into the Logs panel. Error messages and the stack frames
+// under them are grouped into errors; everything else (info lines, network noise) is dropped. The same error logged
+// again - same message and top frames, ignoring timestamps and numbers - is kept once with a repeat count.
+// Frames in minified bundles can be mapped back to the original source by the symbolicate-stack route
+// (lib/source-maps.cjs); the result is the ticket's Error Details section, sent to Jira as a code block.
+
+const MAX_ERRORS = 20;
+const MAX_FRAMES = 15;
+const MAX_DETAILS_LENGTH = 8000;
+
+// Chrome / Node: "    at fn (https://host/app.js:1:2345)" or "    at https://host/app.js:1:2345"
+const V8_FRAME = /^\s*at\s+(?:(.*?)\s+\()?((?:https?|file|webpack|blob):\/\/[^\s()]+|[^\s()]+?):(\d+):(\d+)\)?\s*$/;
+// Firefox / Safari: "fn@https://host/app.js:1:2345"
+const GECKO_FRAME = /^\s*([^@\s]*)@(.+?):(\d+):(\d+)\s*$/;
+// Frames without a position ("at Array.map (<anonymous>)", "at new Promise (<anonymous>)") - kept as they are
+const OTHER_FRAME = /^\s*at\s+(.+?)\s*$/;
+// "Error: ...", "TypeError: ...", "Uncaught (in promise) Error", "Unhandled Promise Rejection: ...",
+// "Failed to load resource: ...", "GET https://host/api/orders 500 (Internal Server Error)", "net::ERR_CONNECTION_REFUSED"
+const ERROR_LINE = /^(?:Error|Exception)\b|\b[A-Z]\w*(?:Error|Exception)\b|^Uncaught\b|^Unhandled\b|\bFailed to load resource\b|^(?:GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS)\s+\S+\s+[45]\d\d\b|\bnet::ERR_/;
+// Console level tags that mark a line as an error whatever it says
+const ERROR_LEVEL = /^\[?(?:error|fatal|critical|severe)\]?:?\s+/i;
+const ERROR_LEVEL_TAG = /^(?:error|fatal|critical|severe)$/i;
+// What comes in front of a console line and isn't part of the message: timestamps, bracketed level tags ("[ERROR]")
+// and Chrome's "main.js:12 " source prefix. A bare level tag is only stripped right after a timestamp, and only in
+// upper or lower case - "Error: boom" and "TypeError: ..." are the error's own name and stay in the message
+const TIMESTAMP = /^\[?(?:\d{4}-\d{2}-\d{2}[T ][\d:.]+Z?|\d{1,2}:\d{2}:\d{2}(?:\.\d+)?)\]?\s+/;
+const BRACKETED_LEVEL = /^\[(error|fatal|critical|severe|warn(?:ing)?|info|log|debug)\]:?\s+/i;
+const BARE_LEVEL = /^(ERROR|FATAL|CRITICAL|SEVERE|WARN(?:ING)?|INFO|LOG|DEBUG|error|fatal|critical|severe|warn(?:ing)?|info|log|debug):?\s+/;
+const SOURCE_PREFIX = /^[\w.-]+\.(?:m?js|jsx|tsx?):\d+\s+/;
+// Content-hashed bundles (index-9c49aa66.js, main.3f2a1b7c.js) and .min.js files
+const MINIFIED_FILE = /(?:[-.](?=[A-Za-z_-]*\d)[A-Za-z0-9_-]{8,}|\.min)\.m?js$/;
+
+// { message, levels } - the line without its prefixes, and the level tags that were stripped
+const stripLinePrefix = (line) => {
+  let rest = line;
+  const levels = [];
+  for (;;) {
+    const timestamp = rest.match(TIMESTAMP);
+    if (timestamp) {
+      rest = rest.slice(timestamp[0].length);
+      const level = rest.match(BARE_LEVEL);
+      if (level) {
+        levels.push(level[1]);
+        rest = rest.slice(level[0].length);
+      }
+      continue;
+    }
+    const prefix = rest.match(BRACKETED_LEVEL) || rest.match(SOURCE_PREFIX);
+    if (!prefix) {
+      return { message: rest, levels };
+    }
+    if (prefix[1]) {
+      levels.push(prefix[1]);
+    }
+    rest = rest.slice(prefix[0].length);
+  }
+};
+
+// { fn, file, line, column }, { raw } for a frame without a position, or null when the line isn't a frame
+const parseFrame = (line) => {
+  const match = line.match(V8_FRAME) || line.match(GECKO_FRAME);
+  if (match) {
+    return { fn: match[1] || '', file: match[2], line: Number(match[3]), column: Number(match[4]) };
+  }
+  const other = line.match(OTHER_FRAME);
+  return other ? { raw: other[1] } : null;
+};
+
+// Long single-line bundles have huge columns even when the file name has no hash
+export const isMinifiedFrame = (frame) => !!frame.file && (MINIFIED_FILE.test(frame.file.split(/[?#]/)[0]) || frame.column > 300);
+
+// Identifies a frame in the symbolicated map (file:line:column)
+export const frameKey = (frame) => (frame.file ? `${frame.file}:${frame.line}:${frame.column}` : frame.raw);
+
+// Numbers and quoted values change between repeats of the same error ("row 12", "id '8f2c'")
+const errorKey = (error) => [
+  error.message.replace(/\d+/g, '#').replace(/(['"]).*?\1/g, '$1…$1'),
+  ...error.frames.slice(0, 3).map(frameKey)
+].join('\n');
+
+// Errors in pasted logs - [{ message, frames: [{ fn, file, line, column } or { raw }], count }], first seen first
+export const parseLogs = (text) => {
+  const errors = [];
+  let current = null;
+
+  String(text || '').replace(/\r\n/g, '\n').split('\n').forEach(rawLine => {
+    if (!rawLine.trim()) {
+      return;
+    }
+    const frame = parseFrame(rawLine);
+    if (frame) {
+      // A stack without an error line above it still counts
+      if (!current) {
+        current = { message: 'Stack trace', frames: [] };
+        errors.push(current);
+      }
+      current.frames.push(frame);
+      return;
+    }
+
+    const { message: line, levels } = stripLinePrefix(rawLine.trim());
+    const isErrorLevel = ERROR_LEVEL.test(rawLine.trim()) || levels.some(level => ERROR_LEVEL_TAG.test(level));
+    if (isErrorLevel || ERROR_LINE.test(line)) {
+      current = { message: line || rawLine.trim(), frames: [] };
+      errors.push(current);
+    } else {
+      current = null;
+    }
+  });
+
+  const unique = [];
+  errors.forEach(error => {
+    const key = errorKey(error);
+    const repeat = unique.find(item => item.key === key);
+    if (repeat) {
+      repeat.count += 1;
+    } else {
+      unique.push({ ...error, key, count: 1 });
+    }
+  });
+  return unique.slice(0, MAX_ERRORS).map(({ key, ...error }) => error);
+};
+
+// Minified frames to send to the symbolicate-stack route, each once
+export const getMinifiedFrames = (errors) => {
+  const frames = new Map();
+  errors.forEach(error => error.frames.slice(0, MAX_FRAMES).filter(isMinifiedFrame).forEach(frame => {
+    frames.set(frameKey(frame), { file: frame.file, line: frame.line, column: frame.column });
+  }));
+  return [...frames.values()];
+};
+
+// The symbolicate-stack response as original positions by minified frame
+export const toSymbolicatedMap = (frames, originals) => Object.fromEntries(frames
+  .map((frame, index) => [frameKey(frame), originals[index]])
+  .filter(([, original]) => original));
+
+// A mapped frame shows only its source position - the minified function name would be misleading next to it
+const formatFrame = (frame, symbolicated) => {
+  const original = frame.file && symbolicated[frameKey(frame)];
+  if (original) {
+    return `    at ${original.source}:${original.line}:${original.column}`;
+  }
+  return `    at ${frame.fn ? `${frame.fn} (${frameKey(frame)})` : frameKey(frame)}`;
+};
+
+// The Error Details text - each error with its frames (mapped to the source where a map was found) and repeat count
+export const formatErrorDetails = (errors, symbolicated = {}) => {
+  const text = errors.map(error => {
+    const lines = [`${error.message}${error.count > 1 ? ` (x${error.count})` : ''}`];
+    error.frames.slice(0, MAX_FRAMES).forEach(frame => lines.push(formatFrame(frame, symbolicated)));
+    if (error.frames.length > MAX_FRAMES) {
+      lines.push(`    ... ${error.frames.length - MAX_FRAMES} more frame(s)`);
+    }
+    return lines.join('\n');
+  }).join('\n\n');
+  return text.length > MAX_DETAILS_LENGTH ? `${text.slice(0, MAX_DETAILS_LENGTH - 4)}\n...` : text;
+};
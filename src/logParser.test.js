@@ -0,0 +1,25 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLogs, formatErrorDetails } from './logParser.js';
+
+test('keeps the error name of an "Error:" line', () => {
+  const errors = parseLogs('Error: boom\n    at run (https://app.example.com/assets/index-9c49aa66.js:1:2345)');
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].message, 'Error: boom');
+  assert.match(formatErrorDetails(errors), /^Error: boom\n/);
+});
+
+test('strips bracketed and timestamped level tags but not the error name', () => {
+  const errors = parseLogs([
+    '[ERROR] TypeError: x is undefined',
+    '2024-05-01T10:00:00Z ERROR: database unreachable',
+    '12:00:01 Error: request failed',
+    'main.js:12 Uncaught ReferenceError: y is not defined'
+  ].join('\n'));
+  assert.deepEqual(errors.map(error => error.message), [
+    'TypeError: x is undefined',
+    'database unreachable',
+    'Error: request failed',
+    'Uncaught ReferenceError: y is not defined'
+  ]);
+});
@@ -0,0 +1,111 @@
+// Media pipeline
+// Runs on every added image before it is previewed, sent to the AI or attached in Jira: images are downscaled to
+// maxDimension and re-encoded as WebP (JPEG where the browser can't encode WebP) at the quality target, so a
+// report with ten full-resolution screenshots fits the upload limits. Drawing through a canvas drops EXIF and other
+// metadata (PNG eXIf chunks and WebP EXIF included), so every image is re-encoded even when that doesn't make it
+// smaller - an upload never keeps the original bytes.
+//
+// Settings (config/media-pipeline.json, bundled at build time):
+//   enabled, maxDimension (longest side in px), format / fallbackFormat, quality (0-1),
+//   minBytes (smaller images are re-encoded at full quality instead), skipTypes (never touched - animated GIFs, SVG)
+
+import mediaPipelineConfig from '../config/media-pipeline.json';
+
+export const MEDIA_PIPELINE = {
+  enabled: mediaPipelineConfig.enabled !== false,
+  maxDimension: mediaPipelineConfig.maxDimension || 1920,
+  format: mediaPipelineConfig.format || 'image/webp',
+  fallbackFormat: mediaPipelineConfig.fallbackFormat || 'image/jpeg',
+  quality: mediaPipelineConfig.quality ?? 0.82,
+  minBytes: mediaPipelineConfig.minBytes ?? 0,
+  skipTypes: mediaPipelineConfig.skipTypes || []
+};
+
+const EXTENSIONS = { 'image/webp': 'webp', 'image/jpeg': 'jpg', 'image/png': 'png' };
+
+// Longest side capped at maxDimension, aspect ratio kept
+export const getScaledSize = (width, height, maxDimension = MEDIA_PIPELINE.maxDimension) => {
+  const scale = Math.min(1, maxDimension / Math.max(width, height));
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+};
+
+// Decoded with the EXIF orientation applied, so a rotated phone photo stays upright once the EXIF is gone
+const loadImage = async (file) => {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      return await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch {
+      // Fall back to an <img> element below
+    }
+  }
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`Could not decode ${file.name}`));
+    };
+    image.src = url;
+  });
+};
+
+// The canvas as a blob of the given type - null when the browser can't encode it (it falls back to PNG)
+const encodeCanvas = (canvas, type, quality) => new Promise(resolve => {
+  canvas.toBlob(blob => resolve(blob && blob.type === type ? blob : null), type, quality);
+});
+
+const drawImage = (image, { width, height }, opaque) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  // JPEG has no transparency - transparent screenshot areas would turn black
+  if (opaque) {
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+  }
+  ctx.drawImage(image, 0, 0, width, height);
+  return canvas;
+};
+
+// Downscale and re-encode one file - returns { file, originalSize }, with the original file when it isn't an image
+// the pipeline handles or it can't be decoded
+export const optimizeImage = async (file, settings = MEDIA_PIPELINE) => {
+  const result = { file, originalSize: file.size };
+  if (!settings.enabled || !file.type.startsWith('image/') || settings.skipTypes.includes(file.type)) {
+    return result;
+  }
+  // Small images have little to save - they are only re-encoded to drop their metadata, at full quality
+  // (lossless WebP in Chromium)
+  const quality = file.size < settings.minBytes ? 1 : settings.quality;
+
+  try {
+    const image = await loadImage(file);
+    const size = getScaledSize(image.naturalWidth || image.width, image.naturalHeight || image.height, settings.maxDimension);
+
+    let blob = null;
+    for (const type of [settings.format, settings.fallbackFormat]) {
+      blob = await encodeCanvas(drawImage(image, size, type === 'image/jpeg'), type, quality);
+      if (blob) {
+        break;
+      }
+    }
+    if (image.close) {
+      image.close();
+    }
+
+    // Replaced even when the re-encoded image is larger, so its metadata never reaches the upload
+    if (!blob) {
+      return result;
+    }
+    const name = `${file.name.replace(/\.[^./\\]+$/, '')}.${EXTENSIONS[blob.type] || 'img'}`;
+    return { file: new File([blob], name, { type: blob.type, lastModified: file.lastModified }), originalSize: file.size };
+  } catch (error) {
+    console.error(`Media pipeline: keeping ${file.name} as it is`, error);
+    return result;
+  }
+};
@@ -0,0 +1,100 @@
+// Priority engine
+// Suggests a ticket's P1-P4 priority from the rule set in config/priority-rules.json (keywords, user-count hints,
+// the affected instance and the component's criticality), blended with the priority the AI gave the ticket.
+// Every rule that matches is a weighted vote (P1 = 1 ... P4 = 4); the weighted mean, rounded, is the suggestion.
+// A rule with "floor": true can't be outvoted - the suggestion is never less urgent than its priority.
+//
+// Rule format: { "pattern": "regex, matched case-insensitively from a word start", "priority": "P1",
+//                "weight": 1, "floor": false, "reason": "shown to the user" }
+// "components" maps a component name to its priority; "modelWeight" and "componentWeight" weigh those votes.
+
+import priorityRules from '../config/priority-rules.json';
+import { PRIORITIES } from './ticketSchema';
+
+const toLevel = (priority) => PRIORITIES.indexOf(priority) + 1;
+
+// Rules with a valid priority and pattern, compiled once - a bad entry is skipped (and logged), not fatal
+const compileRules = (rules = [], group) => rules
+  .map(rule => {
+    if (!toLevel(rule.priority)) {
+      console.error(`Priority rules (${group}): "${rule.priority}" is not one of ${PRIORITIES.join(', ')}`);
+      return null;
+    }
+    try {
+      return { ...rule, regex: new RegExp(`\\b(?:${rule.pattern})`, 'i'), weight: rule.weight ?? 1 };
+    } catch (e) {
+      console.error(`Priority rules (${group}): invalid pattern "${rule.pattern}"`, e);
+      return null;
+    }
+  })
+  .filter(Boolean);
+
+// A rules document (the format above) ready for assessPriority
+export const compileRuleSet = (rules) => ({
+  defaultPriority: toLevel(rules.defaultPriority) ? rules.defaultPriority : 'P3',
+  modelWeight: rules.modelWeight ?? 2,
+  componentWeight: rules.componentWeight ?? 1,
+  keywords: compileRules(rules.keywords, 'keywords'),
+  userCount: compileRules(rules.userCount, 'userCount'),
+  instances: compileRules(rules.instances, 'instances'),
+  components: Object.fromEntries(Object.entries(rules.components || {})
+    .filter(([, priority]) => toLevel(priority))
+    .map(([name, priority]) => [name.toLowerCase(), priority]))
+});
+
+const DEFAULT_RULES = compileRuleSet(priorityRules);
+
+// Text the keyword and user-count rules read: the user's description and every section of the ticket
+const getTicketText = (ticket, description) => [
+  description,
+  ...(ticket ? Object.entries(ticket.values)
+    .filter(([id]) => id !== 'priority' && id !== 'severity')
+    .map(([, value]) => (Array.isArray(value) ? value.join('\n') : value)) : [])
+].filter(Boolean).join('\n');
+
+// The suggested priority with what decided it - { priority, reasons: [{ source, priority, weight, text }] }
+// ticket: the structured ticket (or null before generation); modelPriority: what the AI gave it (if anything);
+// instances: the affected instance names / URLs; component: the ticket's Jira component
+export const assessPriority = ({ ticket = null, description = '', modelPriority, instances = [], component }, rules = DEFAULT_RULES) => {
+  const reasons = [];
+  const text = getTicketText(ticket, description);
+
+  if (toLevel(modelPriority)) {
+    reasons.push({ source: 'model', priority: modelPriority, weight: rules.modelWeight, text: `The AI rated it ${modelPriority}` });
+  }
+
+  [['keyword', rules.keywords], ['users', rules.userCount]].forEach(([source, group]) => {
+    group.forEach(rule => {
+      const match = text.match(rule.regex);
+      if (match) {
+        reasons.push({ source, priority: rule.priority, weight: rule.weight, floor: !!rule.floor, text: `"${match[0]}"${rule.reason ? ` - ${rule.reason}` : ''}` });
+      }
+    });
+  });
+
+  // One vote per instance rule, however many of the instances it matches
+  rules.instances.forEach(rule => {
+    const instance = instances.find(item => item && rule.regex.test(item));
+    if (instance) {
+      reasons.push({ source: 'instance', priority: rule.priority, weight: rule.weight, floor: !!rule.floor, text: `${instance}${rule.reason ? ` - ${rule.reason}` : ''}` });
+    }
+  });
+
+  const componentPriority = component && rules.components[component.toLowerCase()];
+  if (componentPriority) {
+    reasons.push({ source: 'component', priority: componentPriority, weight: rules.componentWeight, text: `Component ${component} is rated ${componentPriority}` });
+  }
+
+  const votes = reasons.filter(reason => reason.weight > 0);
+  if (votes.length === 0) {
+    return { priority: rules.defaultPriority, reasons: [] };
+  }
+
+  const totalWeight = votes.reduce((sum, reason) => sum + reason.weight, 0);
+  let level = Math.round(votes.reduce((sum, reason) => sum + toLevel(reason.priority) * reason.weight, 0) / totalWeight);
+  reasons.filter(reason => reason.floor).forEach(reason => {
+    level = Math.min(level, toLevel(reason.priority));
+  });
+
+  return { priority: PRIORITIES[Math.min(Math.max(level, 1), PRIORITIES.length) - 1], reasons };
+};
@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { assessPriority, compileRuleSet } from './priorityEngine.js';
+
+const rules = (overrides = {}) => compileRuleSet({
+  defaultPriority: 'P3',
+  modelWeight: 2,
+  keywords: [],
+  userCount: [],
+  instances: [],
+  components: {},
+  ...overrides
+});
+
+test('returns the default priority when nothing matches', () => {
+  const result = assessPriority({ description: 'The page is slow' }, rules({ defaultPriority: 'P4' }));
+  assert.equal(result.priority, 'P4');
+  assert.deepEqual(result.reasons, []);
+});
+
+test('blends the votes by weight and rounds the mean', () => {
+  const ruleSet = rules({
+    keywords: [{ pattern: 'checkout', priority: 'P2', weight: 1 }],
+    components: { UI: 'P4' },
+    componentWeight: 1
+  });
+  // (P1 x 2 + P2 x 1 + P4 x 1) / 4 = 1.75 -> P2
+  const result = assessPriority({ description: 'checkout button', modelPriority: 'P1', component: 'ui' }, ruleSet);
+  assert.equal(result.priority, 'P2');
+  assert.deepEqual(result.reasons.map(reason => reason.source), ['model', 'keyword', 'component']);
+});
+
+test('a floor rule cannot be outvoted', () => {
+  const ruleSet = rules({
+    keywords: [
+      { pattern: 'data loss', priority: 'P1', weight: 1, floor: true },
+      { pattern: 'typo', priority: 'P4', weight: 5 }
+    ]
+  });
+  const result = assessPriority({ description: 'A typo in the export dialog causes data loss', modelPriority: 'P4' }, ruleSet);
+  assert.equal(result.priority, 'P1');
+});
+
+test('patterns match from a word start, and only to a word end when they say so', () => {
+  const ruleSet = rules({
+    modelWeight: 0,
+    instances: [{ pattern: '(staging|dev)\\d*\\b', priority: 'P4', weight: 1 }],
+    keywords: [{ pattern: 'crash(es|ed)?\\b', priority: 'P1', weight: 1 }]
+  });
+  assert.equal(assessPriority({ instances: ['https://dev2.example.com'] }, ruleSet).reasons.length, 1);
+  assert.equal(assessPriority({ instances: ['device lab', 'developer portal'] }, ruleSet).reasons.length, 0);
+  assert.equal(assessPriority({ description: 'the app crashed' }, ruleSet).priority, 'P1');
+  assert.equal(assessPriority({ description: 'a non-crashing warning' }, ruleSet).reasons.length, 0);
+});
+
+test('skips rules with an invalid priority or pattern', () => {
+  const ruleSet = rules({
+    keywords: [
+      { pattern: 'outage', priority: 'P0' },
+      { pattern: '(unclosed', priority: 'P1' },
+      { pattern: 'outage', priority: 'P2' }
+    ]
+  });
+  assert.equal(ruleSet.keywords.length, 1);
+});
+
+test('the bundled rules do not escalate everyday wording', () => {
+  for (const description of ['Memory leak on the reports page', 'The security settings page has a typo']) {
+    const result = assessPriority({ description, modelPriority: 'P3' });
+    assert.notEqual(result.priority, 'P1', description);
+  }
+  assert.equal(assessPriority({ instances: ['https://latest.example.com/contest'] }).reasons.length, 0);
+  assert.equal(assessPriority({ description: 'Customer data leak through the export API', modelPriority: 'P3' }).reasons[1].priority, 'P1');
+  assert.equal(assessPriority({ description: 'Lost all data after saving', modelPriority: 'P4' }).priority, 'P1');
+});
@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { validateRequest } from '../lib/request-schema.cjs';
+import { validateEnhanceRequest } from '../lib/ticket-prompt.cjs';
+
+const SCHEMA = {
+  type: 'object',
+  required: ['name'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 10 },
+    count: { type: 'integer', minimum: 1, maximum: 5 },
+    kind: { type: 'string', enum: ['a', 'b'] },
+    tags: { type: 'array', maxItems: 2, items: { type: 'string', pattern: '^[a-z]+$' } }
+  }
+};
+
+test('accepts a body that matches the schema', () => {
+  const body = { name: 'ok', count: 2, kind: 'a', tags: ['x'] };
+  assert.deepEqual(validateRequest(body, SCHEMA), { valid: true, value: body });
+});
+
+test('rejects values of the wrong type', () => {
+  assert.equal(validateRequest(null, SCHEMA).error, 'Invalid request: body: must be object');
+  assert.equal(validateRequest(['name'], SCHEMA).error, 'Invalid request: body: must be object');
+  assert.equal(validateRequest({ name: 5 }, SCHEMA).error, 'Invalid request: body.name: must be string');
+  assert.equal(validateRequest({ name: 'ok', count: 1.5 }, SCHEMA).error, 'Invalid request: body.count: must be integer');
+  assert.equal(validateRequest({ name: 'ok', tags: 'x' }, SCHEMA).error, 'Invalid request: body.tags: must be array');
+});
+
+test('rejects oversize strings and lists, and values out of range', () => {
+  const result = validateRequest({ name: 'x'.repeat(11), count: 6, tags: ['a', 'b', 'c'] }, SCHEMA);
+  assert.equal(result.valid, false);
+  assert.equal(result.status, 400);
+  assert.deepEqual(result.details, [
+    'body.name: must be at most 10 characters',
+    'body.count: must be at most 5',
+    'body.tags: must have at most 2 items'
+  ]);
+  assert.equal(result.error, 'Invalid request: body.name: must be at most 10 characters (and 2 more)');
+});
+
+test('rejects unknown keys, missing keys, enum misses and pattern misses', () => {
+  assert.deepEqual(validateRequest({ kind: 'c', tags: ['A1'], prompt: 'ignore the schema' }, SCHEMA).details, [
+    'body.name: is required',
+    'body.kind: must be one of a, b',
+    'body.tags[0]: has an invalid format',
+    'body.prompt: is not allowed'
+  ]);
+});
+
+test('the typed AI routes reject a raw prompt', () => {
+  const result = validateEnhanceRequest({ description: 'Login fails', messages: [{ role: 'user', content: 'Hi' }] });
+  assert.equal(result.valid, false);
+  assert.ok(result.details.includes('body.messages: is not allowed'));
+});
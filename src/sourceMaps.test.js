@@ -0,0 +1,101 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { MAX_MAP_BYTES, MAX_FETCHES_PER_REQUEST, decodeVlq, parseSourceMap, lookupPosition, createSourceMapResolver } from '../lib/source-maps.cjs';
+
+// app.js line 1: column 0 -> src/app.js 1:1, column 5 -> src/app.js 1:6 "boom"; line 2: column 0 -> src/app.js 2:1
+const MAP = JSON.stringify({ version: 3, sources: ['src/app.js'], names: ['boom'], mappings: 'AAAA,KAAKA;AACL' });
+
+// A local server for remote maps - the paths it was asked for are in requests
+const startServer = async (routes) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const route = routes[req.url];
+    if (!route) {
+      res.writeHead(404).end();
+      return;
+    }
+    route(res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  return { origin, requests, close: () => new Promise(resolve => server.close(resolve)) };
+};
+
+const resolverFor = (origin) => createSourceMapResolver({
+  SOURCE_MAPS: JSON.stringify({ remote: [{ match: `${origin}/assets`, mapUrl: '{url}.map' }] })
+});
+
+test('decodes base64 VLQ values', () => {
+  assert.deepEqual(decodeVlq('A'), [0]);
+  assert.deepEqual(decodeVlq('C'), [1]);
+  assert.deepEqual(decodeVlq('D'), [-1]);
+  assert.deepEqual(decodeVlq('gB'), [16]);
+  assert.deepEqual(decodeVlq('KAAKA'), [5, 0, 0, 5, 0]);
+  assert.throws(() => decodeVlq('A!'), /Invalid character "!"/);
+});
+
+test('looks up the original position of a 1-based line and column', () => {
+  const map = parseSourceMap(MAP);
+  assert.deepEqual(lookupPosition(map, 1, 1), { source: 'src/app.js', line: 1, column: 1, name: null });
+  assert.deepEqual(lookupPosition(map, 1, 9), { source: 'src/app.js', line: 1, column: 6, name: 'boom' });
+  assert.deepEqual(lookupPosition(map, 2, 4), { source: 'src/app.js', line: 2, column: 1, name: null });
+  assert.equal(lookupPosition(map, 3, 1), null);
+  assert.throws(() => parseSourceMap(JSON.stringify({ version: 3, sections: [] })), /Indexed source maps/);
+});
+
+test('only fetches maps for bundles on the configured origin and path', async () => {
+  const server = await startServer({ '/assets/app.js.map': res => res.end(MAP) });
+  try {
+    const resolver = resolverFor(server.origin);
+    const result = await resolver.symbolicateFrames([
+      { file: `${server.origin}/assets/app.js?v=2`, line: 1, column: 9 },
+      { file: `${server.origin}/assets-old/app.js`, line: 1, column: 9 },
+      { file: `http://127.0.0.1.evil.com:${server.origin.split(':').pop()}/assets/app.js`, line: 1, column: 9 },
+      { file: `${server.origin}/assets/%E0%A4%A.js`, line: 1, column: 1 }
+    ]);
+    assert.deepEqual(result.frames[0], { source: 'src/app.js', line: 1, column: 6, name: 'boom' });
+    assert.deepEqual(result.frames.slice(1, 3), [null, null]);
+    assert.equal(result.frames[3], null);
+    assert.deepEqual(server.requests, ['/assets/app.js.map', '/assets/%E0%A4%A.js.map']);
+  } finally {
+    await server.close();
+  }
+});
+
+test('refuses maps over the byte cap, with or without a Content-Length', async () => {
+  const oversized = Buffer.alloc(MAX_MAP_BYTES + 1, ' ');
+  const server = await startServer({
+    '/assets/declared.js.map': res => res.writeHead(200, { 'Content-Length': oversized.length }).end(oversized),
+    '/assets/chunked.js.map': res => {
+      res.write(oversized.subarray(0, MAX_MAP_BYTES / 2));
+      res.end(oversized.subarray(MAX_MAP_BYTES / 2));
+    }
+  });
+  try {
+    const declared = await resolverFor(server.origin).symbolicateFrames([{ file: `${server.origin}/assets/declared.js`, line: 1, column: 1 }]);
+    assert.deepEqual(declared.frames, [null]);
+    assert.match(declared.errors[0], /declared\.js\.map is too large/);
+
+    const chunked = await resolverFor(server.origin).symbolicateFrames([{ file: `${server.origin}/assets/chunked.js`, line: 1, column: 1 }]);
+    assert.deepEqual(chunked.frames, [null]);
+    assert.match(chunked.errors[0], /chunked\.js\.map is too large/);
+  } finally {
+    await server.close();
+  }
+});
+
+test('fetches a limited number of maps per request', async () => {
+  const names = Array.from({ length: MAX_FETCHES_PER_REQUEST + 1 }, (_, i) => `chunk-${i}`);
+  const server = await startServer(Object.fromEntries(names.map(name => [`/assets/${name}.js.map`, res => res.end(MAP)])));
+  try {
+    const result = await resolverFor(server.origin).symbolicateFrames(names.map(name => ({ file: `${server.origin}/assets/${name}.js`, line: 1, column: 1 })));
+    assert.equal(server.requests.length, MAX_FETCHES_PER_REQUEST);
+    assert.equal(result.frames.filter(Boolean).length, MAX_FETCHES_PER_REQUEST);
+    assert.equal(result.frames.at(-1), null);
+    assert.match(result.errors[0], /skipped - one request fetches at most/);
+  } finally {
+    await server.close();
+  }
+});
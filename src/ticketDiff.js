@@ -0,0 +1,49 @@
+// Ticket revisions (the refinement chat)
+// Compares a ticket with the AI's revision of it section by section, so each changed section can be accepted or
+// rejected on its own, and diffs a section's text line by line for display.
+
+import { formatSectionValue } from './ticketSchema';
+
+// Line diff (longest common subsequence) - [{ type: 'same' | 'removed' | 'added', text }] in reading order
+export const diffLines = (before, after) => {
+  const a = before ? before.split('\n') : [];
+  const b = after ? after.split('\n') : [];
+
+  // common[i][j] = length of the longest common subsequence of a[i..] and b[j..]
+  const common = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      common[i][j] = a[i] === b[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || common[i + 1][j] >= common[i][j + 1])) {
+      lines.push({ type: 'removed', text: a[i] });
+      i++;
+    } else {
+      lines.push({ type: 'added', text: b[j] });
+      j++;
+    }
+  }
+  return lines;
+};
+
+// Sections the revision changed - [{ id, name, before, after }] in ticket order, with section values (not text)
+// Sections the revision doesn't include (the app-filled attachment list) are left alone
+export const getSectionChanges = ({ fields, values }, revisedValues) =>
+  fields
+    .filter(field => revisedValues[field.id] !== undefined)
+    .filter(field => formatSectionValue(field.id, values[field.id]) !== formatSectionValue(field.id, revisedValues[field.id]))
+    .map(field => ({ id: field.id, name: field.name, before: values[field.id], after: revisedValues[field.id] }));
+
+// True while a turn still has changes nobody accepted or rejected
+export const hasUndecidedChanges = (turn) =>
+  Boolean(turn) && turn.changes.some(change => !turn.decisions[change.id]);
@@ -0,0 +1,168 @@
+// Structured tickets
+// The AI fills in a JSON schema the server builds from the enabled ticketFormat fields (the submit_ticket tool in
+// lib/ticket-prompt.cjs), and that object is the canonical ticket:
+// { issueType, fields: [{ id, name }], values: { [fieldId]: string | string[] } }.
+// The markdown shown, copied and edited is rendered from it, and the Jira payload is built from it.
+
+// Priority is how urgently it must be fixed, severity how bad the impact is - the Jira options each level is
+// sent as come from the field mapping (lib/jira-field-mapping.cjs)
+export const PRIORITIES = ['P1', 'P2', 'P3', 'P4'];
+export const SEVERITIES = ['S1', 'S2', 'S3', 'S4'];
+
+const LEVELS = { priority: PRIORITIES, severity: SEVERITIES };
+
+// Sections the AI writes as a list - rendered as numbered (steps) or bulleted lines
+const LIST_FIELDS = ['steps', 'acceptance', 'done', 'timeline'];
+const NUMBERED_FIELDS = ['steps'];
+
+// Single-line sections rendered on the heading line ("**Title:** ...")
+const INLINE_FIELDS = ['title', 'priority', 'severity', 'attachment'];
+
+// The app fills these in, not the AI - the uploaded files, and the errors parsed from the Logs panel
+export const APP_FILLED_FIELDS = ['attachment', 'errorDetails'];
+
+// Sections shown as a code block (a fenced block in the markdown, a code block in the Jira description)
+const CODE_FIELDS = ['errorDetails'];
+const CODE_FENCE = '```';
+
+// Sent to Jira as their own fields rather than description sections
+const NON_DESCRIPTION_FIELDS = ['title', 'priority', 'severity', 'attachment'];
+
+const SEPARATOR = '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━';
+
+const isListField = (id) => LIST_FIELDS.includes(id);
+
+// Enabled sections of a format as the ticket's field list
+export const getTicketFields = (format) =>
+  format.filter(field => field.enabled).map(field => ({ id: field.id, name: field.name }));
+
+// Trim strings and turn list sections into arrays (the AI or a manual edit may send one multi-line string)
+const normalizeValue = (id, value) => {
+  if (isListField(id)) {
+    const items = Array.isArray(value) ? value : String(value || '').split('\n');
+    return items
+      .map(item => String(item).replace(/^\s*(?:\d+[.)]|[-*•])\s+/, '').trim())
+      .filter(Boolean);
+  }
+  if (LEVELS[id]) {
+    const match = String(value || '').trim().match(new RegExp(`^(${LEVELS[id].join('|')})\\b`, 'i'));
+    return match ? match[1].toUpperCase() : '';
+  }
+  if (CODE_FIELDS.includes(id)) {
+    // Edited markdown brings the fences back - the value is the code without them
+    return typeof value === 'string'
+      ? value.replace(/^\s*```\w*\n?/, '').replace(/\n?```\s*$/, '').replace(/^\n+|\s+$/g, '')
+      : '';
+  }
+  return typeof value === 'string' ? value.trim() : '';
+};
+
+// Check a ticket against its fields - returns { valid, ticket, errors } with values normalized
+// Priority and severity are never guessed: anything but P1-P4 / S1-S4 is an error, so a bad value can't be pushed
+// as a default
+// Manual edits may leave sections empty (allowEmpty); the AI must fill in every one
+export const validateTicket = ({ issueType, fields, values }, { allowEmpty = false } = {}) => {
+  const errors = [];
+  const normalized = {};
+
+  fields.forEach(field => {
+    const value = normalizeValue(field.id, values ? values[field.id] : undefined);
+    normalized[field.id] = value;
+
+    if (LEVELS[field.id] && !value) {
+      errors.push(`${field.name} must be one of ${LEVELS[field.id].join(', ')}`);
+    } else if (!allowEmpty && !APP_FILLED_FIELDS.includes(field.id) && value.length === 0) {
+      errors.push(`${field.name} is empty`);
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    ticket: { issueType, fields, values: normalized },
+    errors
+  };
+};
+
+// Section body as display text
+export const formatSectionValue = (id, value) => {
+  if (Array.isArray(value)) {
+    return value
+      .map((item, i) => (NUMBERED_FIELDS.includes(id) ? `${i + 1}. ${item}` : `- ${item}`))
+      .join('\n');
+  }
+  if (CODE_FIELDS.includes(id) && value) {
+    return `${CODE_FENCE}\n${value}\n${CODE_FENCE}`;
+  }
+  return value || '';
+};
+
+// Markdown for display, copy and editing - the same **Heading:** / separator layout the app has always shown
+// Sections without a value yet are skipped, so a partially streamed ticket renders what has arrived
+export const renderTicketMarkdown = ({ fields, values }) =>
+  fields
+    .filter(field => values[field.id] !== undefined)
+    .map(field => {
+      const text = formatSectionValue(field.id, values[field.id]);
+      return INLINE_FIELDS.includes(field.id)
+        ? `**${field.name}:** ${text}`
+        : `**${field.name}:**\n${text}`;
+    })
+    .join(`\n\n${SEPARATOR}\n\n`);
+
+// Read a ticket back from its markdown (manual edits, tickets saved before structured output)
+// Headings are matched to the known fields by name; unknown headings become extra custom sections
+export const parseTicketMarkdown = (markdown, { issueType, fields: knownFields = [] }) => {
+  const fields = [];
+  const values = {};
+  let current = null;
+
+  String(markdown || '').split('\n').forEach(line => {
+    const heading = line.match(/^\s*\*\*([^*\n]+?):\*\*\s*(.*)$/);
+    if (heading) {
+      const name = heading[1].trim();
+      const known = knownFields.find(field => field.name.toLowerCase() === name.toLowerCase());
+      current = { id: known ? known.id : `custom_${name.toLowerCase().replace(/[^a-z0-9]+/g, '_')}`, name };
+      if (!fields.some(field => field.id === current.id)) {
+        fields.push(current);
+        values[current.id] = [];
+      }
+      if (heading[2].trim()) {
+        values[current.id].push(heading[2]);
+      }
+    } else if (current && !/^\s*━+\s*$/.test(line)) {
+      values[current.id].push(line);
+    }
+  });
+
+  fields.forEach(field => {
+    const text = values[field.id].join('\n').trim();
+    values[field.id] = isListField(field.id) || CODE_FIELDS.includes(field.id) ? normalizeValue(field.id, text) : text;
+  });
+
+  return { issueType, fields, values };
+};
+
+// Fields for the Jira routes - description sections in ticket order, plus the legacy per-section keys
+// (description, steps, ...) the duplicate search and the default description layout read
+export const ticketToJiraFields = ({ fields, values }) => {
+  const jiraFields = {
+    title: values.title || 'Untitled ticket',
+    sections: fields
+      .filter(field => !NON_DESCRIPTION_FIELDS.includes(field.id))
+      .map(field => ({ key: field.id, heading: field.name, text: formatSectionValue(field.id, values[field.id]) }))
+      .filter(section => section.text)
+  };
+
+  jiraFields.sections.forEach(section => {
+    jiraFields[section.key] = section.text;
+  });
+
+  // Only a validated level is sent - without a priority the issue gets the project's default
+  Object.entries(LEVELS).forEach(([id, levels]) => {
+    if (levels.includes(values[id])) {
+      jiraFields[id] = values[id];
+    }
+  });
+
+  return jiraFields;
+};
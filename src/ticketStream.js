@@ -0,0 +1,124 @@
+// Reads the server-sent events relayed from Anthropic's streamed Messages API
+// (message_start, content_block_delta, message_delta, message_stop, ping and error events)
+
+// Split the accumulated buffer into complete events - returns [events, rest of the buffer]
+const parseEvents = (buffer) => {
+  const blocks = buffer.split(/\r?\n\r?\n/);
+  const rest = blocks.pop();
+  const events = blocks
+    .map(block => {
+      const event = { type: 'message', data: '' };
+      block.split(/\r?\n/).forEach(line => {
+        if (line.startsWith('event:')) {
+          event.type = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          event.data += line.slice(5).trim();
+        }
+      });
+      return event;
+    })
+    .filter(event => event.data);
+  return [events, rest];
+};
+
+// Stream the response - onText(fullTextSoFar) is called for every text delta and onJson(toolInputJsonSoFar) for
+// every tool input delta (the structured ticket arrives as submit_ticket tool input)
+// Resolves to { text, json, stopReason }, rejects on an error event or when the request is aborted
+export const readTicketStream = async (response, { onText, onJson } = {}) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+  let json = '';
+  let stopReason = null;
+
+  const handleEvent = ({ type, data }) => {
+    let payload;
+    try {
+      payload = JSON.parse(data);
+    } catch (e) {
+      return;
+    }
+
+    if (type === 'error') {
+      throw new Error(payload.error?.message || 'The AI stopped unexpectedly. Please try again.');
+    }
+    if (type === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+      text += payload.delta.text;
+      if (onText) onText(text);
+    }
+    if (type === 'content_block_delta' && payload.delta?.type === 'input_json_delta') {
+      json += payload.delta.partial_json;
+      if (onJson) onJson(json);
+    }
+    if (type === 'message_delta' && payload.delta?.stop_reason) {
+      stopReason = payload.delta.stop_reason;
+    }
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+    const [events, rest] = parseEvents(done ? `${buffer}\n\n` : buffer);
+    buffer = rest;
+    events.forEach(handleEvent);
+
+    if (done) break;
+  }
+
+  return { text, json, stopReason };
+};
+
+// Best-effort parse of an incomplete JSON document: closes an open string and any open arrays/objects,
+// dropping a trailing key or value that is still too short to parse. Returns null if nothing usable arrived yet.
+export const parsePartialJson = (json) => {
+  const stack = [];
+  // Points the document can be cut at - with the closers still needed at that point
+  const cutPoints = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < json.length; i++) {
+    const ch = json[i];
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (ch === '\\') {
+        escaped = true;
+      } else if (ch === '"') {
+        inString = false;
+      }
+      continue;
+    }
+    if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      stack.push(ch === '{' ? '}' : ']');
+      cutPoints.push({ end: i + 1, closers: [...stack] });
+    } else if (ch === '}' || ch === ']') {
+      stack.pop();
+    } else if (ch === ',') {
+      cutPoints.push({ end: i, closers: [...stack] });
+    }
+  }
+
+  const close = (text, closers) => text + [...closers].reverse().join('');
+  const candidates = [
+    close(inString ? `${json.replace(/\\(u[0-9a-fA-F]{0,3})?$/, '')}"` : json, stack),
+    ...cutPoints.reverse().map(point => close(json.slice(0, point.end), point.closers))
+  ];
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch (e) {
+      // Try the next shorter cut
+    }
+  }
+  return null;
+};
+
+// Sections of a partially streamed ticket: the **Heading:** names written so far (the last one is still being written)
+export const getStreamedSections = (text) =>
+  [...String(text || '').matchAll(/\*\*([^*\n]+?):\*\*/g)].map(match => match[1].trim());
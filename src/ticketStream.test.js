@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePartialJson } from './ticketStream.js';
+
+test('parses a complete document as it is', () => {
+  assert.deepEqual(parsePartialJson('{"title":"Login fails","steps":["Open","Click"]}'), { title: 'Login fails', steps: ['Open', 'Click'] });
+});
+
+test('closes a string, array and object cut off mid-value', () => {
+  assert.deepEqual(parsePartialJson('{"title":"Login fa'), { title: 'Login fa' });
+  assert.deepEqual(parsePartialJson('{"title":"Login fails","steps":["Open","Cli'), { title: 'Login fails', steps: ['Open', 'Cli'] });
+});
+
+test('drops a key or value that is too short to parse', () => {
+  assert.deepEqual(parsePartialJson('{"title":"Login fails","ste'), { title: 'Login fails' });
+  assert.deepEqual(parsePartialJson('{"title":"Login fails","steps":'), { title: 'Login fails' });
+  assert.deepEqual(parsePartialJson('{"title":"Login fails","priority":tr'), { title: 'Login fails' });
+});
+
+test('keeps escaped quotes and backslashes inside strings', () => {
+  assert.deepEqual(parsePartialJson('{"title":"Click \\"Save\\" in C:\\\\temp"}'), { title: 'Click "Save" in C:\\temp' });
+  assert.deepEqual(parsePartialJson('{"title":"Click \\"Sa'), { title: 'Click "Sa' });
+});
+
+test('drops an escape sequence cut off at the end', () => {
+  assert.deepEqual(parsePartialJson('{"title":"Line one\\'), { title: 'Line one' });
+  assert.deepEqual(parsePartialJson('{"title":"Caf\\u00'), { title: 'Caf' });
+});
+
+test('returns an empty object for an opened document and null before one arrived', () => {
+  assert.deepEqual(parsePartialJson('{"ti'), {});
+  assert.equal(parsePartialJson(''), null);
+});
@@ -0,0 +1,21 @@
+// Module hooks for `npm test` - lets Node load the app's modules the way Vite does: relative imports without an
+// extension ("./ticketSchema") and JSON imports without an import attribute (config/*.json)
+import { register } from 'node:module';
+import { isMainThread } from 'node:worker_threads';
+
+if (isMainThread) {
+  register(import.meta.url);
+}
+
+export const resolve = async (specifier, context, nextResolve) => {
+  let result;
+  try {
+    result = await nextResolve(specifier, context);
+  } catch (error) {
+    if (error.code !== 'ERR_MODULE_NOT_FOUND' || !/^\.{1,2}\//.test(specifier) || /\.\w+$/.test(specifier)) {
+      throw error;
+    }
+    result = await nextResolve(`${specifier}.js`, context);
+  }
+  return result.url.endsWith('.json') ? { ...result, importAttributes: { type: 'json' } } : result;
+};